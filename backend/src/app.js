@@ -1,12 +1,19 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const requestLogger = require('./middleware/requestLogger');
+const { rateLimitPolicy } = require('./middleware/rateLimit');
 const { logger } = require('./utils/logger');
 
 const app = express();
 
+// Behind Railway's proxy req.ip is the proxy's address unless we trust it.
+// Rate limits are per IP, so this matters (TRUST_PROXY = number of proxy hops)
+const trustProxy = process.env.TRUST_PROXY || (process.env.NODE_ENV === 'production' ? '1' : '');
+if (trustProxy) {
+  app.set('trust proxy', isNaN(trustProxy) ? trustProxy : parseInt(trustProxy));
+}
+
 // Security Headers - Helmet.js
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }, // Allow images from Cloudinary
@@ -20,43 +27,23 @@ app.use(helmet({
   },
 }));
 
-// Rate Limiting - TEMPORARILY DISABLED FOR TESTING
-// TODO: Re-enable before production deployment
-
-// const generalLimiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 100, // Limit each IP to 100 requests per windowMs
-//   message: 'Too many requests from this IP, please try again later.',
-//   standardHeaders: true,
-//   legacyHeaders: false,
-// });
-
-// const authLimiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 5, // Limit each IP to 5 login attempts per windowMs
-//   message: 'Too many login attempts, please try again after 15 minutes.',
-//   standardHeaders: true,
-//   legacyHeaders: false,
-// });
-
-// const passwordResetLimiter = rateLimit({
-//   windowMs: 60 * 60 * 1000, // 1 hour
-//   max: 3, // Limit each IP to 3 password reset requests per hour
-//   message: 'Too many password reset requests, please try again after an hour.',
-//   standardHeaders: true,
-//   legacyHeaders: false,
-// });
-
-// app.use('/api/', generalLimiter);
-
 // CORS
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true
 }));
 
+// Rate limiting - every API route gets the general policy; auth, password
+// reset, checkout, uploads and search add their own (see middleware/rateLimit.js)
+app.use('/api/', rateLimitPolicy('general'));
+
 // Body parsers
-app.use(express.json());
+// Keep the raw body around so the Paystack webhook can verify its HMAC signature
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging (should be after body parsers)
@@ -102,16 +89,13 @@ const reviewRoutes = require('./routes/review.routes');
 const favoriteRoutes = require('./routes/favorite.routes');
 const passwordResetRoutes = require('./routes/passwordReset.routes');
 const adminRoutes = require('./routes/admin.routes');
+const paymentRoutes = require('./routes/payment.routes');
+const disputeRoutes = require('./routes/dispute.routes');
+const notificationRoutes = require('./routes/notification.routes');
 
-// Export limiters for use in routes (DISABLED FOR TESTING)
-// app.set('authLimiter', authLimiter);
-// app.set('passwordResetLimiter', passwordResetLimiter);
-
-// Apply routes (rate limiters disabled for testing)
+// Apply routes
 app.use('/api/auth', authRoutes);
 app.use('/api/password-reset', passwordResetRoutes);
-
-// Other routes use general limiter (already applied globally)
 app.use('/api/sellers', sellerRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/upload', uploadRoutes);
@@ -121,6 +105,9 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/favorites', favoriteRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/disputes', disputeRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // API root endpoint
 app.get('/api', (req, res) => {
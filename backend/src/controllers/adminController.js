@@ -1,13 +1,17 @@
 const db = require('../config/database');
 const { logger } = require('../utils/logger');
+const cancellationService = require('../services/cancellationService');
+const sessionService = require('../services/sessionService');
+const analyticsQuery = require('../services/analyticsQueryService');
+const twoFactorService = require('../services/twoFactorService');
 
-// Middleware to check if user is admin
+// Middleware to check if user is admin, on a session that passed 2FA where needed
 const requireAdmin = async (req, res, next) => {
   try {
     const userId = req.user.id;
 
     const result = await db.query(
-      'SELECT role FROM users WHERE id = $1',
+      'SELECT role, two_factor_enabled_at FROM users WHERE id = $1',
       [userId]
     );
 
@@ -18,6 +22,17 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
+    const admin = result.rows[0];
+    if (!req.twoFactorVerified && (admin.two_factor_enabled_at || twoFactorService.isRequired(admin))) {
+      return res.status(403).json({
+        success: false,
+        message: admin.two_factor_enabled_at
+          ? 'Please log in again with your authentication code to use admin tools.'
+          : 'Set up two-factor authentication to use admin tools.',
+        code: admin.two_factor_enabled_at ? 'TWO_FACTOR_REQUIRED' : 'TWO_FACTOR_SETUP_REQUIRED',
+      });
+    }
+
     next();
   } catch (error) {
     logger.error('Admin auth error', error, { userId: req.user?.id });
@@ -54,29 +69,36 @@ const getDashboardMetrics = async (req, res) => {
       FROM sellers
     `);
 
+    // Today, last 7 and last 30 days as Lagos days
+    const today = analyticsQuery.lagosToday();
+    const { from: weekStart } = analyticsQuery.parseRange({ to: today }, { defaultDays: 7 });
+    const { from: monthStart } = analyticsQuery.parseRange({ to: today }, { defaultDays: 30 });
+    const periodParams = [today, weekStart, monthStart];
+    const since = (column, fromParam) => analyticsQuery.timestampInRange(column, fromParam, 1);
+
     // Total orders and revenue
     const ordersResult = await db.query(`
       SELECT
         COUNT(*) as total_orders,
-        COUNT(CASE WHEN created_at >= CURRENT_DATE THEN 1 END) as orders_today,
-        COUNT(CASE WHEN created_at >= CURRENT_DATE - INTERVAL '7 days' THEN 1 END) as orders_this_week,
-        COUNT(CASE WHEN created_at >= CURRENT_DATE - INTERVAL '30 days' THEN 1 END) as orders_this_month,
+        COUNT(CASE WHEN ${since('created_at', 1)} THEN 1 END) as orders_today,
+        COUNT(CASE WHEN ${since('created_at', 2)} THEN 1 END) as orders_this_week,
+        COUNT(CASE WHEN ${since('created_at', 3)} THEN 1 END) as orders_this_month,
         SUM(total_amount) as total_revenue,
         SUM(platform_fee) as total_commission,
-        SUM(CASE WHEN created_at >= CURRENT_DATE - INTERVAL '30 days' THEN platform_fee ELSE 0 END) as commission_this_month
+        SUM(CASE WHEN ${since('created_at', 3)} THEN platform_fee ELSE 0 END) as commission_this_month
       FROM orders
       WHERE payment_status = 'paid'
-    `);
+    `, periodParams);
 
     // Total users
     const usersResult = await db.query(`
       SELECT
         COUNT(*) as total_users,
-        COUNT(CASE WHEN created_at >= CURRENT_DATE - INTERVAL '7 days' THEN 1 END) as new_users_this_week,
-        COUNT(CASE WHEN created_at >= CURRENT_DATE - INTERVAL '30 days' THEN 1 END) as new_users_this_month
+        COUNT(CASE WHEN ${since('created_at', 2)} THEN 1 END) as new_users_this_week,
+        COUNT(CASE WHEN ${since('created_at', 3)} THEN 1 END) as new_users_this_month
       FROM users
       WHERE role = 'buyer'
-    `);
+    `, periodParams);
 
     // Pending disputes
     const disputesResult = await db.query(`
@@ -246,15 +268,26 @@ const suspendSeller = async (req, res) => {
       });
     }
 
-    await db.query(`
+    const result = await db.query(`
       UPDATE sellers
       SET verification_status = 'suspended',
           admin_notes = $1
       WHERE id = $2
+      RETURNING user_id
     `, [reason, sellerId]);
 
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Seller not found',
+      });
+    }
+
+    // Log the seller out everywhere
+    const sessionsRevoked = await sessionService.revokeAllSessions(result.rows[0].user_id, 'suspended');
+
     // Log action
-    await logAdminAction(adminId, 'suspend_seller', 'seller', sellerId, { reason });
+    await logAdminAction(adminId, 'suspend_seller', 'seller', sellerId, { reason, sessionsRevoked });
 
     return res.status(200).json({
       success: true,
@@ -342,29 +375,101 @@ const getAllOrders = async (req, res) => {
   }
 };
 
-// Get revenue analytics
-const getRevenueAnalytics = async (req, res) => {
+// Cancel an order (admin) - re-running on a cancelled order retries a failed refund
+const cancelOrder = async (req, res) => {
   try {
-    const { period = '30days' } = req.query;
+    const adminId = req.user.id;
+    const { orderId } = req.params;
+    const { reason } = req.body;
 
-    let interval = '30 days';
-    if (period === '7days') interval = '7 days';
-    if (period === '90days') interval = '90 days';
-    if (period === '1year') interval = '1 year';
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancellation reason is required',
+      });
+    }
+
+    const orderResult = await db.query(
+      'SELECT id, status FROM orders WHERE id = $1',
+      [orderId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    if (orderResult.rows[0].status === 'cancelled') {
+      const refund = await cancellationService.initiateRefund(orderId);
+
+      await logAdminAction(adminId, 'retry_refund', 'order', orderId, { reason, refund });
+
+      return res.status(200).json({
+        success: true,
+        message: refund.initiated ? 'Order already cancelled, refund initiated' : 'Order already cancelled, refund still failing',
+        data: { refund },
+      });
+    }
 
-    // Daily revenue for the period
-    const dailyRevenueResult = await db.query(`
+    const { order, refund } = await cancellationService.cancelOrder({
+      orderId,
+      cancelledBy: adminId,
+      role: 'admin',
+      reason,
+    });
+
+    // Log action
+    await logAdminAction(adminId, 'cancel_order', 'order', orderId, { reason, refund });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Order cancelled successfully',
+      data: { order, refund },
+    });
+  } catch (error) {
+    logger.error('Error cancelling order', error, { orderId: req.params.orderId, adminId: req.user.id });
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to cancel order',
+    });
+  }
+};
+
+// Get revenue analytics (?from=&to=&granularity=&compare=, or ?period=30days)
+const getRevenueAnalytics = async (req, res) => {
+  try {
+    const range = analyticsQuery.parseRange(req.query);
+    const inRange = analyticsQuery.timestampInRange('o.created_at', 1, 2);
+    const params = [range.from, range.to];
+
+    // Totals for the range and the comparison period
+    const totals = await analyticsQuery.withComparison(range, async ({ from, to }) => {
+      const result = await db.query(`
+        SELECT
+          COUNT(*) as order_count,
+          COALESCE(SUM(o.total_amount), 0) as revenue,
+          COALESCE(SUM(o.platform_fee), 0) as commission,
+          COALESCE(AVG(o.total_amount), 0) as average_order_value
+        FROM orders o
+        WHERE o.payment_status = 'paid' AND ${inRange}
+      `, [from, to]);
+      return result.rows[0];
+    });
+
+    // Revenue per day/week/month
+    const revenueSeriesResult = await db.query(`
       SELECT
-        DATE(created_at) as date,
+        ${analyticsQuery.bucketSql('o.created_at', range.granularity)} as bucket,
         COUNT(*) as order_count,
-        SUM(total_amount) as revenue,
-        SUM(platform_fee) as commission
-      FROM orders
-      WHERE payment_status = 'paid'
-        AND created_at >= CURRENT_DATE - INTERVAL '${interval}'
-      GROUP BY DATE(created_at)
-      ORDER BY date DESC
-    `);
+        SUM(o.total_amount) as revenue,
+        SUM(o.platform_fee) as commission
+      FROM orders o
+      WHERE o.payment_status = 'paid' AND ${inRange}
+      GROUP BY 1
+      ORDER BY 1 DESC
+    `, params);
 
     // Top sellers
     const topSellersResult = await db.query(`
@@ -377,12 +482,11 @@ const getRevenueAnalytics = async (req, res) => {
         SUM(o.platform_fee) as total_commission
       FROM sellers s
       JOIN orders o ON s.id = o.seller_id
-      WHERE o.payment_status = 'paid'
-        AND o.created_at >= CURRENT_DATE - INTERVAL '${interval}'
+      WHERE o.payment_status = 'paid' AND ${inRange}
       GROUP BY s.id
       ORDER BY total_revenue DESC
       LIMIT 10
-    `);
+    `, params);
 
     // Category performance
     const categoryResult = await db.query(`
@@ -393,38 +497,38 @@ const getRevenueAnalytics = async (req, res) => {
       FROM order_items oi
       JOIN products p ON oi.product_id = p.id
       JOIN orders o ON oi.order_id = o.id
-      WHERE o.payment_status = 'paid'
-        AND o.created_at >= CURRENT_DATE - INTERVAL '${interval}'
+      WHERE o.payment_status = 'paid' AND ${inRange}
       GROUP BY p.category
       ORDER BY revenue DESC
-    `);
+    `, params);
+
+    const emptyBucket = { order_count: '0', revenue: '0', commission: '0' };
 
     return res.status(200).json({
       success: true,
       data: {
-        dailyRevenue: dailyRevenueResult.rows,
+        range,
+        totals: analyticsQuery.deltas(totals.current, totals.previous),
+        revenueSeries: analyticsQuery.fillSeries(revenueSeriesResult.rows, range, emptyBucket).reverse(),
         topSellers: topSellersResult.rows,
         categoryPerformance: categoryResult.rows,
       },
     });
   } catch (error) {
-    logger.error('Error fetching revenue analytics', error, { period: req.query.period });
-    return res.status(500).json({
+    if (!error.statusCode) {
+      logger.error('Error fetching revenue analytics', error, { query: req.query });
+    }
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch revenue analytics',
+      message: error.statusCode ? error.message : 'Failed to fetch revenue analytics',
     });
   }
 };
 
-// Get top performing products across all sellers
+// Get top performing products across all sellers (?from=&to=, or ?period=30days)
 const getTopProducts = async (req, res) => {
   try {
-    const { period = '30days' } = req.query;
-
-    let interval = '30 days';
-    if (period === '7days') interval = '7 days';
-    if (period === '90days') interval = '90 days';
-    if (period === '1year') interval = '1 year';
+    const range = analyticsQuery.parseRange(req.query);
 
     // Top products by revenue
     const topProductsResult = await db.query(`
@@ -441,34 +545,39 @@ const getTopProducts = async (req, res) => {
       JOIN sellers s ON p.seller_id = s.id
       JOIN orders o ON oi.order_id = o.id
       WHERE o.payment_status = 'paid'
-        AND o.created_at >= CURRENT_DATE - INTERVAL '${interval}'
+        AND ${analyticsQuery.timestampInRange('o.created_at', 1, 2)}
       GROUP BY p.id, p.name, p.image_urls, s.shop_name, s.shop_slug
       ORDER BY total_revenue DESC
       LIMIT 10
-    `);
+    `, [range.from, range.to]);
 
     return res.status(200).json({
       success: true,
       data: {
+        range,
         topProducts: topProductsResult.rows,
       },
     });
   } catch (error) {
-    logger.error('Error fetching top products', error, { period: req.query.period });
-    return res.status(500).json({
+    if (!error.statusCode) {
+      logger.error('Error fetching top products', error, { query: req.query });
+    }
+    return res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch top products',
+      message: error.statusCode ? error.message : 'Failed to fetch top products',
     });
   }
 };
 
 module.exports = {
   requireAdmin,
+  logAdminAction,
   getDashboardMetrics,
   getAllSellers,
   approveSeller,
   suspendSeller,
   getAllOrders,
+  cancelOrder,
   getRevenueAnalytics,
   getTopProducts,
 };
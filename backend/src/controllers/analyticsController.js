@@ -1,10 +1,14 @@
 const db = require('../config/database');
 const { logger } = require('../utils/logger');
+const analyticsEventService = require('../services/analyticsEventService');
+const analyticsQuery = require('../services/analyticsQueryService');
+const sellerInsightsService = require('../services/sellerInsightsService');
 
-// Get seller analytics
+// Get seller analytics for a date range (?from=&to=&granularity=&compare=)
 const getSellerAnalytics = async (req, res) => {
   try {
     const userId = req.user.id;
+    const range = analyticsQuery.parseRange(req.query, { defaultCompare: 'previous_period' });
 
     // Get seller ID
     const sellerResult = await db.query(
@@ -20,38 +24,49 @@ const getSellerAnalytics = async (req, res) => {
     }
 
     const sellerId = sellerResult.rows[0].id;
+    const inRange = analyticsQuery.timestampInRange('o.created_at', 2, 3);
 
-    // 1. Overview Stats
-    const overviewResult = await db.query(
+    // 1. Totals for the range and the comparison period
+    const totals = await analyticsQuery.withComparison(range, async ({ from, to }) => {
+      const result = await db.query(
+        `SELECT
+          COUNT(o.id) as total_orders,
+          COALESCE(SUM(o.seller_amount), 0) as total_revenue,
+          COALESCE(AVG(o.total_amount), 0) as average_order_value
+        FROM orders o
+        WHERE o.seller_id = $1 AND o.payment_status = 'paid' AND ${inRange}`,
+        [sellerId, from, to]
+      );
+      return result.rows[0];
+    });
+
+    // 2. Orders by status right now (not limited to the range)
+    const statusResult = await db.query(
       `SELECT
-        COUNT(DISTINCT o.id) as total_orders,
-        COALESCE(SUM(o.seller_amount), 0) as total_revenue,
-        COALESCE(AVG(o.total_amount), 0) as average_order_value,
-        COUNT(DISTINCT CASE WHEN o.status = 'pending' THEN o.id END) as pending_orders,
-        COUNT(DISTINCT CASE WHEN o.status = 'processing' THEN o.id END) as processing_orders,
-        COUNT(DISTINCT CASE WHEN o.status = 'shipped' THEN o.id END) as shipped_orders,
-        COUNT(DISTINCT CASE WHEN o.status = 'delivered' THEN o.id END) as delivered_orders
+        COUNT(CASE WHEN o.status = 'pending' THEN 1 END) as pending_orders,
+        COUNT(CASE WHEN o.status = 'processing' THEN 1 END) as processing_orders,
+        COUNT(CASE WHEN o.status = 'shipped' THEN 1 END) as shipped_orders,
+        COUNT(CASE WHEN o.status = 'delivered' THEN 1 END) as delivered_orders
       FROM orders o
       WHERE o.seller_id = $1 AND o.payment_status = 'paid'`,
       [sellerId]
     );
 
-    // 2. Revenue by day (last 30 days)
-    const revenueByDayResult = await db.query(
+    // 3. Revenue per day/week/month
+    const bucket = analyticsQuery.bucketSql('o.created_at', range.granularity);
+    const revenueSeriesResult = await db.query(
       `SELECT
-        DATE(o.created_at) as date,
+        ${bucket} as bucket,
         COUNT(o.id) as orders_count,
         COALESCE(SUM(o.seller_amount), 0) as revenue
       FROM orders o
-      WHERE o.seller_id = $1
-        AND o.payment_status = 'paid'
-        AND o.created_at >= CURRENT_DATE - INTERVAL '30 days'
-      GROUP BY DATE(o.created_at)
-      ORDER BY date ASC`,
-      [sellerId]
+      WHERE o.seller_id = $1 AND o.payment_status = 'paid' AND ${inRange}
+      GROUP BY 1
+      ORDER BY 1 ASC`,
+      [sellerId, range.from, range.to]
     );
 
-    // 3. Top selling products
+    // 4. Top selling products in the range
     const topProductsResult = await db.query(
       `SELECT
         p.id,
@@ -60,37 +75,42 @@ const getSellerAnalytics = async (req, res) => {
         p.price,
         p.quantity_available,
         p.image_urls,
-        COUNT(oi.id) as units_sold,
-        COALESCE(SUM(oi.subtotal), 0) as revenue
+        COALESCE(SUM(sold.quantity), 0) as units_sold,
+        COALESCE(SUM(sold.subtotal), 0) as revenue
       FROM products p
-      LEFT JOIN order_items oi ON p.id = oi.product_id
-      LEFT JOIN orders o ON oi.order_id = o.id AND o.payment_status = 'paid'
+      LEFT JOIN (
+        SELECT oi.product_id, oi.quantity, oi.subtotal
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE o.seller_id = $1 AND o.payment_status = 'paid' AND ${inRange}
+      ) sold ON sold.product_id = p.id
       WHERE p.seller_id = $1 AND p.deleted_at IS NULL
       GROUP BY p.id
       ORDER BY units_sold DESC, revenue DESC
       LIMIT 10`,
-      [sellerId]
+      [sellerId, range.from, range.to]
     );
 
-    // 4. Low stock products (stock < 5)
+    // 5. Low stock products (at or below their threshold)
     const lowStockResult = await db.query(
       `SELECT
         id,
         name,
         slug,
         quantity_available,
+        low_stock_threshold,
         price,
         image_urls
       FROM products
       WHERE seller_id = $1
         AND deleted_at IS NULL
-        AND quantity_available < 5
+        AND quantity_available <= low_stock_threshold
       ORDER BY quantity_available ASC
       LIMIT 10`,
       [sellerId]
     );
 
-    // 5. Recent orders summary
+    // 6. Recent orders summary
     const recentOrdersResult = await db.query(
       `SELECT
         o.id,
@@ -109,58 +129,41 @@ const getSellerAnalytics = async (req, res) => {
       [sellerId]
     );
 
-    // 6. This month vs last month comparison
-    const monthComparisonResult = await db.query(
-      `SELECT
-        COUNT(CASE WHEN o.created_at >= DATE_TRUNC('month', CURRENT_DATE) THEN 1 END) as current_month_orders,
-        COALESCE(SUM(CASE WHEN o.created_at >= DATE_TRUNC('month', CURRENT_DATE) THEN o.seller_amount ELSE 0 END), 0) as current_month_revenue,
-        COUNT(CASE WHEN o.created_at >= DATE_TRUNC('month', CURRENT_DATE) - INTERVAL '1 month'
-                    AND o.created_at < DATE_TRUNC('month', CURRENT_DATE) THEN 1 END) as last_month_orders,
-        COALESCE(SUM(CASE WHEN o.created_at >= DATE_TRUNC('month', CURRENT_DATE) - INTERVAL '1 month'
-                          AND o.created_at < DATE_TRUNC('month', CURRENT_DATE) THEN o.seller_amount ELSE 0 END), 0) as last_month_revenue
-      FROM orders o
-      WHERE o.seller_id = $1 AND o.payment_status = 'paid'`,
-      [sellerId]
-    );
-
-    // Calculate growth percentages
-    const monthComparison = monthComparisonResult.rows[0];
-    const orderGrowth = monthComparison.last_month_orders > 0
-      ? ((monthComparison.current_month_orders - monthComparison.last_month_orders) / monthComparison.last_month_orders * 100)
-      : 0;
-    const revenueGrowth = parseFloat(monthComparison.last_month_revenue) > 0
-      ? ((parseFloat(monthComparison.current_month_revenue) - parseFloat(monthComparison.last_month_revenue)) / parseFloat(monthComparison.last_month_revenue) * 100)
-      : 0;
+    const comparison = analyticsQuery.deltas(totals.current, totals.previous);
 
     res.json({
       success: true,
       data: {
+        range,
         overview: {
-          ...overviewResult.rows[0],
-          order_growth_percentage: orderGrowth,
-          revenue_growth_percentage: revenueGrowth,
+          ...totals.current,
+          ...statusResult.rows[0],
+          order_growth_percentage: comparison.total_orders.changePercentage,
+          revenue_growth_percentage: comparison.total_revenue.changePercentage,
         },
-        revenue_by_day: revenueByDayResult.rows,
+        comparison,
+        revenue_series: analyticsQuery.fillSeries(revenueSeriesResult.rows, range, { orders_count: '0', revenue: '0' }),
         top_products: topProductsResult.rows,
         low_stock_products: lowStockResult.rows,
         recent_orders: recentOrdersResult.rows,
       },
     });
   } catch (error) {
-    console.error('Get seller analytics error:', error);
-    res.status(500).json({
+    if (!error.statusCode) {
+      logger.error('Error fetching seller analytics', error, { userId: req.user.id });
+    }
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to fetch analytics',
-      error: error.message,
+      message: error.statusCode ? error.message : 'Failed to fetch analytics',
     });
   }
 };
 
-// Get product view analytics for seller
+// Get product view analytics for seller (?from=&to=&granularity=&compare=, or ?period=30)
 const getProductViewAnalytics = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { period = '30' } = req.query; // Default 30 days
+    const range = analyticsQuery.parseRange(req.query);
 
     // Get seller ID
     const sellerResult = await db.query(
@@ -176,6 +179,7 @@ const getProductViewAnalytics = async (req, res) => {
     }
 
     const sellerId = sellerResult.rows[0].id;
+    const inRange = analyticsQuery.dateInRange('pa.date', 2, 3);
 
     // 1. Total views for seller's products (all time)
     const totalViewsResult = await db.query(`
@@ -185,29 +189,32 @@ const getProductViewAnalytics = async (req, res) => {
       WHERE p.seller_id = $1 AND p.deleted_at IS NULL
     `, [sellerId]);
 
-    // 2. Views for the selected period
-    const periodViewsResult = await db.query(`
-      SELECT COALESCE(SUM(pa.views), 0) as period_views
-      FROM product_analytics pa
-      JOIN products p ON pa.product_id = p.id
-      WHERE p.seller_id = $1
-        AND p.deleted_at IS NULL
-        AND pa.date >= CURRENT_DATE - INTERVAL '${parseInt(period)} days'
-    `, [sellerId]);
+    // 2. Views for the range and the comparison period
+    const periodViews = await analyticsQuery.withComparison(range, async ({ from, to }) => {
+      const result = await db.query(`
+        SELECT COALESCE(SUM(pa.views), 0) as period_views
+        FROM product_analytics pa
+        JOIN products p ON pa.product_id = p.id
+        WHERE p.seller_id = $1
+          AND p.deleted_at IS NULL
+          AND ${inRange}
+      `, [sellerId, from, to]);
+      return result.rows[0];
+    });
 
-    // 3. Daily views trend for the period
-    const dailyViewsResult = await db.query(`
+    // 3. Views per day/week/month
+    const viewsSeriesResult = await db.query(`
       SELECT
-        pa.date,
+        ${analyticsQuery.bucketSql('pa.date', range.granularity, { isDate: true })} as bucket,
         SUM(pa.views) as views
       FROM product_analytics pa
       JOIN products p ON pa.product_id = p.id
       WHERE p.seller_id = $1
         AND p.deleted_at IS NULL
-        AND pa.date >= CURRENT_DATE - INTERVAL '${parseInt(period)} days'
-      GROUP BY pa.date
-      ORDER BY pa.date DESC
-    `, [sellerId]);
+        AND ${inRange}
+      GROUP BY 1
+      ORDER BY 1 ASC
+    `, [sellerId, range.from, range.to]);
 
     // 4. Most viewed products (Top 10)
     const mostViewedResult = await db.query(`
@@ -219,30 +226,139 @@ const getProductViewAnalytics = async (req, res) => {
         p.image_urls,
         p.quantity_available,
         COALESCE(SUM(pa.views), 0) as total_views,
-        COALESCE(SUM(CASE WHEN pa.date >= CURRENT_DATE - INTERVAL '${parseInt(period)} days'
-            THEN pa.views ELSE 0 END), 0) as period_views
+        COALESCE(SUM(CASE WHEN ${inRange} THEN pa.views ELSE 0 END), 0) as period_views
       FROM products p
       LEFT JOIN product_analytics pa ON p.id = pa.product_id
       WHERE p.seller_id = $1 AND p.deleted_at IS NULL
       GROUP BY p.id
       ORDER BY period_views DESC, total_views DESC
       LIMIT 10
-    `, [sellerId]);
+    `, [sellerId, range.from, range.to]);
+
+    const comparison = analyticsQuery.deltas(periodViews.current, periodViews.previous);
 
     return res.status(200).json({
       success: true,
       data: {
+        range,
         totalViews: parseInt(totalViewsResult.rows[0].total_views),
-        periodViews: parseInt(periodViewsResult.rows[0].period_views),
-        dailyViews: dailyViewsResult.rows,
+        periodViews: comparison.period_views.current,
+        comparison,
+        viewsSeries: analyticsQuery.fillSeries(viewsSeriesResult.rows, range, { views: '0' }),
         mostViewedProducts: mostViewedResult.rows,
       },
     });
   } catch (error) {
-    logger.error('Error fetching product view analytics', error, { userId: req.user.id });
-    return res.status(500).json({
+    if (!error.statusCode) {
+      logger.error('Error fetching product view analytics', error, { userId: req.user.id });
+    }
+    return res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch product view analytics',
+    });
+  }
+};
+
+// Get the seller's conversion funnel for a date range (optionally one product, ?productId=)
+const getSellerFunnel = async (req, res) => {
+  try {
+    const sellerResult = await db.query(
+      'SELECT id FROM sellers WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    if (sellerResult.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const range = analyticsQuery.parseRange(req.query);
+    const funnel = await sellerInsightsService.getFunnel(sellerResult.rows[0].id, range, {
+      productId: req.query.productId,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: funnel,
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error fetching seller funnel', error, { userId: req.user.id });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch funnel analytics',
+    });
+  }
+};
+
+// Get repeat-buyer cohorts and customer lifetime value
+const getSellerCustomerAnalytics = async (req, res) => {
+  try {
+    const sellerResult = await db.query(
+      'SELECT id FROM sellers WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    if (sellerResult.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const sellerId = sellerResult.rows[0].id;
+    const [cohorts, lifetimeValue] = await Promise.all([
+      sellerInsightsService.getCohortRetention(sellerId, { months: req.query.months }),
+      sellerInsightsService.getLifetimeValue(sellerId),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        cohorts,
+        lifetimeValue,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching seller customer analytics', error, { userId: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch customer analytics',
+    });
+  }
+};
+
+// Record storefront events (public - sent in batches by the browser)
+const trackEvents = async (req, res) => {
+  try {
+    const { events, sessionId } = req.body;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'events must be a non-empty array',
+      });
+    }
+
+    // Browsers send a random per-tab id; fall back to the IP so repeats are still caught
+    const session = typeof sessionId === 'string' && /^[\w-]{8,64}$/.test(sessionId)
+      ? sessionId
+      : `ip:${req.ip}`;
+
+    const summary = analyticsEventService.trackEvents(events, { sessionId: session });
+
+    res.status(202).json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    logger.error('Error tracking analytics events', error);
+    res.status(500).json({
       success: false,
-      message: 'Failed to fetch product view analytics',
+      message: 'Failed to track events',
     });
   }
 };
@@ -250,4 +366,7 @@ const getProductViewAnalytics = async (req, res) => {
 module.exports = {
   getSellerAnalytics,
   getProductViewAnalytics,
+  getSellerFunnel,
+  getSellerCustomerAnalytics,
+  trackEvents,
 };
@@ -1,14 +1,86 @@
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const sessionService = require('../services/sessionService');
+const loginLockoutService = require('../services/loginLockoutService');
+const emailVerificationService = require('../services/emailVerificationService');
+const twoFactorService = require('../services/twoFactorService');
+const phoneVerificationService = require('../services/phoneVerificationService');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: '7d' // Token valid for 7 days
+// Response for a login to an account locked by loginLockoutService
+const sendLocked = (res, minutes) => {
+  res.set('Retry-After', String(minutes * 60));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`
   });
 };
 
+// Start a session for a user who got through login, and send back their tokens
+const sendLoginSuccess = async (req, res, user, { twoFactorVerified = false } = {}) => {
+  // Check if user is a seller
+  let sellerId = null;
+  if (user.role === 'seller' || user.role === 'both') {
+    const sellerResult = await db.query(
+      'SELECT id FROM sellers WHERE user_id = $1',
+      [user.id]
+    );
+    if (sellerResult.rows.length > 0) {
+      sellerId = sellerResult.rows[0].id;
+    }
+  }
+
+  // Start a login session
+  const { accessToken, refreshToken } = await sessionService.createSession(
+    user.id,
+    sessionService.requestDetails(req),
+    { twoFactorVerified }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        phone: user.phone,
+        role: user.role,
+        sellerId,
+        emailVerified: Boolean(user.email_verified_at),
+        phoneVerified: Boolean(user.phone_verified_at),
+        twoFactorEnabled: Boolean(user.two_factor_enabled_at)
+      },
+      token: accessToken,
+      refreshToken,
+      // Admins must enrol before the admin routes will let them in
+      twoFactorSetupRequired: !user.two_factor_enabled_at && twoFactorService.isRequired(user)
+    }
+  });
+};
+
+// A user whose password or phone code checked out: ask for their 2FA code, or log them in
+const finishLogin = async (req, res, user) => {
+  // With 2FA on, the first step only gets as far as the code prompt. Failed
+  // logins are cleared once the code is right too, so guessing codes still locks
+  if (user.two_factor_enabled_at) {
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: twoFactorService.createChallenge(user.id)
+      }
+    });
+  }
+
+  if (user.failed_login_attempts > 0) {
+    await loginLockoutService.clearFailedLogins(user.id);
+  }
+
+  await sendLoginSuccess(req, res, user);
+};
+
 // Signup
 const signup = async (req, res) => {
   try {
@@ -78,8 +150,18 @@ const signup = async (req, res) => {
 
     const user = result.rows[0];
 
-    // Generate token
-    const token = generateToken(user.id);
+    // A failed email shouldn't fail the signup - the user can ask for another
+    try {
+      await emailVerificationService.sendVerificationEmail(user);
+    } catch (emailError) {
+      console.error('Signup verification email error:', emailError);
+    }
+
+    // Start a login session
+    const { accessToken, refreshToken } = await sessionService.createSession(
+      user.id,
+      sessionService.requestDetails(req)
+    );
 
     res.status(201).json({
       success: true,
@@ -91,9 +173,12 @@ const signup = async (req, res) => {
           firstName: user.first_name,
           lastName: user.last_name,
           phone: user.phone,
-          role: user.role
+          role: user.role,
+          emailVerified: false,
+          phoneVerified: false
         },
-        token
+        token: accessToken,
+        refreshToken
       }
     });
   } catch (error) {
@@ -126,6 +211,12 @@ const login = async (req, res) => {
     );
 
     if (result.rows.length === 0) {
+      // Locked out like an account would be, so a 429 doesn't show the email is registered
+      const lockedFor = await loginLockoutService.recordUnknownLogin(`email:${email.toLowerCase()}`);
+      if (lockedFor > 0) {
+        return sendLocked(res, lockedFor);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -134,52 +225,89 @@ const login = async (req, res) => {
 
     const user = result.rows[0];
 
+    // Locked accounts don't get to try a password at all
+    const minutesLeft = loginLockoutService.lockedMinutesLeft(user);
+    if (minutesLeft > 0) {
+      return sendLocked(res, minutesLeft);
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!isValidPassword) {
+      const lockedFor = await loginLockoutService.recordFailedLogin(user);
+      if (lockedFor > 0) {
+        return sendLocked(res, lockedFor);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Check if user is a seller
-    let sellerId = null;
-    if (user.role === 'seller' || user.role === 'both') {
-      const sellerResult = await db.query(
-        'SELECT id FROM sellers WHERE user_id = $1',
-        [user.id]
-      );
-      if (sellerResult.rows.length > 0) {
-        sellerId = sellerResult.rows[0].id;
-      }
-    }
+    await finishLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+};
+
+// Second login step for users with 2FA: the challenge token from login plus an app or recovery code
+const loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const user = await twoFactorService.completeLogin(challengeToken, code);
+
+    await sendLoginSuccess(req, res, user, { twoFactorVerified: true });
+  } catch (error) {
+    if (!error.statusCode) console.error('Two-factor login error:', error);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Login failed',
+      ...(error.statusCode && error.code && { code: error.code })
+    });
+  }
+};
 
-    // Generate token
-    const token = generateToken(user.id);
+// Text a login code to a verified phone number
+const requestPhoneLoginCode = async (req, res) => {
+  try {
+    const { phone } = await phoneVerificationService.requestLoginCode(req.body.phone);
 
     res.json({
       success: true,
-      data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.first_name,
-          lastName: user.last_name,
-          phone: user.phone,
-          role: user.role,
-          sellerId
-        },
-        token
-      }
+      message: `If ${phone} is verified on a BuyTree account, we've texted it a sign-in code`,
+      data: { phone }
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
+    if (!error.statusCode) console.error('Phone login code error:', error);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Login failed',
-      error: error.message
+      message: error.statusCode ? error.message : 'Failed to send sign-in code'
+    });
+  }
+};
+
+// Log in with the phone number and the texted code, instead of email and password
+const loginWithPhone = async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+    const user = await phoneVerificationService.completeLogin(phone, code);
+
+    await finishLogin(req, res, user);
+  } catch (error) {
+    if (!error.statusCode) console.error('Phone login error:', error);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Login failed'
     });
   }
 };
@@ -191,7 +319,9 @@ const getMe = async (req, res) => {
 
     // Get user details
     const userResult = await db.query(
-      'SELECT id, email, first_name, last_name, phone, role FROM users WHERE id = $1',
+      `SELECT id, email, first_name, last_name, phone, role, email_verified_at, pending_email,
+              phone_verified_at, two_factor_enabled_at
+       FROM users WHERE id = $1`,
       [userId]
     );
 
@@ -226,7 +356,11 @@ const getMe = async (req, res) => {
           lastName: user.last_name,
           phone: user.phone,
           role: user.role,
-          seller
+          seller,
+          emailVerified: Boolean(user.email_verified_at),
+          pendingEmail: user.pending_email,
+          phoneVerified: Boolean(user.phone_verified_at),
+          twoFactorEnabled: Boolean(user.two_factor_enabled_at)
         }
       }
     });
@@ -240,4 +374,273 @@ const getMe = async (req, res) => {
   }
 };
 
-module.exports = { signup, login, getMe };
+// Swap a refresh token for a new access token and refresh token
+const refresh = async (req, res) => {
+  try {
+    const { accessToken, refreshToken } = await sessionService.refreshSession(
+      req.body.refreshToken,
+      sessionService.requestDetails(req)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        token: accessToken,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Refresh token error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to refresh session'
+    });
+  }
+};
+
+// Logout - ends the session the refresh token belongs to
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await sessionService.revokeByRefreshToken(refreshToken);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+};
+
+// List the devices the user is logged in on (protected route)
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.sessionId);
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions',
+      error: error.message
+    });
+  }
+};
+
+// Log out one device (protected route)
+const revokeSession = async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.sessionId);
+
+    const revoked = isNaN(sessionId)
+      ? false
+      : await sessionService.revokeSession(req.user.id, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+};
+
+// Log out every other device (protected route)
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.id, 'logout', {
+      keepSessionId: req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revoked} other session${revoked === 1 ? '' : 's'}`,
+      data: { revoked }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: error.message
+    });
+  }
+};
+
+// Follow a link from a verification or email change email
+const verifyEmail = async (req, res) => {
+  try {
+    const result = await emailVerificationService.confirmToken(req.body.token);
+
+    const messages = {
+      verified: 'Your email address is verified',
+      change_pending: result.waitingFor === 'new'
+        ? 'Confirmed. Now follow the link we sent to your new email address.'
+        : 'Confirmed. Now follow the link we sent to your current email address.',
+      email_changed: 'Your email address has been changed'
+    };
+
+    res.json({
+      success: true,
+      message: messages[result.status],
+      data: result
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Verify email error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to verify email'
+    });
+  }
+};
+
+// Send a fresh verification link (protected route)
+const resendVerification = async (req, res) => {
+  try {
+    await emailVerificationService.resendVerification(req.user.id);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Resend verification error:', error);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to send verification email'
+    });
+  }
+};
+
+// Start changing the account email - both addresses have to confirm (protected route)
+const requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+    const { pendingEmail } = await emailVerificationService.requestEmailChange(req.user.id, newEmail, password);
+
+    res.json({
+      success: true,
+      message: `Confirmation links sent to ${req.user.email} and ${pendingEmail}`,
+      data: { pendingEmail }
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Email change error:', error);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to start email change'
+    });
+  }
+};
+
+// Drop an email change that hasn't been confirmed (protected route)
+const cancelEmailChange = async (req, res) => {
+  try {
+    const cancelled = await emailVerificationService.cancelEmailChange(req.user.id);
+
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'No email change in progress'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel email change',
+      error: error.message
+    });
+  }
+};
+
+// Text a code to verify the account's phone number, or a new one (protected route)
+const sendPhoneVerification = async (req, res) => {
+  try {
+    const { phone, password } = req.body;
+    const result = await phoneVerificationService.sendVerificationCode(req.user.id, phone, password);
+
+    res.json({
+      success: true,
+      message: 'Verification code sent by text message',
+      data: result
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Phone verification code error:', error);
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to send verification code'
+    });
+  }
+};
+
+// Enter the texted code to verify the number (protected route)
+const verifyPhone = async (req, res) => {
+  try {
+    const result = await phoneVerificationService.confirmVerification(req.user.id, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Your phone number is verified. You can now log in with it.',
+      data: result
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error('Verify phone error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to verify phone number'
+    });
+  }
+};
+
+module.exports = {
+  signup,
+  login,
+  loginTwoFactor,
+  requestPhoneLoginCode,
+  loginWithPhone,
+  getMe,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  requestEmailChange,
+  cancelEmailChange,
+  sendPhoneVerification,
+  verifyPhone
+};
@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const { formatVariantLabel, resolvePurchasable } = require('../services/variantService');
 
 // Get user's cart with items
 const getCart = async (req, res) => {
@@ -23,24 +24,29 @@ const getCart = async (req, res) => {
       cartId = cartResult.rows[0].id;
     }
 
-    // Get cart items with product details
+    // Get cart items with product details (variant price, stock and images win)
     const itemsResult = await db.query(
       `SELECT
         ci.id,
         ci.product_id,
+        ci.variant_id,
         ci.quantity,
         p.name,
-        p.price,
-        p.quantity_available,
-        p.image_urls,
+        COALESCE(v.price, p.price) as price,
+        COALESCE(v.quantity_available, p.quantity_available) as quantity_available,
+        COALESCE(NULLIF(v.image_urls, '{}'), p.image_urls) as image_urls,
         p.slug,
+        v.options as variant_options,
+        v.sku,
         s.id as seller_id,
         s.shop_name,
         s.shop_slug
       FROM cart_items ci
       JOIN products p ON ci.product_id = p.id
       JOIN sellers s ON p.seller_id = s.id
+      LEFT JOIN product_variants v ON ci.variant_id = v.id
       WHERE ci.cart_id = $1 AND p.deleted_at IS NULL
+        AND (ci.variant_id IS NULL OR (v.deleted_at IS NULL AND v.is_active = TRUE))
       ORDER BY ci.created_at DESC`,
       [cartId]
     );
@@ -49,7 +55,10 @@ const getCart = async (req, res) => {
       success: true,
       data: {
         cart: { id: cartId },
-        items: itemsResult.rows,
+        items: itemsResult.rows.map(item => ({
+          ...item,
+          variant_label: item.variant_id ? formatVariantLabel(item.variant_options) : null,
+        })),
       },
     });
   } catch (error) {
@@ -66,7 +75,7 @@ const getCart = async (req, res) => {
 const addToCart = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId = null, quantity = 1 } = req.body;
 
     if (!productId || quantity < 1) {
       return res.status(400).json({
@@ -77,7 +86,8 @@ const addToCart = async (req, res) => {
 
     // Check if product exists and is available
     const productResult = await db.query(
-      'SELECT id, quantity_available FROM products WHERE id = $1 AND deleted_at IS NULL',
+      `SELECT id, name, price, quantity_available, has_variants
+       FROM products WHERE id = $1 AND deleted_at IS NULL`,
       [productId]
     );
 
@@ -88,11 +98,12 @@ const addToCart = async (req, res) => {
       });
     }
 
-    const product = productResult.rows[0];
-    if (product.quantity_available < quantity) {
+    // Stock is checked against the chosen size/colour for products with variants
+    const product = await resolvePurchasable(productResult.rows[0], variantId);
+    if (product.quantityAvailable < quantity) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.quantity_available} items available in stock`,
+        message: `Only ${product.quantityAvailable} items available in stock`,
       });
     }
 
@@ -113,49 +124,21 @@ const addToCart = async (req, res) => {
       cartId = cartResult.rows[0].id;
     }
 
-    // SHOP ISOLATION: Check existing cart items for shop consistency
-    const existingItems = await db.query(
-      `SELECT ci.*, p.seller_id
-       FROM cart_items ci
-       JOIN products p ON ci.product_id = p.id
-       WHERE ci.cart_id = $1`,
-      [cartId]
-    );
-
-    if (existingItems.rows.length > 0) {
-      const existingShopId = existingItems.rows[0].seller_id;
-
-      // Check new product's shop
-      const newProductShop = await db.query(
-        'SELECT seller_id FROM products WHERE id = $1',
-        [productId]
-      );
-
-      const newShopId = newProductShop.rows[0].seller_id;
-
-      if (existingShopId !== newShopId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cart can only contain items from one shop. Please clear your cart first.',
-          code: 'MULTI_SHOP_CART_ERROR'
-        });
-      }
-    }
-
     // Check if item already in cart
     const existingItem = await db.query(
-      'SELECT id, quantity FROM cart_items WHERE cart_id = $1 AND product_id = $2',
-      [cartId, productId]
+      `SELECT id, quantity FROM cart_items
+       WHERE cart_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3`,
+      [cartId, productId, product.variantId]
     );
 
     if (existingItem.rows.length > 0) {
       // Update quantity
       const newQuantity = existingItem.rows[0].quantity + quantity;
 
-      if (newQuantity > product.quantity_available) {
+      if (newQuantity > product.quantityAvailable) {
         return res.status(400).json({
           success: false,
-          message: `Cannot add more items. Only ${product.quantity_available} available in stock`,
+          message: `Cannot add more items. Only ${product.quantityAvailable} available in stock`,
         });
       }
 
@@ -166,8 +149,8 @@ const addToCart = async (req, res) => {
     } else {
       // Add new item
       await db.query(
-        'INSERT INTO cart_items (cart_id, product_id, quantity) VALUES ($1, $2, $3)',
-        [cartId, productId, quantity]
+        'INSERT INTO cart_items (cart_id, product_id, variant_id, quantity) VALUES ($1, $2, $3, $4)',
+        [cartId, productId, product.variantId, quantity]
       );
     }
 
@@ -183,9 +166,9 @@ const addToCart = async (req, res) => {
     });
   } catch (error) {
     console.error('Add to cart error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to add item to cart',
+      message: error.statusCode ? error.message : 'Failed to add item to cart',
       error: error.message,
     });
   }
@@ -195,7 +178,7 @@ const addToCart = async (req, res) => {
 const updateCartItem = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { productId, quantity } = req.body;
+    const { productId, variantId = null, quantity } = req.body;
 
     if (!productId || quantity < 1) {
       return res.status(400).json({
@@ -221,7 +204,8 @@ const updateCartItem = async (req, res) => {
 
     // Check product availability
     const productResult = await db.query(
-      'SELECT quantity_available FROM products WHERE id = $1 AND deleted_at IS NULL',
+      `SELECT id, name, price, quantity_available, has_variants
+       FROM products WHERE id = $1 AND deleted_at IS NULL`,
       [productId]
     );
 
@@ -232,17 +216,20 @@ const updateCartItem = async (req, res) => {
       });
     }
 
-    if (quantity > productResult.rows[0].quantity_available) {
+    const product = await resolvePurchasable(productResult.rows[0], variantId);
+    if (quantity > product.quantityAvailable) {
       return res.status(400).json({
         success: false,
-        message: `Only ${productResult.rows[0].quantity_available} items available`,
+        message: `Only ${product.quantityAvailable} items available`,
       });
     }
 
     // Update cart item
     const result = await db.query(
-      'UPDATE cart_items SET quantity = $1 WHERE cart_id = $2 AND product_id = $3 RETURNING id',
-      [quantity, cartId, productId]
+      `UPDATE cart_items SET quantity = $1
+       WHERE cart_id = $2 AND product_id = $3 AND variant_id IS NOT DISTINCT FROM $4
+       RETURNING id`,
+      [quantity, cartId, productId, product.variantId]
     );
 
     if (result.rows.length === 0) {
@@ -264,9 +251,9 @@ const updateCartItem = async (req, res) => {
     });
   } catch (error) {
     console.error('Update cart error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to update cart',
+      message: error.statusCode ? error.message : 'Failed to update cart',
       error: error.message,
     });
   }
@@ -277,6 +264,7 @@ const removeFromCart = async (req, res) => {
   try {
     const userId = req.user.id;
     const { productId } = req.params;
+    const variantId = req.query.variantId || null;
 
     // Get user's cart
     const cartResult = await db.query(
@@ -295,8 +283,10 @@ const removeFromCart = async (req, res) => {
 
     // Remove item
     const result = await db.query(
-      'DELETE FROM cart_items WHERE cart_id = $1 AND product_id = $2 RETURNING id',
-      [cartId, productId]
+      `DELETE FROM cart_items
+       WHERE cart_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3
+       RETURNING id`,
+      [cartId, productId, variantId]
     );
 
     if (result.rows.length === 0) {
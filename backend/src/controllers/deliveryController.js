@@ -0,0 +1,315 @@
+const db = require('../config/database');
+const { quoteSellerDelivery, validateZone } = require('../services/deliveryService');
+const { priceOrders } = require('../services/orderService');
+const { applyPromotions } = require('../services/promotionService');
+const { NIGERIAN_STATES } = require('../utils/nigerianStates');
+
+// Get the seller ID for the logged in user (null if not a seller)
+const getSellerId = async (userId) => {
+  const result = await db.query('SELECT id FROM sellers WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+// Get own delivery settings and zones
+const getMyDeliverySettings = async (req, res) => {
+  try {
+    const sellerId = await getSellerId(req.user.id);
+    if (!sellerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const [settingsResult, zonesResult] = await Promise.all([
+      db.query(
+        `SELECT free_delivery_threshold, pickup_only, pickup_address
+         FROM sellers WHERE id = $1`,
+        [sellerId]
+      ),
+      db.query(
+        `SELECT id, name, zone_type, state, lga, fee, is_active, created_at, updated_at
+         FROM seller_delivery_zones
+         WHERE seller_id = $1
+         ORDER BY zone_type, state NULLS LAST, lga NULLS LAST, name`,
+        [sellerId]
+      ),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        settings: settingsResult.rows[0],
+        zones: zonesResult.rows,
+        states: NIGERIAN_STATES.map(state => state.name),
+      },
+    });
+  } catch (error) {
+    console.error('Get delivery settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery settings',
+      error: error.message,
+    });
+  }
+};
+
+// Update free delivery threshold and pickup options
+const updateMyDeliverySettings = async (req, res) => {
+  try {
+    const sellerId = await getSellerId(req.user.id);
+    if (!sellerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const { freeDeliveryThreshold, pickupOnly, pickupAddress } = req.body;
+
+    let threshold = null;
+    if (freeDeliveryThreshold !== null && freeDeliveryThreshold !== undefined && freeDeliveryThreshold !== '') {
+      threshold = parseFloat(freeDeliveryThreshold);
+      if (isNaN(threshold) || threshold < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Free delivery threshold must be zero or more',
+        });
+      }
+    }
+
+    if (pickupOnly && !String(pickupAddress || '').trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A pickup address is required for pickup-only shops',
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE sellers
+       SET free_delivery_threshold = $1,
+           pickup_only = $2,
+           pickup_address = $3,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING free_delivery_threshold, pickup_only, pickup_address`,
+      [threshold, Boolean(pickupOnly), String(pickupAddress || '').trim() || null, sellerId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Delivery settings updated',
+      data: { settings: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Update delivery settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update delivery settings',
+      error: error.message,
+    });
+  }
+};
+
+// Add a delivery zone
+const createDeliveryZone = async (req, res) => {
+  try {
+    const sellerId = await getSellerId(req.user.id);
+    if (!sellerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const zone = validateZone(req.body);
+
+    const result = await db.query(
+      `INSERT INTO seller_delivery_zones (seller_id, name, zone_type, state, lga, fee, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [sellerId, zone.name, zone.zoneType, zone.state, zone.lga, zone.fee, zone.isActive]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery zone added',
+      data: { zone: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Create delivery zone error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to add delivery zone',
+      error: error.message,
+    });
+  }
+};
+
+// Update a delivery zone
+const updateDeliveryZone = async (req, res) => {
+  try {
+    const sellerId = await getSellerId(req.user.id);
+    if (!sellerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const zone = validateZone(req.body);
+
+    const result = await db.query(
+      `UPDATE seller_delivery_zones
+       SET name = $1, zone_type = $2, state = $3, lga = $4, fee = $5, is_active = $6,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $7 AND seller_id = $8
+       RETURNING *`,
+      [zone.name, zone.zoneType, zone.state, zone.lga, zone.fee, zone.isActive, req.params.zoneId, sellerId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery zone updated',
+      data: { zone: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Update delivery zone error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update delivery zone',
+      error: error.message,
+    });
+  }
+};
+
+// Delete a delivery zone
+const deleteDeliveryZone = async (req, res) => {
+  try {
+    const sellerId = await getSellerId(req.user.id);
+    if (!sellerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const result = await db.query(
+      'DELETE FROM seller_delivery_zones WHERE id = $1 AND seller_id = $2 RETURNING id',
+      [req.params.zoneId, sellerId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery zone deleted',
+    });
+  } catch (error) {
+    console.error('Delete delivery zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete delivery zone',
+      error: error.message,
+    });
+  }
+};
+
+// Quote delivery fees for a checkout before payment
+const quoteDelivery = async (req, res) => {
+  try {
+    const { orders, deliveryDetails, couponCode } = req.body;
+
+    if (!orders || !Array.isArray(orders) || orders.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order data',
+      });
+    }
+
+    if (!deliveryDetails || !deliveryDetails.address) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery address is required',
+      });
+    }
+
+    const pricedOrders = await priceOrders(orders);
+    const quotes = [];
+
+    for (const order of pricedOrders) {
+      try {
+        const quote = await quoteSellerDelivery(order.sellerId, order.subtotal, deliveryDetails);
+        quotes.push({ ...quote, subtotal: order.subtotal, available: true });
+        order.shopName = quote.shopName;
+        order.deliveryFee = quote.fee;
+      } catch (error) {
+        if (!error.statusCode) {
+          throw error;
+        }
+        quotes.push({ sellerId: order.sellerId, subtotal: order.subtotal, available: false, message: error.message });
+        order.deliveryFee = 0;
+      }
+    }
+
+    // Shop promotions and the buyer's code, as createOrder will apply them
+    const coupon = await applyPromotions(pricedOrders, { buyerId: req.user.id, couponCode });
+
+    quotes.forEach((quote, index) => {
+      const order = pricedOrders[index];
+      quote.discount = order.discount;
+      quote.promotion = order.promotion;
+      if (quote.available) {
+        quote.deliveryDiscount = order.deliveryDiscount;
+        quote.fee -= order.deliveryDiscount;
+        quote.total = quote.subtotal - quote.discount + quote.fee;
+      }
+    });
+
+    const available = quotes.every(quote => quote.available);
+    const subtotal = quotes.reduce((sum, quote) => sum + quote.subtotal, 0);
+    const discount = quotes.reduce((sum, quote) => sum + quote.discount, 0);
+    const deliveryFee = quotes.reduce((sum, quote) => sum + (quote.fee || 0), 0);
+
+    res.json({
+      success: true,
+      data: {
+        quotes,
+        available,
+        subtotal,
+        discount,
+        deliveryFee,
+        total: subtotal - discount + deliveryFee,
+        coupon,
+      },
+    });
+  } catch (error) {
+    console.error('Quote delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to quote delivery',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getMyDeliverySettings,
+  updateMyDeliverySettings,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  quoteDelivery,
+};
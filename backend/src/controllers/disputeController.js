@@ -0,0 +1,573 @@
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const { logAdminAction } = require('./adminController');
+const notificationService = require('../services/notificationService');
+const { initiateDisputeRefund } = require('../services/disputeService');
+
+// Buyers can dispute a delivered order for 48 hours
+const DISPUTE_WINDOW_HOURS = 48;
+
+const DISPUTE_TYPES = ['not_as_described', 'damaged', 'wrong_item', 'missing_items', 'not_received', 'other'];
+const RESOLUTION_TYPES = ['full_refund', 'partial_refund', 'no_refund'];
+const RESOLVED_IN_FAVOR = ['buyer', 'seller'];
+
+// Open a dispute (buyer)
+const createDispute = async (req, res) => {
+  try {
+    const buyerId = req.user.id;
+    const { orderId, disputeType, description, evidenceUrls } = req.body;
+
+    if (!orderId || !disputeType || !description || !description.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order ID, dispute type, and description are required',
+      });
+    }
+
+    if (!DISPUTE_TYPES.includes(disputeType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid dispute type. Valid types: ' + DISPUTE_TYPES.join(', '),
+      });
+    }
+
+    if (evidenceUrls !== undefined && (!Array.isArray(evidenceUrls) || evidenceUrls.length > 5)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Evidence must be a list of up to 5 image URLs (upload them via /api/upload/images)',
+      });
+    }
+
+    // The order row lock makes a second request for the same order wait, then
+    // see the dispute this one opened
+    const client = await db.connect();
+    let order;
+    let dispute;
+
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query(
+        'SELECT * FROM orders WHERE id = $1 AND buyer_id = $2 FOR UPDATE',
+        [orderId, buyerId]
+      );
+
+      if (orderResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found',
+        });
+      }
+
+      order = orderResult.rows[0];
+
+      if (order.status !== 'delivered' || !order.delivered_at) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: 'Only delivered orders can be disputed',
+        });
+      }
+
+      const windowEndsAt = new Date(order.delivered_at);
+      windowEndsAt.setHours(windowEndsAt.getHours() + DISPUTE_WINDOW_HOURS);
+
+      if (!order.can_dispute || new Date() > windowEndsAt) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: `Disputes must be opened within ${DISPUTE_WINDOW_HOURS} hours of delivery`,
+        });
+      }
+
+      // Check if dispute already exists for this order
+      const existingDispute = await client.query(
+        'SELECT id FROM disputes WHERE order_id = $1',
+        [orderId]
+      );
+
+      if (existingDispute.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: 'A dispute has already been opened for this order',
+        });
+      }
+
+      const result = await client.query(
+        `INSERT INTO disputes (order_id, buyer_id, seller_id, dispute_type, description, evidence_urls)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [orderId, buyerId, order.seller_id, disputeType, description.trim(), evidenceUrls || []]
+      );
+      dispute = result.rows[0];
+
+      await client.query(
+        'UPDATE orders SET can_dispute = FALSE, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [orderId]
+      );
+
+      await client.query(
+        'UPDATE users SET disputes_filed = disputes_filed + 1 WHERE id = $1',
+        [buyerId]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    await notificationService.notify([notificationService.sellerOrderNotification(
+      order,
+      'dispute_opened',
+      `Dispute opened on order ${order.order_number}`,
+      'Respond with your side before an admin reviews it'
+    )]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute opened successfully',
+      data: { dispute },
+    });
+  } catch (error) {
+    logger.error('Error creating dispute', error, { userId: req.user.id, orderId: req.body.orderId });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open dispute',
+    });
+  }
+};
+
+// Get disputes for the current user (as buyer and as seller)
+const getMyDisputes = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await db.query(
+      `SELECT
+        d.*,
+        o.order_number, o.total_amount,
+        s.shop_name, s.shop_slug,
+        CASE WHEN d.buyer_id = $1 THEN 'buyer' ELSE 'seller' END as my_role
+      FROM disputes d
+      JOIN orders o ON d.order_id = o.id
+      JOIN sellers s ON d.seller_id = s.id
+      WHERE d.buyer_id = $1 OR s.user_id = $1
+      ORDER BY d.created_at DESC`,
+      [userId]
+    );
+
+    res.json({
+      success: true,
+      data: { disputes: result.rows },
+    });
+  } catch (error) {
+    logger.error('Error fetching disputes', error, { userId: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch disputes',
+    });
+  }
+};
+
+// Get a single dispute (buyer, seller, or admin)
+const getDisputeById = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { disputeId } = req.params;
+
+    const result = await db.query(
+      `SELECT
+        d.*,
+        o.order_number, o.total_amount, o.delivered_at,
+        s.shop_name, s.shop_slug, s.user_id as seller_user_id,
+        buyer.first_name || ' ' || buyer.last_name as buyer_name
+      FROM disputes d
+      JOIN orders o ON d.order_id = o.id
+      JOIN sellers s ON d.seller_id = s.id
+      JOIN users buyer ON d.buyer_id = buyer.id
+      WHERE d.id = $1`,
+      [disputeId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found',
+      });
+    }
+
+    const dispute = result.rows[0];
+
+    if (dispute.buyer_id !== userId && dispute.seller_user_id !== userId && req.user.role !== 'admin') {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { dispute },
+    });
+  } catch (error) {
+    logger.error('Error fetching dispute', error, { disputeId: req.params.disputeId });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dispute',
+    });
+  }
+};
+
+// Seller responds to a dispute
+const respondToDispute = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { disputeId } = req.params;
+    const { response } = req.body;
+
+    if (!response || response.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Response cannot be empty',
+      });
+    }
+
+    // Get seller ID
+    const sellerResult = await db.query(
+      'SELECT id FROM sellers WHERE user_id = $1',
+      [userId]
+    );
+
+    if (sellerResult.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const sellerId = sellerResult.rows[0].id;
+
+    const result = await db.query(
+      `UPDATE disputes
+       SET seller_response = $1,
+           seller_response_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND seller_id = $3 AND status = 'open'
+       RETURNING *`,
+      [response.trim(), disputeId, sellerId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Open dispute not found',
+      });
+    }
+
+    const dispute = result.rows[0];
+    await notificationService.notify([{
+      userId: dispute.buyer_id,
+      type: 'dispute_update',
+      title: 'The seller responded to your dispute',
+      link: `/orders/${dispute.order_id}`,
+      data: { disputeId: dispute.id, orderId: dispute.order_id },
+    }]);
+
+    res.json({
+      success: true,
+      message: 'Response submitted successfully',
+      data: { dispute: result.rows[0] },
+    });
+  } catch (error) {
+    logger.error('Error responding to dispute', error, { disputeId: req.params.disputeId, userId: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit response',
+    });
+  }
+};
+
+// Resolve a dispute (admin only)
+const resolveDispute = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { disputeId } = req.params;
+    const { resolutionType, refundAmount, resolvedInFavor, decision } = req.body;
+
+    if (!RESOLUTION_TYPES.includes(resolutionType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid resolution type. Valid types: ' + RESOLUTION_TYPES.join(', '),
+      });
+    }
+
+    if (!RESOLVED_IN_FAVOR.includes(resolvedInFavor)) {
+      return res.status(400).json({
+        success: false,
+        message: 'resolvedInFavor must be one of: ' + RESOLVED_IN_FAVOR.join(', '),
+      });
+    }
+
+    if (!decision || decision.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision notes are required',
+      });
+    }
+
+    const disputeResult = await db.query(
+      `SELECT d.*, o.total_amount, o.platform_fee, o.order_number
+       FROM disputes d
+       JOIN orders o ON d.order_id = o.id
+       WHERE d.id = $1`,
+      [disputeId]
+    );
+
+    if (disputeResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found',
+      });
+    }
+
+    const dispute = disputeResult.rows[0];
+
+    // Resolved with a refund that failed to start - try the refund again
+    if (dispute.status === 'resolved' && parseFloat(dispute.refund_amount) > 0 && !dispute.refund_initiated) {
+      const refund = await initiateDisputeRefund(dispute.id);
+
+      await logAdminAction(adminId, 'retry_dispute_refund', 'dispute', dispute.id, { refund });
+
+      return res.json({
+        success: true,
+        message: refund.initiated ? 'Dispute already resolved, refund initiated' : 'Dispute already resolved, refund still failing',
+        data: { refund },
+      });
+    }
+
+    if (dispute.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dispute has already been resolved',
+      });
+    }
+
+    // Work out the refund amount for the resolution type
+    const orderTotal = parseFloat(dispute.total_amount);
+    let amount = 0;
+
+    if (resolutionType === 'full_refund') {
+      amount = orderTotal;
+    } else if (resolutionType === 'partial_refund') {
+      amount = parseFloat(refundAmount);
+      if (!(amount > 0) || amount >= orderTotal) {
+        return res.status(400).json({
+          success: false,
+          message: 'Partial refund amount must be greater than 0 and less than the order total',
+        });
+      }
+    }
+
+    // Platform fee on the refunded part of the order
+    const feeReversal = orderTotal > 0
+      ? Math.round(amount * (parseFloat(dispute.platform_fee) || 0) / orderTotal * 100) / 100
+      : 0;
+
+    const client = await db.connect();
+    let resolvedDispute;
+
+    try {
+      await client.query('BEGIN');
+
+      const updateResult = await client.query(
+        `UPDATE disputes
+         SET status = 'resolved',
+             resolution_type = $1,
+             refund_amount = $2,
+             resolved_in_favor = $3,
+             admin_decision = $4,
+             resolved_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5 AND status = 'open'
+         RETURNING *`,
+        [resolutionType, amount, resolvedInFavor, decision.trim(), disputeId]
+      );
+
+      if (updateResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          success: false,
+          message: 'Dispute was resolved by another admin',
+        });
+      }
+
+      resolvedDispute = updateResult.rows[0];
+
+      // Debit the seller for the refund (netted out of future payouts), and
+      // give back the platform fee on the refunded part like a cancellation
+      // does - the seller only ever had their share of it.
+      // The buyer is refunded through Paystack once this commits.
+      if (amount > 0) {
+        await client.query(
+          `INSERT INTO seller_balances (seller_id, amount, reason, order_id)
+           VALUES ($1, $2, $3, $4)`,
+          [dispute.seller_id, -amount, `Dispute #${dispute.id} refund (${resolutionType})`, dispute.order_id]
+        );
+
+        if (feeReversal > 0) {
+          await client.query(
+            `INSERT INTO seller_balances (seller_id, amount, reason, order_id)
+             VALUES ($1, $2, $3, $4)`,
+            [dispute.seller_id, feeReversal, `Platform fee reversal - dispute #${dispute.id}`, dispute.order_id]
+          );
+        }
+      }
+
+      if (resolvedInFavor === 'buyer') {
+        await client.query(
+          'UPDATE users SET disputes_won = disputes_won + 1 WHERE id = $1',
+          [dispute.buyer_id]
+        );
+      }
+
+      const outcome = amount > 0
+        ? `${notificationService.formatNaira(amount)} is being refunded to the buyer`
+        : 'No refund';
+      const data = { disputeId: dispute.id, orderId: dispute.order_id };
+      await notificationService.createNotifications(client, [
+        {
+          userId: dispute.buyer_id,
+          type: 'dispute_update',
+          title: `Dispute on order ${dispute.order_number} resolved`,
+          body: outcome,
+          link: `/orders/${dispute.order_id}`,
+          data,
+        },
+        {
+          sellerId: dispute.seller_id,
+          type: 'dispute_update',
+          title: `Dispute on order ${dispute.order_number} resolved`,
+          body: amount > 0
+            ? `${outcome} - your share, ${notificationService.formatNaira(amount - feeReversal)}, comes out of your next payout`
+            : outcome,
+          link: '/seller/order-management',
+          data,
+        },
+      ]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const refund = amount > 0 ? await initiateDisputeRefund(dispute.id) : null;
+
+    // Log action
+    await logAdminAction(adminId, 'resolve_dispute', 'dispute', dispute.id, {
+      orderId: dispute.order_id,
+      resolutionType,
+      refundAmount: amount,
+      resolvedInFavor,
+      refund,
+    });
+
+    res.json({
+      success: true,
+      message: refund && !refund.initiated
+        ? 'Dispute resolved, but the refund could not be started - resolve it again to retry'
+        : 'Dispute resolved successfully',
+      data: { dispute: resolvedDispute, refund },
+    });
+  } catch (error) {
+    logger.error('Error resolving dispute', error, { disputeId: req.params.disputeId, adminId: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve dispute',
+    });
+  }
+};
+
+// Get all disputes (admin only, with pagination and filters)
+const getAllDisputes = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = 'all', // all, open, resolved
+    } = req.query;
+
+    const offset = (page - 1) * limit;
+
+    let whereClause = '1=1';
+    const queryParams = [];
+    let paramCount = 0;
+
+    if (status !== 'all') {
+      paramCount++;
+      whereClause += ` AND d.status = $${paramCount}`;
+      queryParams.push(status);
+    }
+
+    const disputesResult = await db.query(`
+      SELECT
+        d.*,
+        o.order_number,
+        o.total_amount,
+        buyer.first_name || ' ' || buyer.last_name as buyer_name,
+        buyer.email as buyer_email,
+        s.shop_name,
+        s.shop_slug
+      FROM disputes d
+      JOIN orders o ON d.order_id = o.id
+      JOIN users buyer ON d.buyer_id = buyer.id
+      JOIN sellers s ON d.seller_id = s.id
+      WHERE ${whereClause}
+      ORDER BY d.created_at DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `, [...queryParams, limit, offset]);
+
+    const countResult = await db.query(`
+      SELECT COUNT(*) as total
+      FROM disputes d
+      WHERE ${whereClause}
+    `, queryParams);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        disputes: disputesResult.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching disputes', error, { filters: req.query });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch disputes',
+    });
+  }
+};
+
+module.exports = {
+  createDispute,
+  getMyDisputes,
+  getDisputeById,
+  respondToDispute,
+  resolveDispute,
+  getAllDisputes,
+};
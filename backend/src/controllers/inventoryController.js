@@ -0,0 +1,335 @@
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const inventoryService = require('../services/inventoryService');
+const { formatVariantLabel } = require('../services/variantService');
+
+// Get the seller ID for the logged in user (null if not a seller)
+const getSellerId = async (userId) => {
+  const result = await db.query('SELECT id FROM sellers WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].id : null;
+};
+
+const STOCK_STATUSES = ['out', 'low', 'ok'];
+
+const stockStatus = (quantityAvailable, threshold) => {
+  if (quantityAvailable === 0) return 'out';
+  if (threshold !== null && quantityAvailable <= threshold) return 'low';
+  return 'ok';
+};
+
+const sendError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+  });
+};
+
+// Stock on hand, days of cover and low-stock status per product (?status=out|low|ok)
+const getMyInventory = async (req, res) => {
+  try {
+    const sellerId = await getSellerId(req.user.id);
+    if (!sellerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const { status } = req.query;
+    if (status && !STOCK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${STOCK_STATUSES.join(', ')}`,
+      });
+    }
+
+    // Units held by unpaid checkouts, and units sold (not cancelled) recently
+    const reservedSql = (column) => `
+      SELECT ${column}, SUM(quantity) as quantity
+      FROM stock_reservations
+      WHERE status = 'active'
+      GROUP BY ${column}`;
+    const soldSql = (column) => `
+      SELECT oi.${column}, SUM(oi.quantity) as quantity
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      WHERE o.seller_id = $1
+        AND o.payment_status = 'paid'
+        AND o.status <> 'cancelled'
+        AND o.created_at >= CURRENT_TIMESTAMP - ($2 || ' days')::interval
+      GROUP BY oi.${column}`;
+    const params = [sellerId, String(inventoryService.COVER_WINDOW_DAYS)];
+
+    const [productsResult, variantsResult] = await Promise.all([
+      db.query(
+        `SELECT
+          p.id, p.name, p.slug, p.sku, p.category, p.image_urls, p.has_variants, p.is_active,
+          p.quantity_available, p.low_stock_threshold, p.low_stock_alerted_at,
+          COALESCE(r.quantity, 0)::int as reserved,
+          COALESCE(s.quantity, 0)::int as sold
+        FROM products p
+        LEFT JOIN (${reservedSql('product_id')}) r ON r.product_id = p.id
+        LEFT JOIN (${soldSql('product_id')}) s ON s.product_id = p.id
+        WHERE p.seller_id = $1 AND p.deleted_at IS NULL
+        ORDER BY p.name`,
+        params
+      ),
+      db.query(
+        `SELECT
+          v.id, v.product_id, v.sku, v.options, v.quantity_available, v.is_active,
+          COALESCE(r.quantity, 0)::int as reserved,
+          COALESCE(s.quantity, 0)::int as sold
+        FROM product_variants v
+        JOIN products p ON v.product_id = p.id
+        LEFT JOIN (${reservedSql('variant_id')}) r ON r.variant_id = v.id
+        LEFT JOIN (${soldSql('variant_id')}) s ON s.variant_id = v.id
+        WHERE p.seller_id = $1 AND p.deleted_at IS NULL AND v.deleted_at IS NULL
+        ORDER BY v.id`,
+        params
+      ),
+    ]);
+
+    const variantsByProduct = new Map();
+    variantsResult.rows.forEach(variant => {
+      const variants = variantsByProduct.get(variant.product_id) || [];
+      variants.push({
+        id: variant.id,
+        sku: variant.sku,
+        label: formatVariantLabel(variant.options),
+        isActive: variant.is_active,
+        quantityAvailable: variant.quantity_available,
+        reserved: variant.reserved,
+        onHand: variant.quantity_available + variant.reserved,
+        sold: variant.sold,
+        daysOfCover: inventoryService.daysOfCover(variant.quantity_available, variant.sold),
+        status: stockStatus(variant.quantity_available, null),
+      });
+      variantsByProduct.set(variant.product_id, variants);
+    });
+
+    const products = productsResult.rows.map(product => ({
+      id: product.id,
+      name: product.name,
+      slug: product.slug,
+      sku: product.sku,
+      category: product.category,
+      imageUrl: product.image_urls && product.image_urls.length > 0 ? product.image_urls[0] : null,
+      isActive: product.is_active,
+      quantityAvailable: product.quantity_available,
+      reserved: product.reserved,
+      onHand: product.quantity_available + product.reserved,
+      sold: product.sold,
+      daysOfCover: inventoryService.daysOfCover(product.quantity_available, product.sold),
+      lowStockThreshold: product.low_stock_threshold,
+      lowStockAlertedAt: product.low_stock_alerted_at,
+      status: stockStatus(product.quantity_available, product.low_stock_threshold),
+      variants: product.has_variants ? variantsByProduct.get(product.id) || [] : [],
+    }));
+
+    const countByStatus = (value) => products.filter(product => product.status === value).length;
+
+    res.json({
+      success: true,
+      data: {
+        coverWindowDays: inventoryService.COVER_WINDOW_DAYS,
+        summary: {
+          products: products.length,
+          unitsAvailable: products.reduce((sum, product) => sum + product.quantityAvailable, 0),
+          unitsReserved: products.reduce((sum, product) => sum + product.reserved, 0),
+          out: countByStatus('out'),
+          low: countByStatus('low'),
+        },
+        products: status ? products.filter(product => product.status === status) : products,
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching inventory', error, { userId: req.user.id });
+    sendError(res, error, 'Failed to fetch inventory');
+  }
+};
+
+// Stock movement log, newest first (?productId=&type=&limit=&offset=)
+const getInventoryMovements = async (req, res) => {
+  try {
+    const sellerId = await getSellerId(req.user.id);
+    if (!sellerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const { productId, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (type && !inventoryService.MOVEMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of: ${inventoryService.MOVEMENT_TYPES.join(', ')}`,
+      });
+    }
+
+    const conditions = ['p.seller_id = $1'];
+    const params = [sellerId];
+
+    if (productId) {
+      params.push(parseInt(productId) || 0);
+      conditions.push(`m.product_id = $${params.length}`);
+    }
+    if (type) {
+      params.push(type);
+      conditions.push(`m.movement_type = $${params.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+
+    const [movementsResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT
+          m.id, m.product_id, p.name as product_name, m.variant_id, v.options as variant_options,
+          m.movement_type, m.quantity_change, m.quantity_after, m.note, m.created_at,
+          m.order_id, o.order_number
+        FROM inventory_movements m
+        JOIN products p ON m.product_id = p.id
+        LEFT JOIN product_variants v ON m.variant_id = v.id
+        LEFT JOIN orders o ON m.order_id = o.id
+        WHERE ${where}
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      db.query(
+        `SELECT COUNT(*) as count
+         FROM inventory_movements m
+         JOIN products p ON m.product_id = p.id
+         WHERE ${where}`,
+        params
+      ),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        movements: movementsResult.rows.map(({ variant_options: options, ...movement }) => ({
+          ...movement,
+          variant_label: options ? formatVariantLabel(options) : null,
+        })),
+        pagination: {
+          total: parseInt(countResult.rows[0].count),
+          limit,
+          offset,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching inventory movements', error, { userId: req.user.id });
+    sendError(res, error, 'Failed to fetch inventory movements');
+  }
+};
+
+// Record a restock or a manual adjustment
+const createInventoryAdjustment = async (req, res) => {
+  try {
+    const sellerId = await getSellerId(req.user.id);
+    if (!sellerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const { productId, variantId, type, quantity, note } = req.body;
+
+    if (!parseInt(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'productId is required',
+      });
+    }
+
+    if (note && String(note).length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Note must be 500 characters or less',
+      });
+    }
+
+    const result = await inventoryService.adjustInventory({
+      sellerId,
+      userId: req.user.id,
+      productId: parseInt(productId),
+      variantId: variantId ? parseInt(variantId) : null,
+      type,
+      quantity: Number(quantity),
+      note: note ? String(note).trim() : null,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: type === 'restock' ? 'Restock recorded' : 'Stock adjusted',
+      data: result,
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error adjusting inventory', error, { userId: req.user.id });
+    }
+    sendError(res, error, 'Failed to adjust stock');
+  }
+};
+
+// Set the stock level a product's low-stock alert fires at
+const updateLowStockThreshold = async (req, res) => {
+  try {
+    const sellerId = await getSellerId(req.user.id);
+    if (!sellerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const productId = parseInt(req.params.productId);
+    const threshold = Number(req.body.threshold);
+    if (!Number.isInteger(threshold) || threshold < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Threshold must be a whole number of 0 or more',
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE products
+       SET low_stock_threshold = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND seller_id = $3 AND deleted_at IS NULL
+       RETURNING id, quantity_available, low_stock_threshold`,
+      [threshold, productId || 0, sellerId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    // Raising the threshold above the current stock alerts straight away
+    inventoryService.checkLowStock([result.rows[0].id]);
+
+    res.json({
+      success: true,
+      message: 'Low stock threshold updated',
+      data: result.rows[0],
+    });
+  } catch (error) {
+    logger.error('Error updating low stock threshold', error, { userId: req.user.id });
+    sendError(res, error, 'Failed to update low stock threshold');
+  }
+};
+
+module.exports = {
+  getMyInventory,
+  getInventoryMovements,
+  createInventoryAdjustment,
+  updateLowStockThreshold,
+};
@@ -0,0 +1,211 @@
+const jwt = require('jsonwebtoken');
+const { logger } = require('../utils/logger');
+const notificationService = require('../services/notificationService');
+const { openStream } = require('../services/notificationStream');
+const sessionService = require('../services/sessionService');
+
+// EventSource can't send an Authorization header, so the stream URL carries a
+// short-lived ticket instead of the login token
+const STREAM_TICKET_PURPOSE = 'notification_stream';
+const STREAM_TICKET_TTL = '60s';
+
+// Own notifications, newest first (?limit=&offset=&unread=true)
+const getMyNotifications = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const unreadOnly = req.query.unread === 'true';
+
+    const { notifications, total, unreadCount } = await notificationService.getNotifications(
+      req.user.id,
+      { limit, offset, unreadOnly }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          total,
+          limit,
+          offset,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Error fetching notifications', error, { userId: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notifications',
+    });
+  }
+};
+
+// Mark one notification read
+const markNotificationRead = async (req, res) => {
+  try {
+    const notificationId = parseInt(req.params.notificationId);
+    const notification = notificationId
+      ? await notificationService.getNotification(req.user.id, notificationId)
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found',
+      });
+    }
+
+    const unreadCount = await notificationService.markRead(req.user.id, [notificationId]);
+
+    res.json({
+      success: true,
+      data: { unreadCount },
+    });
+  } catch (error) {
+    logger.error('Error marking notification read', error, { userId: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notification read',
+    });
+  }
+};
+
+// Mark every notification read
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const unreadCount = await notificationService.markRead(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked read',
+      data: { unreadCount },
+    });
+  } catch (error) {
+    logger.error('Error marking all notifications read', error, { userId: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark notifications read',
+    });
+  }
+};
+
+// Ticket for opening the live stream, valid for a minute
+const createStreamTicket = async (req, res) => {
+  const ticket = jwt.sign(
+    { id: req.user.id, sid: req.sessionId, purpose: STREAM_TICKET_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TICKET_TTL }
+  );
+
+  res.json({
+    success: true,
+    data: { ticket },
+  });
+};
+
+// Live notifications as Server-Sent Events (?ticket= from createStreamTicket)
+// Events: ready and unread ({ unreadCount }), notification ({ notification, unreadCount })
+const streamNotifications = async (req, res) => {
+  let userId;
+  let sessionId;
+  try {
+    const decoded = jwt.verify(req.query.ticket || '', process.env.JWT_SECRET);
+    if (decoded.purpose !== STREAM_TICKET_PURPOSE) {
+      throw new Error('Not a stream ticket');
+    }
+    userId = decoded.id;
+    sessionId = decoded.sid;
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired stream ticket',
+    });
+  }
+
+  // The session may have been revoked since the ticket was issued
+  try {
+    if (!(await sessionService.isSessionActive(userId, sessionId))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired. Please log in again.',
+      });
+    }
+  } catch (error) {
+    logger.error('Error checking stream session', error, { userId });
+    return res.status(503).json({
+      success: false,
+      message: 'Live notifications are unavailable',
+    });
+  }
+
+  let closed = false;
+  let closeStream = null;
+  req.on('close', () => {
+    closed = true;
+    if (closeStream) closeStream();
+  });
+
+  try {
+    closeStream = await openStream(userId, res);
+    if (closed) closeStream();
+  } catch (error) {
+    logger.error('Error opening notification stream', error, { userId });
+    if (!res.headersSent) {
+      res.status(503).json({
+        success: false,
+        message: 'Live notifications are unavailable',
+      });
+    }
+  }
+};
+
+// Which alerts the user gets, by email and in the app
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: preferences,
+    });
+  } catch (error) {
+    logger.error('Error fetching notification preferences', error, { userId: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification preferences',
+    });
+  }
+};
+
+// Turn alerts on or off; only the keys sent are changed
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const preferences = await notificationService.updatePreferences(req.user.id, req.body || {});
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: preferences,
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error updating notification preferences', error, { userId: req.user.id });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update notification preferences',
+    });
+  }
+};
+
+module.exports = {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  createStreamTicket,
+  streamNotifications,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+};
@@ -1,11 +1,25 @@
 const db = require('../config/database');
-const axios = require('axios');
+const paystackService = require('../services/paystackService');
+const {
+  MIN_ORDER_VALUE,
+  calculatePlatformFee,
+  canSettleBySplit,
+  buildPaystackSplit,
+  getOrdersByReference,
+  createOrdersFromPayment,
+} = require('../services/orderService');
+const cancellationService = require('../services/cancellationService');
+const notificationService = require('../services/notificationService');
+const { quoteSellerDelivery } = require('../services/deliveryService');
+const { resolvePurchasable } = require('../services/variantService');
+const { reserveStock, releaseCheckout } = require('../services/reservationService');
+const { applyPromotions, claimPromotions } = require('../services/promotionService');
 
 // Initialize Paystack payment
 const createOrder = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { orders, deliveryDetails } = req.body;
+    const { orders, deliveryDetails, couponCode } = req.body;
 
     // Validate input
     if (!orders || !Array.isArray(orders) || orders.length === 0) {
@@ -37,8 +51,6 @@ const createOrder = async (req, res) => {
 
     const userEmail = userResult.rows[0].email;
 
-    // Calculate total amount across all orders
-    let totalAmount = 0;
     const orderDetails = [];
 
     for (const order of orders) {
@@ -59,16 +71,16 @@ const createOrder = async (req, res) => {
 
       const seller = sellerResult.rows[0];
 
-      // Calculate order total and validate products
-      let orderTotal = 0;
+      // Calculate order subtotal and validate products
+      let orderSubtotal = 0;
       const validatedItems = [];
 
       for (const item of items) {
-        const { productId, quantity, price } = item;
+        const { productId, variantId, quantity } = item;
 
         // Validate product and stock
         const productResult = await db.query(
-          `SELECT id, name, price, quantity_available
+          `SELECT id, name, price, quantity_available, has_variants, category
            FROM products
            WHERE id = $1 AND seller_id = $2 AND deleted_at IS NULL`,
           [productId, sellerId]
@@ -83,53 +95,141 @@ const createOrder = async (req, res) => {
 
         const product = productResult.rows[0];
 
-        if (product.quantity_available < quantity) {
+        // Price and stock come from the chosen variant, if the product has them
+        let purchasable;
+        try {
+          purchasable = await resolvePurchasable(product, variantId);
+        } catch (error) {
+          if (!error.statusCode) {
+            throw error;
+          }
+          return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+          });
+        }
+
+        if (purchasable.quantityAvailable < quantity) {
           return res.status(400).json({
             success: false,
-            message: `Insufficient stock for ${product.name}`,
+            message: `Insufficient stock for ${product.name}${purchasable.variantLabel ? ` (${purchasable.variantLabel})` : ''}`,
           });
         }
 
-        const subtotal = product.price * quantity;
-        orderTotal += subtotal;
+        const subtotal = purchasable.price * quantity;
+        orderSubtotal += subtotal;
 
         validatedItems.push({
           productId: product.id,
           productName: product.name,
-          productPrice: product.price,
+          productPrice: purchasable.price,
+          variantId: purchasable.variantId,
+          variantLabel: purchasable.variantLabel,
+          sku: purchasable.sku,
+          category: product.category,
           quantity,
           subtotal,
         });
       }
 
-      // Check minimum order value
-      if (orderTotal < 4000) {
+      // Minimum order value applies to each seller separately (before delivery)
+      if (orderSubtotal < MIN_ORDER_VALUE) {
         return res.status(400).json({
           success: false,
-          message: 'Minimum order value is ₦4,000',
+          message: `Minimum order value is ₦4,000 per shop (${seller.shop_name} is ₦${orderSubtotal.toLocaleString()})`,
         });
       }
 
-      totalAmount += orderTotal;
+      // Delivery fee for this seller's zone covering the address
+      let delivery;
+      try {
+        delivery = await quoteSellerDelivery(sellerId, orderSubtotal, deliveryDetails);
+      } catch (error) {
+        if (!error.statusCode) {
+          throw error;
+        }
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
 
       orderDetails.push({
         sellerId,
         shopName: seller.shop_name,
         subaccountCode: seller.paystack_subaccount_code,
-        orderTotal,
+        splitSettlement: await canSettleBySplit(seller),
+        subtotal: orderSubtotal,
+        deliveryFee: delivery.fee,
+        deliveryMethod: delivery.method,
+        deliveryZoneId: delivery.zoneId,
         items: validatedItems,
       });
     }
 
-    // Calculate platform fee (5%)
-    const platformFee = totalAmount * 0.05;
+    // Shop promotions and the buyer's code - recalculated here, never trusted from the client
+    const coupon = await applyPromotions(orderDetails, { buyerId: userId, couponCode });
+    if (coupon && !coupon.valid) {
+      return res.status(400).json({
+        success: false,
+        message: coupon.message,
+      });
+    }
+
+    // Delivery fee is what the buyer pays after any free delivery promotion
+    for (const order of orderDetails) {
+      order.deliveryFee -= order.deliveryDiscount;
+      order.orderTotal = order.subtotal - order.discount + order.deliveryFee;
+    }
+    const totalAmount = orderDetails.reduce((sum, order) => sum + order.orderTotal, 0);
+
+    // Calculate platform fee (5% of discounted goods - delivery fees go to the seller in full)
+    const platformFee = orderDetails.reduce((sum, order) => sum + calculatePlatformFee(order), 0);
 
     // Generate unique reference
     const reference = `BT-${Date.now()}-${userId}`;
 
+    // Pay split-settled sellers' shares straight to their Paystack subaccounts
+    const split = buildPaystackSplit(orderDetails);
+
+    // Parent record for this payment - the per-seller orders are created after payment.
+    // Stock is reserved with it so nobody else can pay for the same units.
+    const client = await db.connect();
+    let checkoutId;
+    let reservedUntil;
+
+    try {
+      await client.query('BEGIN');
+
+      const checkoutResult = await client.query(
+        `INSERT INTO checkouts (buyer_id, paystack_reference, total_amount, platform_fee, seller_count, split)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [userId, reference, totalAmount, platformFee, orderDetails.length, split ? JSON.stringify(split) : null]
+      );
+      checkoutId = checkoutResult.rows[0].id;
+
+      reservedUntil = await reserveStock(client, checkoutId, orderDetails.flatMap(order => order.items));
+      await claimPromotions(client, checkoutId, userId, orderDetails);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!error.statusCode) {
+        throw error;
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      });
+    } finally {
+      client.release();
+    }
+
     // Store order metadata temporarily (we'll create actual orders after payment)
     const metadata = {
       userId,
+      checkoutId,
       orders: orderDetails,
       deliveryDetails,
       totalAmount,
@@ -137,24 +237,23 @@ const createOrder = async (req, res) => {
     };
 
     // Initialize Paystack transaction
-    const paystackResponse = await axios.post(
-      'https://api.paystack.co/transaction/initialize',
-      {
+    let paystackResponse;
+    try {
+      paystackResponse = await paystackService.initializeTransaction({
         email: userEmail,
-        amount: totalAmount * 100, // Convert to kobo
+        amount: Math.round(totalAmount * 100), // Convert to kobo
         reference,
         metadata,
+        ...(split && { split }),
         callback_url: `${process.env.FRONTEND_URL}/payment/callback`,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+      });
+    } catch (error) {
+      await releaseCheckout(checkoutId, 'initialization_failed');
+      throw error;
+    }
 
-    if (!paystackResponse.data.status) {
+    if (!paystackResponse.status) {
+      await releaseCheckout(checkoutId, 'initialization_failed');
       return res.status(500).json({
         success: false,
         message: 'Failed to initialize payment',
@@ -165,9 +264,10 @@ const createOrder = async (req, res) => {
       success: true,
       message: 'Payment initialized',
       data: {
-        authorization_url: paystackResponse.data.data.authorization_url,
-        access_code: paystackResponse.data.data.access_code,
+        authorization_url: paystackResponse.data.authorization_url,
+        access_code: paystackResponse.data.access_code,
         reference,
+        reservedUntil,
       },
     });
   } catch (error) {
@@ -181,156 +281,61 @@ const createOrder = async (req, res) => {
 };
 
 // Verify payment and create orders
+// The Paystack webhook creates the same orders server-side if the buyer never returns
 const verifyPayment = async (req, res) => {
   try {
     const { reference } = req.params;
 
     // Check if orders already exist for this payment reference (idempotency check)
-    const existingOrders = await db.query(
-      `SELECT o.id, o.order_number
-       FROM orders o
-       WHERE o.paystack_reference = $1`,
-      [reference]
-    );
+    const existingOrders = await getOrdersByReference(reference);
 
-    if (existingOrders.rows.length > 0) {
+    if (existingOrders.length > 0) {
       // Orders already created for this payment - return success with existing orders
       return res.json({
         success: true,
         message: 'Payment already verified',
         data: {
-          orders: existingOrders.rows.map(order => ({
-            orderId: order.id,
-            orderNumber: order.order_number,
-          })),
+          orders: existingOrders,
           reference,
         },
       });
     }
 
     // Verify transaction with Paystack
-    const paystackResponse = await axios.get(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-        },
+    const paystackResponse = await paystackService.verifyTransaction(reference);
+
+    if (!paystackResponse.status || paystackResponse.data.status !== 'success') {
+      // Give reserved stock back straight away rather than waiting for it to expire
+      // ('abandoned' transactions can still be paid, so those wait for the sweeper)
+      if (paystackResponse.data?.status === 'failed') {
+        const checkoutResult = await db.query(
+          'SELECT id FROM checkouts WHERE paystack_reference = $1',
+          [reference]
+        );
+        if (checkoutResult.rows.length > 0) {
+          await releaseCheckout(checkoutResult.rows[0].id, 'payment_failed');
+        }
       }
-    );
 
-    if (!paystackResponse.data.status || paystackResponse.data.data.status !== 'success') {
       return res.status(400).json({
         success: false,
         message: 'Payment verification failed',
       });
     }
 
-    const paymentData = paystackResponse.data.data;
-    const { metadata } = paymentData;
-    const { userId, orders, deliveryDetails, totalAmount } = metadata;
-
-    // Start transaction
-    await db.query('BEGIN');
-
-    try {
-      const createdOrders = [];
-
-      // Create orders for each seller
-      for (const orderDetail of orders) {
-        const { sellerId, orderTotal, items } = orderDetail;
-
-        const platformFee = orderTotal * 0.05;
-        const sellerAmount = orderTotal - platformFee;
-
-        // Calculate estimated delivery date (7 days from now)
-        const estimatedDeliveryDate = new Date();
-        estimatedDeliveryDate.setDate(estimatedDeliveryDate.getDate() + 7);
-
-        // Generate order number
-        const orderNumber = `ORD-${Date.now()}-${sellerId}`;
-
-        // Create order
-        const orderResult = await db.query(
-          `INSERT INTO orders (
-            order_number, buyer_id, seller_id, total_amount, platform_fee, seller_amount,
-            status, payment_status, paystack_reference,
-            delivery_name, delivery_phone, delivery_address, notes,
-            estimated_delivery_date
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-          RETURNING id, order_number`,
-          [
-            orderNumber,
-            userId,
-            sellerId,
-            orderTotal,
-            platformFee,
-            sellerAmount,
-            'pending',
-            'paid',
-            reference,
-            deliveryDetails.name,
-            deliveryDetails.phone,
-            deliveryDetails.address,
-            deliveryDetails.notes || null,
-            estimatedDeliveryDate,
-          ]
-        );
-
-        const orderId = orderResult.rows[0].id;
-
-        // Create order items
-        for (const item of items) {
-          await db.query(
-            `INSERT INTO order_items (
-              order_id, product_id, product_name, product_price, quantity, subtotal
-            ) VALUES ($1, $2, $3, $4, $5, $6)`,
-            [
-              orderId,
-              item.productId,
-              item.productName,
-              item.productPrice,
-              item.quantity,
-              item.subtotal,
-            ]
-          );
-
-          // Update product stock
-          await db.query(
-            'UPDATE products SET quantity_available = quantity_available - $1 WHERE id = $2',
-            [item.quantity, item.productId]
-          );
-        }
-
-        createdOrders.push({
-          orderId,
-          orderNumber: orderResult.rows[0].order_number,
-        });
-      }
-
-      // Clear user's cart
-      await db.query(
-        'DELETE FROM cart_items WHERE cart_id IN (SELECT id FROM carts WHERE user_id = $1)',
-        [userId]
-      );
+    const { orders, created } = await createOrdersFromPayment(paystackResponse.data);
 
-      // Commit transaction
-      await db.query('COMMIT');
-
-      res.json({
-        success: true,
-        message: 'Payment verified and orders created',
-        data: {
-          orders: createdOrders,
-          reference,
-        },
-      });
-    } catch (error) {
-      await db.query('ROLLBACK');
-      throw error;
-    }
+    res.json({
+      success: true,
+      message: created ? 'Payment verified and orders created' : 'Payment already verified',
+      data: {
+        orders,
+        reference,
+      },
+    });
   } catch (error) {
     console.error('Verify payment error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Failed to verify payment',
       error: error.message,
@@ -489,7 +494,7 @@ const getSellerOrders = async (req, res) => {
     const result = await db.query(
       `SELECT
         o.id, o.order_number, o.total_amount, o.seller_amount, o.status, o.payment_status,
-        o.delivery_name, o.delivery_phone, o.delivery_address,
+        o.delivery_name, o.delivery_phone, o.delivery_address, o.delivery_fee, o.delivery_method,
         o.estimated_delivery_date, o.created_at,
         u.first_name, u.last_name, u.email
       FROM orders o
@@ -521,7 +526,7 @@ const updateOrderStatus = async (req, res) => {
     const { status, notes } = req.body;
 
     // Define valid status transitions for workflow enforcement
-    // Note: Cancellation removed until Paystack refund integration is complete
+    // Note: Cancellation goes through sellerCancelOrder so stock is restored and the buyer refunded
     const statusWorkflow = {
       'pending': ['processing'],
       'processing': ['ready_for_pickup'],
@@ -623,6 +628,8 @@ const updateOrderStatus = async (req, res) => {
 
       await db.query('COMMIT');
 
+      await notificationService.notify([notificationService.orderStatusNotification(updatedOrder, status)]);
+
       res.json({
         success: true,
         message: 'Order status updated successfully',
@@ -723,13 +730,16 @@ const getSellerOrdersByStatus = async (req, res) => {
     let query = `
       SELECT
         o.id, o.order_number, o.total_amount, o.seller_amount, o.status, o.payment_status,
-        o.delivery_name, o.delivery_phone, o.delivery_address, o.notes,
+        o.delivery_name, o.delivery_phone, o.delivery_address, o.delivery_fee, o.delivery_method, o.notes,
+        o.subtotal, o.discount_amount, o.promotion_code,
         o.estimated_delivery_date, o.created_at, o.ready_for_pickup_at, o.shipped_at, o.delivered_at,
         o.cancellation_deadline, o.payout_date, o.payout_status,
         u.first_name, u.last_name, u.email, u.phone,
         (SELECT json_agg(json_build_object(
           'id', oi.id,
           'product_name', oi.product_name,
+          'variant_label', oi.variant_label,
+          'sku', oi.sku,
           'product_price', oi.product_price,
           'quantity', oi.quantity,
           'subtotal', oi.subtotal
@@ -1015,6 +1025,12 @@ const confirmDelivery = async (req, res) => {
     // Send notification to seller
     const emailService = require('../services/emailService');
     await emailService.sendOrderStatusUpdate(order, 'delivered');
+    await notificationService.notify([notificationService.sellerOrderNotification(
+      order,
+      'delivery_confirmed',
+      `Order ${order.order_number} delivered`,
+      'The buyer confirmed delivery - your payout is scheduled'
+    )]);
 
     res.json({
       success: true,
@@ -1030,6 +1046,107 @@ const confirmDelivery = async (req, res) => {
   }
 };
 
+// Buyer cancels an order within the cancellation window
+const cancelOrder = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { reason } = req.body;
+
+    // Verify order belongs to buyer
+    const orderCheck = await db.query(
+      'SELECT id FROM orders WHERE id = $1 AND buyer_id = $2',
+      [orderId, userId]
+    );
+
+    if (orderCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const { order, refund } = await cancellationService.cancelOrder({
+      orderId,
+      cancelledBy: userId,
+      role: 'buyer',
+      reason: reason?.trim() || 'Cancelled by buyer',
+    });
+
+    res.json({
+      success: true,
+      message: refund.initiated
+        ? 'Order cancelled. Your refund has been initiated.'
+        : 'Order cancelled. Your refund will be processed shortly.',
+      data: { order, refund },
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to cancel order',
+      error: error.message,
+    });
+  }
+};
+
+// Seller cancels an order they can't fulfil (out of stock)
+const sellerCancelOrder = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { orderId } = req.params;
+    const { reason } = req.body;
+
+    // Get seller ID
+    const sellerResult = await db.query(
+      'SELECT id FROM sellers WHERE user_id = $1',
+      [userId]
+    );
+
+    if (sellerResult.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const sellerId = sellerResult.rows[0].id;
+
+    // Verify order belongs to seller
+    const orderCheck = await db.query(
+      'SELECT id FROM orders WHERE id = $1 AND seller_id = $2',
+      [orderId, sellerId]
+    );
+
+    if (orderCheck.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found',
+      });
+    }
+
+    const { order, refund } = await cancellationService.cancelOrder({
+      orderId,
+      cancelledBy: userId,
+      role: 'seller',
+      reason: reason?.trim() ? `Out of stock: ${reason.trim()}` : 'Out of stock',
+    });
+
+    res.json({
+      success: true,
+      message: 'Order cancelled and buyer refund initiated',
+      data: { order, refund },
+    });
+  } catch (error) {
+    console.error('Seller cancel order error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to cancel order',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   createOrder,
   verifyPayment,
@@ -1044,4 +1161,6 @@ module.exports = {
   getSellerNotes,
   getOrderStatusHistory,
   confirmDelivery,
+  cancelOrder,
+  sellerCancelOrder,
 };
@@ -2,6 +2,8 @@ const db = require('../config/database');
 const bcrypt = require('bcrypt');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
+const sessionService = require('../services/sessionService');
+const loginLockoutService = require('../services/loginLockoutService');
 
 // Email transporter configuration
 const createTransporter = () => {
@@ -249,10 +251,16 @@ const resetPassword = async (req, res) => {
 
     // Update user password
     await db.query(
-      'UPDATE users SET password = $1 WHERE id = $2',
+      'UPDATE users SET password_hash = $1 WHERE id = $2',
       [hashedPassword, tokenData.user_id]
     );
 
+    // Log out every device - whoever had the old password may still be logged in
+    await sessionService.revokeAllSessions(tokenData.user_id, 'password_reset');
+
+    // Proving ownership of the email lifts any failed-login lock
+    await loginLockoutService.clearFailedLogins(tokenData.user_id);
+
     // Mark token as used
     await db.query(
       'UPDATE password_reset_tokens SET used = TRUE WHERE id = $1',
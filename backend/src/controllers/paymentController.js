@@ -0,0 +1,147 @@
+const db = require('../config/database');
+const paystackService = require('../services/paystackService');
+const { createOrdersFromPayment } = require('../services/orderService');
+const { handleTransferEvent } = require('../services/payoutService');
+const { completeDisputeRefund } = require('../services/disputeService');
+const { logger } = require('../utils/logger');
+
+const webhookLogger = logger.child('PaystackWebhook');
+
+// Pull the reference Paystack uses for each event family
+const getEventReference = (event, data = {}) => {
+  if (event === 'refund.processed') {
+    return data.transaction_reference || data.transaction?.reference || null;
+  }
+  return data.reference || null;
+};
+
+// charge.success - create the orders if the browser callback never arrived
+const handleChargeSuccess = async (data) => {
+  if (data.status !== 'success') {
+    return;
+  }
+
+  // Not a BuyTree checkout (e.g. a payment made from the Paystack dashboard)
+  if (!data.metadata || !Array.isArray(data.metadata.orders)) {
+    webhookLogger.warn('charge.success without order metadata', { reference: data.reference });
+    return;
+  }
+
+  const { orders, created } = await createOrdersFromPayment(data);
+
+  webhookLogger.info(created ? 'Orders created from webhook' : 'Orders already existed for charge', {
+    reference: data.reference,
+    orderCount: orders.length,
+  });
+};
+
+// refund.processed - mark the cancelled or disputed order the refund was for.
+// The transaction reference is shared by every order in the checkout, so the
+// refund is found by its id (stored when it was initiated).
+const handleRefundProcessed = async (data) => {
+  if (!data.id) {
+    webhookLogger.warn('refund.processed without a refund id', { reference: getEventReference('refund.processed', data) });
+    return;
+  }
+  const refundId = String(data.id);
+
+  const result = await db.query(
+    `UPDATE order_cancellations
+     SET refund_completed = TRUE
+     WHERE paystack_refund_id = $1
+     RETURNING order_id`,
+    [refundId]
+  );
+
+  const orderIds = result.rows.map(row => row.order_id);
+
+  if (orderIds.length > 0) {
+    await db.query(
+      `UPDATE orders
+       SET payment_status = 'refunded', updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($1::int[]) AND status = 'cancelled'`,
+      [orderIds]
+    );
+  } else {
+    orderIds.push(...await completeDisputeRefund(refundId));
+  }
+
+  webhookLogger.info('Refund processed', { refundId, orderIds });
+};
+
+// transfer.success / transfer.failed / transfer.reversed - settle seller payout batches
+const handleTransfer = async (event, data) => {
+  const settled = await handleTransferEvent(event, data);
+
+  webhookLogger.info('Transfer event processed', { event, reference: data.reference, settled });
+};
+
+// Receive signed Paystack events
+const handlePaystackWebhook = async (req, res) => {
+  const signature = req.headers['x-paystack-signature'];
+
+  if (!paystackService.isValidSignature(req.rawBody, signature)) {
+    webhookLogger.security('Invalid Paystack webhook signature', { ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid signature',
+    });
+  }
+
+  const { event, data } = req.body || {};
+
+  if (!event || !data) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook payload',
+    });
+  }
+
+  let eventId = null;
+
+  try {
+    const logResult = await db.query(
+      `INSERT INTO paystack_webhook_events (event, reference, payload)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [event, getEventReference(event, data), JSON.stringify(req.body)]
+    );
+    eventId = logResult.rows[0].id;
+
+    if (event === 'charge.success') {
+      await handleChargeSuccess(data);
+    } else if (event === 'refund.processed') {
+      await handleRefundProcessed(data);
+    } else if (event.startsWith('transfer.')) {
+      await handleTransfer(event, data);
+    } else {
+      webhookLogger.debug('Ignoring unhandled Paystack event', { event });
+    }
+
+    await db.query(
+      'UPDATE paystack_webhook_events SET processed_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [eventId]
+    );
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    webhookLogger.error('Failed to process Paystack webhook', error, { event, eventId });
+
+    if (eventId) {
+      await db.query(
+        'UPDATE paystack_webhook_events SET error = $1 WHERE id = $2',
+        [error.message, eventId]
+      ).catch(() => {});
+    }
+
+    // Non-2xx makes Paystack retry the delivery
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+    });
+  }
+};
+
+module.exports = {
+  handlePaystackWebhook,
+};
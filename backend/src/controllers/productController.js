@@ -1,4 +1,14 @@
 const db = require('../config/database');
+const {
+  validateVariants,
+  saveProductVariants,
+  syncProductStock,
+  getVariantsForProducts,
+} = require('../services/variantService');
+const searchService = require('../services/searchService');
+const { snapshotStock, recordStockChanges, checkLowStock } = require('../services/inventoryService');
+const { slugify } = require('../utils/slugify');
+const { getTrendingSearches: fetchTrendingSearches } = require('../services/searchLogService');
 
 // Create a new product (sellers only)
 const createProduct = async (req, res) => {
@@ -10,6 +20,8 @@ const createProduct = async (req, res) => {
       quantityAvailable,
       category,
       imageUrls,
+      options,
+      variants,
     } = req.body;
     const userId = req.user.id;
 
@@ -28,6 +40,17 @@ const createProduct = async (req, res) => {
       });
     }
 
+    // Size/colour variants are optional
+    let variantInput = null;
+    try {
+      variantInput = options || variants ? validateVariants({ options, variants }) : null;
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     // Check if user is a seller
     const sellerResult = await db.query(
       'SELECT id, categories FROM sellers WHERE user_id = $1',
@@ -52,10 +75,7 @@ const createProduct = async (req, res) => {
     }
 
     // Generate slug from product name
-    const baseSlug = name
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '');
+    const baseSlug = slugify(name);
 
     // Ensure slug is unique for this seller
     let slug = baseSlug;
@@ -70,25 +90,60 @@ const createProduct = async (req, res) => {
       counter++;
     }
 
-    // Insert product
-    const result = await db.query(
-      `INSERT INTO products
-       (seller_id, name, slug, description, price, quantity_available, category, image_urls)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING id, name, slug, description, price, quantity_available, category, image_urls, created_at`,
-      [seller.id, name, slug, description || null, price, quantityAvailable || 0, category, imageUrls || []]
-    );
+    // Insert product and its variants together
+    const client = await db.connect();
+    let product;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO products
+         (seller_id, name, slug, description, price, quantity_available, category, image_urls)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [seller.id, name, slug, description || null, price, quantityAvailable || 0, category, imageUrls || []]
+      );
+      const productId = result.rows[0].id;
+
+      if (variantInput) {
+        await saveProductVariants(client, productId, variantInput);
+      }
+
+      await recordStockChanges(client, [productId], new Map(), {
+        type: 'restock',
+        note: 'New product',
+        userId,
+      });
+
+      const productResult = await client.query(
+        `SELECT id, name, slug, description, price, quantity_available, has_variants,
+                category, image_urls, created_at
+         FROM products WHERE id = $1`,
+        [productId]
+      );
+      product = productResult.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const variantsByProduct = await getVariantsForProducts([product.id], { includeInactive: true });
 
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
-      data: { product: result.rows[0] },
+      data: { product: { ...product, ...variantsByProduct.get(product.id) } },
     });
   } catch (error) {
     console.error('Create product error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to create product',
+      message: error.statusCode ? error.message : 'Failed to create product',
       error: error.message,
     });
   }
@@ -109,7 +164,7 @@ const getProducts = async (req, res) => {
 
     let query = `
       SELECT
-        p.id, p.name, p.description, p.price, p.quantity_available,
+        p.id, p.name, p.description, p.price, p.quantity_available, p.has_variants,
         p.category, p.image_urls, p.created_at,
         s.id as seller_id, s.shop_name, s.shop_slug, s.rating
       FROM products p
@@ -190,7 +245,7 @@ const getProductById = async (req, res) => {
 
     const result = await db.query(
       `SELECT
-        p.id, p.name, p.description, p.price, p.quantity_available,
+        p.id, p.name, p.description, p.price, p.quantity_available, p.has_variants,
         p.category, p.image_urls, p.created_at,
         s.id as seller_id, s.shop_name, s.shop_slug, s.rating
       FROM products p
@@ -206,18 +261,14 @@ const getProductById = async (req, res) => {
       });
     }
 
-    // Track product view for analytics
-    await db.query(
-      `INSERT INTO product_analytics (product_id, date, views)
-       VALUES ($1, CURRENT_DATE, 1)
-       ON CONFLICT (product_id, date)
-       DO UPDATE SET views = product_analytics.views + 1`,
-      [id]
-    );
+    // Views are counted from storefront events (POST /api/analytics/events) -
+    // this response is cached, so counting here would miss most of them
+
+    const variantsByProduct = await getVariantsForProducts([result.rows[0].id]);
 
     res.json({
       success: true,
-      data: { product: result.rows[0] },
+      data: { product: { ...result.rows[0], ...variantsByProduct.get(result.rows[0].id) } },
     });
   } catch (error) {
     console.error('Get product error:', error);
@@ -229,6 +280,39 @@ const getProductById = async (req, res) => {
   }
 };
 
+// Get a product's options and variants (public - for the variant picker)
+const getProductVariants = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const productResult = await db.query(
+      'SELECT id FROM products WHERE id = $1 AND deleted_at IS NULL',
+      [id]
+    );
+
+    if (productResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found',
+      });
+    }
+
+    const variantsByProduct = await getVariantsForProducts([productResult.rows[0].id]);
+
+    res.json({
+      success: true,
+      data: variantsByProduct.get(productResult.rows[0].id),
+    });
+  } catch (error) {
+    console.error('Get product variants error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product variants',
+      error: error.message,
+    });
+  }
+};
+
 // Update product (seller's own products only)
 const updateProduct = async (req, res) => {
   try {
@@ -240,6 +324,8 @@ const updateProduct = async (req, res) => {
       quantityAvailable,
       category,
       imageUrls,
+      options,
+      variants,
     } = req.body;
     const userId = req.user.id;
 
@@ -326,7 +412,20 @@ const updateProduct = async (req, res) => {
       params.push(imageUrls);
     }
 
-    if (updates.length === 0) {
+    // Sending options/variants replaces them; omitting both leaves them as they are
+    let variantInput = null;
+    if (options !== undefined || variants !== undefined) {
+      try {
+        variantInput = validateVariants({ options, variants });
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+    }
+
+    if (updates.length === 0 && !variantInput) {
       return res.status(400).json({
         success: false,
         message: 'No fields to update',
@@ -338,25 +437,64 @@ const updateProduct = async (req, res) => {
     paramCount++;
     params.push(id);
 
-    const query = `
-      UPDATE products
-      SET ${updates.join(', ')}
-      WHERE id = $${paramCount}
-      RETURNING id, name, description, price, quantity_available, category, image_urls, updated_at
-    `;
+    const client = await db.connect();
+    let product;
 
-    const result = await db.query(query, params);
+    try {
+      await client.query('BEGIN');
+
+      // Locked so a sale can't land between the snapshot and the update
+      await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [id]);
+      const stockBefore = await snapshotStock(client, [id]);
+
+      await client.query(
+        `UPDATE products SET ${updates.join(', ')} WHERE id = $${paramCount}`,
+        params
+      );
+
+      if (variantInput) {
+        await saveProductVariants(client, id, variantInput);
+      } else {
+        // Stock of a product with variants always comes from its variants
+        await syncProductStock(client, id);
+      }
+
+      await recordStockChanges(client, [id], stockBefore, {
+        type: 'adjustment',
+        note: 'Product edited',
+        userId,
+      });
+
+      const productResult = await client.query(
+        `SELECT id, name, description, price, quantity_available, has_variants,
+                category, image_urls, updated_at
+         FROM products WHERE id = $1`,
+        [id]
+      );
+      product = productResult.rows[0];
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    checkLowStock([product.id]);
+
+    const variantsByProduct = await getVariantsForProducts([product.id], { includeInactive: true });
 
     res.json({
       success: true,
       message: 'Product updated successfully',
-      data: { product: result.rows[0] },
+      data: { product: { ...product, ...variantsByProduct.get(product.id) } },
     });
   } catch (error) {
     console.error('Update product error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to update product',
+      message: error.statusCode ? error.message : 'Failed to update product',
       error: error.message,
     });
   }
@@ -435,7 +573,7 @@ const getMyProducts = async (req, res) => {
 
     const result = await db.query(
       `SELECT
-        id, name, description, price, quantity_available,
+        id, name, slug, sku, description, price, quantity_available, has_variants,
         category, image_urls, created_at, updated_at
       FROM products
       WHERE seller_id = $1 AND deleted_at IS NULL
@@ -443,9 +581,17 @@ const getMyProducts = async (req, res) => {
       [seller.id]
     );
 
+    // Sellers see paused variants too so they can edit them
+    const variantsByProduct = await getVariantsForProducts(
+      result.rows.map(product => product.id),
+      { includeInactive: true }
+    );
+
     res.json({
       success: true,
-      data: { products: result.rows },
+      data: {
+        products: result.rows.map(product => ({ ...product, ...variantsByProduct.get(product.id) })),
+      },
     });
   } catch (error) {
     console.error('Get my products error:', error);
@@ -488,7 +634,7 @@ const getProductsByShopSlug = async (req, res) => {
     // Build query for products
     let query = `
       SELECT
-        p.id, p.name, p.slug, p.description, p.price, p.quantity_available,
+        p.id, p.name, p.slug, p.description, p.price, p.quantity_available, p.has_variants,
         p.category, p.image_urls, p.created_at
       FROM products p
       WHERE p.seller_id = $1 AND p.deleted_at IS NULL AND p.quantity_available > 0
@@ -557,98 +703,68 @@ const getProductsByShopSlug = async (req, res) => {
 // Search products across all shops
 const searchProducts = async (req, res) => {
   try {
-    const { q, category, minPrice, maxPrice, sort = 'relevance' } = req.query;
-
-    // Build search query
-    let query = `
-      SELECT
-        p.id, p.name, p.slug, p.description, p.price, p.quantity_available,
-        p.category, p.image_urls, p.created_at,
-        s.id as seller_id, s.shop_name, s.shop_slug, s.rating as shop_rating, s.is_verified
-      FROM products p
-      JOIN sellers s ON p.seller_id = s.id
-      WHERE p.deleted_at IS NULL AND p.quantity_available > 0
-    `;
-
-    const params = [];
-    let paramCount = 0;
-
-    // Search by query (product name or description)
-    if (q && q.trim()) {
-      paramCount++;
-      query += ` AND (
-        LOWER(p.name) LIKE LOWER($${paramCount}) OR
-        LOWER(p.description) LIKE LOWER($${paramCount})
-      )`;
-      params.push(`%${q.trim()}%`);
-    }
+    const search = searchService.parseSearchParams(req.query);
+    const result = await searchService.searchProducts(search);
 
-    // Filter by category
-    if (category && category !== 'All') {
-      paramCount++;
-      query += ` AND p.category = $${paramCount}`;
-      params.push(category);
-    }
+    res.json({
+      success: true,
+      data: {
+        products: result.products,
+        count: result.products.length,
+        total: result.total,
+        query: search.q,
+        facets: result.facets,
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore,
+      },
+    });
+  } catch (error) {
+    console.error('Search products error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to search products',
+      error: error.message,
+    });
+  }
+};
 
-    // Filter by min price
-    if (minPrice) {
-      paramCount++;
-      query += ` AND p.price >= $${paramCount}`;
-      params.push(parseFloat(minPrice));
-    }
+// Autocomplete for the search box (marketplace, or one shop with ?shop=slug)
+const suggestSearch = async (req, res) => {
+  try {
+    const suggestions = await searchService.suggest({
+      q: req.query.q,
+      shopSlug: req.query.shop || null,
+    });
 
-    // Filter by max price
-    if (maxPrice) {
-      paramCount++;
-      query += ` AND p.price <= $${paramCount}`;
-      params.push(parseFloat(maxPrice));
-    }
-
-    // Sorting - Always prioritize verified sellers first
-    switch (sort) {
-      case 'price_low':
-        query += ' ORDER BY s.is_verified DESC, p.price ASC';
-        break;
-      case 'price_high':
-        query += ' ORDER BY s.is_verified DESC, p.price DESC';
-        break;
-      case 'newest':
-        query += ' ORDER BY s.is_verified DESC, p.created_at DESC';
-        break;
-      case 'relevance':
-      default:
-        // If search query exists, sort by verified first, then relevance
-        if (q && q.trim()) {
-          query += ` ORDER BY
-            s.is_verified DESC,
-            CASE
-              WHEN LOWER(p.name) LIKE LOWER($${params.length + 1}) THEN 1
-              ELSE 2
-            END,
-            p.created_at DESC
-          `;
-          params.push(`%${q.trim()}%`);
-        } else {
-          query += ' ORDER BY s.is_verified DESC, p.created_at DESC';
-        }
-        break;
-    }
+    res.json({
+      success: true,
+      data: suggestions,
+    });
+  } catch (error) {
+    console.error('Search suggest error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch suggestions',
+      error: error.message,
+    });
+  }
+};
 
-    const result = await db.query(query, params);
+// Most searched marketplace queries this week
+const getTrendingSearches = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+    const searches = await fetchTrendingSearches({ limit });
 
     res.json({
       success: true,
-      data: {
-        products: result.rows,
-        count: result.rows.length,
-        query: q || '',
-      },
+      data: { searches },
     });
   } catch (error) {
-    console.error('Search products error:', error);
+    console.error('Trending searches error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to search products',
+      message: 'Failed to fetch trending searches',
       error: error.message,
     });
   }
@@ -658,9 +774,12 @@ module.exports = {
   createProduct,
   getProducts,
   getProductById,
+  getProductVariants,
   updateProduct,
   deleteProduct,
   getMyProducts,
   getProductsByShopSlug,
   searchProducts,
+  suggestSearch,
+  getTrendingSearches,
 };
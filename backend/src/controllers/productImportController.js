@@ -0,0 +1,103 @@
+const multer = require('multer');
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const productImportService = require('../services/productImportService');
+
+// CSV files are read from memory; 2MB is well over MAX_ROWS rows
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024,
+  },
+  fileFilter: (req, file, cb) => {
+    // Browsers disagree on the CSV mimetype (Windows sends application/vnd.ms-excel), so go by name
+    if (file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  },
+});
+
+// The logged in seller with their shop categories (null if not a seller)
+const getSeller = async (userId) => {
+  const result = await db.query('SELECT id, categories FROM sellers WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+};
+
+const readImportFile = async (req, res) => {
+  const seller = await getSeller(req.user.id);
+  if (!seller) {
+    res.status(403).json({
+      success: false,
+      message: 'Only sellers can import products',
+    });
+    return null;
+  }
+
+  if (!req.file) {
+    res.status(400).json({
+      success: false,
+      message: 'No CSV file provided',
+    });
+    return null;
+  }
+
+  return { seller, text: req.file.buffer.toString('utf8') };
+};
+
+// Dry run: what importing the file would create and update, with each row's errors
+const previewProductImport = async (req, res) => {
+  try {
+    const upload = await readImportFile(req, res);
+    if (!upload) return;
+
+    const plan = await productImportService.planImport(upload.seller, upload.text);
+
+    res.json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error previewing product import', error, { userId: req.user.id });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to read import file',
+    });
+  }
+};
+
+// Create and update products from the file - all rows or none
+const importProducts = async (req, res) => {
+  try {
+    const upload = await readImportFile(req, res);
+    if (!upload) return;
+
+    const result = await productImportService.applyImport(upload.seller, upload.text, req.user.id);
+    const { create, update } = result.summary;
+
+    res.json({
+      success: true,
+      message: `Import complete: ${create} created, ${update} updated`,
+      data: result,
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error importing products', error, { userId: req.user.id });
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to import products',
+      // Row errors, when the file itself was the problem
+      ...(error.plan && { data: error.plan }),
+    });
+  }
+};
+
+module.exports = {
+  importUpload,
+  previewProductImport,
+  importProducts,
+};
@@ -0,0 +1,331 @@
+const db = require('../config/database');
+const { priceOrders } = require('../services/orderService');
+const { validatePromotion, applyPromotions } = require('../services/promotionService');
+
+// Get the seller (id and shop categories) for the logged in user
+const getSeller = async (userId) => {
+  const result = await db.query('SELECT id, categories FROM sellers WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+};
+
+// Products must be the seller's own and categories from their shop
+const checkTargets = async (seller, promotion) => {
+  if (promotion.productIds.length > 0) {
+    const productResult = await db.query(
+      `SELECT COUNT(*) as count FROM products
+       WHERE id = ANY($1::int[]) AND seller_id = $2 AND deleted_at IS NULL`,
+      [promotion.productIds, seller.id]
+    );
+    if (parseInt(productResult.rows[0].count) !== promotion.productIds.length) {
+      return 'Some of the chosen products are not in your shop';
+    }
+  }
+
+  const unknown = promotion.categories.filter(category => !(seller.categories || []).includes(category));
+  if (unknown.length > 0) {
+    return `Category must be one of your shop categories: ${(seller.categories || []).join(', ')}`;
+  }
+
+  return null;
+};
+
+// Another of the seller's promotions already using this code
+const findDuplicateCode = async (sellerId, code, excludeId = null) => {
+  if (!code) {
+    return false;
+  }
+
+  const result = await db.query(
+    `SELECT id FROM promotions
+     WHERE seller_id = $1 AND UPPER(code) = $2 AND ($3::int IS NULL OR id <> $3)`,
+    [sellerId, code, excludeId]
+  );
+  return result.rows.length > 0;
+};
+
+// Get own promotions with how much they've been used
+const getMyPromotions = async (req, res) => {
+  try {
+    const seller = await getSeller(req.user.id);
+    if (!seller) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const [promotionsResult, productsResult] = await Promise.all([
+      db.query(
+        `SELECT
+          p.*,
+          COUNT(r.id) FILTER (WHERE r.status = 'redeemed') as times_used,
+          COALESCE(SUM(r.discount_amount) FILTER (WHERE r.status = 'redeemed'), 0) as total_discount
+        FROM promotions p
+        LEFT JOIN promotion_redemptions r ON r.promotion_id = p.id
+        WHERE p.seller_id = $1
+        GROUP BY p.id
+        ORDER BY p.created_at DESC`,
+        [seller.id]
+      ),
+      db.query(
+        `SELECT id, name, category FROM products
+         WHERE seller_id = $1 AND deleted_at IS NULL
+         ORDER BY name`,
+        [seller.id]
+      ),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        promotions: promotionsResult.rows,
+        products: productsResult.rows,
+        categories: seller.categories || [],
+      },
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotions',
+      error: error.message,
+    });
+  }
+};
+
+// Create a coupon code or automatic promotion
+const createPromotion = async (req, res) => {
+  try {
+    const seller = await getSeller(req.user.id);
+    if (!seller) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const promotion = validatePromotion(req.body);
+
+    const targetError = await checkTargets(seller, promotion);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError,
+      });
+    }
+
+    if (await findDuplicateCode(seller.id, promotion.code)) {
+      return res.status(409).json({
+        success: false,
+        message: `You already have a promotion with code ${promotion.code}`,
+      });
+    }
+
+    const result = await db.query(
+      `INSERT INTO promotions (
+        seller_id, name, code, discount_type, discount_value, max_discount, min_spend,
+        applies_to, product_ids, categories, starts_at, ends_at, usage_limit, per_buyer_limit, is_active
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *`,
+      [
+        seller.id,
+        promotion.name,
+        promotion.code,
+        promotion.discountType,
+        promotion.discountValue,
+        promotion.maxDiscount,
+        promotion.minSpend,
+        promotion.appliesTo,
+        promotion.productIds,
+        promotion.categories,
+        promotion.startsAt,
+        promotion.endsAt,
+        promotion.usageLimit,
+        promotion.perBuyerLimit,
+        promotion.isActive,
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created',
+      data: { promotion: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Create promotion error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to create promotion',
+      error: error.message,
+    });
+  }
+};
+
+// Update a promotion
+const updatePromotion = async (req, res) => {
+  try {
+    const seller = await getSeller(req.user.id);
+    if (!seller) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const promotion = validatePromotion(req.body);
+
+    const targetError = await checkTargets(seller, promotion);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError,
+      });
+    }
+
+    if (await findDuplicateCode(seller.id, promotion.code, req.params.promotionId)) {
+      return res.status(409).json({
+        success: false,
+        message: `You already have a promotion with code ${promotion.code}`,
+      });
+    }
+
+    const result = await db.query(
+      `UPDATE promotions
+       SET name = $1, code = $2, discount_type = $3, discount_value = $4, max_discount = $5,
+           min_spend = $6, applies_to = $7, product_ids = $8, categories = $9, starts_at = $10,
+           ends_at = $11, usage_limit = $12, per_buyer_limit = $13, is_active = $14,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $15 AND seller_id = $16
+       RETURNING *`,
+      [
+        promotion.name,
+        promotion.code,
+        promotion.discountType,
+        promotion.discountValue,
+        promotion.maxDiscount,
+        promotion.minSpend,
+        promotion.appliesTo,
+        promotion.productIds,
+        promotion.categories,
+        promotion.startsAt,
+        promotion.endsAt,
+        promotion.usageLimit,
+        promotion.perBuyerLimit,
+        promotion.isActive,
+        req.params.promotionId,
+        seller.id,
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion updated',
+      data: { promotion: result.rows[0] },
+    });
+  } catch (error) {
+    console.error('Update promotion error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update promotion',
+      error: error.message,
+    });
+  }
+};
+
+// Delete a promotion (orders keep the code they used)
+const deletePromotion = async (req, res) => {
+  try {
+    const seller = await getSeller(req.user.id);
+    if (!seller) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const result = await db.query(
+      'DELETE FROM promotions WHERE id = $1 AND seller_id = $2 RETURNING id',
+      [req.params.promotionId, seller.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted',
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion',
+      error: error.message,
+    });
+  }
+};
+
+// Preview discounts for the cart (no address yet, so free delivery is shown as a flag)
+const quotePromotions = async (req, res) => {
+  try {
+    const { orders, couponCode } = req.body;
+
+    if (!orders || !Array.isArray(orders) || orders.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order data',
+      });
+    }
+
+    const pricedOrders = await priceOrders(orders);
+    const coupon = await applyPromotions(pricedOrders, { buyerId: req.user.id, couponCode });
+
+    const quotes = pricedOrders.map(order => ({
+      sellerId: order.sellerId,
+      subtotal: order.subtotal,
+      discount: order.discount,
+      freeDelivery: order.promotion?.type === 'free_delivery',
+      promotion: order.promotion,
+    }));
+
+    const subtotal = quotes.reduce((sum, quote) => sum + quote.subtotal, 0);
+    const discount = quotes.reduce((sum, quote) => sum + quote.discount, 0);
+
+    res.json({
+      success: true,
+      data: {
+        quotes,
+        subtotal,
+        discount,
+        total: subtotal - discount,
+        coupon,
+      },
+    });
+  } catch (error) {
+    console.error('Quote promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check promotions',
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getMyPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+  quotePromotions,
+};
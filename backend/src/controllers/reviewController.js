@@ -1,4 +1,5 @@
 const db = require('../config/database');
+const notificationService = require('../services/notificationService');
 
 // Create a review
 const createReview = async (req, res) => {
@@ -362,7 +363,7 @@ const markReviewHelpful = async (req, res) => {
 // Seller response to review
 const addSellerResponse = async (req, res) => {
   try {
-    const sellerId = req.user.id;
+    const userId = req.user.id;
     const { reviewId } = req.params;
     const { response } = req.body;
 
@@ -375,11 +376,12 @@ const addSellerResponse = async (req, res) => {
 
     // Check if review is for seller's product
     const reviewCheck = await db.query(
-      `SELECT r.id
+      `SELECT r.id, r.buyer_id, p.name as product_name, p.slug as product_slug, s.shop_name, s.shop_slug
        FROM reviews r
        JOIN products p ON r.product_id = p.id
-       WHERE r.id = $1 AND p.seller_id = $2`,
-      [reviewId, sellerId]
+       JOIN sellers s ON p.seller_id = s.id
+       WHERE r.id = $1 AND s.user_id = $2`,
+      [reviewId, userId]
     );
 
     if (reviewCheck.rows.length === 0) {
@@ -400,6 +402,16 @@ const addSellerResponse = async (req, res) => {
       [response, reviewId]
     );
 
+    const review = reviewCheck.rows[0];
+    await notificationService.notify([{
+      userId: review.buyer_id,
+      type: 'review_response',
+      title: `${review.shop_name} replied to your review`,
+      body: `On ${review.product_name}`,
+      link: `/shop/${review.shop_slug}/product/${review.product_slug}`,
+      data: { reviewId: review.id },
+    }]);
+
     res.json({
       success: true,
       message: 'Response added successfully',
@@ -1,5 +1,7 @@
 const db = require('../config/database');
 const axios = require('axios');
+const ledgerService = require('../services/ledgerService');
+const { renderStatementCsv, renderStatementPdf } = require('../services/statementService');
 
 // Paystack API configuration
 const PAYSTACK_SECRET_KEY = process.env.PAYSTACK_SECRET_KEY;
@@ -328,10 +330,92 @@ const getAllSellers = async (req, res) => {
   }
 };
 
+// Get own seller ledger (sales, fees, refunds, adjustments, payouts) with running balance
+const getMyLedger = async (req, res) => {
+  try {
+    const sellerResult = await db.query(
+      'SELECT id FROM sellers WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    if (sellerResult.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const { page, limit, type, from, to } = req.query;
+    const ledger = await ledgerService.getLedger(sellerResult.rows[0].id, { page, limit, type, from, to });
+
+    res.json({
+      success: true,
+      data: ledger,
+    });
+  } catch (error) {
+    console.error('Get seller ledger error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to fetch ledger',
+      error: error.message,
+    });
+  }
+};
+
+// Download a monthly statement as CSV or PDF
+const downloadStatement = async (req, res) => {
+  try {
+    const { month } = req.params;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!['csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or pdf',
+      });
+    }
+
+    const sellerResult = await db.query(
+      'SELECT id, shop_name FROM sellers WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    if (sellerResult.rows.length === 0) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not a seller',
+      });
+    }
+
+    const seller = sellerResult.rows[0];
+    const statement = await ledgerService.getMonthlyStatement(seller.id, month);
+    const filename = `buytree-statement-${month}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'pdf') {
+      res.type('application/pdf');
+      return res.send(await renderStatementPdf(statement, seller));
+    }
+
+    res.type('text/csv');
+    res.send(renderStatementCsv(statement, seller));
+  } catch (error) {
+    console.error('Download statement error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to generate statement',
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   registerSeller,
   getSellerProfile,
   getSellerBySlug,
   getAllSellers,
   getBanks,
+  getMyLedger,
+  downloadStatement,
 };
@@ -0,0 +1,109 @@
+const { logger } = require('../utils/logger');
+const twoFactorService = require('../services/twoFactorService');
+
+const sendError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+  });
+};
+
+// Whether 2FA is on, required, and how many recovery codes are left
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        sessionVerified: req.twoFactorVerified,
+      },
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error fetching two-factor status', error, { userId: req.user.id });
+    }
+    sendError(res, error, 'Failed to fetch two-factor status');
+  }
+};
+
+// Secret and QR code for the authenticator app (body: password)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const enrolment = await twoFactorService.startEnrolment(req.user.id, req.body.password);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter the code it shows',
+      data: enrolment,
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error starting two-factor setup', error, { userId: req.user.id });
+    }
+    sendError(res, error, 'Failed to start two-factor setup');
+  }
+};
+
+// Switch 2FA on with the first code from the app (body: code)
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.confirmEnrolment(req.user.id, req.sessionId, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is on. Save your recovery codes somewhere safe - they are only shown once.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error confirming two-factor setup', error, { userId: req.user.id });
+    }
+    sendError(res, error, 'Failed to turn on two-factor authentication');
+  }
+};
+
+// Replace the recovery codes (body: code)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes created. The old ones no longer work.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error regenerating recovery codes', error, { userId: req.user.id });
+    }
+    sendError(res, error, 'Failed to create recovery codes');
+  }
+};
+
+// Switch 2FA off (body: password, code)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    await twoFactorService.disable(req.user.id, password, code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication is off',
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Error disabling two-factor authentication', error, { userId: req.user.id });
+    }
+    sendError(res, error, 'Failed to turn off two-factor authentication');
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
@@ -1,5 +1,5 @@
-const cloudinary = require('../config/cloudinary');
 const multer = require('multer');
+const { uploadProductImage } = require('../services/imageUploadService');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -29,32 +29,12 @@ const uploadImage = async (req, res) => {
     }
 
     // Upload to Cloudinary
-    const result = await new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          folder: 'buytree/products',
-          transformation: [
-            { width: 800, height: 800, crop: 'limit' },
-            { quality: 'auto:good' },
-            { fetch_format: 'auto' },
-          ],
-        },
-        (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        }
-      );
-
-      uploadStream.end(req.file.buffer);
-    });
+    const image = await uploadProductImage(req.file.buffer);
 
     res.json({
       success: true,
       message: 'Image uploaded successfully',
-      data: {
-        url: result.secure_url,
-        publicId: result.public_id,
-      },
+      data: image,
     });
   } catch (error) {
     console.error('Upload image error:', error);
@@ -84,33 +64,7 @@ const uploadMultipleImages = async (req, res) => {
     }
 
     // Upload all images to Cloudinary
-    const uploadPromises = req.files.map((file) => {
-      return new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            folder: 'buytree/products',
-            transformation: [
-              { width: 800, height: 800, crop: 'limit' },
-              { quality: 'auto:good' },
-              { fetch_format: 'auto' },
-            ],
-          },
-          (error, result) => {
-            if (error) reject(error);
-            else resolve(result);
-          }
-        );
-
-        uploadStream.end(file.buffer);
-      });
-    });
-
-    const results = await Promise.all(uploadPromises);
-
-    const urls = results.map((result) => ({
-      url: result.secure_url,
-      publicId: result.public_id,
-    }));
+    const urls = await Promise.all(req.files.map((file) => uploadProductImage(file.buffer)));
 
     res.json({
       success: true,
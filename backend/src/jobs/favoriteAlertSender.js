@@ -0,0 +1,67 @@
+/**
+ * Favorite Alert Sender
+ *
+ * Sends queued back-in-stock and price-drop alerts (see favoriteAlertService).
+ * Scheduled every five minutes by jobs/index.js, or run once from the command line:
+ *
+ *   npm run favorite-alerts
+ */
+require('dotenv').config();
+const db = require('../config/database');
+const { sendFavoriteAlerts } = require('../services/favoriteAlertService');
+const { logger } = require('../utils/logger');
+
+const jobLogger = logger.child('FavoriteAlertSender');
+
+// Session-level advisory lock so overlapping runs don't email anyone twice
+const LOCK_KEY = 'buytree_favorite_alert_sender';
+
+/**
+ * Run the sender once
+ * @returns {Promise<object|null>} run summary, or null if another run holds the lock
+ */
+const runFavoriteAlertSender = async () => {
+  const lockClient = await db.connect();
+
+  try {
+    const lockResult = await lockClient.query(
+      'SELECT pg_try_advisory_lock(hashtext($1)) as locked',
+      [LOCK_KEY]
+    );
+
+    if (!lockResult.rows[0].locked) {
+      jobLogger.debug('Favorite alerts skipped - another run is in progress');
+      return null;
+    }
+
+    try {
+      return await sendFavoriteAlerts();
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_KEY]);
+    }
+  } finally {
+    lockClient.release();
+  }
+};
+
+if (require.main === module) {
+  (async () => {
+    let exitCode = 0;
+
+    try {
+      const summary = await runFavoriteAlertSender();
+      console.log(JSON.stringify(summary, null, 2));
+    } catch (error) {
+      console.error('❌ Favorite alerts failed:', error);
+      exitCode = 1;
+    } finally {
+      await db.end();
+    }
+
+    process.exit(exitCode);
+  })();
+}
+
+module.exports = {
+  runFavoriteAlertSender,
+};
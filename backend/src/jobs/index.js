@@ -0,0 +1,92 @@
+const cron = require('node-cron');
+const { runPayoutProcessor } = require('./payoutProcessor');
+const { runReservationSweeper } = require('./reservationSweeper');
+const { runFavoriteAlertSender } = require('./favoriteAlertSender');
+const { pruneSearchLog } = require('../services/searchLogService');
+const { pruneSessions } = require('../services/sessionService');
+const { pruneVerificationTokens } = require('../services/emailVerificationService');
+const { prunePhoneCodes } = require('../services/phoneVerificationService');
+const { pruneRateLimitHits } = require('../services/rateLimitStore');
+const { pruneLoginFailures } = require('../services/loginLockoutService');
+const { logger } = require('../utils/logger');
+
+const jobsLogger = logger.child('Jobs');
+
+// All schedules run in Lagos time
+const TIMEZONE = 'Africa/Lagos';
+
+/**
+ * Start scheduled background jobs
+ * Set ENABLE_JOBS=false on extra app instances so only one runs them.
+ */
+const startJobs = () => {
+  if (process.env.ENABLE_JOBS === 'false') {
+    jobsLogger.info('Background jobs disabled');
+    return;
+  }
+
+  // Seller payouts - daily at 2 AM
+  cron.schedule(process.env.PAYOUT_CRON || '0 2 * * *', async () => {
+    try {
+      await runPayoutProcessor();
+    } catch (error) {
+      jobsLogger.error('Scheduled payout run failed', error);
+    }
+  }, { timezone: TIMEZONE });
+
+  // Release stock held by unpaid checkouts - every minute
+  cron.schedule(process.env.RESERVATION_SWEEP_CRON || '* * * * *', async () => {
+    try {
+      await runReservationSweeper();
+    } catch (error) {
+      jobsLogger.error('Scheduled reservation sweep failed', error);
+    }
+  }, { timezone: TIMEZONE });
+
+  // Back-in-stock and price-drop alerts for favourites - every 5 minutes
+  cron.schedule(process.env.FAVORITE_ALERT_CRON || '*/5 * * * *', async () => {
+    try {
+      await runFavoriteAlertSender();
+    } catch (error) {
+      jobsLogger.error('Scheduled favorite alerts failed', error);
+    }
+  }, { timezone: TIMEZONE });
+
+  // Drop old raw search log rows - daily at 3 AM
+  cron.schedule(process.env.SEARCH_LOG_PRUNE_CRON || '0 3 * * *', async () => {
+    try {
+      await pruneSearchLog();
+    } catch (error) {
+      jobsLogger.error('Scheduled search log prune failed', error);
+    }
+  }, { timezone: TIMEZONE });
+
+  // Drop expired and long-revoked login sessions, old email links and phone codes, and stale unknown-login counts - daily at 3:30 AM
+  cron.schedule(process.env.SESSION_PRUNE_CRON || '30 3 * * *', async () => {
+    try {
+      await pruneSessions();
+      await pruneVerificationTokens();
+      await prunePhoneCodes();
+      await pruneLoginFailures();
+    } catch (error) {
+      jobsLogger.error('Scheduled session prune failed', error);
+    }
+  }, { timezone: TIMEZONE });
+
+  // Drop finished rate-limit windows (RATE_LIMIT_STORE=postgres) - hourly
+  if (process.env.RATE_LIMIT_STORE === 'postgres') {
+    cron.schedule('0 * * * *', async () => {
+      try {
+        await pruneRateLimitHits();
+      } catch (error) {
+        jobsLogger.error('Scheduled rate limit prune failed', error);
+      }
+    }, { timezone: TIMEZONE });
+  }
+
+  jobsLogger.info('Background jobs scheduled');
+};
+
+module.exports = {
+  startJobs,
+};
@@ -0,0 +1,90 @@
+/**
+ * T+1 Payout Processor
+ *
+ * Pays sellers for orders delivered at least a day ago (see payoutService).
+ * Scheduled daily by jobs/index.js, or run once from the command line:
+ *
+ *   npm run payouts                 # pay out everything due now
+ *   npm run payouts -- --dry-run    # show the batches without paying
+ *   npm run payouts -- --as-of=2025-01-31T02:00:00Z
+ */
+require('dotenv').config();
+const db = require('../config/database');
+const { processDuePayouts } = require('../services/payoutService');
+const { logger } = require('../utils/logger');
+
+const jobLogger = logger.child('PayoutProcessor');
+
+// Session-level advisory lock so overlapping runs (cron + CLI) never double pay
+const LOCK_KEY = 'buytree_payout_processor';
+
+/**
+ * Run the payout processor once
+ * @returns {Promise<object|null>} run summary, or null if another run holds the lock
+ */
+const runPayoutProcessor = async (options = {}) => {
+  const lockClient = await db.connect();
+
+  try {
+    const lockResult = await lockClient.query(
+      'SELECT pg_try_advisory_lock(hashtext($1)) as locked',
+      [LOCK_KEY]
+    );
+
+    if (!lockResult.rows[0].locked) {
+      jobLogger.warn('Payout run skipped - another run is in progress');
+      return null;
+    }
+
+    try {
+      return await processDuePayouts(options);
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_KEY]);
+    }
+  } finally {
+    lockClient.release();
+  }
+};
+
+const parseArgs = (argv) => {
+  const options = {};
+
+  argv.forEach(arg => {
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg.startsWith('--as-of=')) {
+      const asOf = new Date(arg.slice('--as-of='.length));
+      if (isNaN(asOf.getTime())) {
+        throw new Error(`Invalid --as-of date: ${arg}`);
+      }
+      options.asOf = asOf;
+    }
+  });
+
+  return options;
+};
+
+if (require.main === module) {
+  (async () => {
+    let exitCode = 0;
+
+    try {
+      const summary = await runPayoutProcessor(parseArgs(process.argv.slice(2)));
+      console.log(JSON.stringify(summary, null, 2));
+      if (summary && summary.failed > 0) {
+        exitCode = 1;
+      }
+    } catch (error) {
+      console.error('❌ Payout run failed:', error);
+      exitCode = 1;
+    } finally {
+      await db.end();
+    }
+
+    process.exit(exitCode);
+  })();
+}
+
+module.exports = {
+  runPayoutProcessor,
+};
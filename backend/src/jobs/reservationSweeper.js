@@ -0,0 +1,87 @@
+/**
+ * Stock Reservation Sweeper
+ *
+ * Returns stock held by checkouts that were never paid (see reservationService).
+ * Scheduled every minute by jobs/index.js, or run once from the command line:
+ *
+ *   npm run reservations
+ *   npm run reservations -- --as-of=2025-01-31T02:00:00Z
+ */
+require('dotenv').config();
+const db = require('../config/database');
+const { releaseExpiredReservations } = require('../services/reservationService');
+const { logger } = require('../utils/logger');
+
+const jobLogger = logger.child('ReservationSweeper');
+
+// Session-level advisory lock so overlapping runs don't check the same checkouts
+const LOCK_KEY = 'buytree_reservation_sweeper';
+
+/**
+ * Run the sweeper once
+ * @returns {Promise<object|null>} run summary, or null if another run holds the lock
+ */
+const runReservationSweeper = async (options = {}) => {
+  const lockClient = await db.connect();
+
+  try {
+    const lockResult = await lockClient.query(
+      'SELECT pg_try_advisory_lock(hashtext($1)) as locked',
+      [LOCK_KEY]
+    );
+
+    if (!lockResult.rows[0].locked) {
+      jobLogger.debug('Reservation sweep skipped - another run is in progress');
+      return null;
+    }
+
+    try {
+      return await releaseExpiredReservations(options);
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_KEY]);
+    }
+  } finally {
+    lockClient.release();
+  }
+};
+
+const parseArgs = (argv) => {
+  const options = {};
+
+  argv.forEach(arg => {
+    if (arg.startsWith('--as-of=')) {
+      const asOf = new Date(arg.slice('--as-of='.length));
+      if (isNaN(asOf.getTime())) {
+        throw new Error(`Invalid --as-of date: ${arg}`);
+      }
+      options.asOf = asOf;
+    }
+  });
+
+  return options;
+};
+
+if (require.main === module) {
+  (async () => {
+    let exitCode = 0;
+
+    try {
+      const summary = await runReservationSweeper(parseArgs(process.argv.slice(2)));
+      console.log(JSON.stringify(summary, null, 2));
+      if (summary && summary.failed > 0) {
+        exitCode = 1;
+      }
+    } catch (error) {
+      console.error('❌ Reservation sweep failed:', error);
+      exitCode = 1;
+    } finally {
+      await db.end();
+    }
+
+    process.exit(exitCode);
+  })();
+}
+
+module.exports = {
+  runReservationSweeper,
+};
@@ -15,20 +15,35 @@ const authenticateToken = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Get user from database
+    // Only access tokens, which name a login session (see sessionService)
+    if (decoded.type !== 'access' || !decoded.sid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
+    // Get user from database, as long as the session hasn't been revoked
     const result = await db.query(
-      'SELECT id, email, first_name, last_name, phone, role FROM users WHERE id = $1',
-      [decoded.id]
+      `SELECT u.id, u.email, u.first_name, u.last_name, u.phone, u.role, u.email_verified_at,
+              s.two_factor_verified_at
+       FROM users u
+       JOIN auth_sessions s ON s.user_id = u.id
+       WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL`,
+      [decoded.id, decoded.sid]
     );
 
     if (result.rows.length === 0) {
       return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: 'Session expired. Please log in again.'
       });
     }
 
-    req.user = result.rows[0];
+    const { two_factor_verified_at: twoFactorVerifiedAt, ...user } = result.rows[0];
+    req.user = user;
+    req.sessionId = decoded.sid;
+    req.twoFactorVerified = Boolean(twoFactorVerifiedAt);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -51,4 +66,46 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
+// What unverified accounts can't do until they verify their email, set with
+// EMAIL_VERIFICATION_REQUIRED_FOR (comma-separated, or 'none')
+const VERIFICATION_ACTIONS = {
+  seller: 'Please verify your email address before opening a shop.',
+  order: 'Please verify your email address before placing an order.',
+};
+
+const verificationRequiredFor = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || 'seller,order')
+  .split(',')
+  .map(action => action.trim())
+  .filter(action => action && action !== 'none');
+
+verificationRequiredFor.forEach(action => {
+  if (!VERIFICATION_ACTIONS[action]) {
+    throw new Error(`EMAIL_VERIFICATION_REQUIRED_FOR: unknown action ${action}`);
+  }
+});
+
+/**
+ * Block users who haven't verified their email, when the policy covers this action
+ * Runs after authenticateToken.
+ *
+ * @param {string} action - A key of VERIFICATION_ACTIONS
+ */
+const requireVerifiedEmail = (action) => {
+  if (!VERIFICATION_ACTIONS[action]) {
+    throw new Error(`Unknown email verification action: ${action}`);
+  }
+
+  return (req, res, next) => {
+    if (!verificationRequiredFor.includes(action) || req.user.email_verified_at) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: VERIFICATION_ACTIONS[action],
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  };
+};
+
+module.exports = { authenticateToken, requireVerifiedEmail };
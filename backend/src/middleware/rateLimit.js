@@ -0,0 +1,157 @@
+const rateLimit = require('express-rate-limit');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createStore } = require('../services/rateLimitStore');
+const { logger } = require('../utils/logger');
+
+const rateLimitLogger = logger.child('RateLimit');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Rate-limit policies
+ *
+ * Each policy counts requests over a window against one or more keys, and a
+ * request over any of its limits gets a 429:
+ * - ip: the client's IP address
+ * - user: the logged-in user (the route must run authenticateToken first)
+ * - client: the user when the request carries a valid access token,
+ *   otherwise the IP - so students behind one campus network don't share a limit
+ */
+const POLICIES = {
+  general: {
+    windowMs: 15 * MINUTE,
+    limits: { client: 600 },
+    message: 'Too many requests, please try again later.',
+  },
+  // Per IP; loginLockoutService also locks an account after repeated wrong passwords
+  auth: {
+    windowMs: 15 * MINUTE,
+    limits: { ip: 100 },
+    message: 'Too many sign-in attempts from this network, please try again in 15 minutes.',
+  },
+  passwordReset: {
+    windowMs: 60 * MINUTE,
+    limits: { ip: 10 },
+    message: 'Too many password reset requests, please try again in an hour.',
+  },
+  orderCreation: {
+    windowMs: 10 * MINUTE,
+    limits: { user: 10, ip: 30 },
+    message: 'Too many checkout attempts, please wait a few minutes and try again.',
+  },
+  upload: {
+    windowMs: 60 * MINUTE,
+    limits: { user: 100, ip: 200 },
+    message: 'Too many uploads, please try again later.',
+  },
+  search: {
+    windowMs: MINUTE,
+    limits: { ip: 120 },
+    message: 'Too many searches, please slow down.',
+  },
+};
+
+// Never limited, whatever the policy
+const ALLOWLISTED_PATHS = ['/api/health'];
+
+const allowlistedIps = (process.env.RATE_LIMIT_ALLOWLIST || '')
+  .split(',')
+  .map(ip => ip.trim())
+  .filter(Boolean);
+
+// Load tests and CI runs against a deployed API send this in X-RateLimit-Bypass
+const bypassToken = process.env.RATE_LIMIT_BYPASS_TOKEN;
+
+const hasBypassToken = (req) => {
+  const sent = req.get('x-ratelimit-bypass');
+  if (!bypassToken || !sent || sent.length !== bypassToken.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(bypassToken));
+};
+
+const isAllowlisted = (req) => {
+  return process.env.NODE_ENV === 'test'
+    || ALLOWLISTED_PATHS.includes(req.originalUrl.split('?')[0])
+    || allowlistedIps.includes(req.ip)
+    || hasBypassToken(req);
+};
+
+// User id from the access token, without the database lookup authenticateToken does
+const tokenUserId = (req) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === 'access' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const KEY_GENERATORS = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  client: (req) => {
+    const userId = tokenUserId(req);
+    return userId ? `user:${userId}` : `ip:${req.ip}`;
+  },
+};
+
+const buildLimiter = (name, policy, keyType, limit) => {
+  return rateLimit({
+    windowMs: policy.windowMs,
+    limit,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: KEY_GENERATORS[keyType],
+    skip: isAllowlisted,
+    store: createStore(`${name}:${keyType}:`),
+    passOnStoreError: true, // A store outage shouldn't take the API down with it
+    handler: (req, res) => {
+      rateLimitLogger.warn('Rate limit exceeded', {
+        policy: name,
+        keyType,
+        ip: req.ip,
+        userId: req.user?.id,
+        path: req.originalUrl,
+      });
+      res.status(429).json({
+        success: false,
+        message: policy.message,
+      });
+    },
+  });
+};
+
+// One set of limiters per policy, so every route using a policy shares its counters
+const limiters = {};
+
+/**
+ * Middleware enforcing a rate-limit policy
+ *
+ * @param {string} name - A key of POLICIES
+ * @returns {Function[]} One limiter per key the policy counts against
+ */
+const rateLimitPolicy = (name) => {
+  const policy = POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  if (!limiters[name]) {
+    limiters[name] = Object.entries(policy.limits).map(([keyType, limit]) =>
+      buildLimiter(name, policy, keyType, limit)
+    );
+  }
+
+  return limiters[name];
+};
+
+module.exports = {
+  POLICIES,
+  rateLimitPolicy,
+};
@@ -0,0 +1,45 @@
+/**
+ * Search Logging Middleware
+ *
+ * Records searches for autocomplete and trending searches. Goes in front of
+ * cacheMiddleware so searches answered from the cache are counted too.
+ */
+
+const { recordSearch } = require('../services/searchLogService');
+const { logger } = require('../utils/logger');
+
+const searchLogger = logger.child('SearchLog');
+
+/**
+ * @param {function(req): ({query, shopSlug}|null)} getSearch - What was searched
+ *   for, or null when the request isn't a search worth logging
+ */
+const logSearch = (getSearch) => {
+  return (req, res, next) => {
+    const search = getSearch(req);
+    if (!search || !search.query) {
+      return next();
+    }
+
+    const originalJson = res.json;
+    res.json = function (body) {
+      if (res.statusCode === 200 && body && body.success) {
+        const data = body.data || {};
+        const resultsCount = data.total ?? data.count ?? 0;
+
+        // Don't hold up the response for the log
+        recordSearch({ ...search, resultsCount }).catch(error => {
+          searchLogger.warn('Failed to record search', { error: error.message });
+        });
+      }
+
+      return originalJson.call(this, body);
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  logSearch,
+};
@@ -0,0 +1,29 @@
+-- Migration 011: Paystack webhook events
+-- Audit log of every signed webhook Paystack delivers, plus the transfer
+-- reference used to match transfer.* events back to seller payouts
+
+CREATE TABLE IF NOT EXISTS paystack_webhook_events (
+  id SERIAL PRIMARY KEY,
+  event VARCHAR(100) NOT NULL,
+  reference VARCHAR(255),
+  payload JSONB NOT NULL,
+  processed_at TIMESTAMP,
+  error TEXT,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_paystack_webhook_events_reference ON paystack_webhook_events(reference);
+CREATE INDEX IF NOT EXISTS idx_paystack_webhook_events_received_at ON paystack_webhook_events(received_at DESC);
+
+-- Transfer reference for seller payouts (matched by transfer.success / transfer.failed)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payout_reference VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_orders_payout_reference ON orders(payout_reference);
+
+COMMENT ON TABLE paystack_webhook_events IS 'Signed Paystack webhook deliveries and their processing outcome';
+COMMENT ON COLUMN orders.payout_reference IS 'Paystack transfer reference for the seller payout of this order';
+
+-- Rollback script (commented out):
+-- DROP INDEX IF EXISTS idx_orders_payout_reference;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS payout_reference;
+-- DROP TABLE IF EXISTS paystack_webhook_events;
@@ -0,0 +1,40 @@
+-- Migration 012: Seller payout batches
+-- One batch per seller per payout run. A batch pays out every due order for
+-- the seller in a single Paystack transfer, net of any seller_balances debits.
+
+CREATE TABLE IF NOT EXISTS payout_batches (
+  id SERIAL PRIMARY KEY,
+  seller_id INTEGER NOT NULL REFERENCES sellers(id),
+  gross_amount DECIMAL(12, 2) NOT NULL,      -- Sum of orders.seller_amount
+  balance_adjustment DECIMAL(12, 2) NOT NULL DEFAULT 0, -- Sum of settled seller_balances (negative = debit)
+  net_amount DECIMAL(12, 2) NOT NULL,        -- Amount actually transferred
+  order_count INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing', -- processing, completed, failed, offset
+  transfer_reference VARCHAR(255) UNIQUE,
+  transfer_code VARCHAR(255),
+  failure_reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_batches_seller_id ON payout_batches(seller_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payout_batches_status ON payout_batches(status);
+
+-- Link orders and balance entries to the batch that settled them
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payout_batch_id INTEGER REFERENCES payout_batches(id);
+ALTER TABLE seller_balances ADD COLUMN IF NOT EXISTS payout_batch_id INTEGER REFERENCES payout_batches(id);
+
+CREATE INDEX IF NOT EXISTS idx_orders_payout_due ON orders(payout_status, payout_date);
+CREATE INDEX IF NOT EXISTS idx_seller_balances_unsettled ON seller_balances(seller_id) WHERE payout_batch_id IS NULL;
+
+-- Paystack transfer recipient for each seller's bank account
+ALTER TABLE sellers ADD COLUMN IF NOT EXISTS paystack_recipient_code VARCHAR(255);
+
+COMMENT ON TABLE payout_batches IS 'T+1 seller payouts, one Paystack transfer per seller per run';
+COMMENT ON COLUMN seller_balances.payout_batch_id IS 'Payout batch that netted this entry; NULL while outstanding';
+
+-- Rollback script (commented out):
+-- ALTER TABLE sellers DROP COLUMN IF EXISTS paystack_recipient_code;
+-- ALTER TABLE seller_balances DROP COLUMN IF EXISTS payout_batch_id;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS payout_batch_id;
+-- DROP TABLE IF EXISTS payout_batches;
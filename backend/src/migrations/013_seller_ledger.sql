@@ -0,0 +1,112 @@
+-- Migration 013: Seller ledger
+-- Read-only double-entry view of every money movement for a seller, built from
+-- orders, cancellations, seller_balances and payout_batches. A positive running
+-- balance is what BuyTree owes the seller.
+
+-- Mark the seller_balances rows the payout processor writes when debits exceed
+-- a payout - they restate debt already in the ledger, so the ledger skips them
+ALTER TABLE seller_balances ADD COLUMN IF NOT EXISTS is_carry_forward BOOLEAN DEFAULT FALSE;
+
+UPDATE seller_balances
+SET is_carry_forward = TRUE
+WHERE reason LIKE 'Carried forward from payout batch #%';
+
+CREATE OR REPLACE VIEW seller_ledger AS
+-- Sale credit: the full order amount paid by the buyer
+SELECT
+  o.seller_id,
+  'sale' as entry_type,
+  o.id as order_id,
+  NULL::integer as payout_batch_id,
+  'Sale - order ' || o.order_number as description,
+  o.total_amount as credit,
+  0::decimal(12, 2) as debit,
+  o.created_at as occurred_at
+FROM orders o
+WHERE o.payment_status IN ('paid', 'refund_pending', 'refunded', 'partially_refunded')
+
+UNION ALL
+
+-- Platform fee on each sale
+SELECT
+  o.seller_id,
+  'platform_fee',
+  o.id,
+  NULL,
+  'Platform fee - order ' || o.order_number,
+  0,
+  o.platform_fee,
+  o.created_at
+FROM orders o
+WHERE o.payment_status IN ('paid', 'refund_pending', 'refunded', 'partially_refunded')
+
+UNION ALL
+
+-- Refund debit when a paid order is cancelled
+SELECT
+  o.seller_id,
+  'refund',
+  o.id,
+  NULL,
+  'Refund - cancelled order ' || o.order_number,
+  0,
+  o.total_amount,
+  oc.created_at
+FROM orders o
+JOIN order_cancellations oc ON oc.order_id = o.id
+WHERE o.status = 'cancelled'
+  AND o.payment_status IN ('paid', 'refund_pending', 'refunded')
+
+UNION ALL
+
+-- Platform fee returned on a cancelled order
+SELECT
+  o.seller_id,
+  'platform_fee',
+  o.id,
+  NULL,
+  'Platform fee reversal - cancelled order ' || o.order_number,
+  o.platform_fee,
+  0,
+  oc.created_at
+FROM orders o
+JOIN order_cancellations oc ON oc.order_id = o.id
+WHERE o.status = 'cancelled'
+  AND o.payment_status IN ('paid', 'refund_pending', 'refunded')
+
+UNION ALL
+
+-- Dispute refunds and other manual balance adjustments
+SELECT
+  sb.seller_id,
+  'dispute_adjustment',
+  sb.order_id,
+  NULL,
+  COALESCE(sb.reason, 'Balance adjustment'),
+  GREATEST(sb.amount, 0),
+  GREATEST(-sb.amount, 0),
+  sb.created_at
+FROM seller_balances sb
+WHERE sb.is_carry_forward IS NOT TRUE
+
+UNION ALL
+
+-- Money sent to the seller's bank account
+SELECT
+  pb.seller_id,
+  'payout',
+  NULL,
+  pb.id,
+  'Payout #' || pb.id || CASE WHEN pb.status = 'processing' THEN ' (processing)' ELSE '' END,
+  0,
+  pb.net_amount,
+  pb.created_at
+FROM payout_batches pb
+WHERE pb.status IN ('processing', 'completed')
+  AND pb.net_amount > 0;
+
+COMMENT ON VIEW seller_ledger IS 'Double-entry seller ledger: sales, platform fees, refunds, dispute adjustments and payouts';
+
+-- Rollback script (commented out):
+-- DROP VIEW IF EXISTS seller_ledger;
+-- ALTER TABLE seller_balances DROP COLUMN IF EXISTS is_carry_forward;
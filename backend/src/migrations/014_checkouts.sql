@@ -0,0 +1,143 @@
+-- Migration 014: Multi-shop checkouts
+-- One checkout (one Paystack transaction) can now pay for orders from several
+-- shops. Each seller still gets their own orders row, linked to the checkout.
+
+CREATE TABLE IF NOT EXISTS checkouts (
+  id SERIAL PRIMARY KEY,
+  buyer_id INTEGER NOT NULL REFERENCES users(id),
+  paystack_reference VARCHAR(255) NOT NULL UNIQUE,
+  total_amount DECIMAL(12, 2) NOT NULL,
+  platform_fee DECIMAL(12, 2) NOT NULL,
+  seller_count INTEGER NOT NULL,
+  split JSONB,                               -- Paystack split sent with the transaction (NULL = no split)
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, paid
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  paid_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_checkouts_buyer_id ON checkouts(buyer_id, created_at DESC);
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS checkout_id INTEGER REFERENCES checkouts(id);
+-- Seller's share went straight to their Paystack subaccount, so the payout
+-- processor must not transfer it again
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS settled_by_split BOOLEAN DEFAULT FALSE;
+
+-- Orders from one checkout share the Paystack reference
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_paystack_reference_key;
+CREATE INDEX IF NOT EXISTS idx_orders_paystack_reference ON orders(paystack_reference);
+CREATE INDEX IF NOT EXISTS idx_orders_checkout_id ON orders(checkout_id);
+
+-- Ledger: split-settled orders are paid out by Paystack at payment time
+CREATE OR REPLACE VIEW seller_ledger AS
+SELECT
+  o.seller_id,
+  'sale' as entry_type,
+  o.id as order_id,
+  NULL::integer as payout_batch_id,
+  'Sale - order ' || o.order_number as description,
+  o.total_amount as credit,
+  0::decimal(12, 2) as debit,
+  o.created_at as occurred_at
+FROM orders o
+WHERE o.payment_status IN ('paid', 'refund_pending', 'refunded', 'partially_refunded')
+
+UNION ALL
+
+SELECT
+  o.seller_id,
+  'platform_fee',
+  o.id,
+  NULL,
+  'Platform fee - order ' || o.order_number,
+  0,
+  o.platform_fee,
+  o.created_at
+FROM orders o
+WHERE o.payment_status IN ('paid', 'refund_pending', 'refunded', 'partially_refunded')
+
+UNION ALL
+
+SELECT
+  o.seller_id,
+  'refund',
+  o.id,
+  NULL,
+  'Refund - cancelled order ' || o.order_number,
+  0,
+  o.total_amount,
+  oc.created_at
+FROM orders o
+JOIN order_cancellations oc ON oc.order_id = o.id
+WHERE o.status = 'cancelled'
+  AND o.payment_status IN ('paid', 'refund_pending', 'refunded')
+
+UNION ALL
+
+SELECT
+  o.seller_id,
+  'platform_fee',
+  o.id,
+  NULL,
+  'Platform fee reversal - cancelled order ' || o.order_number,
+  o.platform_fee,
+  0,
+  oc.created_at
+FROM orders o
+JOIN order_cancellations oc ON oc.order_id = o.id
+WHERE o.status = 'cancelled'
+  AND o.payment_status IN ('paid', 'refund_pending', 'refunded')
+
+UNION ALL
+
+SELECT
+  sb.seller_id,
+  'dispute_adjustment',
+  sb.order_id,
+  NULL,
+  COALESCE(sb.reason, 'Balance adjustment'),
+  GREATEST(sb.amount, 0),
+  GREATEST(-sb.amount, 0),
+  sb.created_at
+FROM seller_balances sb
+WHERE sb.is_carry_forward IS NOT TRUE
+
+UNION ALL
+
+SELECT
+  pb.seller_id,
+  'payout',
+  NULL,
+  pb.id,
+  'Payout #' || pb.id || CASE WHEN pb.status = 'processing' THEN ' (processing)' ELSE '' END,
+  0,
+  pb.net_amount,
+  pb.created_at
+FROM payout_batches pb
+WHERE pb.status IN ('processing', 'completed')
+  AND pb.net_amount > 0
+
+UNION ALL
+
+-- Seller's share settled to their subaccount by the Paystack split
+SELECT
+  o.seller_id,
+  'payout',
+  o.id,
+  NULL,
+  'Paystack split settlement - order ' || o.order_number,
+  0,
+  o.seller_amount,
+  o.created_at
+FROM orders o
+WHERE o.settled_by_split = TRUE
+  AND o.payment_status IN ('paid', 'refund_pending', 'refunded', 'partially_refunded');
+
+COMMENT ON TABLE checkouts IS 'One Paystack transaction paying for one or more seller orders';
+
+-- Rollback script (commented out):
+-- (re-run 013_seller_ledger.sql to restore the previous seller_ledger view)
+-- DROP INDEX IF EXISTS idx_orders_checkout_id;
+-- DROP INDEX IF EXISTS idx_orders_paystack_reference;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS settled_by_split;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS checkout_id;
+-- DROP TABLE IF EXISTS checkouts;
@@ -0,0 +1,43 @@
+-- Migration 015: Seller delivery zones and fees
+-- Sellers price delivery per zone: a whole state, an LGA within a state, or a
+-- flat-rate fallback for anywhere else they deliver to.
+
+CREATE TABLE IF NOT EXISTS seller_delivery_zones (
+  id SERIAL PRIMARY KEY,
+  seller_id INTEGER NOT NULL REFERENCES sellers(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  zone_type VARCHAR(10) NOT NULL CHECK (zone_type IN ('lga', 'state', 'flat')),
+  state VARCHAR(50),                       -- Required for 'state' and 'lga' zones
+  lga VARCHAR(100),                        -- Required for 'lga' zones
+  fee DECIMAL(10, 2) NOT NULL CHECK (fee >= 0),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_seller_delivery_zones_seller_id ON seller_delivery_zones(seller_id);
+
+-- Seller-wide delivery settings
+ALTER TABLE sellers ADD COLUMN IF NOT EXISTS free_delivery_threshold DECIMAL(10, 2); -- NULL = never free
+ALTER TABLE sellers ADD COLUMN IF NOT EXISTS pickup_only BOOLEAN DEFAULT FALSE;
+ALTER TABLE sellers ADD COLUMN IF NOT EXISTS pickup_address TEXT;
+
+-- What the buyer paid for delivery. total_amount = subtotal + delivery_fee
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS subtotal DECIMAL(10, 2);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_fee DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_method VARCHAR(20) DEFAULT 'delivery'; -- delivery, pickup
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_zone_id INTEGER REFERENCES seller_delivery_zones(id) ON DELETE SET NULL;
+
+UPDATE orders SET subtotal = total_amount WHERE subtotal IS NULL;
+
+COMMENT ON TABLE seller_delivery_zones IS 'Per-seller delivery fees by state, LGA or flat rate';
+
+-- Rollback script (commented out):
+-- ALTER TABLE orders DROP COLUMN IF EXISTS delivery_zone_id;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS delivery_method;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS delivery_fee;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS subtotal;
+-- ALTER TABLE sellers DROP COLUMN IF EXISTS pickup_address;
+-- ALTER TABLE sellers DROP COLUMN IF EXISTS pickup_only;
+-- ALTER TABLE sellers DROP COLUMN IF EXISTS free_delivery_threshold;
+-- DROP TABLE IF EXISTS seller_delivery_zones;
@@ -0,0 +1,65 @@
+-- Migration 016: Product variants
+-- A product can have up to three option types (e.g. Size, Colour). Each
+-- combination of option values is a variant with its own SKU, stock, images
+-- and an optional price override. For products with variants,
+-- products.quantity_available is kept as the total stock of active variants so
+-- listings and "in stock" filters keep working unchanged.
+
+CREATE TABLE IF NOT EXISTS product_options (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,               -- e.g. 'Size'
+  "values" TEXT[] NOT NULL,                -- e.g. {'S','M','L'}, in display order
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(product_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_options_product_id ON product_options(product_id);
+
+CREATE TABLE IF NOT EXISTS product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku VARCHAR(100),
+  options JSONB NOT NULL,                  -- e.g. {"Size": "M", "Colour": "Red"}
+  price DECIMAL(10, 2) CHECK (price IS NULL OR price > 0), -- NULL = product price
+  quantity_available INTEGER DEFAULT 0 CHECK (quantity_available >= 0),
+  image_urls TEXT[],
+  is_active BOOLEAN DEFAULT TRUE,
+  deleted_at TIMESTAMP,                    -- Soft delete (order items keep referencing it)
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_options
+  ON product_variants(product_id, options) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_sku
+  ON product_variants(product_id, sku) WHERE deleted_at IS NULL AND sku IS NOT NULL;
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS has_variants BOOLEAN DEFAULT FALSE;
+
+-- Cart lines are per variant, so the same product can be in the cart in two sizes
+ALTER TABLE cart_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE;
+ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_cart_id_product_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_cart_product_variant
+  ON cart_items(cart_id, product_id, COALESCE(variant_id, 0));
+
+-- Snapshot of the variant bought, like product_name/product_price
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS variant_label VARCHAR(255); -- e.g. 'Size: M / Colour: Red'
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS sku VARCHAR(100);
+
+COMMENT ON TABLE product_options IS 'Option types (Size, Colour) and their values for a product';
+COMMENT ON TABLE product_variants IS 'Purchasable combinations of option values with their own stock and price';
+
+-- Rollback script (commented out):
+-- ALTER TABLE order_items DROP COLUMN IF EXISTS sku;
+-- ALTER TABLE order_items DROP COLUMN IF EXISTS variant_label;
+-- ALTER TABLE order_items DROP COLUMN IF EXISTS variant_id;
+-- DROP INDEX IF EXISTS idx_cart_items_cart_product_variant;
+-- ALTER TABLE cart_items DROP COLUMN IF EXISTS variant_id;
+-- ALTER TABLE cart_items ADD CONSTRAINT cart_items_cart_id_product_id_key UNIQUE (cart_id, product_id);
+-- ALTER TABLE products DROP COLUMN IF EXISTS has_variants;
+-- DROP TABLE IF EXISTS product_variants;
+-- DROP TABLE IF EXISTS product_options;
@@ -0,0 +1,34 @@
+-- Migration 017: Stock reservations during checkout
+-- Stock is taken when the Paystack transaction is initialised rather than after
+-- payment, so two buyers can't pay for the last unit. Each reservation holds
+-- its units for a limited time: it is converted when the payment is verified,
+-- or released (units returned to stock) when it expires or the payment fails.
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id SERIAL PRIMARY KEY,
+  checkout_id INTEGER NOT NULL REFERENCES checkouts(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id),
+  variant_id INTEGER REFERENCES product_variants(id),
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'converted', 'released')),
+  expires_at TIMESTAMP NOT NULL,
+  release_reason VARCHAR(50),              -- expired, payment_failed, initialization_failed
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  converted_at TIMESTAMP,
+  released_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_checkout_id ON stock_reservations(checkout_id);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_expiry
+  ON stock_reservations(expires_at) WHERE status = 'active';
+
+-- Checkouts whose reservations lapsed before payment are marked 'expired'
+-- (they still become 'paid' if the payment arrives late)
+ALTER TABLE checkouts ADD COLUMN IF NOT EXISTS reserved_until TIMESTAMP;
+
+COMMENT ON TABLE stock_reservations IS 'Units held for a checkout between payment initialisation and verification';
+
+-- Rollback script (commented out):
+-- ALTER TABLE checkouts DROP COLUMN IF EXISTS reserved_until;
+-- DROP TABLE IF EXISTS stock_reservations;
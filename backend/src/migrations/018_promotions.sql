@@ -0,0 +1,72 @@
+-- Migration 018: Discount codes and shop promotions
+-- Sellers run their own sales. A promotion with a code is a coupon the buyer
+-- enters at checkout; one without a code applies automatically (e.g. "10% off
+-- Shoes this week"). Each shop's order gets at most one promotion - the best
+-- one available. Discounts come out of the seller's share, and the 5% platform
+-- fee is charged on the discounted goods total.
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id SERIAL PRIMARY KEY,
+  seller_id INTEGER NOT NULL REFERENCES sellers(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  code VARCHAR(30),                        -- NULL = automatic promotion
+  discount_type VARCHAR(20) NOT NULL
+    CHECK (discount_type IN ('percentage', 'fixed', 'free_delivery')),
+  discount_value DECIMAL(10, 2),           -- Percent (1-100) or amount off; NULL for free delivery
+  max_discount DECIMAL(10, 2),             -- Cap for percentage discounts
+  min_spend DECIMAL(10, 2),                -- Shop subtotal needed to qualify
+  applies_to VARCHAR(20) NOT NULL DEFAULT 'all'
+    CHECK (applies_to IN ('all', 'products', 'categories')),
+  product_ids INTEGER[] DEFAULT '{}',
+  categories TEXT[] DEFAULT '{}',
+  starts_at TIMESTAMP,                     -- NULL = straight away
+  ends_at TIMESTAMP,                       -- NULL = no end date
+  usage_limit INTEGER CHECK (usage_limit IS NULL OR usage_limit > 0),
+  per_buyer_limit INTEGER CHECK (per_buyer_limit IS NULL OR per_buyer_limit > 0),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_seller_id ON promotions(seller_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promotions_seller_code
+  ON promotions(seller_id, UPPER(code)) WHERE code IS NOT NULL;
+
+-- Each use of a promotion. Held with the stock reservation when payment is
+-- initialised so usage caps can't be overshot, and released with it.
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id SERIAL PRIMARY KEY,
+  promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  checkout_id INTEGER NOT NULL REFERENCES checkouts(id) ON DELETE CASCADE,
+  seller_id INTEGER NOT NULL REFERENCES sellers(id),
+  buyer_id INTEGER NOT NULL REFERENCES users(id),
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  discount_amount DECIMAL(10, 2) NOT NULL,  -- Goods discount plus delivery waived
+  status VARCHAR(20) NOT NULL DEFAULT 'reserved'
+    CHECK (status IN ('reserved', 'redeemed', 'released')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  redeemed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_promotion ON promotion_redemptions(promotion_id, buyer_id);
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_checkout ON promotion_redemptions(checkout_id);
+
+-- total_amount = subtotal - discount_amount + delivery_fee
+-- (delivery_fee is what the buyer paid; delivery_discount is what was waived)
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_discount DECIMAL(10, 2) DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promotion_id INTEGER REFERENCES promotions(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promotion_code VARCHAR(30);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10, 2) DEFAULT 0;
+
+COMMENT ON TABLE promotions IS 'Seller coupon codes and automatic promotions';
+COMMENT ON TABLE promotion_redemptions IS 'Promotion uses per checkout, for usage caps and reporting';
+
+-- Rollback script (commented out):
+-- ALTER TABLE order_items DROP COLUMN IF EXISTS discount_amount;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS promotion_code;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS promotion_id;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS delivery_discount;
+-- ALTER TABLE orders DROP COLUMN IF EXISTS discount_amount;
+-- DROP TABLE IF EXISTS promotion_redemptions;
+-- DROP TABLE IF EXISTS promotions;
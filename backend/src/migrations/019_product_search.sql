@@ -0,0 +1,33 @@
+-- Migration 019: Product search
+-- Full-text search over name, category and description (weighted in that
+-- order), with pg_trgm for typo tolerance on product names. The old
+-- idx_products_name index was never used by any query and is replaced by the
+-- index on search_vector.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- A = name, B = category, C = description
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(category, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING gin(search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING gin(name gin_trgm_ops);
+DROP INDEX IF EXISTS idx_products_name;
+
+-- Kept up to date by the reviews trigger; added here as well so the rating
+-- facet works on databases that don't have it yet
+ALTER TABLE products ADD COLUMN IF NOT EXISTS average_rating DECIMAL(3, 2) DEFAULT 0.00;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS review_count INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_products_price ON products(price) WHERE deleted_at IS NULL;
+
+-- Rollback script (commented out):
+-- DROP INDEX IF EXISTS idx_products_price;
+-- DROP INDEX IF EXISTS idx_products_name_trgm;
+-- DROP INDEX IF EXISTS idx_products_search_vector;
+-- ALTER TABLE products DROP COLUMN IF EXISTS search_vector;
+-- CREATE INDEX IF NOT EXISTS idx_products_name ON products USING gin(to_tsvector('english', name));
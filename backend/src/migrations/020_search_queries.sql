@@ -0,0 +1,42 @@
+-- Migration 020: Search query log and autocomplete
+-- Every first-page search (marketplace or inside a shop) is logged so the
+-- search box can suggest popular queries and the landing page can show what's
+-- trending. popular_searches is a running total per query, kept small enough
+-- to prefix-match on every keystroke; search_queries is the raw log, pruned
+-- after SEARCH_LOG_RETENTION_DAYS.
+
+CREATE TABLE IF NOT EXISTS search_queries (
+  id BIGSERIAL PRIMARY KEY,
+  query VARCHAR(100) NOT NULL,             -- Trimmed, lower case, single spaces
+  seller_id INTEGER REFERENCES sellers(id) ON DELETE CASCADE, -- NULL = marketplace search
+  results_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_queries_created_at ON search_queries(created_at);
+
+CREATE TABLE IF NOT EXISTS popular_searches (
+  id SERIAL PRIMARY KEY,
+  query VARCHAR(100) NOT NULL,
+  seller_id INTEGER REFERENCES sellers(id) ON DELETE CASCADE, -- NULL = marketplace search
+  search_count INTEGER NOT NULL DEFAULT 0,
+  results_count INTEGER NOT NULL DEFAULT 0, -- From the most recent search
+  last_searched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_popular_searches_scope_query
+  ON popular_searches((COALESCE(seller_id, 0)), query);
+CREATE INDEX IF NOT EXISTS idx_popular_searches_prefix
+  ON popular_searches((COALESCE(seller_id, 0)), query text_pattern_ops);
+
+-- Product names starting with what's been typed so far
+CREATE INDEX IF NOT EXISTS idx_products_name_prefix
+  ON products(LOWER(name) text_pattern_ops) WHERE deleted_at IS NULL;
+
+COMMENT ON TABLE search_queries IS 'Raw search log for trending searches';
+COMMENT ON TABLE popular_searches IS 'Search counts per query for autocomplete';
+
+-- Rollback script (commented out):
+-- DROP INDEX IF EXISTS idx_products_name_prefix;
+-- DROP TABLE IF EXISTS popular_searches;
+-- DROP TABLE IF EXISTS search_queries;
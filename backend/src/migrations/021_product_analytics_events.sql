@@ -0,0 +1,13 @@
+-- Migration 021: Product analytics events
+-- product_analytics is now filled from storefront events (POST /api/analytics/events):
+-- views, clicks, add_to_cart and checkouts_started come from the browser,
+-- deduplicated per session and written in batches. purchases and revenue are
+-- recorded with the orders when a payment is confirmed. Days are Lagos days.
+
+ALTER TABLE product_analytics ADD COLUMN IF NOT EXISTS checkouts_started INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_product_analytics_date ON product_analytics(date);
+
+-- Rollback script (commented out):
+-- DROP INDEX IF EXISTS idx_product_analytics_date;
+-- ALTER TABLE product_analytics DROP COLUMN IF EXISTS checkouts_started;
@@ -0,0 +1,24 @@
+-- Migration 022: Shop analytics
+-- Daily storefront visits per shop, the first step of the seller conversion
+-- funnel (shop visit -> product view -> add to cart -> checkout -> paid).
+-- Filled from 'shop_visit' events (POST /api/analytics/events), deduplicated
+-- per session like product_analytics. Days are Lagos days.
+
+CREATE TABLE IF NOT EXISTS shop_analytics (
+  id SERIAL PRIMARY KEY,
+  seller_id INTEGER NOT NULL REFERENCES sellers(id) ON DELETE CASCADE,
+  date DATE NOT NULL,
+  visits INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(seller_id, date)
+);
+
+-- Cohort and lifetime value queries group a seller's paid orders by buyer
+CREATE INDEX IF NOT EXISTS idx_orders_seller_paid_buyer
+ON orders(seller_id, buyer_id)
+WHERE payment_status = 'paid';
+
+-- Rollback script (commented out):
+-- DROP INDEX IF EXISTS idx_orders_seller_paid_buyer;
+-- DROP TABLE IF EXISTS shop_analytics;
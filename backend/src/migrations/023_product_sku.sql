@@ -0,0 +1,15 @@
+-- Migration 023: Product SKUs
+-- Products without variants can carry their own SKU (variants already have
+-- one in product_variants.sku), so bulk CSV imports can match rows to
+-- existing products by SKU as well as by slug. Unique per seller among live
+-- products.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sku VARCHAR(100);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_seller_sku
+ON products(seller_id, sku)
+WHERE deleted_at IS NULL AND sku IS NOT NULL;
+
+-- Rollback script (commented out):
+-- DROP INDEX IF EXISTS idx_products_seller_sku;
+-- ALTER TABLE products DROP COLUMN IF EXISTS sku;
@@ -0,0 +1,41 @@
+-- Migration 024: Inventory movements and low-stock alerts
+-- Every change to a product's or variant's stock is logged with why it
+-- happened: a sale (payment verified), a cancellation putting items back,
+-- a restock or a manual adjustment (stock counts, product edits, CSV imports).
+-- Units held by an unpaid checkout are not logged until they are sold;
+-- stock_reservations has those.
+--
+-- Each product has a low-stock threshold; the seller is emailed (if
+-- seller_notification_preferences.email_low_stock allows) when its stock
+-- falls to it. low_stock_alerted_at stops repeat alerts until the product is
+-- back above the threshold.
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS low_stock_threshold INTEGER NOT NULL DEFAULT 5
+  CHECK (low_stock_threshold >= 0);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS low_stock_alerted_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+  movement_type VARCHAR(30) NOT NULL
+    CHECK (movement_type IN ('sale', 'cancellation_return', 'restock', 'adjustment')),
+  quantity_change INTEGER NOT NULL,        -- negative when stock went down
+  quantity_after INTEGER NOT NULL,         -- product (or variant) stock after the change
+  order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+  note TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product
+  ON inventory_movements(product_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_order
+  ON inventory_movements(order_id) WHERE order_id IS NOT NULL;
+
+COMMENT ON TABLE inventory_movements IS 'Stock changes per product/variant with their reason';
+
+-- Rollback script (commented out):
+-- DROP TABLE IF EXISTS inventory_movements;
+-- ALTER TABLE products DROP COLUMN IF EXISTS low_stock_alerted_at;
+-- ALTER TABLE products DROP COLUMN IF EXISTS low_stock_threshold;
@@ -0,0 +1,92 @@
+-- Migration 025: Back-in-stock and price-drop alerts for favourited products
+-- A trigger on products queues an event when a favourited product comes back
+-- into stock (0 -> more than 0) or its price goes down, whatever changed it
+-- (product edits, restocks, cancellations, CSV imports, released checkouts).
+-- The favorite alerts job works through the queue and tells everyone who
+-- favourited the product, through an in-app notification and one email per
+-- run, unless they have turned that off.
+--
+-- favorites.*_alerted_at limits each buyer to one alert per product and type
+-- per cooldown, so a seller editing the price again and again doesn't spam.
+-- Price drops are for the product price; variant prices are not watched.
+
+-- In-app notification feed
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL,               -- back_in_stock, price_drop
+  title VARCHAR(255) NOT NULL,
+  body TEXT,
+  link VARCHAR(500),                       -- frontend path to open
+  data JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread
+  ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Buyers' opt-outs (no row = everything on)
+CREATE TABLE IF NOT EXISTS user_notification_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  email_back_in_stock BOOLEAN NOT NULL DEFAULT TRUE,
+  email_price_drop BOOLEAN NOT NULL DEFAULT TRUE,
+  app_back_in_stock BOOLEAN NOT NULL DEFAULT TRUE,
+  app_price_drop BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Last alert each buyer got for a favourite
+ALTER TABLE favorites ADD COLUMN IF NOT EXISTS back_in_stock_alerted_at TIMESTAMP;
+ALTER TABLE favorites ADD COLUMN IF NOT EXISTS price_drop_alerted_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS favorite_alert_queue (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  alert_type VARCHAR(20) NOT NULL CHECK (alert_type IN ('back_in_stock', 'price_drop')),
+  old_price DECIMAL(10, 2),                -- price_drop only
+  new_price DECIMAL(10, 2),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  processed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_favorite_alert_queue_pending
+  ON favorite_alert_queue(created_at) WHERE processed_at IS NULL;
+
+CREATE OR REPLACE FUNCTION queue_favorite_alerts()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.favorites_count > 0 AND NEW.deleted_at IS NULL THEN
+    IF OLD.quantity_available = 0 AND NEW.quantity_available > 0 THEN
+      INSERT INTO favorite_alert_queue (product_id, alert_type)
+      VALUES (NEW.id, 'back_in_stock');
+    END IF;
+
+    IF NEW.price < OLD.price THEN
+      INSERT INTO favorite_alert_queue (product_id, alert_type, old_price, new_price)
+      VALUES (NEW.id, 'price_drop', OLD.price, NEW.price);
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_queue_favorite_alerts ON products;
+CREATE TRIGGER trigger_queue_favorite_alerts
+  AFTER UPDATE OF quantity_available, price ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION queue_favorite_alerts();
+
+COMMENT ON TABLE notifications IS 'In-app notifications shown to a user';
+COMMENT ON TABLE favorite_alert_queue IS 'Favourited products that came back into stock or dropped in price, waiting to be sent';
+
+-- Rollback script (commented out):
+-- DROP TRIGGER IF EXISTS trigger_queue_favorite_alerts ON products;
+-- DROP FUNCTION IF EXISTS queue_favorite_alerts();
+-- DROP TABLE IF EXISTS favorite_alert_queue;
+-- ALTER TABLE favorites DROP COLUMN IF EXISTS price_drop_alerted_at;
+-- ALTER TABLE favorites DROP COLUMN IF EXISTS back_in_stock_alerted_at;
+-- DROP TABLE IF EXISTS user_notification_preferences;
+-- DROP TABLE IF EXISTS notifications;
@@ -0,0 +1,36 @@
+-- Migration 026: Login sessions and refresh tokens
+-- Each login (one browser or device) is a session. The client holds a
+-- short-lived access token (a JWT naming the session) and a refresh token
+-- that is swapped for a new pair when the access token expires. Only a hash
+-- of the refresh token is stored; every refresh replaces it.
+--
+-- Revoking a session (logout, "sign out other devices", password reset,
+-- seller suspension) stops its access token working on the next request,
+-- since authenticateToken checks the session is still live.
+--
+-- previous_token_hash catches a refresh token being used after it was
+-- swapped - someone else has a copy - and the session is revoked.
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+  previous_token_hash VARCHAR(64),
+  rotated_at TIMESTAMP,
+  user_agent VARCHAR(500),
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user ON auth_sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_previous_token ON auth_sessions(previous_token_hash);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_expires ON auth_sessions(expires_at);
+
+COMMENT ON TABLE auth_sessions IS 'Logged-in devices, each with its current refresh token (hashed)';
+
+-- Rollback script (commented out):
+-- DROP TABLE IF EXISTS auth_sessions;
@@ -0,0 +1,29 @@
+-- Migration 027: Shared rate-limit counters and login lockout
+-- rate_limit_hits holds request counters when RATE_LIMIT_STORE=postgres, so
+-- every app instance counts against the same limit. One row per policy and
+-- client (IP or user); a row past reset_at starts a new window on its next hit.
+--
+-- Failed logins are counted per account. From LOGIN_LOCKOUT_THRESHOLD
+-- failures the account is locked until locked_until, for longer after each
+-- further failure. Failures older than a day are forgotten; a successful login
+-- or a password reset clears them.
+
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_hits (
+  key VARCHAR(255) PRIMARY KEY,
+  hits INTEGER NOT NULL DEFAULT 0,
+  reset_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_hits_reset ON rate_limit_hits(reset_at);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+COMMENT ON TABLE rate_limit_hits IS 'Request counters per rate-limit policy and client, shared by all app instances';
+
+-- Rollback script (commented out):
+-- ALTER TABLE users DROP COLUMN IF EXISTS locked_until;
+-- ALTER TABLE users DROP COLUMN IF EXISTS last_failed_login_at;
+-- ALTER TABLE users DROP COLUMN IF EXISTS failed_login_attempts;
+-- DROP TABLE IF EXISTS rate_limit_hits;
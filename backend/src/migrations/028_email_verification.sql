@@ -0,0 +1,41 @@
+-- Migration 028: Email verification and email changes
+-- A user proves they own their address by following a link with a one-time
+-- token. Signup sends a 'verify' token to the new address.
+--
+-- Changing the email sends two tokens at once: 'change_current' to the
+-- address on the account and 'change_new' to users.pending_email. The change
+-- applies only once both links have been followed, so neither someone with
+-- only the password nor someone with only the new inbox can move an account.
+--
+-- Only a SHA-256 hash of each token is stored. Accounts that exist when this
+-- runs count as verified, so current buyers and sellers aren't blocked from
+-- ordering or opening a shop; only new signups have to follow a link.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_change_requested_at TIMESTAMP;
+
+UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP) WHERE email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify', 'change_current', 'change_new')),
+  email VARCHAR(255) NOT NULL, -- Address the link was sent to
+  new_email VARCHAR(255), -- Address being changed to (change tokens only)
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_user ON email_verification_tokens(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_verification_expires ON email_verification_tokens(expires_at);
+
+COMMENT ON TABLE email_verification_tokens IS 'One-time links proving a user owns an email address, for signup verification and email changes';
+
+-- Rollback script (commented out):
+-- DROP TABLE IF EXISTS email_verification_tokens;
+-- ALTER TABLE users DROP COLUMN IF EXISTS email_change_requested_at;
+-- ALTER TABLE users DROP COLUMN IF EXISTS pending_email;
+-- ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
@@ -0,0 +1,40 @@
+-- Migration 029: Two-factor authentication (TOTP)
+-- Users can add an authenticator app as a second login step. Enrolling stores
+-- a secret in two_factor_pending_secret; it moves to two_factor_secret once
+-- the user proves the app works by entering a code.
+--
+-- two_factor_last_step is the 30-second time step of the last code accepted,
+-- so a code can't be replayed within its window.
+--
+-- Recovery codes are one-time fallbacks for a lost phone, stored hashed.
+--
+-- auth_sessions.two_factor_verified_at marks sessions that completed the
+-- second step (or enrolled during the session); admin routes require it.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_pending_secret VARCHAR(64);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, code_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_user ON two_factor_recovery_codes(user_id) WHERE used_at IS NULL;
+
+ALTER TABLE auth_sessions ADD COLUMN IF NOT EXISTS two_factor_verified_at TIMESTAMP;
+
+COMMENT ON TABLE two_factor_recovery_codes IS 'One-time codes that stand in for an authenticator app, hashed';
+
+-- Rollback script (commented out):
+-- ALTER TABLE auth_sessions DROP COLUMN IF EXISTS two_factor_verified_at;
+-- DROP TABLE IF EXISTS two_factor_recovery_codes;
+-- ALTER TABLE users DROP COLUMN IF EXISTS two_factor_last_step;
+-- ALTER TABLE users DROP COLUMN IF EXISTS two_factor_enabled_at;
+-- ALTER TABLE users DROP COLUMN IF EXISTS two_factor_pending_secret;
+-- ALTER TABLE users DROP COLUMN IF EXISTS two_factor_secret;
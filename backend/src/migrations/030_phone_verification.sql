@@ -0,0 +1,38 @@
+-- Migration 030: Phone verification and phone login
+-- Users prove they own their phone number with a texted code, after which
+-- they can log in with a code sent to it instead of their password.
+--
+-- Verifying stores the number in users.phone in normalised form
+-- (2348012345678, see utils/phone.js). Only one account can have a given
+-- number verified; unverified numbers (typed at signup) can repeat.
+--
+-- Codes are stored hashed, expire after a few minutes and stop working
+-- after too many wrong tries. Rows are kept a while after expiry so the
+-- daily send limit can count them.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_verified_phone ON users(phone) WHERE phone_verified_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS phone_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  phone VARCHAR(20) NOT NULL,
+  purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('verify', 'login')),
+  code_hash VARCHAR(64) NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_phone_codes_phone ON phone_codes(phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_phone_codes_user ON phone_codes(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_phone_codes_expires ON phone_codes(expires_at);
+
+COMMENT ON TABLE phone_codes IS 'One-time codes texted to verify a phone number or log in with it, hashed';
+
+-- Rollback script (commented out):
+-- DROP TABLE IF EXISTS phone_codes;
+-- DROP INDEX IF EXISTS idx_users_verified_phone;
+-- ALTER TABLE users DROP COLUMN IF EXISTS phone_verified_at;
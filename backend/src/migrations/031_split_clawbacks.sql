@@ -0,0 +1,123 @@
+-- Migration 031: Clawing back split settlements
+-- A seller paid through a Paystack split (migration 014) has their share the
+-- moment the buyer pays. If that order is then cancelled, BuyTree refunds the
+-- buyer from its own balance, so the seller is debited the share in
+-- seller_balances and it is netted out of their next payout. Sellers who owe
+-- money are not split-settled again until the debt is cleared, so their next
+-- orders go through the payout processor and pay it off.
+--
+-- The ledger already shows this debt (the split settlement stays on the books
+-- after the refund), so it skips clawback rows like carry-forward rows.
+
+ALTER TABLE seller_balances ADD COLUMN IF NOT EXISTS is_clawback BOOLEAN DEFAULT FALSE;
+
+CREATE OR REPLACE VIEW seller_ledger AS
+SELECT
+  o.seller_id,
+  'sale' as entry_type,
+  o.id as order_id,
+  NULL::integer as payout_batch_id,
+  'Sale - order ' || o.order_number as description,
+  o.total_amount as credit,
+  0::decimal(12, 2) as debit,
+  o.created_at as occurred_at
+FROM orders o
+WHERE o.payment_status IN ('paid', 'refund_pending', 'refunded', 'partially_refunded')
+
+UNION ALL
+
+SELECT
+  o.seller_id,
+  'platform_fee',
+  o.id,
+  NULL,
+  'Platform fee - order ' || o.order_number,
+  0,
+  o.platform_fee,
+  o.created_at
+FROM orders o
+WHERE o.payment_status IN ('paid', 'refund_pending', 'refunded', 'partially_refunded')
+
+UNION ALL
+
+SELECT
+  o.seller_id,
+  'refund',
+  o.id,
+  NULL,
+  'Refund - cancelled order ' || o.order_number,
+  0,
+  o.total_amount,
+  oc.created_at
+FROM orders o
+JOIN order_cancellations oc ON oc.order_id = o.id
+WHERE o.status = 'cancelled'
+  AND o.payment_status IN ('paid', 'refund_pending', 'refunded')
+
+UNION ALL
+
+SELECT
+  o.seller_id,
+  'platform_fee',
+  o.id,
+  NULL,
+  'Platform fee reversal - cancelled order ' || o.order_number,
+  o.platform_fee,
+  0,
+  oc.created_at
+FROM orders o
+JOIN order_cancellations oc ON oc.order_id = o.id
+WHERE o.status = 'cancelled'
+  AND o.payment_status IN ('paid', 'refund_pending', 'refunded')
+
+UNION ALL
+
+SELECT
+  sb.seller_id,
+  'dispute_adjustment',
+  sb.order_id,
+  NULL,
+  COALESCE(sb.reason, 'Balance adjustment'),
+  GREATEST(sb.amount, 0),
+  GREATEST(-sb.amount, 0),
+  sb.created_at
+FROM seller_balances sb
+WHERE sb.is_carry_forward IS NOT TRUE
+  AND sb.is_clawback IS NOT TRUE
+
+UNION ALL
+
+SELECT
+  pb.seller_id,
+  'payout',
+  NULL,
+  pb.id,
+  'Payout #' || pb.id || CASE WHEN pb.status = 'processing' THEN ' (processing)' ELSE '' END,
+  0,
+  pb.net_amount,
+  pb.created_at
+FROM payout_batches pb
+WHERE pb.status IN ('processing', 'completed')
+  AND pb.net_amount > 0
+
+UNION ALL
+
+-- Seller's share settled to their subaccount by the Paystack split
+SELECT
+  o.seller_id,
+  'payout',
+  o.id,
+  NULL,
+  'Paystack split settlement - order ' || o.order_number,
+  0,
+  o.seller_amount,
+  o.created_at
+FROM orders o
+WHERE o.settled_by_split = TRUE
+  AND o.payment_status IN ('paid', 'refund_pending', 'refunded', 'partially_refunded');
+
+COMMENT ON COLUMN seller_balances.is_clawback IS 'Recovers a split-settled share after cancellation; already in the ledger via the split settlement';
+
+-- Rollback script (commented out):
+-- (re-run the view from 014_checkouts.sql)
+-- ALTER TABLE seller_balances DROP COLUMN IF EXISTS is_clawback;
@@ -0,0 +1,15 @@
+-- Migration 032: Paystack refund ids on cancellations
+-- One Paystack transaction pays for every seller's order in a checkout
+-- (migration 014), so its reference can't say which order a refund.processed
+-- event is for. Each cancellation keeps the id of the refund it started, and
+-- the webhook matches on that.
+
+ALTER TABLE order_cancellations ADD COLUMN IF NOT EXISTS paystack_refund_id VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_order_cancellations_refund_id ON order_cancellations(paystack_refund_id);
+
+COMMENT ON COLUMN order_cancellations.paystack_refund_id IS 'Paystack refund id, matched by the refund.processed webhook';
+
+-- Rollback script (commented out):
+-- DROP INDEX IF EXISTS idx_order_cancellations_refund_id;
+-- ALTER TABLE order_cancellations DROP COLUMN IF EXISTS paystack_refund_id;
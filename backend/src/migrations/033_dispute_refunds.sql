@@ -0,0 +1,19 @@
+-- Migration 033: Paystack refunds for resolved disputes
+-- A dispute resolved with a refund sends the money back to the buyer through
+-- Paystack, tracked the way cancellations are (migration 032): the order is
+-- refund_pending until the refund.processed webhook, matched on the refund
+-- id, confirms it.
+
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS refund_initiated BOOLEAN DEFAULT FALSE;
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS refund_completed BOOLEAN DEFAULT FALSE;
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS paystack_refund_id VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_disputes_refund_id ON disputes(paystack_refund_id);
+
+COMMENT ON COLUMN disputes.paystack_refund_id IS 'Paystack refund id, matched by the refund.processed webhook';
+
+-- Rollback script (commented out):
+-- DROP INDEX IF EXISTS idx_disputes_refund_id;
+-- ALTER TABLE disputes DROP COLUMN IF EXISTS paystack_refund_id;
+-- ALTER TABLE disputes DROP COLUMN IF EXISTS refund_completed;
+-- ALTER TABLE disputes DROP COLUMN IF EXISTS refund_initiated;
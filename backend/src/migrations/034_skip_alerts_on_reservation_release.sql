@@ -0,0 +1,31 @@
+-- Migration 034: No back-in-stock alerts when a checkout reservation lapses
+-- Reserving the last units of a product takes it to 0 while the buyer pays
+-- (migration 017); if they don't, releasing the reservation brings it back
+-- above 0. That isn't a restock - the product was only "out of stock" for a
+-- few minutes - so buyers who favourited it shouldn't be told it's back.
+--
+-- reservationService sets buytree.stock_change to 'reservation_release' for
+-- the statements that return reserved stock, and the trigger skips the
+-- back-in-stock alert for them. Price drops are unaffected.
+
+CREATE OR REPLACE FUNCTION queue_favorite_alerts()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.favorites_count > 0 AND NEW.deleted_at IS NULL THEN
+    IF OLD.quantity_available = 0 AND NEW.quantity_available > 0
+       AND current_setting('buytree.stock_change', true) IS DISTINCT FROM 'reservation_release' THEN
+      INSERT INTO favorite_alert_queue (product_id, alert_type)
+      VALUES (NEW.id, 'back_in_stock');
+    END IF;
+
+    IF NEW.price < OLD.price THEN
+      INSERT INTO favorite_alert_queue (product_id, alert_type, old_price, new_price)
+      VALUES (NEW.id, 'price_drop', OLD.price, NEW.price);
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rollback script (commented out):
+-- (re-run queue_favorite_alerts() from 025_favorite_alerts.sql)
@@ -0,0 +1,28 @@
+-- Migration 035: Lock out unknown logins like real accounts
+-- The login lockout (migration 027) counts failures per account, so only
+-- registered emails and phone numbers ever got a 429 - which told anyone
+-- guessing whether an address had an account. Failed logins for emails and
+-- numbers with no account are counted here instead, with the same threshold,
+-- lock lengths and window, so both answer the same way.
+--
+-- Phone login codes are rate-limited per number through phone_codes. Numbers
+-- without an account get a row too (never texted, never usable), so the
+-- resend limits kick in for them as well; those rows have no user.
+
+CREATE TABLE IF NOT EXISTS login_failures (
+  identifier VARCHAR(255) PRIMARY KEY,     -- 'email:<address>' or 'phone:<234...>'
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TIMESTAMP NOT NULL,
+  locked_until TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_failures_last_failed ON login_failures(last_failed_at);
+
+ALTER TABLE phone_codes ALTER COLUMN user_id DROP NOT NULL;
+
+COMMENT ON TABLE login_failures IS 'Failed logins for emails and phone numbers with no account, locked like accounts';
+
+-- Rollback script (commented out):
+-- DELETE FROM phone_codes WHERE user_id IS NULL;
+-- ALTER TABLE phone_codes ALTER COLUMN user_id SET NOT NULL;
+-- DROP TABLE IF EXISTS login_failures;
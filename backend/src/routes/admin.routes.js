@@ -8,9 +8,12 @@ const {
   approveSeller,
   suspendSeller,
   getAllOrders,
+  cancelOrder,
   getRevenueAnalytics,
   getTopProducts,
 } = require('../controllers/adminController');
+const { getAllDisputes } = require('../controllers/disputeController');
+const { exportAllOrders, exportAllSellers, exportRevenueAnalytics } = require('../controllers/exportController');
 
 // All admin routes require authentication AND admin role
 router.use(authenticateToken);
@@ -21,14 +24,21 @@ router.get('/dashboard', getDashboardMetrics);
 
 // Seller management
 router.get('/sellers', getAllSellers);
+router.get('/sellers/export', exportAllSellers); // CSV/XLSX, same filters as the list
 router.put('/sellers/:sellerId/approve', approveSeller);
 router.put('/sellers/:sellerId/suspend', suspendSeller);
 
 // Order monitoring
 router.get('/orders', getAllOrders);
+router.get('/orders/export', exportAllOrders); // CSV/XLSX, same filters as the list
+router.post('/orders/:orderId/cancel', cancelOrder);
+
+// Dispute review
+router.get('/disputes', getAllDisputes);
 
 // Analytics
 router.get('/analytics/revenue', getRevenueAnalytics);
+router.get('/analytics/revenue/export', exportRevenueAnalytics);
 router.get('/analytics/top-products', getTopProducts);
 
 module.exports = router;
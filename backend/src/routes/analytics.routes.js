@@ -1,9 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const { getSellerAnalytics, getProductViewAnalytics } = require('../controllers/analyticsController');
+const {
+  getSellerAnalytics,
+  getProductViewAnalytics,
+  getSellerFunnel,
+  getSellerCustomerAnalytics,
+  trackEvents,
+} = require('../controllers/analyticsController');
+const { exportSellerAnalytics } = require('../controllers/exportController');
 const { authenticateToken } = require('../middleware/auth');
 
-// All routes require authentication
+// Storefront events (shop visits, views, clicks, add to cart, checkout started) - public
+router.post('/events', trackEvents);
+
+// All other routes require authentication
 router.use(authenticateToken);
 
 // Get seller analytics
@@ -12,4 +22,13 @@ router.get('/seller', getSellerAnalytics);
 // Get product view analytics
 router.get('/seller/views', getProductViewAnalytics);
 
+// Get conversion funnel (shop visit -> paid) for a date range
+router.get('/seller/funnel', getSellerFunnel);
+
+// Get repeat-buyer cohorts and customer lifetime value
+router.get('/seller/customers', getSellerCustomerAnalytics);
+
+// Download analytics per day/week/month as CSV or XLSX
+router.get('/seller/export', exportSellerAnalytics);
+
 module.exports = router;
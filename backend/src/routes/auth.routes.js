@@ -1,13 +1,60 @@
 const express = require('express');
 const router = express.Router();
-const { signup, login, getMe } = require('../controllers/authController');
+const {
+  signup,
+  login,
+  loginTwoFactor,
+  requestPhoneLoginCode,
+  loginWithPhone,
+  getMe,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerification,
+  requestEmailChange,
+  cancelEmailChange,
+  sendPhoneVerification,
+  verifyPhone
+} = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
 
 // Public routes
-router.post('/signup', signup);
-router.post('/login', login);
+router.post('/signup', rateLimitPolicy('auth'), signup);
+router.post('/login', rateLimitPolicy('auth'), login);
+router.post('/login/2fa', rateLimitPolicy('auth'), loginTwoFactor); // Code step for users with 2FA on
+router.post('/login/phone/send', rateLimitPolicy('auth'), requestPhoneLoginCode); // Texts a code to a verified number
+router.post('/login/phone', rateLimitPolicy('auth'), loginWithPhone);
+router.post('/refresh', refresh);
+router.post('/logout', logout); // Takes the refresh token, so works once the access token has expired
+router.post('/verify-email', rateLimitPolicy('auth'), verifyEmail); // Token from the emailed link, no login needed
 
 // Protected routes
 router.get('/me', authenticateToken, getMe);
+router.get('/sessions', authenticateToken, getSessions);
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticateToken, revokeSession);
+router.post('/verify-email/resend', authenticateToken, resendVerification);
+router.post('/email-change', authenticateToken, rateLimitPolicy('auth'), requestEmailChange); // Re-checks the password
+router.delete('/email-change', authenticateToken, cancelEmailChange);
+router.post('/verify-phone/send', authenticateToken, rateLimitPolicy('auth'), sendPhoneVerification); // Re-checks the password
+router.post('/verify-phone', authenticateToken, rateLimitPolicy('auth'), verifyPhone);
+
+// Two-factor authentication
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateToken, rateLimitPolicy('auth'), setupTwoFactor);
+router.post('/2fa/confirm', authenticateToken, rateLimitPolicy('auth'), confirmTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, rateLimitPolicy('auth'), regenerateRecoveryCodes);
+router.delete('/2fa', authenticateToken, rateLimitPolicy('auth'), disableTwoFactor);
 
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createDispute,
+  getMyDisputes,
+  getDisputeById,
+  respondToDispute,
+  resolveDispute,
+} = require('../controllers/disputeController');
+const { requireAdmin } = require('../controllers/adminController');
+const { authenticateToken } = require('../middleware/auth');
+
+// All dispute routes require authentication
+router.use(authenticateToken);
+
+router.post('/', createDispute); // Buyer opens a dispute (evidence uploaded via /api/upload first)
+router.get('/my', getMyDisputes); // Disputes I filed or received as a seller
+router.get('/:disputeId', getDisputeById); // Buyer, seller, or admin
+router.put('/:disputeId/respond', respondToDispute); // Seller responds
+router.put('/:disputeId/resolve', requireAdmin, resolveDispute); // Admin resolves
+
+module.exports = router;
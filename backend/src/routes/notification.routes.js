@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getMyNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  createStreamTicket,
+  streamNotifications,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/auth');
+
+// Live stream - authenticated by the ticket in the query string (EventSource can't send headers)
+router.get('/stream', streamNotifications);
+
+// All other notification routes require authentication
+router.use(authenticateToken);
+
+router.get('/', getMyNotifications); // With unread count (?unread=true for unread only)
+router.put('/read-all', markAllNotificationsRead);
+router.put('/:notificationId/read', markNotificationRead);
+router.post('/stream-ticket', createStreamTicket);
+
+// Back-in-stock and price-drop alerts, per channel (email, app)
+router.get('/preferences', getNotificationPreferences);
+router.put('/preferences', updateNotificationPreferences);
+
+module.exports = router;
@@ -14,18 +14,27 @@ const {
   getSellerNotes,
   getOrderStatusHistory,
   confirmDelivery,
+  cancelOrder,
+  sellerCancelOrder,
 } = require('../controllers/orderController');
-const { authenticateToken } = require('../middleware/auth');
+const { quoteDelivery } = require('../controllers/deliveryController');
+const { quotePromotions } = require('../controllers/promotionController');
+const { exportSellerOrders } = require('../controllers/exportController');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
 
 // All routes require authentication
 router.use(authenticateToken);
 
 // Buyer routes
-router.post('/create', createOrder);
+router.post('/delivery-quote', quoteDelivery); // Delivery fees and discounts per seller before payment
+router.post('/promotion-quote', quotePromotions); // Discounts for the cart, before an address is entered
+router.post('/create', rateLimitPolicy('orderCreation'), requireVerifiedEmail('order'), createOrder);
 router.get('/verify/:reference', verifyPayment);
 router.get('/user', getUserOrders);
 router.get('/user/shop/:shopSlug', getUserOrdersByShop);
 router.post('/:orderId/confirm-delivery', confirmDelivery);
+router.post('/:orderId/cancel', cancelOrder); // Within 30-minute cancellation window
 
 // Order details and history (both buyer and seller can access)
 router.get('/:orderId', getOrderDetails);
@@ -35,7 +44,9 @@ router.get('/:orderId/history', getOrderStatusHistory);
 router.get('/seller/dashboard-summary', getSellerDashboardSummary); // Performance optimized summary
 router.get('/seller/orders', getSellerOrders); // All orders (legacy)
 router.get('/seller/orders/:status', getSellerOrdersByStatus); // Orders by status with pagination
+router.get('/seller/export', exportSellerOrders); // Download orders with items as CSV/XLSX (same filters)
 router.put('/seller/:orderId/status', updateOrderStatus); // Update order status
+router.post('/seller/:orderId/cancel', sellerCancelOrder); // Cancel out-of-stock order and refund buyer
 router.post('/seller/:orderId/notes', addSellerNote); // Add internal note
 router.get('/seller/:orderId/notes', getSellerNotes); // Get all notes for order
 
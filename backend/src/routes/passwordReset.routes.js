@@ -5,14 +5,15 @@ const {
   verifyResetToken,
   resetPassword,
 } = require('../controllers/passwordResetController');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
 
 // Request password reset (public)
-router.post('/request', requestPasswordReset);
+router.post('/request', rateLimitPolicy('passwordReset'), requestPasswordReset);
 
 // Verify reset token (public)
 router.get('/verify/:token', verifyResetToken);
 
 // Reset password (public)
-router.post('/reset', resetPassword);
+router.post('/reset', rateLimitPolicy('passwordReset'), resetPassword);
 
 module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { handlePaystackWebhook } = require('../controllers/paymentController');
+
+// Paystack webhook (public - authenticated by x-paystack-signature)
+router.post('/paystack/webhook', handlePaystackWebhook);
+
+module.exports = router;
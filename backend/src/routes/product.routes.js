@@ -4,24 +4,64 @@ const {
   createProduct,
   getProducts,
   getProductById,
+  getProductVariants,
   updateProduct,
   deleteProduct,
   getMyProducts,
   getProductsByShopSlug,
   searchProducts,
+  suggestSearch,
+  getTrendingSearches,
 } = require('../controllers/productController');
+const { exportMyProducts } = require('../controllers/exportController');
+const {
+  importUpload,
+  previewProductImport,
+  importProducts,
+} = require('../controllers/productImportController');
 const { authenticateToken } = require('../middleware/auth');
 const { cacheMiddleware } = require('../middleware/cache');
+const { logSearch } = require('../middleware/searchLog');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
+
+// Error handler for multer
+const handleImportUploadError = (err, req, res, next) => {
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(400).json({
+      success: false,
+      message: 'File too large. Maximum size is 2MB.',
+    });
+  }
+  if (err.message === 'Only CSV files are allowed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only CSV files are allowed',
+    });
+  }
+  next(err);
+};
+
+// First pages only - loading more of the same search isn't another search
+const marketplaceSearch = (req) => (req.query.cursor ? null : { query: req.query.q });
+const shopSearch = (req) => (
+  parseInt(req.query.offset) > 0 ? null : { query: req.query.search, shopSlug: req.params.shopSlug }
+);
 
 // Public routes
 router.get('/', cacheMiddleware(300), getProducts); // Get all products with filters - 5 min cache
-router.get('/search', cacheMiddleware(180), searchProducts); // Search products across all shops - 3 min cache
-router.get('/shop/:shopSlug', cacheMiddleware(300), getProductsByShopSlug); // Get products by shop slug - 5 min cache
+router.get('/search', rateLimitPolicy('search'), logSearch(marketplaceSearch), cacheMiddleware(180), searchProducts); // Search products across all shops - 3 min cache
+router.get('/suggest', rateLimitPolicy('search'), cacheMiddleware(60), suggestSearch); // Search box autocomplete - 1 min cache
+router.get('/trending-searches', cacheMiddleware(600), getTrendingSearches); // Trending searches - 10 min cache
+router.get('/shop/:shopSlug', logSearch(shopSearch), cacheMiddleware(300), getProductsByShopSlug); // Get products by shop slug - 5 min cache
+router.get('/:id/variants', cacheMiddleware(60), getProductVariants); // Get variants for the picker - 1 min cache (stock changes)
 router.get('/:id', cacheMiddleware(600), getProductById); // Get single product - 10 min cache
 
 // Protected routes (require authentication)
 router.post('/', authenticateToken, createProduct); // Create product (sellers only)
 router.get('/my/products', authenticateToken, getMyProducts); // Get my products (sellers only)
+router.get('/my/export', authenticateToken, exportMyProducts); // Download my catalogue as CSV/XLSX (sellers only)
+router.post('/import/preview', authenticateToken, rateLimitPolicy('upload'), importUpload.single('file'), handleImportUploadError, previewProductImport); // Dry run of a CSV import (sellers only)
+router.post('/import', authenticateToken, rateLimitPolicy('upload'), importUpload.single('file'), handleImportUploadError, importProducts); // Create/update products from CSV (sellers only)
 router.put('/:id', authenticateToken, updateProduct); // Update product (seller's own)
 router.delete('/:id', authenticateToken, deleteProduct); // Delete product (seller's own)
 
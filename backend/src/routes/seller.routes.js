@@ -6,8 +6,29 @@ const {
   getSellerBySlug,
   getAllSellers,
   getBanks,
+  getMyLedger,
+  downloadStatement,
 } = require('../controllers/sellerController');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  getMyDeliverySettings,
+  updateMyDeliverySettings,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+} = require('../controllers/deliveryController');
+const {
+  getMyPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} = require('../controllers/promotionController');
+const {
+  getMyInventory,
+  getInventoryMovements,
+  createInventoryAdjustment,
+  updateLowStockThreshold,
+} = require('../controllers/inventoryController');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
 const { cacheMiddleware } = require('../middleware/cache');
 
 // Public routes with caching
@@ -16,7 +37,28 @@ router.get('/shops/all', cacheMiddleware(300), getAllSellers); // Cache for 5 mi
 router.get('/:shopSlug', cacheMiddleware(600), getSellerBySlug); // Cache for 10 minutes (shop details)
 
 // Protected routes (require authentication)
-router.post('/register', authenticateToken, registerSeller); // Register as seller
+router.post('/register', authenticateToken, requireVerifiedEmail('seller'), registerSeller); // Register as seller
 router.get('/profile/me', authenticateToken, getSellerProfile); // Get own seller profile
+router.get('/me/ledger', authenticateToken, getMyLedger); // Own ledger with running balance
+router.get('/me/statements/:month', authenticateToken, downloadStatement); // Monthly statement (?format=csv|pdf)
+
+// Delivery zones and fees
+router.get('/me/delivery', authenticateToken, getMyDeliverySettings);
+router.put('/me/delivery', authenticateToken, updateMyDeliverySettings); // Free delivery threshold, pickup only
+router.post('/me/delivery/zones', authenticateToken, createDeliveryZone);
+router.put('/me/delivery/zones/:zoneId', authenticateToken, updateDeliveryZone);
+router.delete('/me/delivery/zones/:zoneId', authenticateToken, deleteDeliveryZone);
+
+// Coupon codes and automatic promotions
+router.get('/me/promotions', authenticateToken, getMyPromotions); // With usage so far
+router.post('/me/promotions', authenticateToken, createPromotion);
+router.put('/me/promotions/:promotionId', authenticateToken, updatePromotion);
+router.delete('/me/promotions/:promotionId', authenticateToken, deletePromotion);
+
+// Inventory: stock levels, movement log, restocks and low-stock thresholds
+router.get('/me/inventory', authenticateToken, getMyInventory); // With days of cover (?status=out|low|ok)
+router.get('/me/inventory/movements', authenticateToken, getInventoryMovements);
+router.post('/me/inventory/adjustments', authenticateToken, createInventoryAdjustment); // Restock or manual adjustment
+router.put('/me/inventory/:productId/threshold', authenticateToken, updateLowStockThreshold);
 
 module.exports = router;
@@ -6,6 +6,7 @@ const {
   uploadMultipleImages,
 } = require('../controllers/uploadController');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
 
 // Error handler for multer
 const handleUploadError = (err, req, res, next) => {
@@ -25,7 +26,7 @@ const handleUploadError = (err, req, res, next) => {
 };
 
 // Protected routes (require authentication)
-router.post('/image', authenticateToken, upload.single('image'), handleUploadError, uploadImage);
-router.post('/images', authenticateToken, upload.array('images', 5), handleUploadError, uploadMultipleImages);
+router.post('/image', authenticateToken, rateLimitPolicy('upload'), upload.single('image'), handleUploadError, uploadImage);
+router.post('/images', authenticateToken, rateLimitPolicy('upload'), upload.array('images', 5), handleUploadError, uploadMultipleImages);
 
 module.exports = router;
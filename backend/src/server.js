@@ -1,13 +1,33 @@
 require('dotenv').config();
 const app = require('./app');
+const { startJobs } = require('./jobs');
+const { startEventFlusher, stopEventFlusher } = require('./services/analyticsEventService');
+const { closeAllStreams } = require('./services/notificationStream');
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n🚀 Server running on http://localhost:${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`\n💡 API Endpoints:`);
   console.log(`   Health: http://localhost:${PORT}/api/health`);
   console.log(`   Docs:   http://localhost:${PORT}/api`);
   console.log(`\n✨ Ready to accept requests!\n`);
+
+  startJobs();
+  startEventFlusher();
 });
+
+// Write buffered analytics events before exiting. Live notification streams
+// never end on their own, so they're closed for server.close() to finish.
+const shutdown = (signal) => {
+  console.log(`\n${signal} received - shutting down`);
+  server.close();
+  closeAllStreams();
+  stopEventFlusher()
+    .catch((error) => console.error('❌ Failed to flush analytics events:', error))
+    .finally(() => process.exit(0));
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
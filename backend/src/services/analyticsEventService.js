@@ -0,0 +1,296 @@
+const NodeCache = require('node-cache');
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const { lagosToday } = require('./analyticsQueryService');
+
+const eventLogger = logger.child('AnalyticsEvents');
+
+// Event type -> product_analytics column
+const EVENT_COLUMNS = {
+  view: 'views',
+  click: 'clicks',
+  add_to_cart: 'add_to_cart',
+  checkout_started: 'checkouts_started',
+};
+const COLUMNS = Object.values(EVENT_COLUMNS);
+
+// Shop-level events (not tied to a product) are counted in shop_analytics
+const SHOP_EVENT_TYPES = ['shop_visit'];
+
+const MAX_BATCH_SIZE = 50;
+const FLUSH_INTERVAL_MS = (parseInt(process.env.ANALYTICS_FLUSH_SECONDS) || 15) * 1000;
+
+// Flush early once this many product/day and shop/day rows are waiting, and stop buffering
+// at MAX_BUFFERED_ROWS if the database is unreachable
+const FLUSH_AT_ROWS = 1000;
+const MAX_BUFFERED_ROWS = 10000;
+
+// The same event for the same product (or shop) from one session counts once in this window
+const DEDUPE_SECONDS = parseInt(process.env.ANALYTICS_DEDUPE_SECONDS) || 30 * 60;
+
+const seenEvents = new NodeCache({ stdTTL: DEDUPE_SECONDS, checkperiod: 120, useClones: false });
+
+// 'productId|date' -> { productId, date, views, clicks, add_to_cart, checkouts_started }
+let buffer = new Map();
+// 'sellerId|date' -> { sellerId, date, visits }
+let shopBuffer = new Map();
+let flushing = null;
+let flushTimer = null;
+
+const addToBuffer = (productId, date, counts) => {
+  const key = `${productId}|${date}`;
+  let row = buffer.get(key);
+
+  if (!row) {
+    if (buffer.size >= MAX_BUFFERED_ROWS) {
+      return false;
+    }
+    row = { productId, date, ...Object.fromEntries(COLUMNS.map(column => [column, 0])) };
+    buffer.set(key, row);
+  }
+
+  COLUMNS.forEach(column => {
+    row[column] += counts[column] || 0;
+  });
+  return true;
+};
+
+const addShopVisits = (sellerId, date, visits) => {
+  const key = `${sellerId}|${date}`;
+  let row = shopBuffer.get(key);
+
+  if (!row) {
+    if (shopBuffer.size >= MAX_BUFFERED_ROWS) {
+      return false;
+    }
+    row = { sellerId, date, visits: 0 };
+    shopBuffer.set(key, row);
+  }
+
+  row.visits += visits;
+  return true;
+};
+
+/**
+ * Take a batch of storefront events into the buffer
+ *
+ * Unknown types and bad product/seller ids are rejected; repeats from the
+ * same session are dropped. Nothing is written here - see flushEvents.
+ *
+ * @param {Array<{type, productId?, sellerId?}>} events - shop_visit carries
+ *   sellerId, every other type productId
+ * @param {object} options
+ * @param {string} options.sessionId - Browser session (or IP when the client sends none)
+ * @returns {{accepted, duplicates, rejected}}
+ */
+const trackEvents = (events, { sessionId }) => {
+  const summary = { accepted: 0, duplicates: 0, rejected: 0 };
+  const date = lagosToday();
+
+  for (const event of events.slice(0, MAX_BATCH_SIZE)) {
+    const isShopEvent = Boolean(event) && SHOP_EVENT_TYPES.includes(event.type);
+    const column = event && EVENT_COLUMNS[event.type];
+    const targetId = event && parseInt(isShopEvent ? event.sellerId : event.productId);
+
+    if ((!column && !isShopEvent) || !targetId || targetId < 1) {
+      summary.rejected++;
+      continue;
+    }
+
+    const dedupeKey = `${sessionId}|${event.type}|${targetId}`;
+    if (seenEvents.has(dedupeKey)) {
+      summary.duplicates++;
+      continue;
+    }
+
+    const added = isShopEvent
+      ? addShopVisits(targetId, date, 1)
+      : addToBuffer(targetId, date, { [column]: 1 });
+
+    if (!added) {
+      summary.rejected++;
+      continue;
+    }
+
+    seenEvents.set(dedupeKey, true);
+    summary.accepted++;
+  }
+
+  summary.rejected += Math.max(events.length - MAX_BATCH_SIZE, 0);
+
+  if (buffer.size + shopBuffer.size >= FLUSH_AT_ROWS) {
+    flushEvents().catch(() => {});
+  }
+
+  return summary;
+};
+
+const writeRows = async (rows) => {
+  await db.query(
+    `INSERT INTO product_analytics (product_id, date, ${COLUMNS.join(', ')})
+     SELECT e.product_id, e.date, ${COLUMNS.map(column => `e.${column}`).join(', ')}
+     FROM unnest($1::int[], $2::date[], $3::int[], $4::int[], $5::int[], $6::int[])
+       AS e(product_id, date, ${COLUMNS.join(', ')})
+     WHERE EXISTS (SELECT 1 FROM products p WHERE p.id = e.product_id)
+     ON CONFLICT (product_id, date) DO UPDATE SET
+       ${COLUMNS.map(column => `${column} = COALESCE(product_analytics.${column}, 0) + EXCLUDED.${column}`).join(',\n       ')},
+       updated_at = CURRENT_TIMESTAMP`,
+    [
+      rows.map(row => row.productId),
+      rows.map(row => row.date),
+      ...COLUMNS.map(column => rows.map(row => row[column])),
+    ]
+  );
+};
+
+const writeShopRows = async (rows) => {
+  await db.query(
+    `INSERT INTO shop_analytics (seller_id, date, visits)
+     SELECT e.seller_id, e.date, e.visits
+     FROM unnest($1::int[], $2::date[], $3::int[]) AS e(seller_id, date, visits)
+     WHERE EXISTS (SELECT 1 FROM sellers s WHERE s.id = e.seller_id)
+     ON CONFLICT (seller_id, date) DO UPDATE SET
+       visits = COALESCE(shop_analytics.visits, 0) + EXCLUDED.visits,
+       updated_at = CURRENT_TIMESTAMP`,
+    [
+      rows.map(row => row.sellerId),
+      rows.map(row => row.date),
+      rows.map(row => row.visits),
+    ]
+  );
+};
+
+// Write one table's rows, putting them back in the buffer if the write fails
+const writeBatch = async (rows, write, rebuffer) => {
+  if (rows.length === 0) {
+    return;
+  }
+
+  try {
+    await write(rows);
+  } catch (error) {
+    rows.forEach(rebuffer);
+    eventLogger.error('Failed to flush analytics events', error, { rows: rows.length });
+    throw error;
+  }
+};
+
+/**
+ * Write buffered counts to product_analytics and shop_analytics, one upsert
+ * per table per flush
+ *
+ * Events for products or shops that no longer exist are dropped. If a write
+ * fails its counts go back in the buffer for the next flush.
+ *
+ * @returns {Promise<number>} product/day and shop/day rows written
+ */
+const flushEvents = async () => {
+  if (flushing) {
+    return flushing;
+  }
+
+  if (buffer.size === 0 && shopBuffer.size === 0) {
+    return 0;
+  }
+
+  const rows = [...buffer.values()];
+  const shopRows = [...shopBuffer.values()];
+  buffer = new Map();
+  shopBuffer = new Map();
+
+  flushing = (async () => {
+    try {
+      const results = await Promise.allSettled([
+        writeBatch(rows, writeRows, row => addToBuffer(row.productId, row.date, row)),
+        writeBatch(shopRows, writeShopRows, row => addShopVisits(row.sellerId, row.date, row.visits)),
+      ]);
+
+      const failed = results.find(result => result.status === 'rejected');
+      if (failed) {
+        throw failed.reason;
+      }
+
+      eventLogger.debug('Flushed analytics events', { rows: rows.length, shopRows: shopRows.length });
+      return rows.length + shopRows.length;
+    } finally {
+      flushing = null;
+    }
+  })();
+
+  return flushing;
+};
+
+// Flush on a timer. Every app instance buffers its own events, so this runs
+// on all of them (unlike jobs/, which only one instance runs)
+const startEventFlusher = () => {
+  if (flushTimer) {
+    return;
+  }
+
+  flushTimer = setInterval(() => {
+    flushEvents().catch(() => {});
+  }, FLUSH_INTERVAL_MS);
+  flushTimer.unref();
+};
+
+// Stop the timer and write whatever is left (on shutdown)
+const stopEventFlusher = async () => {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+  await flushEvents();
+};
+
+/**
+ * Add purchases and revenue for paid order items
+ *
+ * Called inside the transaction that creates the orders, so a payment is
+ * only ever counted once. purchases counts orders containing the product;
+ * revenue is what the buyer paid for it after discounts.
+ *
+ * @param {object} client - Database client in a transaction
+ * @param {Array<{productId, subtotal, discount?}>} items
+ */
+const recordPurchases = async (client, items) => {
+  const byProduct = new Map();
+
+  items.forEach(item => {
+    const totals = byProduct.get(item.productId) || { purchases: 0, revenue: 0 };
+    totals.purchases += 1;
+    totals.revenue += Number(item.subtotal) - Number(item.discount || 0);
+    byProduct.set(item.productId, totals);
+  });
+
+  if (byProduct.size === 0) {
+    return;
+  }
+
+  const productIds = [...byProduct.keys()];
+  await client.query(
+    `INSERT INTO product_analytics (product_id, date, purchases, revenue)
+     SELECT product_id, $4::date, purchases, revenue
+     FROM unnest($1::int[], $2::int[], $3::numeric[]) AS p(product_id, purchases, revenue)
+     ON CONFLICT (product_id, date) DO UPDATE SET
+       purchases = COALESCE(product_analytics.purchases, 0) + EXCLUDED.purchases,
+       revenue = COALESCE(product_analytics.revenue, 0) + EXCLUDED.revenue,
+       updated_at = CURRENT_TIMESTAMP`,
+    [
+      productIds,
+      productIds.map(id => byProduct.get(id).purchases),
+      productIds.map(id => byProduct.get(id).revenue.toFixed(2)),
+      lagosToday(),
+    ]
+  );
+};
+
+module.exports = {
+  EVENT_COLUMNS,
+  SHOP_EVENT_TYPES,
+  MAX_BATCH_SIZE,
+  trackEvents,
+  flushEvents,
+  startEventFlusher,
+  stopEventFlusher,
+  recordPurchases,
+};
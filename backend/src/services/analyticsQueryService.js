@@ -0,0 +1,291 @@
+/**
+ * Analytics Query Layer
+ *
+ * Shared by the seller and admin analytics endpoints: parses the requested
+ * date range, granularity and comparison period, and builds the SQL for
+ * filtering and bucketing by Lagos day/week/month. Dates only ever reach SQL
+ * as query parameters.
+ *
+ * Timestamp columns (orders.created_at etc.) are stored in server time (UTC);
+ * DATE columns (product_analytics.date, shop_analytics.date) are already
+ * Lagos days.
+ */
+
+const TIMEZONE = 'Africa/Lagos';
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const COMPARISONS = ['previous_period', 'previous_year'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 731;
+// More daily buckets than this is too many to chart; use week or month
+const MAX_DAILY_BUCKETS = 366;
+
+// ?period= shorthands for "the last N days", besides a plain number of days
+const PERIOD_PRESETS = {
+  '7days': 7,
+  '30days': 30,
+  '90days': 90,
+  '1year': 365,
+};
+
+const rangeError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Calendar day in Lagos, e.g. '2025-01-31'
+const lagosToday = () => new Date().toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+
+const toUtcDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = toUtcDate(value);
+  return !isNaN(date.getTime()) && formatDate(date) === value;
+};
+
+const addDays = (date, days) => formatDate(new Date(toUtcDate(date).getTime() + days * DAY_MS));
+
+const daysBetween = (from, to) => Math.round((toUtcDate(to) - toUtcDate(from)) / DAY_MS) + 1;
+
+// Same calendar day a year earlier (29 Feb becomes 28 Feb)
+const subtractYear = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year - 1, month, 0)).getUTCDate();
+  return formatDate(new Date(Date.UTC(year - 1, month - 1, Math.min(day, lastDay))));
+};
+
+// First day of the bucket a date falls in. Weeks start on Monday, like DATE_TRUNC
+const bucketStart = (date, granularity) => {
+  if (granularity === 'month') {
+    return `${date.slice(0, 7)}-01`;
+  }
+  if (granularity === 'week') {
+    const weekday = (toUtcDate(date).getUTCDay() + 6) % 7;
+    return addDays(date, -weekday);
+  }
+  return date;
+};
+
+const nextBucket = (date, granularity) => {
+  if (granularity === 'month') {
+    const [year, month] = date.split('-').map(Number);
+    return formatDate(new Date(Date.UTC(year, month, 1)));
+  }
+  return addDays(date, granularity === 'week' ? 7 : 1);
+};
+
+/**
+ * Parse the analytics query string
+ *
+ * Accepts from/to (Lagos dates, both inclusive), or `period` ('7days',
+ * '30', ...) meaning the last N days up to today. Granularity defaults to day
+ * for ranges up to two months, week up to six months, month beyond that.
+ *
+ * @param {object} query - req.query
+ * @param {string} [query.from] - 'YYYY-MM-DD'
+ * @param {string} [query.to] - 'YYYY-MM-DD', defaults to today
+ * @param {string} [query.period] - Shorthand for the last N days, instead of from
+ * @param {string} [query.granularity] - day, week or month
+ * @param {string} [query.compare] - previous_period, previous_year or none
+ * @param {object} [options]
+ * @param {number} [options.defaultDays] - Range length when neither from nor period is given
+ * @param {string} [options.defaultCompare] - Comparison when the query has none
+ * @returns {{from, to, days, granularity, compare, comparison: ({from, to, days}|null)}}
+ */
+const parseRange = (query = {}, { defaultDays = DEFAULT_RANGE_DAYS, defaultCompare = null } = {}) => {
+  const { from, to, period, granularity, compare } = query;
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    throw rangeError('Dates must be in YYYY-MM-DD format');
+  }
+
+  const end = to || lagosToday();
+  let start = from;
+
+  if (!start) {
+    let days = defaultDays;
+    if (period !== undefined && period !== '') {
+      days = PERIOD_PRESETS[period] || parseInt(period);
+      if (!days || days < 1) {
+        throw rangeError(`Invalid period. Use from/to, or one of: ${Object.keys(PERIOD_PRESETS).join(', ')}`);
+      }
+    }
+    start = addDays(end, -(days - 1));
+  }
+
+  const days = daysBetween(start, end);
+  if (days < 1) {
+    throw rangeError('from must be on or before to');
+  }
+  if (days > MAX_RANGE_DAYS) {
+    throw rangeError(`Date range cannot be longer than ${MAX_RANGE_DAYS} days`);
+  }
+
+  let bucket = granularity;
+  if (!bucket) {
+    bucket = days <= 62 ? 'day' : days <= 183 ? 'week' : 'month';
+  } else if (!GRANULARITIES.includes(bucket)) {
+    throw rangeError(`Invalid granularity. Must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+  if (bucket === 'day' && days > MAX_DAILY_BUCKETS) {
+    throw rangeError(`Daily granularity is limited to ${MAX_DAILY_BUCKETS} days. Use week or month`);
+  }
+
+  const comparisonType = compare === undefined || compare === '' ? defaultCompare : compare;
+  if (comparisonType && comparisonType !== 'none' && !COMPARISONS.includes(comparisonType)) {
+    throw rangeError(`Invalid compare. Must be one of: ${[...COMPARISONS, 'none'].join(', ')}`);
+  }
+
+  let comparison = null;
+  if (comparisonType === 'previous_period') {
+    const comparisonTo = addDays(start, -1);
+    comparison = { from: addDays(comparisonTo, -(days - 1)), to: comparisonTo, days };
+  } else if (comparisonType === 'previous_year') {
+    const comparisonFrom = subtractYear(start);
+    const comparisonTo = subtractYear(end);
+    comparison = { from: comparisonFrom, to: comparisonTo, days: daysBetween(comparisonFrom, comparisonTo) };
+  }
+
+  return {
+    from: start,
+    to: end,
+    days,
+    granularity: bucket,
+    compare: comparison ? comparisonType : null,
+    comparison,
+  };
+};
+
+/**
+ * SQL: a UTC timestamp column as Lagos local time
+ */
+const lagosTime = (column) => `(${column} AT TIME ZONE 'UTC' AT TIME ZONE '${TIMEZONE}')`;
+
+// SQL: start of a Lagos day as a UTC timestamp, for index-friendly comparisons
+const lagosDayStart = (dateSql) => `((${dateSql})::timestamp AT TIME ZONE '${TIMEZONE}' AT TIME ZONE 'UTC')`;
+
+/**
+ * SQL condition: UTC timestamp column falls within the Lagos days $from..$to
+ *
+ * @param {string} column - e.g. 'o.created_at'
+ * @param {number} fromParam - Placeholder number holding the from date
+ * @param {number} toParam - Placeholder number holding the to date
+ */
+const timestampInRange = (column, fromParam, toParam) => {
+  return `${column} >= ${lagosDayStart(`$${fromParam}::date`)}
+    AND ${column} < ${lagosDayStart(`$${toParam}::date + 1`)}`;
+};
+
+/**
+ * SQL condition: Lagos DATE column falls within $from..$to
+ */
+const dateInRange = (column, fromParam, toParam) => {
+  return `${column} BETWEEN $${fromParam}::date AND $${toParam}::date`;
+};
+
+/**
+ * SQL: the bucket a row falls in, as 'YYYY-MM-DD' (first day of the bucket)
+ *
+ * @param {string} column
+ * @param {string} granularity - from parseRange, so always one of GRANULARITIES
+ * @param {object} [options]
+ * @param {boolean} [options.isDate] - column is already a Lagos DATE
+ */
+const bucketSql = (column, granularity, { isDate = false } = {}) => {
+  if (!GRANULARITIES.includes(granularity)) {
+    throw rangeError(`Invalid granularity. Must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+  const local = isDate ? `${column}::timestamp` : lagosTime(column);
+  return `TO_CHAR(DATE_TRUNC('${granularity}', ${local}), 'YYYY-MM-DD')`;
+};
+
+/**
+ * Every bucket in the range, in order, with rows from the query merged in
+ *
+ * Buckets with no rows get emptyRow, so charts don't skip quiet days.
+ *
+ * @param {Array<object>} rows - Each with a `bucket` from bucketSql
+ * @param {{from, to, granularity}} range
+ * @param {object} emptyRow - Values for a bucket with no rows
+ */
+const fillSeries = (rows, range, emptyRow) => {
+  const byBucket = new Map(rows.map(row => [row.bucket, row]));
+  const series = [];
+
+  for (let bucket = bucketStart(range.from, range.granularity); bucket <= range.to; bucket = nextBucket(bucket, range.granularity)) {
+    series.push({ ...emptyRow, ...byBucket.get(bucket), bucket });
+  }
+
+  return series;
+};
+
+/**
+ * Run a query for the range and, if there is one, its comparison period
+ *
+ * @param {object} range - from parseRange
+ * @param {function({from, to}): Promise<*>} run
+ * @returns {Promise<{current: *, previous: *}>} previous is null without a comparison
+ */
+const withComparison = async (range, run) => {
+  const [current, previous] = await Promise.all([
+    run({ from: range.from, to: range.to }),
+    range.comparison ? run(range.comparison) : null,
+  ]);
+  return { current, previous };
+};
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Current vs previous value for each metric
+ *
+ * @param {object} current - { metric: number|string }
+ * @param {object|null} previous - Same shape, or null without a comparison
+ * @returns {object} { metric: { current, previous, change, changePercentage } }
+ *   previous/change are null without a comparison; changePercentage is null
+ *   when the previous value was 0
+ */
+const deltas = (current, previous) => {
+  return Object.fromEntries(Object.keys(current).map(key => {
+    const now = parseFloat(current[key]) || 0;
+
+    if (!previous) {
+      return [key, { current: now, previous: null, change: null, changePercentage: null }];
+    }
+
+    const before = parseFloat(previous[key]) || 0;
+    return [key, {
+      current: now,
+      previous: before,
+      change: round(now - before),
+      changePercentage: before !== 0 ? round(((now - before) / Math.abs(before)) * 100, 1) : null,
+    }];
+  }));
+};
+
+module.exports = {
+  TIMEZONE,
+  GRANULARITIES,
+  COMPARISONS,
+  lagosToday,
+  parseRange,
+  lagosTime,
+  timestampInRange,
+  dateInRange,
+  bucketSql,
+  fillSeries,
+  withComparison,
+  deltas,
+};
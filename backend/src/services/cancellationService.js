@@ -0,0 +1,272 @@
+const db = require('../config/database');
+const paystackService = require('./paystackService');
+const { logger } = require('../utils/logger');
+const { recordMovements, checkLowStock } = require('./inventoryService');
+const { createNotifications, orderStatusNotification, sellerOrderNotification } = require('./notificationService');
+
+const cancellationLogger = logger.child('Cancellation');
+
+// Statuses each role may cancel from
+const CANCELLABLE_STATUSES = {
+  buyer: ['pending', 'processing'],
+  seller: ['pending', 'processing'],
+  admin: ['pending', 'processing', 'ready_for_pickup', 'in_transit'],
+};
+
+const cancellationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Refund a cancelled order through Paystack
+ *
+ * Safe to call again for a cancellation whose refund failed to start.
+ * refund_completed is set here if Paystack processes the refund immediately,
+ * otherwise by the refund.processed webhook, which finds the cancellation by
+ * the refund id stored here.
+ *
+ * @returns {Promise<{initiated: boolean, completed: boolean, error?: string}>}
+ */
+const initiateRefund = async (orderId) => {
+  const result = await db.query(
+    `SELECT o.id, o.total_amount, o.paystack_reference, o.order_number,
+            oc.id as cancellation_id, oc.refund_initiated, oc.refund_completed
+     FROM orders o
+     JOIN order_cancellations oc ON oc.order_id = o.id
+     WHERE o.id = $1 AND o.status = 'cancelled'
+     ORDER BY oc.created_at DESC
+     LIMIT 1`,
+    [orderId]
+  );
+
+  if (result.rows.length === 0) {
+    throw cancellationError('Cancelled order not found', 404);
+  }
+
+  const order = result.rows[0];
+
+  if (order.refund_initiated) {
+    return { initiated: true, completed: order.refund_completed };
+  }
+
+  try {
+    const refundResponse = await paystackService.createRefund({
+      transaction: order.paystack_reference,
+      amount: Math.round(parseFloat(order.total_amount) * 100), // Convert to kobo
+      merchantNote: `Cancellation of order ${order.order_number}`,
+    });
+
+    const completed = refundResponse?.data?.status === 'processed';
+    const refundId = refundResponse?.data?.id ? String(refundResponse.data.id) : null;
+
+    await db.query(
+      `UPDATE order_cancellations
+       SET refund_initiated = TRUE, refund_completed = $1, paystack_refund_id = $2
+       WHERE id = $3`,
+      [completed, refundId, order.cancellation_id]
+    );
+
+    await db.query(
+      `UPDATE orders
+       SET payment_status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [completed ? 'refunded' : 'refund_pending', orderId]
+    );
+
+    cancellationLogger.info('Refund initiated', { orderId, refundId, completed });
+
+    return { initiated: true, completed };
+  } catch (error) {
+    cancellationLogger.error('Failed to initiate refund', error, {
+      orderId,
+      paystack: error.response?.data?.message,
+    });
+    return {
+      initiated: false,
+      completed: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+/**
+ * Cancel a paid order, restore stock and refund the buyer
+ *
+ * Callers check ownership first; this re-checks status under a row lock so a
+ * concurrent status update can't slip in between.
+ *
+ * @param {object} params
+ * @param {number} params.orderId
+ * @param {number} params.cancelledBy - user ID of whoever cancelled
+ * @param {string} params.role - 'buyer', 'seller' or 'admin'
+ * @param {string} params.reason
+ * @returns {Promise<{order: object, refund: object}>}
+ */
+const cancelOrder = async ({ orderId, cancelledBy, role, reason }) => {
+  const allowedStatuses = CANCELLABLE_STATUSES[role];
+  if (!allowedStatuses) {
+    throw cancellationError(`Unknown cancellation role: ${role}`, 500);
+  }
+
+  const client = await db.connect();
+  let cancelledOrder;
+  let returnedProductIds = [];
+
+  try {
+    await client.query('BEGIN');
+
+    const orderResult = await client.query(
+      'SELECT * FROM orders WHERE id = $1 FOR UPDATE',
+      [orderId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      throw cancellationError('Order not found', 404);
+    }
+
+    const order = orderResult.rows[0];
+
+    if (order.payment_status !== 'paid') {
+      throw cancellationError('Only paid orders can be cancelled');
+    }
+
+    if (!allowedStatuses.includes(order.status)) {
+      throw cancellationError(`Orders that are "${order.status}" cannot be cancelled`);
+    }
+
+    if (role === 'buyer' && order.cancellation_deadline && new Date() > new Date(order.cancellation_deadline)) {
+      throw cancellationError('The 30-minute cancellation window for this order has passed');
+    }
+
+    const updateResult = await client.query(
+      `UPDATE orders
+       SET status = 'cancelled',
+           cancellation_reason = $1,
+           payout_status = 'cancelled',
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING *`,
+      [reason, orderId]
+    );
+    cancelledOrder = updateResult.rows[0];
+
+    await client.query(
+      `INSERT INTO order_status_history (order_id, old_status, new_status, changed_by, notes)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [orderId, order.status, 'cancelled', cancelledBy, reason]
+    );
+
+    await client.query(
+      `INSERT INTO order_cancellations (order_id, cancelled_by, cancelled_by_role, cancellation_reason)
+       VALUES ($1, $2, $3, $4)`,
+      [orderId, cancelledBy, role, reason]
+    );
+
+    // A split-settled seller already has their share, but the buyer is
+    // refunded from BuyTree's balance - take it back from their next payout
+    if (order.settled_by_split) {
+      await client.query(
+        `INSERT INTO seller_balances (seller_id, amount, reason, order_id, is_clawback)
+         VALUES ($1, $2, $3, $4, TRUE)`,
+        [order.seller_id, -parseFloat(order.seller_amount), `Clawback - cancelled order ${order.order_number}`, orderId]
+      );
+    }
+
+    // Return every item to stock (variant first, then the product total).
+    // Products are locked first, in id order, like checkout reservations do.
+    await client.query(
+      `SELECT id FROM products
+       WHERE id IN (SELECT product_id FROM order_items WHERE order_id = $1)
+       ORDER BY id
+       FOR UPDATE`,
+      [orderId]
+    );
+
+    await client.query(
+      `UPDATE product_variants v
+       SET quantity_available = v.quantity_available + oi.quantity,
+           updated_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT variant_id, SUM(quantity) as quantity
+         FROM order_items
+         WHERE order_id = $1 AND variant_id IS NOT NULL
+         GROUP BY variant_id
+       ) oi
+       WHERE v.id = oi.variant_id`,
+      [orderId]
+    );
+
+    await client.query(
+      `UPDATE products p
+       SET quantity_available = p.quantity_available + oi.quantity,
+           updated_at = CURRENT_TIMESTAMP
+       FROM (
+         SELECT product_id, SUM(quantity) as quantity
+         FROM order_items
+         WHERE order_id = $1
+         GROUP BY product_id
+       ) oi
+       WHERE p.id = oi.product_id`,
+      [orderId]
+    );
+
+    const returnedResult = await client.query(
+      `SELECT product_id, variant_id, SUM(quantity) as quantity
+       FROM order_items
+       WHERE order_id = $1
+       GROUP BY product_id, variant_id`,
+      [orderId]
+    );
+    returnedProductIds = returnedResult.rows.map(row => row.product_id);
+
+    await recordMovements(client, returnedResult.rows.map(row => ({
+      productId: row.product_id,
+      variantId: row.variant_id,
+      type: 'cancellation_return',
+      change: parseInt(row.quantity),
+      orderId,
+      note: `Cancelled by ${role}`,
+      userId: cancelledBy,
+    })));
+
+    // Whoever didn't cancel it hears about it (both sides when an admin cancels)
+    const notifications = [];
+    if (role !== 'buyer') {
+      notifications.push(orderStatusNotification(cancelledOrder, 'cancelled', { reason }));
+    }
+    if (role !== 'seller') {
+      notifications.push(sellerOrderNotification(
+        cancelledOrder,
+        'order_cancelled',
+        `Order ${cancelledOrder.order_number} was cancelled`,
+        role === 'buyer' ? `Cancelled by the buyer: ${reason}` : reason
+      ));
+    }
+    await createNotifications(client, notifications);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  cancellationLogger.info('Order cancelled', { orderId, role, cancelledBy });
+
+  // Stock is back - products above their threshold can be alerted again
+  checkLowStock(returnedProductIds);
+
+  // Refund outside the transaction - a Paystack failure must not undo the cancellation
+  const refund = await initiateRefund(orderId);
+
+  return { order: cancelledOrder, refund };
+};
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  cancelOrder,
+  initiateRefund,
+};
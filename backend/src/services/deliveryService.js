@@ -0,0 +1,172 @@
+const db = require('../config/database');
+const {
+  normalizePlaceName,
+  containsPlace,
+  findState,
+  detectStateFromAddress,
+} = require('../utils/nigerianStates');
+
+const ZONE_TYPES = ['lga', 'state', 'flat'];
+
+const deliveryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Pick the zone that covers an address - most specific first (LGA, then state,
+ * then flat rate). Within a type the cheapest zone wins.
+ */
+const matchZone = (zones, { state, address, lga }) => {
+  const addressText = normalizePlaceName(address);
+  const byFee = (a, b) => parseFloat(a.fee) - parseFloat(b.fee);
+
+  const lgaZones = zones
+    .filter(zone => zone.zone_type === 'lga')
+    .filter(zone => !state || zone.state === state)
+    .filter(zone => {
+      if (lga) {
+        return normalizePlaceName(zone.lga) === normalizePlaceName(lga);
+      }
+      return containsPlace(addressText, zone.lga);
+    })
+    .sort(byFee);
+  if (lgaZones.length > 0) {
+    return lgaZones[0];
+  }
+
+  if (state) {
+    const stateZones = zones
+      .filter(zone => zone.zone_type === 'state' && zone.state === state)
+      .sort(byFee);
+    if (stateZones.length > 0) {
+      return stateZones[0];
+    }
+  }
+
+  const flatZones = zones.filter(zone => zone.zone_type === 'flat').sort(byFee);
+  return flatZones[0] || null;
+};
+
+/**
+ * Quote delivery for one seller's order
+ *
+ * Sellers who haven't set up any zones deliver free (as before zones existed).
+ * Pickup-only sellers never charge delivery.
+ *
+ * @param {number} sellerId
+ * @param {number} subtotal - order value before delivery
+ * @param {object} deliveryDetails - { address, state?, lga? } from checkout
+ * @returns {Promise<{sellerId, shopName, method, fee, zoneId, zoneName, freeDelivery, pickupAddress}>}
+ */
+const quoteSellerDelivery = async (sellerId, subtotal, deliveryDetails = {}) => {
+  const sellerResult = await db.query(
+    `SELECT id, shop_name, pickup_only, pickup_address, free_delivery_threshold
+     FROM sellers WHERE id = $1`,
+    [sellerId]
+  );
+
+  if (sellerResult.rows.length === 0) {
+    throw deliveryError(`Seller ${sellerId} not found`, 404);
+  }
+
+  const seller = sellerResult.rows[0];
+  const quote = {
+    sellerId: seller.id,
+    shopName: seller.shop_name,
+    method: 'delivery',
+    fee: 0,
+    zoneId: null,
+    zoneName: null,
+    freeDelivery: false,
+    pickupAddress: null,
+  };
+
+  if (seller.pickup_only) {
+    return { ...quote, method: 'pickup', pickupAddress: seller.pickup_address };
+  }
+
+  const zonesResult = await db.query(
+    `SELECT id, name, zone_type, state, lga, fee
+     FROM seller_delivery_zones
+     WHERE seller_id = $1 AND is_active = TRUE
+     ORDER BY id ASC`,
+    [sellerId]
+  );
+
+  if (zonesResult.rows.length === 0) {
+    return quote;
+  }
+
+  const state = findState(deliveryDetails.state) || detectStateFromAddress(deliveryDetails.address);
+  const zone = matchZone(zonesResult.rows, {
+    state,
+    address: deliveryDetails.address,
+    lga: deliveryDetails.lga,
+  });
+
+  if (!zone) {
+    throw deliveryError(
+      `${seller.shop_name} does not deliver to ${state || 'this address'}. Add your state to the address or choose another shop.`
+    );
+  }
+
+  const threshold = seller.free_delivery_threshold === null ? null : parseFloat(seller.free_delivery_threshold);
+  const freeDelivery = threshold !== null && subtotal >= threshold;
+
+  return {
+    ...quote,
+    fee: freeDelivery ? 0 : parseFloat(zone.fee),
+    zoneId: zone.id,
+    zoneName: zone.name,
+    freeDelivery,
+  };
+};
+
+/**
+ * Validate and normalise a zone from the seller dashboard
+ * @returns {{name, zoneType, state, lga, fee, isActive}}
+ */
+const validateZone = ({ name, zoneType, state, lga, fee, isActive = true }) => {
+  if (!ZONE_TYPES.includes(zoneType)) {
+    throw deliveryError(`Zone type must be one of: ${ZONE_TYPES.join(', ')}`);
+  }
+
+  const parsedFee = parseFloat(fee);
+  if (isNaN(parsedFee) || parsedFee < 0) {
+    throw deliveryError('Delivery fee must be zero or more');
+  }
+
+  let canonicalState = null;
+  if (zoneType !== 'flat') {
+    canonicalState = findState(state);
+    if (!canonicalState) {
+      throw deliveryError('A valid Nigerian state is required');
+    }
+  }
+
+  const trimmedLga = zoneType === 'lga' ? String(lga || '').trim() : null;
+  if (zoneType === 'lga' && !trimmedLga) {
+    throw deliveryError('LGA is required for LGA zones');
+  }
+
+  const defaultName = zoneType === 'flat'
+    ? 'Flat rate'
+    : zoneType === 'lga' ? `${trimmedLga}, ${canonicalState}` : canonicalState;
+
+  return {
+    name: String(name || '').trim() || defaultName,
+    zoneType,
+    state: canonicalState,
+    lga: trimmedLga,
+    fee: parsedFee,
+    isActive: isActive !== false,
+  };
+};
+
+module.exports = {
+  ZONE_TYPES,
+  quoteSellerDelivery,
+  validateZone,
+};
@@ -0,0 +1,111 @@
+const db = require('../config/database');
+const paystackService = require('./paystackService');
+const { logger } = require('../utils/logger');
+
+const disputeLogger = logger.child('Dispute');
+
+// Payment status once a dispute refund has gone through
+const refundedStatus = (dispute) => {
+  return dispute.resolution_type === 'full_refund' ? 'refunded' : 'partially_refunded';
+};
+
+/**
+ * Refund a resolved dispute's refund_amount to the buyer through Paystack
+ *
+ * Works like cancellationService.initiateRefund: safe to call again for a
+ * dispute whose refund failed to start, and refund_completed is set here if
+ * Paystack processes the refund immediately, otherwise by the
+ * refund.processed webhook (matched on the refund id stored here).
+ *
+ * @returns {Promise<{initiated: boolean, completed: boolean, error?: string}>}
+ */
+const initiateDisputeRefund = async (disputeId) => {
+  const result = await db.query(
+    `SELECT d.id, d.order_id, d.resolution_type, d.refund_amount,
+            d.refund_initiated, d.refund_completed,
+            o.paystack_reference, o.order_number
+     FROM disputes d
+     JOIN orders o ON o.id = d.order_id
+     WHERE d.id = $1 AND d.status = 'resolved' AND d.refund_amount > 0`,
+    [disputeId]
+  );
+
+  const dispute = result.rows[0];
+  if (!dispute) {
+    return { initiated: false, completed: false, error: 'No refund to make for this dispute' };
+  }
+
+  if (dispute.refund_initiated) {
+    return { initiated: true, completed: dispute.refund_completed };
+  }
+
+  try {
+    const refundResponse = await paystackService.createRefund({
+      transaction: dispute.paystack_reference,
+      amount: Math.round(parseFloat(dispute.refund_amount) * 100), // Convert to kobo
+      merchantNote: `Dispute #${dispute.id} on order ${dispute.order_number}`,
+    });
+
+    const completed = refundResponse?.data?.status === 'processed';
+    const refundId = refundResponse?.data?.id ? String(refundResponse.data.id) : null;
+
+    await db.query(
+      `UPDATE disputes
+       SET refund_initiated = TRUE, refund_completed = $1, paystack_refund_id = $2,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [completed, refundId, dispute.id]
+    );
+
+    await db.query(
+      `UPDATE orders
+       SET payment_status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [completed ? refundedStatus(dispute) : 'refund_pending', dispute.order_id]
+    );
+
+    disputeLogger.info('Dispute refund initiated', { disputeId: dispute.id, refundId, completed });
+
+    return { initiated: true, completed };
+  } catch (error) {
+    disputeLogger.error('Failed to initiate dispute refund', error, {
+      disputeId: dispute.id,
+      paystack: error.response?.data?.message,
+    });
+    return {
+      initiated: false,
+      completed: false,
+      error: error.response?.data?.message || error.message,
+    };
+  }
+};
+
+/**
+ * Mark the dispute refund with this Paystack refund id as completed
+ * @returns {Promise<number[]>} The order IDs updated
+ */
+const completeDisputeRefund = async (refundId) => {
+  const result = await db.query(
+    `UPDATE disputes
+     SET refund_completed = TRUE, updated_at = CURRENT_TIMESTAMP
+     WHERE paystack_refund_id = $1
+     RETURNING order_id, resolution_type`,
+    [refundId]
+  );
+
+  for (const dispute of result.rows) {
+    await db.query(
+      `UPDATE orders
+       SET payment_status = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [refundedStatus(dispute), dispute.order_id]
+    );
+  }
+
+  return result.rows.map(row => row.order_id);
+};
+
+module.exports = {
+  initiateDisputeRefund,
+  completeDisputeRefund,
+};
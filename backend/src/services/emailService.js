@@ -5,7 +5,7 @@ const createTransporter = () => {
   // For development, use Ethereal (fake SMTP)
   // For production, configure with real SMTP service (Gmail, SendGrid, etc.)
   if (process.env.NODE_ENV === 'production') {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       host: process.env.SMTP_HOST,
       port: process.env.SMTP_PORT,
       secure: true,
@@ -16,7 +16,7 @@ const createTransporter = () => {
     });
   } else {
     // Development: Log emails to console instead of sending
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       host: 'smtp.ethereal.email',
       port: 587,
       secure: false,
@@ -335,8 +335,324 @@ const sendSellerNewOrderNotification = async (orderData) => {
   }
 };
 
+// Send low stock alert to seller
+const sendLowStockAlert = async (alertData) => {
+  try {
+    const { sellerEmail, sellerName, products } = alertData;
+
+    const productsList = products
+      .map((product) => `<li><strong>${product.name}</strong> - ${product.quantityAvailable === 0 ? 'sold out' : `${product.quantityAvailable} left`} (alert at ${product.threshold})</li>`)
+      .join('');
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Low Stock</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #16a34a; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0;">BuyTree</h1>
+            <p style="margin: 10px 0 0 0;">Running Low on Stock</p>
+          </div>
+
+          <div style="background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; border-top: none;">
+            <p>Hello ${sellerName},</p>
+            <p>${products.length === 1 ? 'This product is' : 'These products are'} running low:</p>
+
+            <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <ul>${productsList}</ul>
+            </div>
+
+            <p>Restock soon so you don't miss sales. See how long your stock will last on your <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/seller/inventory" style="color: #16a34a;">inventory page</a>.</p>
+
+            <p>Best regards,<br>The BuyTree Team</p>
+          </div>
+
+          <div style="text-align: center; padding: 20px; color: #6b7280; font-size: 12px;">
+            <p>This is an automated email, please do not reply.</p>
+            <p>&copy; 2025 BuyTree. All rights reserved.</p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"BuyTree" <${process.env.SMTP_FROM || 'noreply@buytree.com'}>`,
+      to: sellerEmail,
+      subject: products.length === 1
+        ? `Low stock: ${products[0].name} - BuyTree`
+        : `Low stock on ${products.length} products - BuyTree`,
+      html,
+    };
+
+    // In development, log to console
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('📧 Email would be sent to:', sellerEmail);
+      console.log('Subject:', mailOptions.subject);
+      console.log('---');
+      return { success: true, dev: true };
+    }
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Low stock alert email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending low stock alert email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send back-in-stock and price-drop alerts for a buyer's favorites
+const sendFavoriteAlerts = async (alertData) => {
+  try {
+    const { email, firstName, alerts } = alertData;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    const alertsList = alerts
+      .map((alert) => {
+        const detail = alert.type === 'price_drop'
+          ? `now ${formatPrice(alert.newPrice)} (was ${formatPrice(alert.oldPrice)})`
+          : 'back in stock';
+        return `<li><a href="${frontendUrl}${alert.link}" style="color: #16a34a;"><strong>${alert.productName}</strong></a> from ${alert.shopName} - ${detail}</li>`;
+      })
+      .join('');
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your Favorites</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #16a34a; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0;">BuyTree</h1>
+            <p style="margin: 10px 0 0 0;">News on Your Favorites</p>
+          </div>
+
+          <div style="background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; border-top: none;">
+            <p>Hello ${firstName},</p>
+            <p>${alerts.length === 1 ? 'A product you saved has' : 'Some products you saved have'} changed:</p>
+
+            <div style="background-color: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <ul>${alertsList}</ul>
+            </div>
+
+            <p>Stock can go quickly, so don't wait too long.</p>
+
+            <p>Best regards,<br>The BuyTree Team</p>
+          </div>
+
+          <div style="text-align: center; padding: 20px; color: #6b7280; font-size: 12px;">
+            <p>You get these emails for products in your favorites. Turn them off on your <a href="${frontendUrl}/favorites" style="color: #6b7280;">favorites page</a>.</p>
+            <p>&copy; 2025 BuyTree. All rights reserved.</p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"BuyTree" <${process.env.SMTP_FROM || 'noreply@buytree.com'}>`,
+      to: email,
+      subject: alerts.length === 1
+        ? `${alerts[0].productName} is ${alerts[0].type === 'price_drop' ? 'cheaper now' : 'back in stock'} - BuyTree`
+        : `${alerts.length} of your favorites have changed - BuyTree`,
+      html,
+    };
+
+    // In development, log to console
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('📧 Email would be sent to:', email);
+      console.log('Subject:', mailOptions.subject);
+      console.log('---');
+      return { success: true, dev: true };
+    }
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Favorite alerts email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending favorite alerts email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send account lockout warning after repeated failed logins
+const sendAccountLocked = async (lockData) => {
+  try {
+    const { email, firstName, minutes } = lockData;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Account Locked</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #16a34a; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0;">BuyTree</h1>
+            <p style="margin: 10px 0 0 0;">Sign-in Locked</p>
+          </div>
+
+          <div style="background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; border-top: none;">
+            <p>Hello ${firstName},</p>
+            <p>Someone entered the wrong password for your BuyTree account several times, so we've paused sign-ins for ${minutes} minutes.</p>
+
+            <div style="background-color: #fef3c7; border-left: 4px solid #f59e0b; padding: 12px; margin: 20px 0; border-radius: 4px;">
+              <p style="margin: 0; color: #92400e;">
+                If this wasn't you, <a href="${frontendUrl}/forgot-password" style="color: #92400e;">reset your password</a> now. Resetting it also lifts the lock.
+              </p>
+            </div>
+
+            <p>If it was you, wait for the lock to end and try again. Each further wrong password makes the wait longer.</p>
+
+            <p>Best regards,<br>The BuyTree Team</p>
+          </div>
+
+          <div style="text-align: center; padding: 20px; color: #6b7280; font-size: 12px;">
+            <p>&copy; 2025 BuyTree. All rights reserved.</p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"BuyTree" <${process.env.SMTP_FROM || 'noreply@buytree.com'}>`,
+      to: email,
+      subject: 'Sign-in to your account has been locked - BuyTree',
+      html,
+    };
+
+    // In development, log to console
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('📧 Email would be sent to:', email);
+      console.log('Subject:', mailOptions.subject);
+      console.log('---');
+      return { success: true, dev: true };
+    }
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Account locked email sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending account locked email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send an email verification or email change confirmation link
+const sendEmailVerification = async (verifyData) => {
+  try {
+    const { email, firstName, link, purpose, newEmail } = verifyData;
+
+    const content = {
+      verify: {
+        subject: 'Verify your email address - BuyTree',
+        heading: 'Verify Your Email',
+        intro: 'Thanks for joining BuyTree! Please confirm this is your email address so you can place orders and open a shop.',
+        button: 'Verify Email',
+      },
+      change_current: {
+        subject: 'Confirm your email change - BuyTree',
+        heading: 'Confirm Email Change',
+        intro: `We received a request to change the email on your BuyTree account to <strong>${newEmail}</strong>. Confirm below to approve it - we've also sent a link to the new address, and the change happens once both are confirmed.`,
+        button: 'Approve Change',
+      },
+      change_new: {
+        subject: 'Confirm your new email address - BuyTree',
+        heading: 'Confirm Your New Email',
+        intro: "Please confirm this is the new email address for your BuyTree account. We've also sent a link to your current address, and the change happens once both are confirmed.",
+        button: 'Confirm Email',
+      },
+    }[purpose];
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>${content.heading}</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background-color: #16a34a; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0;">
+            <h1 style="margin: 0;">BuyTree</h1>
+            <p style="margin: 10px 0 0 0;">${content.heading}</p>
+          </div>
+
+          <div style="background-color: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; border-top: none;">
+            <p>Hello ${firstName},</p>
+            <p>${content.intro}</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${link}" style="background-color: #16a34a; color: white; padding: 12px 30px; text-decoration: none; border-radius: 6px; display: inline-block; font-weight: bold;">
+                ${content.button}
+              </a>
+            </div>
+
+            <p style="color: #6b7280; font-size: 14px;">
+              Or copy and paste this link into your browser:<br>
+              <a href="${link}" style="color: #16a34a; word-break: break-all;">${link}</a>
+            </p>
+
+            <p style="color: #6b7280; font-size: 14px;">This link expires in 24 hours. If you didn't ask for this, you can ignore this email.</p>
+
+            <p>Best regards,<br>The BuyTree Team</p>
+          </div>
+
+          <div style="text-align: center; padding: 20px; color: #6b7280; font-size: 12px;">
+            <p>&copy; 2025 BuyTree. All rights reserved.</p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"BuyTree" <${process.env.SMTP_FROM || 'noreply@buytree.com'}>`,
+      to: email,
+      subject: content.subject,
+      html,
+    };
+
+    // In development, log to console
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('📧 Email would be sent to:', email);
+      console.log('Subject:', mailOptions.subject);
+      console.log('Link:', link);
+      console.log('---');
+      return { success: true, dev: true };
+    }
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Email verification sent:', info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('❌ Error sending email verification:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendOrderConfirmation,
   sendOrderStatusUpdate,
   sendSellerNewOrderNotification,
+  sendLowStockAlert,
+  sendFavoriteAlerts,
+  sendAccountLocked,
+  sendEmailVerification,
 };
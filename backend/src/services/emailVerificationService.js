@@ -0,0 +1,374 @@
+/**
+ * Email Verification
+ *
+ * Proves a user owns their email address with one-time links (migration 028).
+ * Signup sends a verification link; changing the email sends a link to both
+ * the current and the new address, and the change applies once both have
+ * been followed.
+ *
+ * Links can be resent, but no more than once every RESEND_INTERVAL_SECONDS
+ * and DAILY_SEND_LIMIT times a day per user, so the endpoints can't be used
+ * to flood an inbox.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const emailService = require('./emailService');
+
+const TOKEN_TTL_HOURS = 24;
+const RESEND_INTERVAL_SECONDS = 60;
+const DAILY_SEND_LIMIT = 5;
+
+// Kept a week past expiry so the daily send limit can still count them
+const EXPIRED_RETENTION_DAYS = 7;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const verificationError = (message, statusCode = 400, retryAfter = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const verifyLink = (token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendUrl}/verify-email?token=${token}`;
+};
+
+// Throws a 429 when the user has had a link too recently or too often today
+const checkSendAllowance = async (userId) => {
+  // A change request sends two emails but counts as one send
+  const result = await db.query(
+    `SELECT COUNT(*)::int as sent_today,
+            EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - MAX(created_at)))::int as seconds_since_last
+     FROM email_verification_tokens
+     WHERE user_id = $1 AND purpose IN ('verify', 'change_new')
+       AND created_at > CURRENT_TIMESTAMP - INTERVAL '24 hours'`,
+    [userId]
+  );
+  const { sent_today: sentToday, seconds_since_last: sinceLast } = result.rows[0];
+
+  if (sinceLast !== null && sinceLast < RESEND_INTERVAL_SECONDS) {
+    const wait = RESEND_INTERVAL_SECONDS - sinceLast;
+    throw verificationError(`Please wait ${wait} seconds before requesting another email`, 429, wait);
+  }
+
+  if (sentToday >= DAILY_SEND_LIMIT) {
+    throw verificationError('Too many verification emails today. Please try again tomorrow.', 429, 24 * 60 * 60);
+  }
+};
+
+const issueToken = async (client, { userId, purpose, email, newEmail = null }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await client.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, purpose, email, new_email, expires_at)
+     VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6 || ' hours')::interval)`,
+    [userId, hashToken(token), purpose, email, newEmail, String(TOKEN_TTL_HOURS)]
+  );
+
+  return token;
+};
+
+/**
+ * Email a user a link to verify their address, replacing any earlier link
+ *
+ * @param {object} user - users row (id, email, first_name)
+ */
+const sendVerificationEmail = async (user) => {
+  await db.query(
+    `UPDATE email_verification_tokens SET expires_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = 'verify' AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [user.id]
+  );
+
+  const token = await issueToken(db, { userId: user.id, purpose: 'verify', email: user.email });
+
+  await emailService.sendEmailVerification({
+    email: user.email,
+    firstName: user.first_name || 'there',
+    link: verifyLink(token),
+    purpose: 'verify',
+  });
+};
+
+/**
+ * Send another verification link, subject to the resend limits
+ */
+const resendVerification = async (userId) => {
+  const result = await db.query(
+    'SELECT id, email, first_name, email_verified_at FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (!user) {
+    throw verificationError('User not found', 404);
+  }
+  if (user.email_verified_at) {
+    throw verificationError('Your email address is already verified');
+  }
+
+  await checkSendAllowance(userId);
+  await sendVerificationEmail(user);
+};
+
+/**
+ * Start changing a user's email - links go to both the current and new address
+ *
+ * @param {string} password - The user's current password, re-checked here
+ */
+const requestEmailChange = async (userId, newEmail, password) => {
+  if (!newEmail || !password) {
+    throw verificationError('New email and current password are required');
+  }
+
+  const email = String(newEmail).trim().toLowerCase();
+  if (!EMAIL_REGEX.test(email)) {
+    throw verificationError('Invalid email format');
+  }
+
+  const result = await db.query(
+    'SELECT id, email, first_name, password_hash FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (!user) {
+    throw verificationError('User not found', 404);
+  }
+  if (!(await bcrypt.compare(password, user.password_hash))) {
+    throw verificationError('Current password is incorrect');
+  }
+  if (email === user.email) {
+    throw verificationError('That is already your email address');
+  }
+
+  const takenResult = await db.query('SELECT 1 FROM users WHERE email = $1', [email]);
+  if (takenResult.rows.length > 0) {
+    throw verificationError('Email already registered', 409);
+  }
+
+  await checkSendAllowance(userId);
+
+  const client = await db.connect();
+  let tokens;
+
+  try {
+    await client.query('BEGIN');
+
+    // A new request replaces any change still waiting for confirmation
+    await client.query(
+      `UPDATE email_verification_tokens SET expires_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND purpose IN ('change_current', 'change_new')
+         AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [userId]
+    );
+
+    await client.query(
+      `UPDATE users SET pending_email = $2, email_change_requested_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [userId, email]
+    );
+
+    tokens = {
+      current: await issueToken(client, { userId, purpose: 'change_current', email: user.email, newEmail: email }),
+      new: await issueToken(client, { userId, purpose: 'change_new', email, newEmail: email }),
+    };
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.security('Email change requested', { userId });
+
+  const firstName = user.first_name || 'there';
+  await emailService.sendEmailVerification({
+    email: user.email,
+    firstName,
+    link: verifyLink(tokens.current),
+    purpose: 'change_current',
+    newEmail: email,
+  });
+  await emailService.sendEmailVerification({
+    email,
+    firstName,
+    link: verifyLink(tokens.new),
+    purpose: 'change_new',
+    newEmail: email,
+  });
+
+  return { pendingEmail: email };
+};
+
+/**
+ * Drop a change that hasn't been confirmed yet
+ * @returns {Promise<boolean>} false when there was none
+ */
+const cancelEmailChange = async (userId) => {
+  const result = await db.query(
+    `UPDATE users SET pending_email = NULL, email_change_requested_at = NULL
+     WHERE id = $1 AND pending_email IS NOT NULL`,
+    [userId]
+  );
+
+  await db.query(
+    `UPDATE email_verification_tokens SET expires_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose IN ('change_current', 'change_new')
+       AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [userId]
+  );
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Follow a link from any of the emails above
+ *
+ * @returns {Promise<{status, email}>} status is 'verified', 'email_changed',
+ *   or 'change_pending' while the other address still has to confirm
+ *   (`waitingFor` says which: 'current' or 'new')
+ */
+const confirmToken = async (token) => {
+  if (!token || typeof token !== 'string') {
+    throw verificationError('Verification token is required');
+  }
+
+  const client = await db.connect();
+  let outcome;
+
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(
+      `SELECT id, user_id, purpose, email, new_email, created_at
+       FROM email_verification_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       FOR UPDATE`,
+      [hashToken(token)]
+    );
+    const link = tokenResult.rows[0];
+
+    if (!link) {
+      throw verificationError('Invalid or expired verification link');
+    }
+
+    // Both change links can be followed at once; take them one at a time
+    const userResult = await client.query(
+      `SELECT id, email, pending_email, email_change_requested_at
+       FROM users WHERE id = $1 FOR UPDATE`,
+      [link.user_id]
+    );
+    const user = userResult.rows[0];
+
+    await client.query(
+      'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [link.id]
+    );
+
+    if (link.purpose === 'verify') {
+      // The address changed since this link was sent
+      if (link.email !== user.email) {
+        throw verificationError('Invalid or expired verification link');
+      }
+
+      await client.query(
+        'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = $1',
+        [user.id]
+      );
+      outcome = { status: 'verified', email: user.email };
+    } else {
+      const isCurrentRequest = user.pending_email === link.new_email
+        && user.email_change_requested_at
+        && link.created_at >= user.email_change_requested_at;
+
+      if (!isCurrentRequest || (link.purpose === 'change_current' && link.email !== user.email)) {
+        throw verificationError('Invalid or expired verification link');
+      }
+
+      const confirmedResult = await client.query(
+        `SELECT DISTINCT purpose FROM email_verification_tokens
+         WHERE user_id = $1 AND new_email = $2 AND used_at IS NOT NULL
+           AND purpose IN ('change_current', 'change_new')
+           AND created_at >= (SELECT email_change_requested_at FROM users WHERE id = $1)`,
+        [user.id, user.pending_email]
+      );
+      const confirmed = confirmedResult.rows.map(row => row.purpose);
+
+      if (confirmed.length < 2) {
+        outcome = {
+          status: 'change_pending',
+          email: user.pending_email,
+          waitingFor: confirmed.includes('change_current') ? 'new' : 'current',
+        };
+      } else {
+        await client.query(
+          `UPDATE users
+           SET email = pending_email, email_verified_at = CURRENT_TIMESTAMP,
+               pending_email = NULL, email_change_requested_at = NULL,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [user.id]
+        );
+
+        // Links sent to the old address no longer prove anything
+        await client.query(
+          `UPDATE email_verification_tokens SET expires_at = CURRENT_TIMESTAMP
+           WHERE user_id = $1 AND purpose = 'verify' AND used_at IS NULL`,
+          [user.id]
+        );
+
+        outcome = { status: 'email_changed', email: user.pending_email };
+        logger.security('Email changed', { userId: user.id });
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      throw verificationError('That email address is now used by another account', 409);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return outcome;
+};
+
+/**
+ * Delete links that expired more than EXPIRED_RETENTION_DAYS ago
+ * @returns {Promise<number>} Links deleted
+ */
+const pruneVerificationTokens = async () => {
+  const result = await db.query(
+    `DELETE FROM email_verification_tokens
+     WHERE expires_at < CURRENT_TIMESTAMP - ($1 || ' days')::interval`,
+    [String(EXPIRED_RETENTION_DAYS)]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info('Pruned email verification links', { deleted: result.rowCount });
+  }
+
+  return result.rowCount;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  resendVerification,
+  requestEmailChange,
+  cancelEmailChange,
+  confirmToken,
+  pruneVerificationTokens,
+};
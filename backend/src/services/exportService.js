@@ -0,0 +1,196 @@
+/**
+ * Export Service
+ *
+ * Streams spreadsheet downloads (orders, products, sellers, analytics) as CSV
+ * or XLSX. Query results are read from a Postgres cursor in batches and
+ * written out as they arrive, so a large export never sits in memory.
+ */
+
+const Cursor = require('pg-cursor');
+const ExcelJS = require('exceljs');
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const { csvField } = require('./statementService');
+
+const FORMATS = ['csv', 'xlsx'];
+const BATCH_SIZE = 500;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// XLSX number formats for numeric column types; other columns are text
+const NUMBER_FORMATS = {
+  amount: '#,##0.00',
+  integer: '0',
+};
+
+// Spreadsheet apps treat CSV cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const exportError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Validate ?format=, defaulting to csv
+ */
+const parseFormat = (format) => {
+  const value = String(format || 'csv').toLowerCase();
+  if (!FORMATS.includes(value)) {
+    throw exportError(`Format must be one of: ${FORMATS.join(', ')}`);
+  }
+  return value;
+};
+
+const columnValue = (column, row) => {
+  const value = column.value ? column.value(row) : row[column.key];
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  return NUMBER_FORMATS[column.type] ? Number(value) : String(value);
+};
+
+// Resolves once the response can take more data (or has gone away)
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+const createCsvWriter = (res, columns) => {
+  const write = async (text) => {
+    if (!res.write(text)) {
+      await waitForDrain(res);
+    }
+  };
+
+  const csvCell = (column, row) => {
+    const value = columnValue(column, row);
+    if (column.type === 'amount' && value !== null) {
+      return value.toFixed(2);
+    }
+    if (typeof value === 'string' && FORMULA_PREFIX.test(value)) {
+      return csvField(`'${value}`);
+    }
+    return csvField(value);
+  };
+
+  return {
+    // BOM so Excel opens the file as UTF-8 (naira signs, names with accents)
+    start: () => write(`\uFEFF${columns.map(column => csvField(column.header)).join(',')}\r\n`),
+    writeRows: (rows) => write(rows.map(row => `${columns.map(column => csvCell(column, row)).join(',')}\r\n`).join('')),
+    end: async () => res.end(),
+  };
+};
+
+const createXlsxWriter = (res, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  return {
+    start: async () => {
+      worksheet.columns = columns.map(column => ({
+        header: column.header,
+        width: Math.max(12, column.header.length + 2),
+        style: NUMBER_FORMATS[column.type] ? { numFmt: NUMBER_FORMATS[column.type] } : {},
+      }));
+      worksheet.getRow(1).font = { bold: true };
+      worksheet.getRow(1).commit();
+    },
+    writeRows: async (rows) => {
+      rows.forEach(row => {
+        worksheet.addRow(columns.map(column => columnValue(column, row))).commit();
+      });
+    },
+    end: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    },
+  };
+};
+
+/**
+ * Send rows to the client as a CSV or XLSX download
+ *
+ * Pass `query` to stream from a Postgres cursor, or `rows` for small results
+ * already in memory (e.g. an analytics series). The first batch is read before
+ * anything is sent, so a bad query still gets a normal error response; a
+ * failure after that is logged and the download is cut off.
+ *
+ * @param {object} res - Express response
+ * @param {object} options
+ * @param {string} options.format - csv or xlsx, from parseFormat
+ * @param {string} options.filename - Without the extension
+ * @param {string} [options.sheetName] - XLSX worksheet name
+ * @param {Array<{header: string, key?: string, value?: function(object): *, type?: string}>} options.columns
+ *   Cell values come from row[key], or value(row); type 'amount' or 'integer' writes numbers
+ * @param {{text: string, values: Array}} [options.query]
+ * @param {Array<object>} [options.rows]
+ */
+const sendExport = async (res, { format, filename, sheetName = 'Export', columns, query, rows = [] }) => {
+  let client = null;
+  let cursor = null;
+  let started = false;
+
+  try {
+    let batch = rows;
+    if (query) {
+      client = await db.connect();
+      cursor = client.query(new Cursor(query.text, query.values));
+      batch = await cursor.read(BATCH_SIZE);
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    res.type(CONTENT_TYPES[format]);
+    started = true;
+
+    const writer = format === 'xlsx' ? createXlsxWriter(res, columns, sheetName) : createCsvWriter(res, columns);
+    await writer.start();
+
+    // Stop reading as soon as the client goes away
+    while (batch.length > 0 && !res.destroyed) {
+      await writer.writeRows(batch);
+      if (!cursor || batch.length < BATCH_SIZE) {
+        break;
+      }
+      batch = await cursor.read(BATCH_SIZE);
+    }
+
+    if (!res.destroyed) {
+      await writer.end();
+    }
+  } catch (error) {
+    if (!started) {
+      throw error;
+    }
+    logger.error('Export failed part way through', error, { filename });
+    res.destroy(error);
+  } finally {
+    if (cursor) {
+      let closeError;
+      try {
+        await cursor.close();
+      } catch (error) {
+        closeError = error;
+      }
+      // A client whose cursor could not be closed is not safe to reuse
+      client.release(closeError);
+    } else if (client) {
+      client.release();
+    }
+  }
+};
+
+module.exports = {
+  FORMATS,
+  parseFormat,
+  sendExport,
+};
@@ -0,0 +1,234 @@
+/**
+ * Favorite Alerts
+ *
+ * Tells buyers when a product they favourited comes back into stock or drops
+ * in price. Events are queued by a trigger on products (migration 025);
+ * sendFavoriteAlerts works through the queue, run by the favorite alerts job.
+ *
+ * Each buyer hears about a product at most once per type per cooldown, gets
+ * one email per run however many of their favourites changed, and can turn
+ * either alert off per channel (notificationService preferences).
+ */
+
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const { createNotifications, formatNaira } = require('./notificationService');
+const emailService = require('./emailService');
+
+const alertLogger = logger.child('FavoriteAlerts');
+
+const COOLDOWN_HOURS = parseInt(process.env.FAVORITE_ALERT_COOLDOWN_HOURS) || 24;
+
+// Smaller price cuts than this aren't worth an alert
+const MIN_PRICE_DROP_PERCENT = parseInt(process.env.FAVORITE_ALERT_MIN_DROP_PERCENT) || 5;
+
+// Queue rows handled per run; the rest wait for the next one
+const BATCH_SIZE = 500;
+
+const ALERT_TYPES = {
+  back_in_stock: {
+    alertedColumn: 'back_in_stock_alerted_at',
+    emailPreference: 'email_back_in_stock',
+    appPreference: 'app_back_in_stock',
+  },
+  price_drop: {
+    alertedColumn: 'price_drop_alerted_at',
+    emailPreference: 'email_price_drop',
+    appPreference: 'app_price_drop',
+  },
+};
+
+/**
+ * Collapse queued events to one per product and type, dropping those that no
+ * longer hold: sold out again, price back up, or the cut is too small.
+ * A product whose price dropped twice is compared with its price before the first drop.
+ */
+const currentEvents = (queued, productsById) => {
+  const events = new Map();
+
+  queued.forEach(row => {
+    const key = `${row.product_id}:${row.alert_type}`;
+    if (!events.has(key)) {
+      events.set(key, { productId: row.product_id, type: row.alert_type, oldPrice: row.old_price });
+    }
+  });
+
+  return [...events.values()].filter(event => {
+    const product = productsById.get(event.productId);
+    if (!product) {
+      return false;
+    }
+
+    if (event.type === 'back_in_stock') {
+      return product.quantity_available > 0;
+    }
+
+    const oldPrice = parseFloat(event.oldPrice);
+    const newPrice = parseFloat(product.price);
+    return newPrice <= oldPrice * (1 - MIN_PRICE_DROP_PERCENT / 100);
+  });
+};
+
+const describeAlert = (type, product, oldPrice) => {
+  if (type === 'price_drop') {
+    return {
+      title: `Price drop: ${product.name}`,
+      body: `Now ${formatNaira(product.price)} (was ${formatNaira(oldPrice)}) at ${product.shop_name}`,
+    };
+  }
+  return {
+    title: `Back in stock: ${product.name}`,
+    body: `${product.shop_name} has it in stock again`,
+  };
+};
+
+/**
+ * Send queued back-in-stock and price-drop alerts
+ *
+ * Notifications, the cooldown and the queue are updated in one transaction;
+ * emails go out after it commits.
+ *
+ * @returns {Promise<{queued, events, notified, notifications, emailed, emailsFailed}>}
+ */
+const sendFavoriteAlerts = async () => {
+  const client = await db.connect();
+  const summary = { queued: 0, events: 0, notified: 0, notifications: 0, emailed: 0, emailsFailed: 0 };
+  const emailsByUser = new Map();
+
+  try {
+    await client.query('BEGIN');
+
+    const queueResult = await client.query(
+      `UPDATE favorite_alert_queue
+       SET processed_at = CURRENT_TIMESTAMP
+       WHERE id IN (
+         SELECT id FROM favorite_alert_queue
+         WHERE processed_at IS NULL
+         ORDER BY id
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING id, product_id, alert_type, old_price`,
+      [BATCH_SIZE]
+    );
+    summary.queued = queueResult.rows.length;
+
+    if (summary.queued === 0) {
+      await client.query('COMMIT');
+      return summary;
+    }
+
+    // RETURNING doesn't keep the order, and the earliest event per product matters
+    const queued = queueResult.rows.sort((a, b) => a.id - b.id);
+
+    const productsResult = await client.query(
+      `SELECT p.id, p.name, p.slug, p.price, p.quantity_available, s.shop_name, s.shop_slug
+       FROM products p
+       JOIN sellers s ON p.seller_id = s.id
+       WHERE p.id = ANY($1::int[]) AND p.is_active AND p.deleted_at IS NULL AND s.is_active`,
+      [[...new Set(queued.map(row => row.product_id))]]
+    );
+    const productsById = new Map(productsResult.rows.map(product => [product.id, product]));
+
+    const events = currentEvents(queued, productsById);
+    summary.events = events.length;
+
+    const notifications = [];
+
+    for (const [type, config] of Object.entries(ALERT_TYPES)) {
+      const typeEvents = events.filter(event => event.type === type);
+      if (typeEvents.length === 0) continue;
+
+      const eventsByProduct = new Map(typeEvents.map(event => [event.productId, event]));
+
+      // Favourites past their cooldown whose owners want this alert somewhere
+      const recipientsResult = await client.query(
+        `SELECT f.id, f.user_id, f.product_id, u.email, u.first_name,
+           COALESCE(np.${config.emailPreference}, TRUE) as wants_email,
+           COALESCE(np.${config.appPreference}, TRUE) as wants_app
+         FROM favorites f
+         JOIN users u ON f.user_id = u.id
+         LEFT JOIN user_notification_preferences np ON np.user_id = f.user_id
+         WHERE f.product_id = ANY($1::int[])
+           AND (f.${config.alertedColumn} IS NULL
+                OR f.${config.alertedColumn} < CURRENT_TIMESTAMP - ($2 || ' hours')::interval)
+           AND (COALESCE(np.${config.emailPreference}, TRUE) OR COALESCE(np.${config.appPreference}, TRUE))
+         FOR UPDATE OF f`,
+        [[...eventsByProduct.keys()], String(COOLDOWN_HOURS)]
+      );
+
+      if (recipientsResult.rows.length === 0) continue;
+
+      recipientsResult.rows.forEach(recipient => {
+        const product = productsById.get(recipient.product_id);
+        const event = eventsByProduct.get(recipient.product_id);
+        const link = `/shop/${product.shop_slug}/product/${product.slug}`;
+
+        if (recipient.wants_app) {
+          notifications.push({
+            userId: recipient.user_id,
+            type,
+            ...describeAlert(type, product, event.oldPrice),
+            link,
+            data: {
+              productId: product.id,
+              ...(type === 'price_drop' && { oldPrice: event.oldPrice, newPrice: product.price }),
+            },
+          });
+        }
+
+        if (recipient.wants_email) {
+          const email = emailsByUser.get(recipient.user_id) || {
+            email: recipient.email,
+            firstName: recipient.first_name || 'there',
+            alerts: [],
+          };
+          email.alerts.push({
+            type,
+            productName: product.name,
+            shopName: product.shop_name,
+            link,
+            oldPrice: event.oldPrice,
+            newPrice: product.price,
+          });
+          emailsByUser.set(recipient.user_id, email);
+        }
+      });
+
+      await client.query(
+        `UPDATE favorites SET ${config.alertedColumn} = CURRENT_TIMESTAMP WHERE id = ANY($1::int[])`,
+        [recipientsResult.rows.map(recipient => recipient.id)]
+      );
+      summary.notified += recipientsResult.rows.length;
+    }
+
+    await createNotifications(client, notifications);
+    summary.notifications = notifications.length;
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const email of emailsByUser.values()) {
+    const sent = await emailService.sendFavoriteAlerts(email);
+    if (sent.success) {
+      summary.emailed++;
+    } else {
+      summary.emailsFailed++;
+    }
+  }
+
+  alertLogger.info('Favorite alerts sent', summary);
+
+  return summary;
+};
+
+module.exports = {
+  COOLDOWN_HOURS,
+  MIN_PRICE_DROP_PERCENT,
+  sendFavoriteAlerts,
+};
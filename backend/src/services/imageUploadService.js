@@ -0,0 +1,54 @@
+const cloudinary = require('../config/cloudinary');
+
+// Product images are stored at most 800x800 and compressed
+const PRODUCT_IMAGE_OPTIONS = {
+  folder: 'buytree/products',
+  transformation: [
+    { width: 800, height: 800, crop: 'limit' },
+    { quality: 'auto:good' },
+    { fetch_format: 'auto' },
+  ],
+};
+
+/**
+ * Upload an image file (from multer's memory storage) to Cloudinary
+ * @param {Buffer} buffer
+ * @returns {Promise<{url: string, publicId: string}>}
+ */
+const uploadProductImage = (buffer) => {
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      PRODUCT_IMAGE_OPTIONS,
+      (error, result) => {
+        if (error) reject(error);
+        else resolve({ url: result.secure_url, publicId: result.public_id });
+      }
+    );
+
+    uploadStream.end(buffer);
+  });
+};
+
+/**
+ * Copy an image from another site (e.g. an Instagram or Jumia listing) to
+ * Cloudinary, so products don't depend on links that can change or expire.
+ * Cloudinary fetches the URL itself.
+ * @param {string} url
+ * @returns {Promise<{url: string, publicId: string}>}
+ */
+const uploadProductImageFromUrl = async (url) => {
+  const result = await cloudinary.uploader.upload(url, PRODUCT_IMAGE_OPTIONS);
+  return { url: result.secure_url, publicId: result.public_id };
+};
+
+// Already in our Cloudinary account, so there's nothing to copy
+const isHostedImage = (url) => {
+  const cloudName = cloudinary.config().cloud_name;
+  return Boolean(cloudName) && url.startsWith(`https://res.cloudinary.com/${cloudName}/`);
+};
+
+module.exports = {
+  uploadProductImage,
+  uploadProductImageFromUrl,
+  isHostedImage,
+};
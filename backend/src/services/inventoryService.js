@@ -0,0 +1,333 @@
+/**
+ * Inventory
+ *
+ * Logs every change to product and variant stock in inventory_movements, and
+ * emails sellers when a product falls to its low-stock threshold.
+ *
+ * Code that changes stock logs it inside the same transaction: sales and
+ * cancellations with recordMovements, edits that set stock outright (product
+ * form, CSV import) by diffing snapshotStock before and after with
+ * recordStockChanges. checkLowStock runs once the transaction has committed.
+ */
+
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const { syncProductStock } = require('./variantService');
+const emailService = require('./emailService');
+
+const inventoryLogger = logger.child('Inventory');
+
+const MOVEMENT_TYPES = ['sale', 'cancellation_return', 'restock', 'adjustment'];
+
+// Types a seller can record by hand
+const MANUAL_MOVEMENT_TYPES = ['restock', 'adjustment'];
+
+// Days-of-cover is worked out from sales over this many days
+const COVER_WINDOW_DAYS = 30;
+
+const inventoryError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const stockKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+/**
+ * Log stock movements (inside the caller's transaction, after stock has changed)
+ *
+ * quantity_after is read from the product or variant unless given.
+ *
+ * @param {object} client - pg client with an open transaction
+ * @param {Array<{productId, variantId?, type, change, quantityAfter?, orderId?, note?, userId?}>} movements
+ *   change is signed: negative when stock went down. Zero changes are skipped
+ */
+const recordMovements = async (client, movements) => {
+  const rows = movements.filter(movement => movement.change !== 0);
+  if (rows.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO inventory_movements
+     (product_id, variant_id, movement_type, quantity_change, quantity_after, order_id, note, created_by)
+     SELECT
+       m.product_id, m.variant_id, m.movement_type, m.quantity_change,
+       COALESCE(m.quantity_after, v.quantity_available, p.quantity_available),
+       m.order_id, m.note, m.created_by
+     FROM unnest($1::int[], $2::int[], $3::varchar[], $4::int[], $5::int[], $6::int[], $7::text[], $8::int[])
+       AS m(product_id, variant_id, movement_type, quantity_change, quantity_after, order_id, note, created_by)
+     JOIN products p ON p.id = m.product_id
+     LEFT JOIN product_variants v ON v.id = m.variant_id`,
+    [
+      rows.map(row => row.productId),
+      rows.map(row => row.variantId || null),
+      rows.map(row => row.type),
+      rows.map(row => row.change),
+      rows.map(row => (row.quantityAfter !== undefined ? row.quantityAfter : null)),
+      rows.map(row => row.orderId || null),
+      rows.map(row => row.note || null),
+      rows.map(row => row.userId || null),
+    ]
+  );
+};
+
+/**
+ * Current stock of some products: each variant, or the product itself when it has none
+ * @returns {Promise<Map<string, {product_id, variant_id, quantity_available}>>}
+ */
+const snapshotStock = async (client, productIds) => {
+  const result = await client.query(
+    `SELECT id as product_id, NULL::int as variant_id, quantity_available
+     FROM products
+     WHERE id = ANY($1::int[]) AND NOT has_variants AND deleted_at IS NULL
+     UNION ALL
+     SELECT product_id, id as variant_id, quantity_available
+     FROM product_variants
+     WHERE product_id = ANY($1::int[]) AND deleted_at IS NULL`,
+    [productIds]
+  );
+
+  return new Map(result.rows.map(row => [stockKey(row.product_id, row.variant_id), row]));
+};
+
+/**
+ * Log the difference between a snapshot and the stock now, as one movement
+ * per product/variant that changed
+ *
+ * Products not in `before` (just created) start from 0. A variant that was
+ * removed, or a product that moved its stock onto variants, ends at 0.
+ *
+ * @param {object} client - pg client with an open transaction
+ * @param {Array<number>} productIds
+ * @param {Map} before - from snapshotStock, taken in the same transaction
+ * @param {{type: string, note?: string, userId?: number}} reason
+ */
+const recordStockChanges = async (client, productIds, before, { type, note = null, userId = null }) => {
+  const after = await snapshotStock(client, productIds);
+  const keys = new Set([...before.keys(), ...after.keys()]);
+
+  const movements = [...keys].map(key => {
+    const previous = before.get(key);
+    const current = after.get(key);
+    const row = current || previous;
+    const quantityAfter = current ? current.quantity_available : 0;
+
+    return {
+      productId: row.product_id,
+      variantId: row.variant_id,
+      type,
+      change: quantityAfter - (previous ? previous.quantity_available : 0),
+      quantityAfter,
+      note,
+      userId,
+    };
+  });
+
+  await recordMovements(client, movements);
+};
+
+/**
+ * Email sellers whose products have fallen to their low-stock threshold
+ *
+ * Run after the transaction that changed stock has committed. A product is
+ * alerted once, then again only after its stock has been back above the
+ * threshold. Never throws - a failed alert mustn't fail the sale or edit
+ * that triggered it.
+ *
+ * @param {Array<number>} productIds - Products whose stock just changed
+ */
+const checkLowStock = async (productIds) => {
+  const ids = [...new Set(productIds)];
+  if (ids.length === 0) {
+    return;
+  }
+
+  try {
+    await db.query(
+      `UPDATE products
+       SET low_stock_alerted_at = NULL
+       WHERE id = ANY($1::int[])
+         AND low_stock_alerted_at IS NOT NULL
+         AND quantity_available > low_stock_threshold`,
+      [ids]
+    );
+
+    // Claiming the alert in the UPDATE means two sales at once send one email
+    const lowResult = await db.query(
+      `UPDATE products
+       SET low_stock_alerted_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($1::int[])
+         AND low_stock_alerted_at IS NULL
+         AND quantity_available <= low_stock_threshold
+         AND is_active
+         AND deleted_at IS NULL
+       RETURNING id, seller_id, name, quantity_available, low_stock_threshold`,
+      [ids]
+    );
+
+    if (lowResult.rows.length === 0) {
+      return;
+    }
+
+    const sellerIds = [...new Set(lowResult.rows.map(product => product.seller_id))];
+    const sellersResult = await db.query(
+      `SELECT s.id, s.shop_name, u.email, u.first_name
+       FROM sellers s
+       JOIN users u ON s.user_id = u.id
+       LEFT JOIN seller_notification_preferences np ON np.seller_id = s.id
+       WHERE s.id = ANY($1::int[]) AND COALESCE(np.email_low_stock, TRUE)`,
+      [sellerIds]
+    );
+
+    let emailed = 0;
+    for (const seller of sellersResult.rows) {
+      const sent = await emailService.sendLowStockAlert({
+        sellerEmail: seller.email,
+        sellerName: seller.first_name || seller.shop_name,
+        products: lowResult.rows
+          .filter(product => product.seller_id === seller.id)
+          .map(product => ({
+            name: product.name,
+            quantityAvailable: product.quantity_available,
+            threshold: product.low_stock_threshold,
+          })),
+      });
+      if (sent.success) emailed++;
+    }
+
+    inventoryLogger.info('Low stock alerts sent', {
+      productIds: lowResult.rows.map(product => product.id),
+      emailed,
+    });
+  } catch (error) {
+    inventoryLogger.error('Failed to check low stock', error, { productIds: ids });
+  }
+};
+
+/**
+ * Record a restock or a manual adjustment (e.g. after a stock count)
+ *
+ * @param {object} params
+ * @param {number} params.sellerId
+ * @param {number} params.userId
+ * @param {number} params.productId
+ * @param {number} [params.variantId] - Required for products with variants
+ * @param {string} params.type - restock or adjustment
+ * @param {number} params.quantity - Units added (restock), or added/removed (adjustment, signed)
+ * @param {string} [params.note]
+ * @returns {Promise<{productId, variantId, quantityAvailable, productQuantityAvailable}>}
+ */
+const adjustInventory = async ({ sellerId, userId, productId, variantId = null, type, quantity, note = null }) => {
+  if (!MANUAL_MOVEMENT_TYPES.includes(type)) {
+    throw inventoryError(`Type must be one of: ${MANUAL_MOVEMENT_TYPES.join(', ')}`);
+  }
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw inventoryError('Quantity must be a whole number other than 0');
+  }
+  if (type === 'restock' && quantity < 0) {
+    throw inventoryError('Restock quantity must be more than 0');
+  }
+
+  const client = await db.connect();
+  let result;
+
+  try {
+    await client.query('BEGIN');
+
+    const productResult = await client.query(
+      `SELECT id, has_variants, quantity_available FROM products
+       WHERE id = $1 AND seller_id = $2 AND deleted_at IS NULL
+       FOR UPDATE`,
+      [productId, sellerId]
+    );
+
+    if (productResult.rows.length === 0) {
+      throw inventoryError('Product not found', 404);
+    }
+
+    const product = productResult.rows[0];
+    if (product.has_variants && !variantId) {
+      throw inventoryError('This product has variants - choose which variant to adjust');
+    }
+    if (!product.has_variants && variantId) {
+      throw inventoryError('This product has no variants');
+    }
+
+    let current = product.quantity_available;
+    if (variantId) {
+      const variantResult = await client.query(
+        `SELECT quantity_available FROM product_variants
+         WHERE id = $1 AND product_id = $2 AND deleted_at IS NULL
+         FOR UPDATE`,
+        [variantId, productId]
+      );
+      if (variantResult.rows.length === 0) {
+        throw inventoryError('Variant not found', 404);
+      }
+      current = variantResult.rows[0].quantity_available;
+    }
+
+    if (current + quantity < 0) {
+      throw inventoryError(`Only ${current} in stock - can't remove ${-quantity}`);
+    }
+
+    await client.query(
+      `UPDATE ${variantId ? 'product_variants' : 'products'}
+       SET quantity_available = quantity_available + $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [quantity, variantId || productId]
+    );
+
+    if (variantId) {
+      await syncProductStock(client, productId);
+    }
+
+    await recordMovements(client, [{ productId, variantId, type, change: quantity, note, userId }]);
+
+    const totalResult = await client.query(
+      'SELECT quantity_available FROM products WHERE id = $1',
+      [productId]
+    );
+
+    result = {
+      productId,
+      variantId,
+      quantityAvailable: current + quantity,
+      productQuantityAvailable: totalResult.rows[0].quantity_available,
+    };
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  checkLowStock([productId]);
+
+  return result;
+};
+
+/**
+ * Days the stock lasts at the recent rate of sales (null with no recent sales)
+ */
+const daysOfCover = (quantityAvailable, soldInWindow) => {
+  if (!soldInWindow) {
+    return null;
+  }
+  return Math.floor(quantityAvailable / (soldInWindow / COVER_WINDOW_DAYS));
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  MANUAL_MOVEMENT_TYPES,
+  COVER_WINDOW_DAYS,
+  recordMovements,
+  snapshotStock,
+  recordStockChanges,
+  checkLowStock,
+  adjustInventory,
+  daysOfCover,
+};
@@ -0,0 +1,143 @@
+const db = require('../config/database');
+
+// Entry types in the seller_ledger view
+const LEDGER_ENTRY_TYPES = ['sale', 'platform_fee', 'refund', 'dispute_adjustment', 'payout'];
+
+// Stable order for entries with the same timestamp - credits before debits
+const LEDGER_ORDER = 'occurred_at, credit DESC, order_id NULLS LAST, payout_batch_id NULLS LAST, entry_type';
+
+// Every entry for a seller with the running balance after it
+const LEDGER_WITH_BALANCE = `
+  SELECT
+    entry_type, order_id, payout_batch_id, description, credit, debit, occurred_at,
+    SUM(credit - debit) OVER (ORDER BY ${LEDGER_ORDER} ROWS UNBOUNDED PRECEDING) as balance
+  FROM seller_ledger
+  WHERE seller_id = $1
+`;
+
+const ledgerError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Get a page of a seller's ledger, newest first
+ *
+ * The running balance always covers the full history, so it stays correct
+ * when filtering by type or date.
+ *
+ * @param {number} sellerId
+ * @param {object} [options]
+ * @param {number} [options.page]
+ * @param {number} [options.limit]
+ * @param {string} [options.type] - one of LEDGER_ENTRY_TYPES
+ * @param {string} [options.from] - ISO date, inclusive
+ * @param {string} [options.to] - ISO date, exclusive
+ */
+const getLedger = async (sellerId, { page = 1, limit = 20, type, from, to } = {}) => {
+  if (type && !LEDGER_ENTRY_TYPES.includes(type)) {
+    throw ledgerError(`Invalid entry type. Must be one of: ${LEDGER_ENTRY_TYPES.join(', ')}`);
+  }
+
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const offset = (pageNumber - 1) * pageSize;
+
+  const params = [sellerId, type || null, from || null, to || null];
+  const filters = `
+    WHERE ($2::varchar IS NULL OR entry_type = $2)
+      AND ($3::timestamp IS NULL OR occurred_at >= $3)
+      AND ($4::timestamp IS NULL OR occurred_at < $4)
+  `;
+
+  const [entriesResult, countResult, totalsResult] = await Promise.all([
+    db.query(
+      `SELECT * FROM (${LEDGER_WITH_BALANCE}) ledger
+       ${filters}
+       ORDER BY occurred_at DESC, credit ASC, order_id DESC NULLS FIRST, payout_batch_id DESC NULLS FIRST, entry_type DESC
+       LIMIT $5 OFFSET $6`,
+      [...params, pageSize, offset]
+    ),
+    db.query(
+      `SELECT COUNT(*) FROM seller_ledger
+       ${filters.replace('WHERE', 'WHERE seller_id = $1 AND')}`,
+      params
+    ),
+    db.query(
+      `SELECT
+        COALESCE(SUM(credit), 0) as total_credits,
+        COALESCE(SUM(debit), 0) as total_debits,
+        COALESCE(SUM(credit - debit), 0) as balance,
+        COALESCE(SUM(debit) FILTER (WHERE entry_type = 'payout'), 0) as total_paid_out
+       FROM seller_ledger
+       WHERE seller_id = $1`,
+      [sellerId]
+    ),
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    entries: entriesResult.rows,
+    summary: totalsResult.rows[0],
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+};
+
+/**
+ * Get a seller's statement for one calendar month (Africa/Lagos time)
+ *
+ * @param {number} sellerId
+ * @param {string} month - 'YYYY-MM'
+ * @returns {Promise<{month, openingBalance, closingBalance, totalCredits, totalDebits, entries}>}
+ */
+const getMonthlyStatement = async (sellerId, month) => {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || '')) {
+    throw ledgerError('Month must be in YYYY-MM format');
+  }
+
+  // seller_ledger timestamps are stored in server time (UTC); months are Lagos months
+  const periodStart = `(($2::text || '-01')::timestamp AT TIME ZONE 'Africa/Lagos' AT TIME ZONE 'UTC')`;
+  const periodEnd = `(((($2::text || '-01')::date + INTERVAL '1 month')::timestamp) AT TIME ZONE 'Africa/Lagos' AT TIME ZONE 'UTC')`;
+
+  const [openingResult, entriesResult] = await Promise.all([
+    db.query(
+      `SELECT COALESCE(SUM(credit - debit), 0) as balance
+       FROM seller_ledger
+       WHERE seller_id = $1 AND occurred_at < ${periodStart}`,
+      [sellerId, month]
+    ),
+    db.query(
+      `SELECT * FROM (${LEDGER_WITH_BALANCE}) ledger
+       WHERE occurred_at >= ${periodStart} AND occurred_at < ${periodEnd}
+       ORDER BY ${LEDGER_ORDER}`,
+      [sellerId, month]
+    ),
+  ]);
+
+  const entries = entriesResult.rows;
+  const openingBalance = parseFloat(openingResult.rows[0].balance);
+  const totalCredits = entries.reduce((sum, entry) => sum + parseFloat(entry.credit), 0);
+  const totalDebits = entries.reduce((sum, entry) => sum + parseFloat(entry.debit), 0);
+
+  return {
+    month,
+    openingBalance,
+    closingBalance: Math.round((openingBalance + totalCredits - totalDebits) * 100) / 100,
+    totalCredits: Math.round(totalCredits * 100) / 100,
+    totalDebits: Math.round(totalDebits * 100) / 100,
+    entries,
+  };
+};
+
+module.exports = {
+  LEDGER_ENTRY_TYPES,
+  getLedger,
+  getMonthlyStatement,
+};
@@ -0,0 +1,167 @@
+/**
+ * Login Lockout
+ *
+ * Slows password guessing against one account, whichever IPs it comes from
+ * (the auth rate limit only covers a single IP). From LOCKOUT_THRESHOLD
+ * failed logins the account is locked, for twice as long after each further
+ * failure, and the owner is emailed when the lock first kicks in.
+ *
+ * Emails and phone numbers with no account are locked out the same way
+ * (recordUnknownLogin), so a 429 doesn't give away which ones are registered.
+ */
+
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const emailService = require('./emailService');
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+
+const BASE_LOCK_MINUTES = 5;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+// Failures further apart than this start the count again
+const FAILURE_WINDOW_HOURS = 24;
+
+// 5, 10, 20, 40 ... minutes, up to a day
+const lockMinutes = (failures) => {
+  return Math.min(BASE_LOCK_MINUTES * 2 ** (failures - LOCKOUT_THRESHOLD), MAX_LOCK_MINUTES);
+};
+
+/**
+ * Minutes left on a user's lock, 0 when not locked
+ * @param {object} user - users row (locked_until)
+ */
+const lockedMinutesLeft = (user) => {
+  if (!user.locked_until) return 0;
+  const remaining = new Date(user.locked_until).getTime() - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 60000) : 0;
+};
+
+/**
+ * Count a failed login, locking the account once there have been enough
+ *
+ * @param {object} user - users row (id, email, first_name)
+ * @returns {Promise<number>} Minutes the account is now locked for, 0 if not locked
+ */
+const recordFailedLogin = async (user) => {
+  const result = await db.query(
+    `UPDATE users
+     SET failed_login_attempts = CASE
+           WHEN last_failed_login_at < CURRENT_TIMESTAMP - ($2 || ' hours')::interval THEN 1
+           ELSE failed_login_attempts + 1 END,
+         last_failed_login_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING failed_login_attempts`,
+    [user.id, String(FAILURE_WINDOW_HOURS)]
+  );
+  const failures = result.rows[0].failed_login_attempts;
+
+  if (failures < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+
+  const minutes = lockMinutes(failures);
+  await db.query(
+    `UPDATE users SET locked_until = CURRENT_TIMESTAMP + ($2 || ' minutes')::interval WHERE id = $1`,
+    [user.id, String(minutes)]
+  );
+
+  logger.security('Account locked after failed logins', { userId: user.id, failures, minutes });
+
+  if (failures === LOCKOUT_THRESHOLD) {
+    await emailService.sendAccountLocked({
+      email: user.email,
+      firstName: user.first_name || 'there',
+      minutes,
+    });
+  }
+
+  return minutes;
+};
+
+/**
+ * Count a failed login for an email or phone number with no account
+ *
+ * Answers as an account would: while locked, the minutes left (the attempt
+ * isn't counted, like a locked account that never gets to try a password);
+ * otherwise the failure is counted and the lock, if it starts now, returned.
+ *
+ * @param {string} identifier - e.g. 'email:ada@example.com', 'phone:2348012345678'
+ * @returns {Promise<number>} Minutes it is locked for, 0 if not locked
+ */
+const recordUnknownLogin = async (identifier) => {
+  const lockedResult = await db.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (locked_until - CURRENT_TIMESTAMP)) / 60)::int as minutes_left
+     FROM login_failures
+     WHERE identifier = $1 AND locked_until > CURRENT_TIMESTAMP`,
+    [identifier]
+  );
+  if (lockedResult.rows.length > 0) {
+    return lockedResult.rows[0].minutes_left;
+  }
+
+  const result = await db.query(
+    `INSERT INTO login_failures (identifier, failures, last_failed_at)
+     VALUES ($1, 1, CURRENT_TIMESTAMP)
+     ON CONFLICT (identifier) DO UPDATE
+     SET failures = CASE
+           WHEN login_failures.last_failed_at < CURRENT_TIMESTAMP - ($2 || ' hours')::interval THEN 1
+           ELSE login_failures.failures + 1 END,
+         last_failed_at = CURRENT_TIMESTAMP
+     RETURNING failures`,
+    [identifier, String(FAILURE_WINDOW_HOURS)]
+  );
+  const failures = result.rows[0].failures;
+
+  if (failures < LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+
+  const minutes = lockMinutes(failures);
+  await db.query(
+    `UPDATE login_failures SET locked_until = CURRENT_TIMESTAMP + ($2 || ' minutes')::interval WHERE identifier = $1`,
+    [identifier, String(minutes)]
+  );
+
+  return minutes;
+};
+
+/**
+ * Delete unknown-login counts that are no longer locked or counting
+ * @returns {Promise<number>} Rows deleted
+ */
+const pruneLoginFailures = async () => {
+  const result = await db.query(
+    `DELETE FROM login_failures
+     WHERE last_failed_at < CURRENT_TIMESTAMP - ($1 || ' hours')::interval
+       AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)`,
+    [String(FAILURE_WINDOW_HOURS)]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info('Pruned login failures', { deleted: result.rowCount });
+  }
+
+  return result.rowCount;
+};
+
+/**
+ * Forget a user's failed logins and lift any lock (successful login, password reset)
+ */
+const clearFailedLogins = async (userId) => {
+  await db.query(
+    `UPDATE users
+     SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+};
+
+module.exports = {
+  LOCKOUT_THRESHOLD,
+  lockedMinutesLeft,
+  recordFailedLogin,
+  recordUnknownLogin,
+  clearFailedLogins,
+  pruneLoginFailures,
+};
@@ -0,0 +1,261 @@
+/**
+ * Notifications
+ *
+ * The in-app notification feed, and what each user has chosen to be told
+ * about. Notifications are written inside the transaction that produced them
+ * where there is one (createNotifications), or after it with notify.
+ *
+ * Every insert also sends a pg_notify on NOTIFY_CHANNEL, delivered when the
+ * transaction commits; notificationStream pushes it to the user's open
+ * browser tabs.
+ */
+
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const NOTIFY_CHANNEL = 'notifications';
+
+const ORDER_STATUS_MESSAGES = {
+  processing: 'is being prepared',
+  ready_for_pickup: 'is ready',
+  in_transit: 'is on its way',
+  delivered: 'has been delivered',
+  cancelled: 'has been cancelled',
+};
+
+const formatNaira = (amount) => `₦${Number(amount).toLocaleString()}`;
+
+// Per-user switches in user_notification_preferences; all default to on
+const PREFERENCE_KEYS = [
+  'email_back_in_stock',
+  'email_price_drop',
+  'app_back_in_stock',
+  'app_price_drop',
+];
+
+const DEFAULT_PREFERENCES = Object.fromEntries(PREFERENCE_KEYS.map(key => [key, true]));
+
+/**
+ * Add notifications to users' feeds
+ *
+ * Sellers can be addressed by sellerId instead of userId.
+ *
+ * @param {object} client - pg client (or the pool)
+ * @param {Array<{userId?, sellerId?, type, title, body?, link?, data?}>} notifications
+ */
+const createNotifications = async (client, notifications) => {
+  if (notifications.length === 0) {
+    return;
+  }
+
+  await client.query(
+    `WITH inserted AS (
+       INSERT INTO notifications (user_id, type, title, body, link, data)
+       SELECT COALESCE(n.user_id, s.user_id), n.type, n.title, n.body, n.link, n.data
+       FROM unnest($1::int[], $2::int[], $3::varchar[], $4::varchar[], $5::text[], $6::varchar[], $7::jsonb[])
+         AS n(user_id, seller_id, type, title, body, link, data)
+       LEFT JOIN sellers s ON s.id = n.seller_id
+       WHERE COALESCE(n.user_id, s.user_id) IS NOT NULL
+       RETURNING id, user_id
+     )
+     SELECT pg_notify($8, json_build_object('id', id, 'userId', user_id)::text) FROM inserted`,
+    [
+      notifications.map(notification => notification.userId || null),
+      notifications.map(notification => notification.sellerId || null),
+      notifications.map(notification => notification.type),
+      notifications.map(notification => notification.title),
+      notifications.map(notification => notification.body || null),
+      notifications.map(notification => notification.link || null),
+      notifications.map(notification => JSON.stringify(notification.data || {})),
+      NOTIFY_CHANNEL,
+    ]
+  );
+};
+
+/**
+ * createNotifications outside a transaction, once the change it reports has
+ * been saved. Never throws - a lost notification mustn't fail the request.
+ */
+const notify = async (notifications) => {
+  try {
+    await createNotifications(db, notifications);
+  } catch (error) {
+    logger.error('Failed to create notifications', error, {
+      types: [...new Set(notifications.map(notification => notification.type))],
+    });
+  }
+};
+
+/**
+ * Notification telling a buyer their order moved to a new status
+ * @param {object} order - orders row (id, order_number, buyer_id)
+ */
+const orderStatusNotification = (order, status, { reason } = {}) => ({
+  userId: order.buyer_id,
+  type: status === 'cancelled' ? 'order_cancelled' : 'order_status',
+  title: `Order ${order.order_number} ${ORDER_STATUS_MESSAGES[status] || `is ${status}`}`,
+  body: reason || null,
+  link: `/orders/${order.id}`,
+  data: { orderId: order.id, status },
+});
+
+/**
+ * Notification telling a seller about one of their orders
+ * @param {object} order - orders row (id, order_number, seller_id)
+ */
+const sellerOrderNotification = (order, type, title, body = null) => ({
+  sellerId: order.seller_id,
+  type,
+  title,
+  body,
+  link: '/seller/order-management',
+  data: { orderId: order.id },
+});
+
+/**
+ * A user's notifications, newest first
+ * @returns {Promise<{notifications: Array, total: number, unreadCount: number}>}
+ */
+const getNotifications = async (userId, { limit = 20, offset = 0, unreadOnly = false } = {}) => {
+  const [notificationsResult, countResult] = await Promise.all([
+    db.query(
+      `SELECT id, type, title, body, link, data, read_at, created_at
+       FROM notifications
+       WHERE user_id = $1 AND ($2::boolean = FALSE OR read_at IS NULL)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3 OFFSET $4`,
+      [userId, unreadOnly, limit, offset]
+    ),
+    db.query(
+      `SELECT COUNT(*) as total, COUNT(*) FILTER (WHERE read_at IS NULL) as unread
+       FROM notifications
+       WHERE user_id = $1`,
+      [userId]
+    ),
+  ]);
+
+  const counts = countResult.rows[0];
+
+  return {
+    notifications: notificationsResult.rows,
+    total: parseInt(unreadOnly ? counts.unread : counts.total),
+    unreadCount: parseInt(counts.unread),
+  };
+};
+
+/**
+ * One notification, if it belongs to the user
+ */
+const getNotification = async (userId, notificationId) => {
+  const result = await db.query(
+    `SELECT id, type, title, body, link, data, read_at, created_at
+     FROM notifications
+     WHERE id = $1 AND user_id = $2`,
+    [notificationId, userId]
+  );
+  return result.rows[0] || null;
+};
+
+const getUnreadCount = async (userId) => {
+  const result = await db.query(
+    'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].count);
+};
+
+/**
+ * Mark some of a user's notifications read (all of them when ids is null)
+ *
+ * The new unread count goes out on NOTIFY_CHANNEL too, so the user's other
+ * tabs update their badge.
+ *
+ * @returns {Promise<number>} The user's unread count afterwards
+ */
+const markRead = async (userId, ids = null) => {
+  const result = await db.query(
+    `UPDATE notifications
+     SET read_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND read_at IS NULL AND ($2::int[] IS NULL OR id = ANY($2::int[]))`,
+    [userId, ids]
+  );
+
+  const unreadCount = await getUnreadCount(userId);
+
+  if (result.rowCount > 0) {
+    await db.query(
+      'SELECT pg_notify($1, $2)',
+      [NOTIFY_CHANNEL, JSON.stringify({ userId, unreadCount })]
+    );
+  }
+
+  return unreadCount;
+};
+
+/**
+ * A user's notification preferences (defaults when they've never changed any)
+ */
+const getPreferences = async (userId) => {
+  const result = await db.query(
+    `SELECT ${PREFERENCE_KEYS.join(', ')}
+     FROM user_notification_preferences
+     WHERE user_id = $1`,
+    [userId]
+  );
+
+  return result.rows[0] || { ...DEFAULT_PREFERENCES };
+};
+
+/**
+ * Change some of a user's notification preferences; others keep their value
+ *
+ * @param {number} userId
+ * @param {object} changes - { email_price_drop: false, ... }
+ * @returns {Promise<object>} All preferences after the change
+ */
+const updatePreferences = async (userId, changes) => {
+  const keys = PREFERENCE_KEYS.filter(key => changes[key] !== undefined);
+  const invalid = keys.find(key => typeof changes[key] !== 'boolean');
+  if (invalid) {
+    const error = new Error(`${invalid} must be true or false`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (keys.length === 0) {
+    return getPreferences(userId);
+  }
+
+  const values = { ...DEFAULT_PREFERENCES };
+  keys.forEach(key => {
+    values[key] = changes[key];
+  });
+
+  const result = await db.query(
+    `INSERT INTO user_notification_preferences (user_id, ${PREFERENCE_KEYS.join(', ')})
+     VALUES ($1, ${PREFERENCE_KEYS.map((key, index) => `$${index + 2}`).join(', ')})
+     ON CONFLICT (user_id) DO UPDATE
+     SET ${keys.map(key => `${key} = EXCLUDED.${key}`).join(', ')},
+         updated_at = CURRENT_TIMESTAMP
+     RETURNING ${PREFERENCE_KEYS.join(', ')}`,
+    [userId, ...PREFERENCE_KEYS.map(key => values[key])]
+  );
+
+  return result.rows[0];
+};
+
+module.exports = {
+  NOTIFY_CHANNEL,
+  PREFERENCE_KEYS,
+  formatNaira,
+  createNotifications,
+  notify,
+  orderStatusNotification,
+  sellerOrderNotification,
+  getNotifications,
+  getNotification,
+  getUnreadCount,
+  markRead,
+  getPreferences,
+  updatePreferences,
+};
@@ -0,0 +1,224 @@
+/**
+ * Notification Stream
+ *
+ * Pushes new notifications to users' open browser tabs over Server-Sent
+ * Events. Inserts send a pg_notify (see notificationService), so this
+ * instance hears about notifications created by any app instance or job, and
+ * only once the transaction that created them has committed.
+ *
+ * One LISTEN connection per instance, opened with the first stream and kept
+ * while any are open.
+ */
+
+const { Client } = require('pg');
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const notificationService = require('./notificationService');
+
+const streamLogger = logger.child('NotificationStream');
+
+// Comment line sent this often so proxies don't close idle streams
+const HEARTBEAT_MS = 25 * 1000;
+
+const RECONNECT_MS = 5 * 1000;
+
+// Oldest streams are closed past this many per user (tabs left open)
+const MAX_STREAMS_PER_USER = 5;
+
+// userId -> Set of open responses
+const streams = new Map();
+
+let listener = null;
+let connecting = null;
+let reconnectTimer = null;
+let heartbeatTimer = null;
+
+const streamCount = () => [...streams.values()].reduce((sum, userStreams) => sum + userStreams.size, 0);
+
+const send = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const sendToUser = (userId, event, data) => {
+  const userStreams = streams.get(userId);
+  if (!userStreams) return;
+  userStreams.forEach(res => send(res, event, data));
+};
+
+// Tell each open stream its unread count, e.g. after missing events while reconnecting
+const resync = async () => {
+  for (const userId of streams.keys()) {
+    try {
+      sendToUser(userId, 'ready', { unreadCount: await notificationService.getUnreadCount(userId) });
+    } catch (error) {
+      streamLogger.error('Failed to resync notification stream', error, { userId });
+    }
+  }
+};
+
+const handleNotification = async (message) => {
+  let payload;
+  try {
+    payload = JSON.parse(message.payload);
+  } catch (error) {
+    streamLogger.warn('Ignoring malformed notification payload', { payload: message.payload });
+    return;
+  }
+
+  if (!streams.has(payload.userId)) {
+    return;
+  }
+
+  // Notifications marked read (possibly in a tab connected to another instance)
+  if (payload.id === undefined) {
+    sendToUser(payload.userId, 'unread', { unreadCount: payload.unreadCount });
+    return;
+  }
+
+  try {
+    const [notification, unreadCount] = await Promise.all([
+      notificationService.getNotification(payload.userId, payload.id),
+      notificationService.getUnreadCount(payload.userId),
+    ]);
+
+    if (notification) {
+      sendToUser(payload.userId, 'notification', { notification, unreadCount });
+    }
+  } catch (error) {
+    streamLogger.error('Failed to push notification', error, { notificationId: payload.id });
+  }
+};
+
+const scheduleReconnect = () => {
+  if (reconnectTimer || streamCount() === 0) return;
+
+  reconnectTimer = setTimeout(async () => {
+    reconnectTimer = null;
+    if (streamCount() === 0) return;
+
+    try {
+      await ensureListener();
+      await resync();
+    } catch (error) {
+      scheduleReconnect();
+    }
+  }, RECONNECT_MS);
+  reconnectTimer.unref();
+};
+
+const dropListener = (client) => {
+  if (listener !== client) return;
+  listener = null;
+  client.end().catch(() => {});
+  scheduleReconnect();
+};
+
+const ensureListener = async () => {
+  if (listener) return listener;
+  if (connecting) return connecting;
+
+  connecting = (async () => {
+    // Same settings as the pool, on a connection of its own
+    const client = new Client(db.options);
+    client.on('notification', handleNotification);
+    client.on('error', (error) => {
+      streamLogger.error('Notification listener connection failed', error);
+      dropListener(client);
+    });
+    client.on('end', () => dropListener(client));
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${notificationService.NOTIFY_CHANNEL}`);
+    } catch (error) {
+      streamLogger.error('Failed to start notification listener', error);
+      client.end().catch(() => {});
+      throw error;
+    }
+
+    listener = client;
+    streamLogger.info('Listening for notifications');
+    return client;
+  })();
+
+  try {
+    return await connecting;
+  } finally {
+    connecting = null;
+  }
+};
+
+const stopListener = async () => {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  if (listener) {
+    const client = listener;
+    listener = null;
+    client.removeAllListeners('end');
+    await client.end().catch(() => {});
+  }
+};
+
+/**
+ * Start streaming a user's notifications to an open SSE response
+ *
+ * @param {number} userId
+ * @param {object} res - Express response, headers not yet sent
+ * @returns {Promise<Function>} Call when the request closes
+ */
+const openStream = async (userId, res) => {
+  await ensureListener();
+  const unreadCount = await notificationService.getUnreadCount(userId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx would otherwise buffer the stream
+  });
+
+  const userStreams = streams.get(userId) || new Set();
+  if (userStreams.size >= MAX_STREAMS_PER_USER) {
+    const [oldest] = userStreams;
+    userStreams.delete(oldest);
+    oldest.end();
+  }
+  userStreams.add(res);
+  streams.set(userId, userStreams);
+
+  if (!heartbeatTimer) {
+    heartbeatTimer = setInterval(() => {
+      streams.forEach(openStreams => openStreams.forEach(stream => stream.write(': ping\n\n')));
+    }, HEARTBEAT_MS);
+    heartbeatTimer.unref();
+  }
+
+  send(res, 'ready', { unreadCount });
+
+  return () => {
+    userStreams.delete(res);
+    if (userStreams.size === 0 && streams.get(userId) === userStreams) {
+      streams.delete(userId);
+    }
+    if (streamCount() === 0) {
+      stopListener();
+    }
+  };
+};
+
+/**
+ * Close every stream and the LISTEN connection (server shutdown)
+ */
+const closeAllStreams = async () => {
+  streams.forEach(userStreams => userStreams.forEach(res => res.end()));
+  streams.clear();
+  await stopListener();
+};
+
+module.exports = {
+  openStream,
+  closeAllStreams,
+};
@@ -0,0 +1,374 @@
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const { convertReservations } = require('./reservationService');
+const { redeemPromotion } = require('./promotionService');
+const { recordPurchases } = require('./analyticsEventService');
+const { recordMovements, checkLowStock } = require('./inventoryService');
+const { createNotifications, sellerOrderNotification, formatNaira } = require('./notificationService');
+
+// Platform commission on each seller's order
+const PLATFORM_FEE_RATE = 0.05;
+
+// Minimum order value per seller (₦)
+const MIN_ORDER_VALUE = 4000;
+
+// Sellers registered with the test bank get a fake subaccount Paystack won't accept
+const isSplitSubaccount = (subaccountCode) => {
+  return Boolean(subaccountCode) && !subaccountCode.startsWith('ACCT_test_');
+};
+
+/**
+ * Whether a seller's share of a checkout can go straight to their subaccount
+ *
+ * Not while they owe BuyTree money (clawed-back split shares, dispute
+ * refunds): their orders then go through the payout processor, which nets the
+ * debt out of the payout.
+ */
+const canSettleBySplit = async (seller) => {
+  if (!isSplitSubaccount(seller.paystack_subaccount_code)) {
+    return false;
+  }
+
+  const result = await db.query(
+    `SELECT COALESCE(SUM(amount), 0) as outstanding
+     FROM seller_balances
+     WHERE seller_id = $1 AND payout_batch_id IS NULL`,
+    [seller.id]
+  );
+  return parseFloat(result.rows[0].outstanding) >= 0;
+};
+
+// Platform fee for one seller's order - charged on goods after discounts, not delivery
+const calculatePlatformFee = (order) => {
+  const subtotal = order.subtotal !== undefined ? order.subtotal : order.orderTotal;
+  return (subtotal - (order.discount || 0)) * PLATFORM_FEE_RATE;
+};
+
+/**
+ * Build a Paystack dynamic multi-split for a checkout
+ *
+ * Each seller marked for split settlement (canSettleBySplit) is sent their
+ * share (order total, including delivery, less the platform fee) directly;
+ * BuyTree keeps the fees plus the other sellers' shares, which the payout
+ * processor pays out instead.
+ * BuyTree bears the Paystack charges, as it does for single-shop payments.
+ *
+ * Split shares are paid before delivery and the dispute window, so refunds on
+ * these orders are debited back from the seller (cancellationService,
+ * disputeController).
+ *
+ * @param {Array<{subaccountCode: string, splitSettlement: boolean, orderTotal: number}>} orderDetails
+ * @returns {object|null} split for /transaction/initialize, or null if no seller can be split
+ */
+const buildPaystackSplit = (orderDetails) => {
+  const subaccounts = orderDetails
+    .filter(order => order.splitSettlement)
+    .map(order => ({
+      subaccount: order.subaccountCode,
+      share: Math.round((order.orderTotal - calculatePlatformFee(order)) * 100), // Kobo
+    }));
+
+  if (subaccounts.length === 0) {
+    return null;
+  }
+
+  return {
+    type: 'flat',
+    bearer_type: 'account',
+    subaccounts,
+  };
+};
+
+/**
+ * Price a checkout preview from current product and variant prices
+ *
+ * Quotes only - createOrder re-validates everything, including stock.
+ *
+ * @param {Array<{sellerId, items: Array<{productId, variantId?, quantity}>}>} orders
+ * @returns {Promise<Array<{sellerId, subtotal, items: Array<{productId, variantId, category, quantity, subtotal}>}>>}
+ */
+const priceOrders = async (orders) => {
+  const priced = [];
+
+  for (const order of orders) {
+    const { sellerId, items = [] } = order;
+
+    const [productResult, variantResult] = await Promise.all([
+      db.query(
+        `SELECT id, price, category FROM products
+         WHERE id = ANY($1::int[]) AND seller_id = $2 AND deleted_at IS NULL`,
+        [items.map(item => item.productId), sellerId]
+      ),
+      db.query(
+        `SELECT id, price FROM product_variants
+         WHERE id = ANY($1::int[]) AND price IS NOT NULL`,
+        [items.map(item => item.variantId).filter(Boolean)]
+      ),
+    ]);
+
+    // Variant price overrides win over the product price
+    const products = Object.fromEntries(productResult.rows.map(product => [product.id, product]));
+    const variantPrices = Object.fromEntries(variantResult.rows.map(variant => [variant.id, parseFloat(variant.price)]));
+
+    const pricedItems = items
+      .filter(item => products[item.productId])
+      .map(item => {
+        const product = products[item.productId];
+        const price = variantPrices[item.variantId] ?? parseFloat(product.price);
+        return {
+          productId: product.id,
+          variantId: item.variantId || null,
+          category: product.category,
+          quantity: item.quantity,
+          subtotal: price * item.quantity,
+        };
+      });
+
+    priced.push({
+      sellerId,
+      subtotal: pricedItems.reduce((sum, item) => sum + item.subtotal, 0),
+      items: pricedItems,
+    });
+  }
+
+  return priced;
+};
+
+// Get orders already created for a payment reference
+const getOrdersByReference = async (reference, client = db) => {
+  const result = await client.query(
+    `SELECT o.id, o.order_number
+     FROM orders o
+     WHERE o.paystack_reference = $1
+     ORDER BY o.id ASC`,
+    [reference]
+  );
+
+  return result.rows.map(order => ({
+    orderId: order.id,
+    orderNumber: order.order_number,
+  }));
+};
+
+/**
+ * Create orders from a successful Paystack transaction
+ *
+ * Shared by the browser callback (verifyPayment) and the Paystack webhook.
+ * Idempotent on the payment reference: an advisory lock serialises concurrent
+ * callers, so whichever arrives second gets the orders the first one created.
+ *
+ * @param {object} paymentData - Paystack transaction data (reference, amount, metadata)
+ * @returns {Promise<{orders: Array, created: boolean}>}
+ */
+const createOrdersFromPayment = async (paymentData) => {
+  const { reference, amount, metadata } = paymentData;
+
+  if (!metadata || !Array.isArray(metadata.orders) || !metadata.deliveryDetails) {
+    const error = new Error('Payment metadata is missing order details');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { userId, orders, deliveryDetails, totalAmount, platformFee } = metadata;
+
+  // Guard against a tampered or partial payment
+  if (amount !== undefined && Math.round(Number(amount)) < Math.round(Number(totalAmount) * 100)) {
+    const error = new Error('Amount paid does not match order total');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [reference]);
+
+    // Check if orders already exist for this payment reference (idempotency check)
+    const existingOrders = await getOrdersByReference(reference, client);
+    if (existingOrders.length > 0) {
+      await client.query('COMMIT');
+      return { orders: existingOrders, created: false };
+    }
+
+    // Parent checkout - created by createOrder, or here for payments started before checkouts existed
+    let checkoutResult = await client.query(
+      'SELECT id FROM checkouts WHERE paystack_reference = $1 FOR UPDATE',
+      [reference]
+    );
+
+    if (checkoutResult.rows.length === 0) {
+      checkoutResult = await client.query(
+        `INSERT INTO checkouts (buyer_id, paystack_reference, total_amount, platform_fee, seller_count)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        [userId, reference, totalAmount, platformFee || orders.reduce((sum, order) => sum + calculatePlatformFee(order), 0), orders.length]
+      );
+    }
+
+    const checkoutId = checkoutResult.rows[0].id;
+    const createdOrders = [];
+    const sales = [];
+    const newOrderNotifications = [];
+
+    // Create orders for each seller
+    for (const orderDetail of orders) {
+      const { sellerId, orderTotal, items, splitSettlement } = orderDetail;
+
+      // Payments started before delivery fees existed have no subtotal
+      const subtotal = orderDetail.subtotal !== undefined ? orderDetail.subtotal : orderTotal;
+      const deliveryFee = orderDetail.deliveryFee || 0;
+      const discount = orderDetail.discount || 0;
+      const orderPlatformFee = calculatePlatformFee(orderDetail);
+      const sellerAmount = orderTotal - orderPlatformFee;
+
+      // Calculate estimated delivery date (7 days from now)
+      const estimatedDeliveryDate = new Date();
+      estimatedDeliveryDate.setDate(estimatedDeliveryDate.getDate() + 7);
+
+      // Generate order number
+      const orderNumber = `ORD-${Date.now()}-${sellerId}`;
+
+      // Create order
+      const orderResult = await client.query(
+        `INSERT INTO orders (
+          order_number, buyer_id, seller_id, total_amount, platform_fee, seller_amount,
+          status, payment_status, paystack_reference, checkout_id, settled_by_split,
+          subtotal, delivery_fee, delivery_method, delivery_zone_id,
+          discount_amount, delivery_discount, promotion_id, promotion_code,
+          delivery_name, delivery_phone, delivery_address, notes,
+          estimated_delivery_date
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+          $16, $17, $18, $19, $20, $21, $22, $23, $24
+        )
+        RETURNING id, order_number`,
+        [
+          orderNumber,
+          userId,
+          sellerId,
+          orderTotal,
+          orderPlatformFee,
+          sellerAmount,
+          'pending',
+          'paid',
+          reference,
+          checkoutId,
+          Boolean(splitSettlement),
+          subtotal,
+          deliveryFee,
+          orderDetail.deliveryMethod || 'delivery',
+          orderDetail.deliveryZoneId || null,
+          discount,
+          orderDetail.deliveryDiscount || 0,
+          orderDetail.promotion ? orderDetail.promotion.id : null,
+          orderDetail.promotion ? orderDetail.promotion.code : null,
+          deliveryDetails.name,
+          deliveryDetails.phone,
+          deliveryDetails.address,
+          deliveryDetails.notes || null,
+          estimatedDeliveryDate,
+        ]
+      );
+
+      const orderId = orderResult.rows[0].id;
+
+      // Create order items
+      for (const item of items) {
+        await client.query(
+          `INSERT INTO order_items (
+            order_id, product_id, variant_id, product_name, variant_label, sku,
+            product_price, quantity, subtotal, discount_amount
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+          [
+            orderId,
+            item.productId,
+            item.variantId || null,
+            item.productName,
+            item.variantLabel || null,
+            item.sku || null,
+            item.productPrice,
+            item.quantity,
+            item.subtotal,
+            item.discount || 0,
+          ]
+        );
+      }
+
+      if (orderDetail.promotion) {
+        await redeemPromotion(client, checkoutId, sellerId, orderId);
+      }
+
+      sales.push(...items.map(item => ({
+        productId: item.productId,
+        variantId: item.variantId,
+        type: 'sale',
+        change: -item.quantity,
+        orderId,
+      })));
+
+      createdOrders.push({
+        orderId,
+        orderNumber: orderResult.rows[0].order_number,
+      });
+
+      const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
+      newOrderNotifications.push(sellerOrderNotification(
+        { id: orderId, seller_id: sellerId },
+        'new_order',
+        `New order ${orderResult.rows[0].order_number}`,
+        `${itemCount} ${itemCount === 1 ? 'item' : 'items'}, ${formatNaira(orderTotal)}`
+      ));
+    }
+
+    // Stock was reserved at checkout - mark it sold (and take any that wasn't)
+    const purchasedItems = orders.flatMap(order => order.items);
+    await convertReservations(client, checkoutId, purchasedItems);
+    await recordMovements(client, sales);
+    await recordPurchases(client, purchasedItems);
+    await createNotifications(client, newOrderNotifications);
+
+    await client.query(
+      `UPDATE checkouts
+       SET status = 'paid', paid_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [checkoutId]
+    );
+
+    // Remove the purchased lines from the cart - items from shops checked out separately
+    // (and other sizes/colours of the same product) stay
+    await client.query(
+      `DELETE FROM cart_items ci
+       USING unnest($2::int[], $3::int[]) AS bought(product_id, variant_id)
+       WHERE ci.cart_id IN (SELECT id FROM carts WHERE user_id = $1)
+         AND ci.product_id = bought.product_id
+         AND COALESCE(ci.variant_id, 0) = bought.variant_id`,
+      [userId, purchasedItems.map(item => item.productId), purchasedItems.map(item => item.variantId || 0)]
+    );
+
+    await client.query('COMMIT');
+
+    logger.info('Orders created from payment', { reference, orderCount: createdOrders.length });
+
+    checkLowStock(purchasedItems.map(item => item.productId));
+
+    return { orders: createdOrders, created: true };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  PLATFORM_FEE_RATE,
+  MIN_ORDER_VALUE,
+  calculatePlatformFee,
+  isSplitSubaccount,
+  canSettleBySplit,
+  buildPaystackSplit,
+  priceOrders,
+  getOrdersByReference,
+  createOrdersFromPayment,
+};
@@ -0,0 +1,552 @@
+const db = require('../config/database');
+const paystackService = require('./paystackService');
+const { logger } = require('../utils/logger');
+const { createNotifications, formatNaira } = require('./notificationService');
+
+const payoutLogger = logger.child('Payouts');
+
+// Transfer statuses that mean Paystack will settle the transfer later (via webhook)
+const PENDING_TRANSFER_STATUSES = ['pending', 'otp', 'received', 'queued'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Paystack answered and turned the request down. Timeouts, network errors and
+// 5xx responses don't say whether a transfer went through.
+const isRejection = (error) => {
+  const status = error.response?.status;
+  return status >= 400 && status < 500 && Boolean(error.response.data);
+};
+
+/**
+ * Get (or register) the Paystack transfer recipient for a seller's bank account
+ */
+const getRecipientCode = async (seller) => {
+  if (seller.paystack_recipient_code) {
+    return seller.paystack_recipient_code;
+  }
+
+  const response = await paystackService.createTransferRecipient({
+    name: seller.account_name || seller.shop_name,
+    accountNumber: seller.account_number,
+    bankCode: seller.bank_code,
+  });
+
+  const recipientCode = response?.data?.recipient_code;
+  if (!recipientCode) {
+    throw new Error(response?.message || 'Paystack did not return a recipient code');
+  }
+
+  await db.query(
+    'UPDATE sellers SET paystack_recipient_code = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [recipientCode, seller.id]
+  );
+
+  return recipientCode;
+};
+
+/**
+ * Mark a processing batch and its orders as paid out
+ * No-op if the batch was already settled (e.g. a repeated webhook).
+ */
+const completeBatch = async (reference, transferCode = null) => {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const batchResult = await client.query(
+      `UPDATE payout_batches
+       SET status = 'completed',
+           transfer_code = COALESCE($2, transfer_code),
+           completed_at = CURRENT_TIMESTAMP
+       WHERE transfer_reference = $1 AND status = 'processing'
+       RETURNING id, seller_id, net_amount, order_count`,
+      [reference, transferCode]
+    );
+
+    if (batchResult.rows.length > 0) {
+      const batch = batchResult.rows[0];
+
+      await client.query(
+        `UPDATE orders
+         SET payout_status = 'completed', updated_at = CURRENT_TIMESTAMP
+         WHERE payout_batch_id = $1`,
+        [batch.id]
+      );
+
+      await createNotifications(client, [{
+        sellerId: batch.seller_id,
+        type: 'payout_completed',
+        title: `Payout of ${formatNaira(batch.net_amount)} sent`,
+        body: `For ${batch.order_count} ${batch.order_count === 1 ? 'order' : 'orders'} - it should reach your bank shortly`,
+        link: '/seller/analytics',
+        data: { payoutBatchId: batch.id },
+      }]);
+    }
+
+    await client.query('COMMIT');
+    return batchResult.rows.length > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Mark a processing batch as failed and release its orders and balance entries
+ * so the next run picks them up again.
+ *
+ * With `reversed`, the transfer was returned after Paystack reported it sent
+ * (transfer.reversed), so a completed batch is reopened the same way and
+ * marked reversed - the seller never got the money.
+ */
+const failBatch = async (reference, reason, { reversed = false } = {}) => {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const batchResult = await client.query(
+      `UPDATE payout_batches
+       SET status = $3, failure_reason = $2
+       WHERE transfer_reference = $1 AND status = ANY($4::text[])
+       RETURNING id, seller_id, net_amount`,
+      [reference, reason, reversed ? 'reversed' : 'failed', reversed ? ['processing', 'completed'] : ['processing']]
+    );
+
+    if (batchResult.rows.length > 0) {
+      const batchId = batchResult.rows[0].id;
+
+      await client.query(
+        `UPDATE orders
+         SET payout_status = 'scheduled',
+             payout_reference = NULL,
+             payout_batch_id = NULL,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE payout_batch_id = $1`,
+        [batchId]
+      );
+
+      await client.query(
+        'UPDATE seller_balances SET payout_batch_id = NULL WHERE payout_batch_id = $1',
+        [batchId]
+      );
+
+      await createNotifications(client, [{
+        sellerId: batchResult.rows[0].seller_id,
+        type: 'payout_failed',
+        title: `Payout of ${formatNaira(batchResult.rows[0].net_amount)} ${reversed ? 'was returned by your bank' : 'failed'}`,
+        body: 'It will be retried in the next payout run. Check your bank details are correct.',
+        link: '/seller/analytics',
+        data: { payoutBatchId: batchId },
+      }]);
+    }
+
+    await client.query('COMMIT');
+    return batchResult.rows.length > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Build (and unless dryRun, record) the payout batch for one seller
+ *
+ * Picks every delivered order whose payout is due and has no open dispute,
+ * then nets all outstanding seller_balances entries against it. If the debits
+ * swallow the whole payout, the orders are settled without a transfer and the
+ * remaining debt is carried forward as a new balance entry.
+ *
+ * @returns {Promise<object|null>} the batch, or null if nothing is due
+ */
+const createSellerBatch = async (sellerId, asOf, dryRun) => {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the seller so two runs can't batch the same balances
+    const sellerResult = await client.query(
+      `SELECT id, shop_name, account_number, bank_code, account_name, paystack_recipient_code
+       FROM sellers WHERE id = $1
+       FOR UPDATE`,
+      [sellerId]
+    );
+    const seller = sellerResult.rows[0];
+
+    const ordersResult = await client.query(
+      `SELECT o.id, o.seller_amount
+       FROM orders o
+       WHERE o.seller_id = $1
+         AND o.status = 'delivered'
+         AND o.payout_status = 'scheduled'
+         AND o.payout_date <= $2
+         AND o.settled_by_split IS NOT TRUE
+         AND NOT EXISTS (
+           SELECT 1 FROM disputes d
+           WHERE d.order_id = o.id AND d.status NOT IN ('resolved', 'closed')
+         )
+       FOR UPDATE OF o SKIP LOCKED`,
+      [sellerId, asOf]
+    );
+
+    if (ordersResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const balancesResult = await client.query(
+      `SELECT id, amount FROM seller_balances
+       WHERE seller_id = $1 AND payout_batch_id IS NULL
+       FOR UPDATE`,
+      [sellerId]
+    );
+
+    const orderIds = ordersResult.rows.map(row => row.id);
+    const balanceIds = balancesResult.rows.map(row => row.id);
+    const grossAmount = roundAmount(
+      ordersResult.rows.reduce((sum, row) => sum + parseFloat(row.seller_amount), 0)
+    );
+    const balanceAdjustment = roundAmount(
+      balancesResult.rows.reduce((sum, row) => sum + parseFloat(row.amount), 0)
+    );
+    const netAmount = roundAmount(grossAmount + balanceAdjustment);
+    const needsTransfer = netAmount > 0;
+
+    const batch = {
+      sellerId,
+      grossAmount,
+      balanceAdjustment,
+      netAmount,
+      orderCount: orderIds.length,
+      status: needsTransfer ? 'processing' : 'offset',
+      transferReference: needsTransfer ? `PAYOUT-${sellerId}-${Date.now()}` : null,
+    };
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      return batch;
+    }
+
+    const batchResult = await client.query(
+      `INSERT INTO payout_batches (
+        seller_id, gross_amount, balance_adjustment, net_amount, order_count,
+        status, transfer_reference, completed_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id`,
+      [
+        sellerId,
+        grossAmount,
+        balanceAdjustment,
+        netAmount,
+        orderIds.length,
+        batch.status,
+        batch.transferReference,
+        needsTransfer ? null : new Date(),
+      ]
+    );
+    batch.id = batchResult.rows[0].id;
+
+    await client.query(
+      `UPDATE orders
+       SET payout_status = $1,
+           payout_batch_id = $2,
+           payout_reference = $3,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($4::int[])`,
+      [needsTransfer ? 'processing' : 'completed', batch.id, batch.transferReference, orderIds]
+    );
+
+    if (balanceIds.length > 0) {
+      await client.query(
+        'UPDATE seller_balances SET payout_batch_id = $1 WHERE id = ANY($2::int[])',
+        [batch.id, balanceIds]
+      );
+    }
+
+    // Debits bigger than this payout roll over to the next one
+    if (netAmount < 0) {
+      await client.query(
+        `INSERT INTO seller_balances (seller_id, amount, reason, is_carry_forward)
+         VALUES ($1, $2, $3, TRUE)`,
+        [sellerId, netAmount, `Carried forward from payout batch #${batch.id}`]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    batch.seller = seller;
+    return batch;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Send the Paystack transfer for a recorded batch and settle it if Paystack
+ * completes it immediately. Pending transfers are settled by the webhook.
+ *
+ * The batch is only failed (and its orders released) when Paystack turns the
+ * transfer down. If the outcome is unknown - a timeout, say - it stays
+ * processing under the same reference, for the webhook or the next run's
+ * reconcileUnconfirmedBatches to settle, so the orders can't be paid twice.
+ *
+ * @returns {Promise<string>} completed, processing, failed or unconfirmed
+ */
+const sendBatchTransfer = async (batch) => {
+  let recipient;
+  try {
+    recipient = await getRecipientCode(batch.seller);
+  } catch (error) {
+    const reason = error.response?.data?.message || error.message;
+    payoutLogger.error('Payout recipient could not be registered', error, { batchId: batch.id, reason });
+    await failBatch(batch.transferReference, reason);
+    return 'failed';
+  }
+
+  let response;
+  try {
+    response = await paystackService.initiateTransfer({
+      amount: Math.round(batch.netAmount * 100), // Convert to kobo
+      recipient,
+      reference: batch.transferReference,
+      reason: `BuyTree payout #${batch.id}`,
+    });
+  } catch (error) {
+    const reason = error.response?.data?.message || error.message;
+
+    if (isRejection(error)) {
+      payoutLogger.error('Payout transfer rejected', error, { batchId: batch.id, reason });
+      await failBatch(batch.transferReference, reason);
+      return 'failed';
+    }
+
+    payoutLogger.error('Payout transfer outcome unknown - left processing', error, { batchId: batch.id, reason });
+    return 'unconfirmed';
+  }
+
+  return applyTransferStatus(batch, response);
+};
+
+// Settle a batch from the transfer Paystack returned for it
+const applyTransferStatus = async (batch, response) => {
+  const transferStatus = response?.data?.status;
+
+  if (transferStatus === 'success') {
+    await completeBatch(batch.transferReference, response.data.transfer_code);
+    return 'completed';
+  }
+
+  if (PENDING_TRANSFER_STATUSES.includes(transferStatus)) {
+    await db.query(
+      'UPDATE payout_batches SET transfer_code = $1 WHERE id = $2',
+      [response.data.transfer_code || null, batch.id]
+    );
+    return 'processing';
+  }
+
+  await failBatch(batch.transferReference, response?.message || `Transfer status: ${transferStatus}`);
+  return 'failed';
+};
+
+/**
+ * Settle batches whose transfer had an unknown outcome on an earlier run
+ * (processing, with no transfer code) by looking the transfer up on Paystack.
+ * One Paystack never received is sent again with the same reference.
+ *
+ * @returns {Promise<object>} count of batches per outcome
+ */
+const reconcileUnconfirmedBatches = async () => {
+  const outcomes = { completed: 0, processing: 0, failed: 0, unconfirmed: 0 };
+
+  const result = await db.query(
+    `SELECT pb.id, pb.net_amount, pb.transfer_reference,
+            s.id as seller_id, s.shop_name, s.account_number, s.bank_code, s.account_name,
+            s.paystack_recipient_code
+     FROM payout_batches pb
+     JOIN sellers s ON s.id = pb.seller_id
+     WHERE pb.status = 'processing' AND pb.transfer_code IS NULL AND pb.net_amount > 0
+     ORDER BY pb.id`
+  );
+
+  for (const row of result.rows) {
+    const batch = {
+      id: row.id,
+      netAmount: parseFloat(row.net_amount),
+      transferReference: row.transfer_reference,
+      seller: {
+        id: row.seller_id,
+        shop_name: row.shop_name,
+        account_number: row.account_number,
+        bank_code: row.bank_code,
+        account_name: row.account_name,
+        paystack_recipient_code: row.paystack_recipient_code,
+      },
+    };
+
+    let outcome;
+    try {
+      const response = await paystackService.verifyTransfer(batch.transferReference);
+      outcome = await applyTransferStatus(batch, response);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        outcome = await sendBatchTransfer(batch);
+      } else {
+        payoutLogger.error('Could not check unconfirmed payout transfer', error, { batchId: batch.id });
+        outcome = 'unconfirmed';
+      }
+    }
+
+    outcomes[outcome] += 1;
+  }
+
+  return outcomes;
+};
+
+/**
+ * Mark due orders whose seller share was already paid by a Paystack split
+ * as paid out. Open disputes hold them back like any other order.
+ * @returns {Promise<number>} number of orders settled (or due, for a dry run)
+ */
+const settleSplitOrders = async (asOf, dryRun) => {
+  const dueCondition = `
+    status = 'delivered'
+    AND payout_status = 'scheduled'
+    AND payout_date <= $1
+    AND settled_by_split = TRUE
+    AND NOT EXISTS (
+      SELECT 1 FROM disputes d
+      WHERE d.order_id = orders.id AND d.status NOT IN ('resolved', 'closed')
+    )
+  `;
+
+  if (dryRun) {
+    const result = await db.query(`SELECT COUNT(*) FROM orders WHERE ${dueCondition}`, [asOf]);
+    return parseInt(result.rows[0].count);
+  }
+
+  const result = await db.query(
+    `UPDATE orders
+     SET payout_status = 'completed', updated_at = CURRENT_TIMESTAMP
+     WHERE ${dueCondition}`,
+    [asOf]
+  );
+
+  return result.rowCount;
+};
+
+/**
+ * Pay out every seller with due orders
+ *
+ * @param {object} [options]
+ * @param {Date} [options.asOf] - treat payouts due up to this time (default: now)
+ * @param {boolean} [options.dryRun] - compute batches without recording or transferring
+ * @returns {Promise<object>} run summary
+ */
+const processDuePayouts = async ({ asOf = new Date(), dryRun = false } = {}) => {
+  const summary = {
+    asOf,
+    dryRun,
+    sellers: 0,
+    completed: 0,
+    processing: 0,
+    failed: 0,
+    offset: 0,
+    unconfirmed: 0,
+    totalTransferred: 0,
+    splitSettled: 0,
+    reconciled: null,
+    batches: [],
+  };
+
+  if (!dryRun) {
+    summary.reconciled = await reconcileUnconfirmedBatches();
+  }
+
+  summary.splitSettled = await settleSplitOrders(asOf, dryRun);
+
+  const sellersResult = await db.query(
+    `SELECT DISTINCT seller_id
+     FROM orders
+     WHERE status = 'delivered'
+       AND payout_status = 'scheduled'
+       AND payout_date <= $1
+       AND settled_by_split IS NOT TRUE
+     ORDER BY seller_id`,
+    [asOf]
+  );
+
+  for (const { seller_id: sellerId } of sellersResult.rows) {
+    let batch;
+
+    try {
+      batch = await createSellerBatch(sellerId, asOf, dryRun);
+    } catch (error) {
+      payoutLogger.error('Failed to create payout batch', error, { sellerId });
+      summary.failed += 1;
+      continue;
+    }
+
+    // Every due order is under dispute
+    if (!batch) {
+      continue;
+    }
+
+    summary.sellers += 1;
+
+    let outcome = batch.status;
+    if (!dryRun && batch.status === 'processing') {
+      outcome = await sendBatchTransfer(batch);
+    }
+
+    if (outcome === 'completed' || outcome === 'processing') {
+      summary.totalTransferred = roundAmount(summary.totalTransferred + batch.netAmount);
+    }
+    summary[outcome] += 1;
+
+    const { seller, ...batchSummary } = batch;
+    summary.batches.push({ ...batchSummary, status: outcome });
+  }
+
+  payoutLogger.info('Payout run finished', {
+    sellers: summary.sellers,
+    completed: summary.completed,
+    processing: summary.processing,
+    failed: summary.failed,
+    offset: summary.offset,
+    unconfirmed: summary.unconfirmed,
+    splitSettled: summary.splitSettled,
+    reconciled: summary.reconciled,
+    dryRun,
+  });
+
+  return summary;
+};
+
+/**
+ * Settle a batch from a transfer.success / transfer.failed / transfer.reversed webhook
+ */
+const handleTransferEvent = async (event, data) => {
+  if (!data.reference) {
+    return false;
+  }
+
+  if (event === 'transfer.success') {
+    return completeBatch(data.reference, data.transfer_code);
+  }
+
+  return failBatch(data.reference, data.reason || event, { reversed: event === 'transfer.reversed' });
+};
+
+module.exports = {
+  processDuePayouts,
+  handleTransferEvent,
+};
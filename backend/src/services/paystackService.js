@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Paystack API configuration
+// PAYSTACK_BASE_URL can point at a local fake Paystack during development/testing
+const PAYSTACK_BASE_URL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+
+const paystackAxios = axios.create({
+  baseURL: PAYSTACK_BASE_URL,
+  headers: {
+    Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+    'Content-Type': 'application/json',
+  },
+});
+
+// Default client - talks to the Paystack HTTP API
+const httpClient = {
+  // Initialize a transaction and get the checkout URL
+  initializeTransaction: async (payload) => {
+    const response = await paystackAxios.post('/transaction/initialize', payload);
+    return response.data;
+  },
+
+  // Verify a transaction by reference
+  verifyTransaction: async (reference) => {
+    const response = await paystackAxios.get(`/transaction/verify/${encodeURIComponent(reference)}`);
+    return response.data;
+  },
+
+  // Refund all or part (amount in kobo) of a transaction
+  createRefund: async ({ transaction, amount, merchantNote }) => {
+    const response = await paystackAxios.post('/refund', {
+      transaction,
+      amount,
+      merchant_note: merchantNote,
+    });
+    return response.data;
+  },
+
+  // Register a bank account as a transfer recipient
+  createTransferRecipient: async ({ name, accountNumber, bankCode }) => {
+    const response = await paystackAxios.post('/transferrecipient', {
+      type: 'nuban',
+      name,
+      account_number: accountNumber,
+      bank_code: bankCode,
+      currency: 'NGN',
+    });
+    return response.data;
+  },
+
+  // Send money (amount in kobo) from the platform balance to a recipient
+  initiateTransfer: async ({ amount, recipient, reference, reason }) => {
+    const response = await paystackAxios.post('/transfer', {
+      source: 'balance',
+      amount,
+      recipient,
+      reference,
+      reason,
+    });
+    return response.data;
+  },
+
+  // Look up a transfer by the reference it was sent with
+  verifyTransfer: async (reference) => {
+    const response = await paystackAxios.get(`/transfer/verify/${encodeURIComponent(reference)}`);
+    return response.data;
+  },
+};
+
+let activeClient = httpClient;
+
+/**
+ * Swap the Paystack client (e.g. a fake in tests)
+ * Methods not provided by the override fall back to the HTTP client.
+ * Call with no argument to restore the default.
+ */
+const setPaystackClient = (client = null) => {
+  activeClient = client ? { ...httpClient, ...client } : httpClient;
+};
+
+const getPaystackClient = () => activeClient;
+
+const initializeTransaction = (payload) => activeClient.initializeTransaction(payload);
+const verifyTransaction = (reference) => activeClient.verifyTransaction(reference);
+const createRefund = (params) => activeClient.createRefund(params);
+const createTransferRecipient = (params) => activeClient.createTransferRecipient(params);
+const initiateTransfer = (params) => activeClient.initiateTransfer(params);
+const verifyTransfer = (reference) => activeClient.verifyTransfer(reference);
+
+/**
+ * Compute the x-paystack-signature for a raw request body
+ * Paystack signs webhooks with HMAC SHA512 using the secret key
+ */
+const computeSignature = (rawBody) => {
+  return crypto
+    .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY || '')
+    .update(rawBody)
+    .digest('hex');
+};
+
+// Check a webhook signature against the raw body (constant-time comparison)
+const isValidSignature = (rawBody, signature) => {
+  if (!rawBody || !signature || !process.env.PAYSTACK_SECRET_KEY) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(rawBody), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  initializeTransaction,
+  verifyTransaction,
+  createRefund,
+  createTransferRecipient,
+  initiateTransfer,
+  verifyTransfer,
+  setPaystackClient,
+  getPaystackClient,
+  computeSignature,
+  isValidSignature,
+};
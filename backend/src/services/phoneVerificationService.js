@@ -0,0 +1,337 @@
+/**
+ * Phone Verification and Phone Login
+ *
+ * Texts one-time codes (migration 030) to prove a user owns their phone
+ * number, and, once it's verified, to log in with the number instead of an
+ * email and password.
+ *
+ * Codes expire after CODE_TTL_MINUTES and stop working after MAX_ATTEMPTS
+ * wrong tries. A number can be sent a code no more than once every
+ * RESEND_INTERVAL_SECONDS and DAILY_SEND_LIMIT times a day, so the endpoints
+ * can't be used to flood a phone (or run up the SMS bill).
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const { normalizePhone, maskPhone } = require('../utils/phone');
+const smsService = require('./smsService');
+const loginLockoutService = require('./loginLockoutService');
+
+const CODE_DIGITS = 6;
+const CODE_TTL_MINUTES = 10;
+const MAX_ATTEMPTS = 5;
+const RESEND_INTERVAL_SECONDS = 60;
+const DAILY_SEND_LIMIT = 5;
+
+// Kept a day past expiry so the daily send limit can still count them
+const EXPIRED_RETENTION_HOURS = 24;
+
+const phoneError = (message, statusCode = 400, retryAfter = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const lockedError = (minutes) => {
+  return phoneError(`Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429, minutes * 60);
+};
+
+const hashCode = (code) => crypto.createHmac('sha256', process.env.JWT_SECRET).update(code).digest('hex');
+
+// One reply for a wrong, expired or unknown login code, so it doesn't give
+// away which numbers are registered
+const LOGIN_CODE_ERROR = 'Incorrect or expired code. Check the code or request a new one.';
+
+const CODE_EXPIRED_ERROR = 'This code has expired or had too many wrong tries. Please request a new one.';
+
+const parsePhone = (phone) => {
+  const normalized = normalizePhone(phone);
+  if (!normalized) {
+    throw phoneError('Enter a valid Nigerian mobile number, e.g. 0801 234 5678');
+  }
+  return normalized;
+};
+
+// Throws a 429 when the number (or user) has had a code too recently or too often today
+const checkSendAllowance = async (phone, userId) => {
+  const result = await db.query(
+    `SELECT COUNT(*)::int as sent_today,
+            EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - MAX(created_at)))::int as seconds_since_last
+     FROM phone_codes
+     WHERE (phone = $1 OR user_id = $2)
+       AND created_at > CURRENT_TIMESTAMP - INTERVAL '24 hours'`,
+    [phone, userId]
+  );
+  const { sent_today: sentToday, seconds_since_last: sinceLast } = result.rows[0];
+
+  if (sinceLast !== null && sinceLast < RESEND_INTERVAL_SECONDS) {
+    const wait = RESEND_INTERVAL_SECONDS - sinceLast;
+    throw phoneError(`Please wait ${wait} seconds before requesting another code`, 429, wait);
+  }
+
+  if (sentToday >= DAILY_SEND_LIMIT) {
+    throw phoneError('Too many codes sent today. Please try again tomorrow.', 429, 24 * 60 * 60);
+  }
+};
+
+// Record a login code for a number with no account - never texted and never
+// usable, but counted by checkSendAllowance so the number is throttled like a
+// registered one
+const recordUnsentCode = async (phone) => {
+  await db.query(
+    `INSERT INTO phone_codes (user_id, phone, purpose, code_hash, expires_at)
+     VALUES (NULL, $1, 'login', $2, CURRENT_TIMESTAMP)`,
+    [phone, hashCode(crypto.randomBytes(16).toString('hex'))]
+  );
+};
+
+// Text a new code, replacing any earlier one for the same purpose
+const issueCode = async (userId, phone, purpose) => {
+  const code = String(crypto.randomInt(0, 10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+
+  await db.query(
+    `UPDATE phone_codes SET expires_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [userId, purpose]
+  );
+
+  const result = await db.query(
+    `INSERT INTO phone_codes (user_id, phone, purpose, code_hash, expires_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' minutes')::interval)
+     RETURNING id`,
+    [userId, phone, purpose, hashCode(code), String(CODE_TTL_MINUTES)]
+  );
+
+  const sent = await smsService.sendPhoneCode({ phone, code, purpose, minutes: CODE_TTL_MINUTES });
+
+  // Nothing arrived, so don't make the user wait out the resend interval
+  if (!sent.success) {
+    await db.query('DELETE FROM phone_codes WHERE id = $1', [result.rows[0].id]);
+    throw phoneError('We could not send a text message right now. Please try again shortly.', 503);
+  }
+};
+
+/**
+ * Check a code against the user's latest one for the purpose
+ *
+ * Every try counts towards MAX_ATTEMPTS, counted in the same statement that
+ * finds the code so parallel guesses can't get extra tries.
+ *
+ * @returns {Promise<{row, expired}>} row is the phone_codes row once used;
+ *   without it the code was wrong, or `expired` when there was no live code
+ */
+const useCode = async (userId, purpose, code) => {
+  const result = await db.query(
+    `UPDATE phone_codes SET attempts = attempts + 1
+     WHERE id = (
+       SELECT id FROM phone_codes
+       WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+         AND expires_at > CURRENT_TIMESTAMP AND attempts < $3
+       ORDER BY created_at DESC
+       LIMIT 1
+     )
+     RETURNING id, phone, code_hash`,
+    [userId, purpose, MAX_ATTEMPTS]
+  );
+  const row = result.rows[0];
+
+  if (!row) {
+    return { expired: true };
+  }
+
+  const expected = Buffer.from(row.code_hash, 'hex');
+  const given = Buffer.from(hashCode(String(code).trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    return {};
+  }
+
+  const usedResult = await db.query(
+    'UPDATE phone_codes SET used_at = CURRENT_TIMESTAMP WHERE id = $1 AND used_at IS NULL',
+    [row.id]
+  );
+  return usedResult.rowCount > 0 ? { row } : { expired: true };
+};
+
+/**
+ * Text a code to verify a user's phone number
+ *
+ * A verified number can log in to the account, so the password is re-checked
+ * as for an email change.
+ *
+ * @param {string} [phone] - A new number to verify; defaults to the one on the account
+ * @param {string} password - The user's current password
+ * @returns {Promise<{phone}>} The number the code went to, normalised
+ */
+const sendVerificationCode = async (userId, phone, password) => {
+  if (!password) {
+    throw phoneError('Current password is required');
+  }
+
+  const result = await db.query(
+    'SELECT id, phone, phone_verified_at, password_hash FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (!user) {
+    throw phoneError('User not found', 404);
+  }
+  if (!(await bcrypt.compare(password, user.password_hash))) {
+    throw phoneError('Current password is incorrect');
+  }
+
+  const number = parsePhone(phone || user.phone);
+
+  if (user.phone_verified_at && user.phone === number) {
+    throw phoneError('This phone number is already verified');
+  }
+
+  const takenResult = await db.query(
+    'SELECT 1 FROM users WHERE phone = $1 AND phone_verified_at IS NOT NULL AND id <> $2',
+    [number, userId]
+  );
+  if (takenResult.rows.length > 0) {
+    throw phoneError('That phone number is already verified on another account', 409);
+  }
+
+  await checkSendAllowance(number, userId);
+  await issueCode(userId, number, 'verify');
+
+  return { phone: number };
+};
+
+/**
+ * Verify the number the latest code was sent to, making it the account's phone
+ * @returns {Promise<{phone}>}
+ */
+const confirmVerification = async (userId, code) => {
+  if (!code) {
+    throw phoneError('Verification code is required');
+  }
+
+  const { row, expired } = await useCode(userId, 'verify', code);
+  if (expired) {
+    throw phoneError(CODE_EXPIRED_ERROR);
+  }
+  if (!row) {
+    throw phoneError('Incorrect code');
+  }
+
+  try {
+    await db.query(
+      `UPDATE users SET phone = $2, phone_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [userId, row.phone]
+    );
+  } catch (error) {
+    if (error.code === '23505') {
+      throw phoneError('That phone number is now verified on another account', 409);
+    }
+    throw error;
+  }
+
+  logger.security('Phone number verified', { userId });
+
+  return { phone: row.phone };
+};
+
+const getUserByVerifiedPhone = async (phone) => {
+  const result = await db.query(
+    'SELECT * FROM users WHERE phone = $1 AND phone_verified_at IS NOT NULL',
+    [phone]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Text a login code to a verified number
+ *
+ * Numbers with no account get the same replies, resend limits included, but
+ * no text is sent.
+ *
+ * @returns {Promise<{phone}>} The number, masked for display
+ */
+const requestLoginCode = async (phone) => {
+  const number = parsePhone(phone);
+  const user = await getUserByVerifiedPhone(number);
+
+  await checkSendAllowance(number, user ? user.id : null);
+
+  if (user) {
+    await issueCode(user.id, number, 'login');
+  } else {
+    await recordUnsentCode(number);
+  }
+
+  return { phone: maskPhone(number) };
+};
+
+/**
+ * Log in with a texted code
+ *
+ * Wrong codes count as failed logins, so guessing codes locks the account
+ * just like guessing passwords; numbers with no account are locked the same way.
+ *
+ * @returns {Promise<object>} The users row; the caller still applies 2FA
+ */
+const completeLogin = async (phone, code) => {
+  if (!phone || !code) {
+    throw phoneError('Phone number and code are required');
+  }
+
+  const number = parsePhone(phone);
+  const user = await getUserByVerifiedPhone(number);
+  if (!user) {
+    // Locked out like an account would be, so a 429 doesn't show the number is registered
+    const lockedFor = await loginLockoutService.recordUnknownLogin(`phone:${number}`);
+    if (lockedFor > 0) {
+      throw lockedError(lockedFor);
+    }
+    throw phoneError(LOGIN_CODE_ERROR, 401);
+  }
+
+  const minutesLeft = loginLockoutService.lockedMinutesLeft(user);
+  if (minutesLeft > 0) {
+    throw lockedError(minutesLeft);
+  }
+
+  const { row } = await useCode(user.id, 'login', code);
+  if (!row) {
+    const lockedFor = await loginLockoutService.recordFailedLogin(user);
+    if (lockedFor > 0) {
+      throw lockedError(lockedFor);
+    }
+    throw phoneError(LOGIN_CODE_ERROR, 401);
+  }
+
+  return user;
+};
+
+/**
+ * Delete codes that expired more than EXPIRED_RETENTION_HOURS ago
+ * @returns {Promise<number>} Codes deleted
+ */
+const prunePhoneCodes = async () => {
+  const result = await db.query(
+    `DELETE FROM phone_codes
+     WHERE expires_at < CURRENT_TIMESTAMP - ($1 || ' hours')::interval`,
+    [String(EXPIRED_RETENTION_HOURS)]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info('Pruned phone codes', { deleted: result.rowCount });
+  }
+
+  return result.rowCount;
+};
+
+module.exports = {
+  sendVerificationCode,
+  confirmVerification,
+  requestLoginCode,
+  completeLogin,
+  prunePhoneCodes,
+};
@@ -0,0 +1,675 @@
+/**
+ * Product Import
+ *
+ * Bulk create and update of a seller's catalogue from a CSV file, for sellers
+ * moving hundreds of items over from Instagram or Jumia. Every row is checked
+ * against the same rules as createProduct/updateProduct. planImport() is the
+ * dry run: what each row would do, with its errors. applyImport() writes all
+ * rows in one transaction, so a file goes in completely or not at all.
+ *
+ * Rows are matched to existing products by SKU (product or variant SKU), then
+ * by slug (plus the variant label for products with variants); anything else
+ * is a new product. Empty cells leave the current value alone. A file from
+ * GET /products/my/export can be edited and imported back.
+ */
+
+const db = require('../config/database');
+const { formatVariantLabel, syncProductStock } = require('./variantService');
+const { snapshotStock, recordStockChanges, checkLowStock } = require('./inventoryService');
+const { uploadProductImageFromUrl, isHostedImage } = require('./imageUploadService');
+const { slugify } = require('../utils/slugify');
+
+const MAX_ROWS = 1000;
+const MAX_IMAGES = 5;
+const IMAGE_UPLOAD_CONCURRENCY = 4;
+const MAX_PRICE = 99999999.99; // DECIMAL(10, 2)
+
+// Header (lowercase, punctuation as '_') -> field. Covers the export's headers
+const COLUMNS = {
+  name: 'name',
+  product: 'name',
+  product_name: 'name',
+  title: 'name',
+  slug: 'slug',
+  sku: 'sku',
+  variant: 'variant',
+  description: 'description',
+  price: 'price',
+  quantity: 'quantity',
+  stock: 'quantity',
+  quantity_available: 'quantity',
+  category: 'category',
+  image_urls: 'imageUrls',
+  images: 'imageUrls',
+  active: 'active',
+  is_active: 'active',
+};
+
+const BOOLEAN_VALUES = {
+  yes: true,
+  y: true,
+  true: true,
+  1: true,
+  no: false,
+  n: false,
+  false: false,
+  0: false,
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Product columns that changes.<field> is written to
+const PRODUCT_COLUMNS = {
+  name: 'name',
+  sku: 'sku',
+  description: 'description',
+  price: 'price',
+  quantity: 'quantity_available',
+  category: 'category',
+  imageUrls: 'image_urls',
+  active: 'is_active',
+};
+
+const VARIANT_COLUMNS = {
+  price: 'price',
+  quantity: 'quantity_available',
+  active: 'is_active',
+};
+
+const importError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Parse CSV text. Quoted fields can contain commas, quotes ("") and newlines.
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw importError('The file has a quoted value that is never closed');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Exports prefix cells like '+Shirt' with ' so spreadsheets don't run them; undo that
+const cleanCell = (value = '') => {
+  const text = value.trim();
+  return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+};
+
+const headerKey = (header) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// { row, values } per non-empty line; row is the spreadsheet row number (header = 1)
+const readRows = (text) => {
+  const [header = [], ...lines] = parseCsv(text);
+  const fields = header.map(column => COLUMNS[headerKey(column)] || null);
+
+  if (!fields.some(field => ['name', 'slug', 'sku'].includes(field))) {
+    throw importError('The first row must be a header with a name, slug or sku column');
+  }
+
+  const rows = [];
+  lines.forEach((cells, index) => {
+    if (cells.every(cell => cell.trim() === '')) return;
+
+    const values = {};
+    fields.forEach((field, column) => {
+      const value = cleanCell(cells[column]);
+      if (field && value !== '' && values[field] === undefined) {
+        values[field] = value;
+      }
+    });
+    rows.push({ row: index + 2, values });
+  });
+
+  if (rows.length === 0) {
+    throw importError('The file has no products in it');
+  }
+  if (rows.length > MAX_ROWS) {
+    throw importError(`Import at most ${MAX_ROWS} rows at a time`);
+  }
+
+  return rows;
+};
+
+// Check and convert a row's cells. Only cells that were filled in are returned
+const parseFields = (values, categories, errors) => {
+  const fields = {};
+
+  if (values.name !== undefined) {
+    if (values.name.length > 255) errors.push('Name must be 255 characters or less');
+    fields.name = values.name;
+  }
+
+  if (values.description !== undefined) {
+    fields.description = values.description;
+  }
+
+  if (values.price !== undefined) {
+    const price = Number(values.price.replace(/₦|NGN|,|\s/gi, ''));
+    if (!Number.isFinite(price) || price <= 0 || price > MAX_PRICE) {
+      errors.push('Price must be greater than 0');
+    } else {
+      fields.price = Math.round(price * 100) / 100;
+    }
+  }
+
+  if (values.quantity !== undefined) {
+    const quantity = values.quantity.replace(/,/g, '');
+    if (!/^\d+$/.test(quantity)) {
+      errors.push('Stock must be a whole number of 0 or more');
+    } else {
+      fields.quantity = parseInt(quantity);
+    }
+  }
+
+  if (values.category !== undefined) {
+    const category = categories.find(name => name.toLowerCase() === values.category.toLowerCase());
+    if (!category) {
+      errors.push(`Category must be one of your shop categories: ${categories.join(', ')}`);
+    } else {
+      fields.category = category;
+    }
+  }
+
+  if (values.sku !== undefined) {
+    if (values.sku.length > 100) errors.push('SKU must be 100 characters or less');
+    fields.sku = values.sku;
+  }
+
+  if (values.slug !== undefined) {
+    const slug = values.slug.toLowerCase();
+    if (!SLUG_PATTERN.test(slug) || slug.length > 255) {
+      errors.push('Slug can only contain lowercase letters, numbers and dashes');
+    } else {
+      fields.slug = slug;
+    }
+  }
+
+  if (values.variant !== undefined) {
+    fields.variant = values.variant;
+  }
+
+  if (values.imageUrls !== undefined) {
+    const urls = values.imageUrls.split(/[\s|]+/).filter(Boolean);
+    const invalid = urls.find(url => {
+      try {
+        return !['http:', 'https:'].includes(new URL(url).protocol);
+      } catch {
+        return true;
+      }
+    });
+
+    if (invalid) {
+      errors.push(`Image URL is not valid: ${invalid}`);
+    } else if (urls.length > MAX_IMAGES) {
+      errors.push(`At most ${MAX_IMAGES} images per product`);
+    } else {
+      fields.imageUrls = urls;
+    }
+  }
+
+  if (values.active !== undefined) {
+    const active = BOOLEAN_VALUES[values.active.toLowerCase()];
+    if (active === undefined) {
+      errors.push('Active must be yes or no');
+    } else {
+      fields.active = active;
+    }
+  }
+
+  return fields;
+};
+
+// The seller's live products and variants, indexed for matching rows
+const loadCatalogue = async (sellerId) => {
+  const [productsResult, variantsResult] = await Promise.all([
+    db.query(
+      `SELECT id, name, slug, sku, description, price, quantity_available, category,
+              image_urls, is_active, has_variants, deleted_at IS NOT NULL as deleted
+       FROM products
+       WHERE seller_id = $1`,
+      [sellerId]
+    ),
+    db.query(
+      `SELECT pv.id, pv.product_id, pv.sku, pv.options, pv.price, pv.quantity_available, pv.is_active
+       FROM product_variants pv
+       JOIN products p ON pv.product_id = p.id
+       WHERE p.seller_id = $1 AND p.deleted_at IS NULL AND pv.deleted_at IS NULL`,
+      [sellerId]
+    ),
+  ]);
+
+  // Slugs stay taken after a product is deleted (UNIQUE(seller_id, slug))
+  const takenSlugs = new Set(productsResult.rows.map(product => product.slug));
+  const products = productsResult.rows.filter(product => !product.deleted);
+  const productsById = new Map(products.map(product => [product.id, product]));
+  const productsBySlug = new Map(products.map(product => [product.slug, product]));
+  const bySku = new Map();
+  const variantsByProduct = new Map();
+
+  const addSku = (sku, match) => {
+    if (!sku) return;
+    const key = sku.toLowerCase();
+    bySku.set(key, [...(bySku.get(key) || []), match]);
+  };
+
+  products.forEach(product => addSku(product.sku, { product }));
+  variantsResult.rows.forEach(variant => {
+    const product = productsById.get(variant.product_id);
+    const withLabel = { ...variant, label: formatVariantLabel(variant.options) };
+    variantsByProduct.set(product.id, [...(variantsByProduct.get(product.id) || []), withLabel]);
+    addSku(variant.sku, { product, variant: withLabel });
+  });
+
+  return { takenSlugs, productsBySlug, bySku, variantsByProduct };
+};
+
+// Find the product or variant a row refers to (null for a new product)
+const findTarget = (fields, catalogue, errors) => {
+  let target = null;
+
+  if (fields.sku) {
+    const matches = catalogue.bySku.get(fields.sku.toLowerCase()) || [];
+    if (matches.length > 1) {
+      errors.push(`SKU ${fields.sku} is used by more than one of your products`);
+      return null;
+    }
+    target = matches[0] ? { ...matches[0], bySku: true } : null;
+
+    if (target && fields.slug && fields.slug !== target.product.slug) {
+      errors.push(`SKU ${fields.sku} belongs to ${target.product.slug}, not ${fields.slug}`);
+      return null;
+    }
+  }
+
+  if (!target && fields.slug) {
+    const product = catalogue.productsBySlug.get(fields.slug);
+    if (product) {
+      target = { product };
+    }
+  }
+
+  // Products with variants: the variant label picks the variant, e.g. 'Size: M / Colour: Red'
+  if (target && !target.variant && fields.variant) {
+    const variant = (catalogue.variantsByProduct.get(target.product.id) || [])
+      .find(candidate => candidate.label.toLowerCase() === fields.variant.toLowerCase());
+    if (!variant) {
+      errors.push(`${target.product.name} has no variant "${fields.variant}"`);
+      return null;
+    }
+    target = { ...target, variant };
+  }
+
+  return target;
+};
+
+const sameValue = (current, next) => {
+  if (Array.isArray(next)) {
+    return JSON.stringify(current || []) === JSON.stringify(next);
+  }
+  if (typeof next === 'number') {
+    return parseFloat(current) === next;
+  }
+  return (current ?? '') === next;
+};
+
+// Fields whose value differs from what's stored
+const diff = (current, fields, keys) => {
+  const changes = {};
+  keys.forEach(key => {
+    if (fields[key] !== undefined && !sameValue(current[key], fields[key])) {
+      changes[key] = fields[key];
+    }
+  });
+  return changes;
+};
+
+const currentProduct = (product) => ({
+  name: product.name,
+  sku: product.sku,
+  description: product.description,
+  price: product.price,
+  quantity: product.quantity_available,
+  category: product.category,
+  imageUrls: product.image_urls,
+  active: product.is_active,
+});
+
+/**
+ * Dry run: what importing the file would do, row by row
+ *
+ * @param {{id: number, categories: Array<string>}} seller
+ * @param {string} text - CSV file contents
+ * @returns {Promise<{summary, rows}>} rows: { row, action, productId, variantId,
+ *   name, slug, sku, variant, changes, errors }. action is create, update,
+ *   update_variant or unchanged (null when the row has errors)
+ */
+const planImport = async (seller, text) => {
+  const rows = readRows(text);
+  const catalogue = await loadCatalogue(seller.id);
+  const categories = seller.categories || [];
+  const claimedTargets = new Map(); // 'product:1' / 'variant:2' -> row
+  const claimedSkus = new Map(); // lowercase SKU given to a product in this file -> row
+
+  const planned = rows.map(({ row, values }) => {
+    const errors = [];
+    const fields = parseFields(values, categories, errors);
+    const target = errors.length === 0 ? findTarget(fields, catalogue, errors) : null;
+    const result = {
+      row,
+      action: null,
+      productId: target ? target.product.id : null,
+      variantId: target && target.variant ? target.variant.id : null,
+      name: target ? target.product.name : fields.name || null,
+      slug: target ? target.product.slug : fields.slug || null,
+      sku: fields.sku || null,
+      variant: target && target.variant ? target.variant.label : null,
+      changes: {},
+      errors,
+    };
+
+    if (errors.length > 0) {
+      return result;
+    }
+
+    if (target) {
+      const key = target.variant ? `variant:${target.variant.id}` : `product:${target.product.id}`;
+      if (claimedTargets.has(key)) {
+        errors.push(`Row ${claimedTargets.get(key)} already changes this ${target.variant ? 'variant' : 'product'}`);
+        return result;
+      }
+      claimedTargets.set(key, row);
+    }
+
+    // A variant row only changes the variant's price, stock and active flag
+    if (target && target.variant) {
+      const { product, variant } = target;
+      const current = {
+        price: variant.price !== null ? variant.price : product.price,
+        quantity: variant.quantity_available,
+        active: variant.is_active,
+      };
+      result.changes = diff(current, fields, Object.keys(VARIANT_COLUMNS));
+      result.action = Object.keys(result.changes).length > 0 ? 'update_variant' : 'unchanged';
+      return result;
+    }
+
+    if (target) {
+      const { product } = target;
+
+      if (product.has_variants && fields.sku) {
+        errors.push(`No variant of ${product.name} has SKU ${fields.sku}`);
+      }
+      if (product.has_variants && fields.quantity !== undefined && !sameValue(product.quantity_available, fields.quantity)) {
+        errors.push('Stock for products with variants is set per variant. Add a variant or sku column');
+      }
+      if (!product.has_variants && fields.variant) {
+        errors.push(`${product.name} has no variants`);
+      }
+
+      result.changes = diff(currentProduct(product), fields, Object.keys(PRODUCT_COLUMNS));
+      // Matched on its SKU, which may differ only in case - keep the stored one
+      if (target.bySku) {
+        delete result.changes.sku;
+      }
+      if (product.has_variants) {
+        delete result.changes.quantity;
+      }
+    } else {
+      if (fields.variant) {
+        errors.push('Variants can\'t be created from a file. Create the product, then add its variants');
+      }
+      if (!fields.name) errors.push('Name is required for new products');
+      if (fields.price === undefined) errors.push('Price is required for new products');
+      if (!fields.category) errors.push('Category is required for new products');
+
+      if (fields.slug && catalogue.takenSlugs.has(fields.slug)) {
+        errors.push(`Slug ${fields.slug} was used by a product you deleted. Leave it empty to generate one`);
+      }
+
+      if (errors.length === 0) {
+        // Same slug rules as createProduct: from the name, numbered if taken
+        let slug = fields.slug;
+        if (!slug) {
+          const baseSlug = slugify(fields.name) || 'product';
+          slug = baseSlug;
+          for (let counter = 1; catalogue.takenSlugs.has(slug); counter++) {
+            slug = `${baseSlug}-${counter}`;
+          }
+        }
+        result.slug = slug;
+        result.changes = { quantity: 0, active: true, ...fields, slug };
+        delete result.changes.variant;
+      }
+    }
+
+    // A SKU being given to a product must be free, in the shop and earlier in the file
+    if (result.changes.sku) {
+      const key = result.changes.sku.toLowerCase();
+      if (claimedSkus.has(key)) {
+        errors.push(`Row ${claimedSkus.get(key)} already uses SKU ${result.changes.sku}`);
+      } else {
+        claimedSkus.set(key, row);
+      }
+    }
+
+    if (errors.length > 0) {
+      result.changes = {};
+      return result;
+    }
+
+    if (!target) {
+      catalogue.takenSlugs.add(result.slug);
+      result.action = 'create';
+    } else {
+      result.action = Object.keys(result.changes).length > 0 ? 'update' : 'unchanged';
+    }
+    return result;
+  });
+
+  return {
+    summary: {
+      rows: planned.length,
+      create: planned.filter(row => row.action === 'create').length,
+      update: planned.filter(row => row.action === 'update' || row.action === 'update_variant').length,
+      unchanged: planned.filter(row => row.action === 'unchanged').length,
+      errors: planned.filter(row => row.errors.length > 0).length,
+    },
+    rows: planned,
+  };
+};
+
+// Copy every image that isn't on our Cloudinary yet. Returns url -> new url, or an Error
+const copyImages = async (urls) => {
+  const pending = [...new Set(urls)].filter(url => !isHostedImage(url));
+  const copied = new Map();
+
+  const worker = async () => {
+    while (pending.length > 0) {
+      const url = pending.shift();
+      try {
+        copied.set(url, (await uploadProductImageFromUrl(url)).url);
+      } catch (error) {
+        copied.set(url, error);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: IMAGE_UPLOAD_CONCURRENCY }, worker));
+  return copied;
+};
+
+// UPDATE <table> SET <changed columns> WHERE id = <id>
+const updateRow = (client, table, columns, id, changes) => {
+  const keys = Object.keys(changes).filter(key => columns[key]);
+  const assignments = keys.map((key, index) => `${columns[key]} = $${index + 1}`);
+  return client.query(
+    `UPDATE ${table}
+     SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+     WHERE id = $${keys.length + 1}`,
+    [...keys.map(key => changes[key]), id]
+  );
+};
+
+/**
+ * Import the file: plan it, copy its images to Cloudinary, then create and
+ * update everything in one transaction
+ *
+ * If any row has errors (including images that couldn't be copied) nothing is
+ * written and the error carries the plan, so the caller can show each row's
+ * problems.
+ *
+ * @param {{id: number, categories: Array<string>}} seller
+ * @param {string} text - CSV file contents
+ * @param {number} userId - Who imported, for the inventory log
+ * @returns {Promise<{summary, rows}>} The plan, with productId set on created rows
+ */
+const applyImport = async (seller, text, userId) => {
+  const plan = await planImport(seller, text);
+
+  if (plan.summary.errors === 0) {
+    const imageRows = plan.rows.filter(row => row.changes.imageUrls);
+    const copied = await copyImages(imageRows.flatMap(row => row.changes.imageUrls));
+
+    imageRows.forEach(row => {
+      const failed = row.changes.imageUrls.filter(url => copied.get(url) instanceof Error);
+      failed.forEach(url => row.errors.push(`Could not copy image ${url}`));
+      if (failed.length > 0) {
+        row.action = null;
+      } else {
+        row.changes.imageUrls = row.changes.imageUrls.map(url => copied.get(url) || url);
+      }
+    });
+    plan.summary.errors = plan.rows.filter(row => row.errors.length > 0).length;
+  }
+
+  if (plan.summary.errors > 0) {
+    const error = importError(`${plan.summary.errors} row${plan.summary.errors === 1 ? ' has' : 's have'} errors. Nothing was imported`);
+    error.plan = plan;
+    throw error;
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const variantProductIds = new Set();
+    const updatedIds = [...new Set(plan.rows
+      .filter(row => row.action === 'update' || row.action === 'update_variant')
+      .map(row => row.productId))].sort((a, b) => a - b);
+
+    // Locked in id order, like checkouts, so stock moves between snapshots are ours
+    await client.query(
+      'SELECT id FROM products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+      [updatedIds]
+    );
+    const stockBefore = await snapshotStock(client, updatedIds);
+
+    for (const row of plan.rows) {
+      const { changes } = row;
+
+      if (row.action === 'create') {
+        const result = await client.query(
+          `INSERT INTO products
+           (seller_id, name, slug, sku, description, price, quantity_available, category, image_urls, is_active)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+           RETURNING id`,
+          [
+            seller.id,
+            changes.name,
+            changes.slug,
+            changes.sku || null,
+            changes.description || null,
+            changes.price,
+            changes.quantity,
+            changes.category,
+            changes.imageUrls || [],
+            changes.active,
+          ]
+        );
+        row.productId = result.rows[0].id;
+      } else if (row.action === 'update') {
+        await updateRow(client, 'products', PRODUCT_COLUMNS, row.productId, changes);
+      } else if (row.action === 'update_variant') {
+        await updateRow(client, 'product_variants', VARIANT_COLUMNS, row.variantId, changes);
+        variantProductIds.add(row.productId);
+      }
+    }
+
+    // Products with variants keep their total stock in products.quantity_available
+    for (const productId of variantProductIds) {
+      await syncProductStock(client, productId);
+    }
+
+    const createdIds = plan.rows.filter(row => row.action === 'create').map(row => row.productId);
+    await recordStockChanges(client, [...updatedIds, ...createdIds], stockBefore, {
+      type: 'adjustment',
+      note: 'CSV import',
+      userId,
+    });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      throw importError('Your products changed while importing. Preview the file again', 409);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  checkLowStock(plan.rows.filter(row => row.action === 'update' || row.action === 'update_variant').map(row => row.productId));
+
+  return plan;
+};
+
+module.exports = {
+  MAX_ROWS,
+  parseCsv,
+  planImport,
+  applyImport,
+};
@@ -0,0 +1,430 @@
+const db = require('../config/database');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed', 'free_delivery'];
+const APPLIES_TO = ['all', 'products', 'categories'];
+
+const promotionError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const formatNaira = (amount) => `₦${Number(amount).toLocaleString()}`;
+
+// Codes are matched case-insensitively and stored upper case
+const normalizeCode = (code) => {
+  const trimmed = String(code || '').trim().toUpperCase();
+  return trimmed || null;
+};
+
+const parseOptionalNumber = (value, message, { min = 0, integer = false } = {}) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const parsed = integer ? parseInt(value) : parseFloat(value);
+  if (isNaN(parsed) || parsed < min) {
+    throw promotionError(message);
+  }
+  return parsed;
+};
+
+const parseOptionalDate = (value, label) => {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw promotionError(`${label} is not a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Validate and normalise a promotion from the seller dashboard
+ * @returns {{name, code, discountType, discountValue, maxDiscount, minSpend, appliesTo,
+ *   productIds, categories, startsAt, endsAt, usageLimit, perBuyerLimit, isActive}}
+ */
+const validatePromotion = ({
+  name,
+  code,
+  discountType,
+  discountValue,
+  maxDiscount,
+  minSpend,
+  appliesTo = 'all',
+  productIds = [],
+  categories = [],
+  startsAt,
+  endsAt,
+  usageLimit,
+  perBuyerLimit,
+  isActive = true,
+}) => {
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) {
+    throw promotionError('Promotion name is required');
+  }
+
+  const normalizedCode = normalizeCode(code);
+  if (normalizedCode && !/^[A-Z0-9_-]{3,30}$/.test(normalizedCode)) {
+    throw promotionError('Codes must be 3-30 letters, numbers, dashes or underscores');
+  }
+
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw promotionError(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+  }
+
+  let value = null;
+  if (discountType !== 'free_delivery') {
+    value = parseFloat(discountValue);
+    if (isNaN(value) || value <= 0) {
+      throw promotionError('Discount must be greater than 0');
+    }
+    if (discountType === 'percentage' && value > 100) {
+      throw promotionError('Percentage discount cannot be more than 100');
+    }
+  }
+
+  if (!APPLIES_TO.includes(appliesTo)) {
+    throw promotionError(`Applies to must be one of: ${APPLIES_TO.join(', ')}`);
+  }
+
+  const targetProducts = appliesTo === 'products'
+    ? [...new Set((productIds || []).map(id => parseInt(id)).filter(id => !isNaN(id)))]
+    : [];
+  if (appliesTo === 'products' && targetProducts.length === 0) {
+    throw promotionError('Choose at least one product');
+  }
+
+  const targetCategories = appliesTo === 'categories'
+    ? [...new Set((categories || []).map(category => String(category).trim()).filter(Boolean))]
+    : [];
+  if (appliesTo === 'categories' && targetCategories.length === 0) {
+    throw promotionError('Choose at least one category');
+  }
+
+  const start = parseOptionalDate(startsAt, 'Start date');
+  const end = parseOptionalDate(endsAt, 'End date');
+  if (start && end && end <= start) {
+    throw promotionError('End date must be after the start date');
+  }
+
+  return {
+    name: trimmedName,
+    code: normalizedCode,
+    discountType,
+    discountValue: value,
+    maxDiscount: discountType === 'percentage'
+      ? parseOptionalNumber(maxDiscount, 'Maximum discount must be greater than 0', { min: 0.01 })
+      : null,
+    minSpend: parseOptionalNumber(minSpend, 'Minimum spend must be zero or more'),
+    appliesTo,
+    productIds: targetProducts,
+    categories: targetCategories,
+    startsAt: start,
+    endsAt: end,
+    usageLimit: parseOptionalNumber(usageLimit, 'Usage limit must be at least 1', { min: 1, integer: true }),
+    perBuyerLimit: parseOptionalNumber(perBuyerLimit, 'Per-buyer limit must be at least 1', { min: 1, integer: true }),
+    isActive: isActive !== false,
+  };
+};
+
+// Live automatic promotions for these sellers, plus any with the entered code
+const getLivePromotions = async (sellerIds, code, client = db) => {
+  const result = await client.query(
+    `SELECT *
+     FROM promotions
+     WHERE seller_id = ANY($1::int[])
+       AND is_active = TRUE
+       AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP)
+       AND (ends_at IS NULL OR ends_at > CURRENT_TIMESTAMP)
+       AND (code IS NULL OR UPPER(code) = $2)
+     ORDER BY id`,
+    [sellerIds, code]
+  );
+  return result.rows;
+};
+
+// Uses so far (held or redeemed) - overall and by this buyer
+const getUsage = async (promotionIds, buyerId, client = db) => {
+  if (promotionIds.length === 0) {
+    return new Map();
+  }
+
+  const result = await client.query(
+    `SELECT
+       promotion_id,
+       COUNT(*) as total_uses,
+       COUNT(*) FILTER (WHERE buyer_id = $2) as buyer_uses
+     FROM promotion_redemptions
+     WHERE promotion_id = ANY($1::int[]) AND status IN ('reserved', 'redeemed')
+     GROUP BY promotion_id`,
+    [promotionIds, buyerId]
+  );
+
+  return new Map(result.rows.map(row => [row.promotion_id, {
+    totalUses: parseInt(row.total_uses),
+    buyerUses: parseInt(row.buyer_uses),
+  }]));
+};
+
+const checkUsage = (promotion, usage = { totalUses: 0, buyerUses: 0 }) => {
+  if (promotion.usage_limit && usage.totalUses >= promotion.usage_limit) {
+    return promotion.code ? `Code ${promotion.code} has been fully used` : `${promotion.name} has ended`;
+  }
+  if (promotion.per_buyer_limit && usage.buyerUses >= promotion.per_buyer_limit) {
+    return promotion.code ? `You have already used code ${promotion.code}` : `You have already used ${promotion.name}`;
+  }
+  return null;
+};
+
+const isEligibleItem = (promotion, item) => {
+  if (promotion.applies_to === 'products') {
+    return (promotion.product_ids || []).includes(parseInt(item.productId));
+  }
+  if (promotion.applies_to === 'categories') {
+    const categories = (promotion.categories || []).map(category => category.toLowerCase());
+    return categories.includes(String(item.category || '').toLowerCase());
+  }
+  return true;
+};
+
+/**
+ * Work out what a promotion takes off one shop's order
+ * @returns {{promotion, discount, deliveryDiscount, savings, eligibleItems}|{error: string}}
+ */
+const evaluatePromotion = (promotion, order, usage) => {
+  const usageError = checkUsage(promotion, usage);
+  if (usageError) {
+    return { error: usageError };
+  }
+
+  const minSpend = promotion.min_spend === null ? null : parseFloat(promotion.min_spend);
+  if (minSpend && order.subtotal < minSpend) {
+    return { error: `Spend ${formatNaira(minSpend)} at ${order.shopName || 'this shop'} to use ${promotion.code || promotion.name}` };
+  }
+
+  const eligibleItems = order.items.filter(item => isEligibleItem(promotion, item));
+  if (eligibleItems.length === 0) {
+    return { error: `${promotion.code || promotion.name} does not apply to the items in your cart` };
+  }
+
+  const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.subtotal, 0);
+  const value = parseFloat(promotion.discount_value);
+  let discount = 0;
+  let deliveryDiscount = 0;
+
+  if (promotion.discount_type === 'percentage') {
+    discount = eligibleSubtotal * value / 100;
+    if (promotion.max_discount !== null) {
+      discount = Math.min(discount, parseFloat(promotion.max_discount));
+    }
+  } else if (promotion.discount_type === 'fixed') {
+    discount = Math.min(value, eligibleSubtotal);
+  } else {
+    deliveryDiscount = order.deliveryFee || 0;
+  }
+
+  discount = roundMoney(discount);
+
+  // Free delivery on a pickup or already-free order saves nothing - don't use it up.
+  // (Cart previews have no delivery fee yet, so there it's shown as a flag.)
+  const previewingDelivery = promotion.discount_type === 'free_delivery' && order.deliveryFee === undefined;
+  if (discount + deliveryDiscount <= 0 && !previewingDelivery) {
+    return { error: `${promotion.code || promotion.name} gives no discount on this order` };
+  }
+
+  return {
+    promotion,
+    discount,
+    deliveryDiscount,
+    savings: discount + deliveryDiscount,
+    eligibleItems,
+  };
+};
+
+// Spread an order discount over the items it applies to, in proportion to their value
+const allocateDiscount = (items, discount) => {
+  const total = items.reduce((sum, item) => sum + item.subtotal, 0);
+  let remaining = discount;
+
+  items.forEach((item, index) => {
+    const share = index === items.length - 1
+      ? remaining
+      : roundMoney(discount * item.subtotal / total);
+    item.discount = share;
+    remaining = roundMoney(remaining - share);
+  });
+};
+
+/**
+ * Apply the best promotion to each shop's order
+ *
+ * Orders are updated in place: each gets `discount` (off the goods),
+ * `deliveryDiscount` (delivery fee waived), `promotion` and per-item
+ * `discount`. Promotions don't stack - a shop's automatic promotion and the
+ * buyer's code compete, and whichever saves more wins (the code on a tie).
+ *
+ * @param {Array<{sellerId, shopName?, subtotal, deliveryFee?, items: Array<{productId, category, subtotal}>}>} orders
+ * @param {object} options
+ * @param {number} options.buyerId
+ * @param {string} [options.couponCode]
+ * @returns {Promise<{code, valid, applied, message}|null>} what happened to the code, if one was entered
+ */
+const applyPromotions = async (orders, { buyerId, couponCode }) => {
+  const code = normalizeCode(couponCode);
+  const promotions = await getLivePromotions(orders.map(order => order.sellerId), code);
+  const usage = await getUsage(promotions.map(promotion => promotion.id), buyerId);
+
+  let codeFound = false;
+  let codeApplied = false;
+  let codeSuperseded = false;
+  let codeError = null;
+
+  for (const order of orders) {
+    let best = null;
+    let codeResult = null;
+
+    for (const promotion of promotions.filter(promotion => promotion.seller_id === order.sellerId)) {
+      const result = evaluatePromotion(promotion, order, usage.get(promotion.id));
+
+      if (promotion.code) {
+        codeFound = true;
+        codeResult = result;
+        if (result.error) {
+          codeError = result.error;
+        }
+      }
+
+      if (result.error) {
+        continue;
+      }
+
+      const better = !best
+        || result.savings > best.savings
+        || (result.savings === best.savings && promotion.code);
+      if (better) {
+        best = result;
+      }
+    }
+
+    order.items.forEach(item => {
+      item.discount = 0;
+    });
+
+    if (!best) {
+      order.discount = 0;
+      order.deliveryDiscount = 0;
+      order.promotion = null;
+      continue;
+    }
+
+    order.discount = best.discount;
+    order.deliveryDiscount = best.deliveryDiscount;
+    order.promotion = {
+      id: best.promotion.id,
+      name: best.promotion.name,
+      code: best.promotion.code,
+      type: best.promotion.discount_type,
+    };
+    allocateDiscount(best.eligibleItems, best.discount);
+
+    if (best.promotion.code) {
+      codeApplied = true;
+    } else if (codeResult && !codeResult.error) {
+      codeSuperseded = true;
+    }
+  }
+
+  if (!code) {
+    return null;
+  }
+
+  let message = null;
+  if (!codeFound) {
+    message = `Code ${code} is not valid for these shops`;
+  } else if (!codeApplied) {
+    message = codeSuperseded ? 'A better offer is already applied' : codeError;
+  }
+
+  return {
+    code,
+    valid: codeApplied || codeSuperseded,
+    applied: codeApplied,
+    message,
+  };
+};
+
+/**
+ * Hold each order's promotion for a checkout (inside the caller's transaction)
+ *
+ * Usage caps are checked again with the promotion locked, so two buyers
+ * can't both take the last use.
+ *
+ * @param {object} client - pg client with an open transaction
+ * @param {number} checkoutId
+ * @param {number} buyerId
+ * @param {Array} orders - orders returned from applyPromotions
+ */
+const claimPromotions = async (client, checkoutId, buyerId, orders) => {
+  const claims = orders
+    .filter(order => order.promotion)
+    .sort((a, b) => a.promotion.id - b.promotion.id);
+
+  for (const order of claims) {
+    const promotionResult = await client.query(
+      'SELECT * FROM promotions WHERE id = $1 FOR UPDATE',
+      [order.promotion.id]
+    );
+    if (promotionResult.rows.length === 0) {
+      throw promotionError(`${order.promotion.code || order.promotion.name} is no longer available`, 409);
+    }
+
+    const usage = await getUsage([order.promotion.id], buyerId, client);
+    const usageError = checkUsage(promotionResult.rows[0], usage.get(order.promotion.id));
+    if (usageError) {
+      throw promotionError(usageError, 409);
+    }
+
+    await client.query(
+      `INSERT INTO promotion_redemptions (promotion_id, checkout_id, seller_id, buyer_id, discount_amount)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [order.promotion.id, checkoutId, order.sellerId, buyerId, order.discount + order.deliveryDiscount]
+    );
+  }
+};
+
+// Mark a paid order's promotion as used (inside the caller's transaction)
+const redeemPromotion = async (client, checkoutId, sellerId, orderId) => {
+  await client.query(
+    `UPDATE promotion_redemptions
+     SET status = 'redeemed', order_id = $3, redeemed_at = CURRENT_TIMESTAMP
+     WHERE checkout_id = $1 AND seller_id = $2 AND status <> 'redeemed'`,
+    [checkoutId, sellerId, orderId]
+  );
+};
+
+// Give back promotion uses held by an unpaid checkout (inside the caller's transaction)
+const releasePromotions = async (client, checkoutId) => {
+  await client.query(
+    `UPDATE promotion_redemptions
+     SET status = 'released'
+     WHERE checkout_id = $1 AND status = 'reserved'`,
+    [checkoutId]
+  );
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  APPLIES_TO,
+  normalizeCode,
+  validatePromotion,
+  applyPromotions,
+  claimPromotions,
+  redeemPromotion,
+  releasePromotions,
+};
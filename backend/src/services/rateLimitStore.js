@@ -0,0 +1,105 @@
+/**
+ * Rate Limit Stores
+ *
+ * Where the rate limiter (middleware/rateLimit.js) keeps its request
+ * counters. The in-memory store is per app instance; with more than one
+ * instance set RATE_LIMIT_STORE=postgres so they share counters in
+ * rate_limit_hits (migration 027).
+ *
+ * Both implement express-rate-limit's Store interface.
+ */
+
+const { MemoryStore } = require('express-rate-limit');
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const STORE_TYPES = ['memory', 'postgres'];
+
+/**
+ * Counters in rate_limit_hits, shared by every app instance
+ * @param {string} prefix - Keeps each policy's counters apart
+ */
+const createPostgresStore = (prefix) => {
+  let windowMs = 60 * 1000;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const result = await db.query(
+        `SELECT hits, reset_at FROM rate_limit_hits
+         WHERE key = $1 AND reset_at > CURRENT_TIMESTAMP`,
+        [prefix + key]
+      );
+      const row = result.rows[0];
+      return row ? { totalHits: row.hits, resetTime: row.reset_at } : undefined;
+    },
+
+    // A key past its reset time starts a new window at 1
+    async increment(key) {
+      const result = await db.query(
+        `INSERT INTO rate_limit_hits (key, hits, reset_at)
+         VALUES ($1, 1, CURRENT_TIMESTAMP + ($2 || ' milliseconds')::interval)
+         ON CONFLICT (key) DO UPDATE
+         SET hits = CASE WHEN rate_limit_hits.reset_at <= CURRENT_TIMESTAMP THEN 1
+                         ELSE rate_limit_hits.hits + 1 END,
+             reset_at = CASE WHEN rate_limit_hits.reset_at <= CURRENT_TIMESTAMP THEN EXCLUDED.reset_at
+                             ELSE rate_limit_hits.reset_at END
+         RETURNING hits, reset_at`,
+        [prefix + key, String(windowMs)]
+      );
+      return { totalHits: result.rows[0].hits, resetTime: result.rows[0].reset_at };
+    },
+
+    async decrement(key) {
+      await db.query(
+        `UPDATE rate_limit_hits SET hits = GREATEST(hits - 1, 0)
+         WHERE key = $1 AND reset_at > CURRENT_TIMESTAMP`,
+        [prefix + key]
+      );
+    },
+
+    async resetKey(key) {
+      await db.query('DELETE FROM rate_limit_hits WHERE key = $1', [prefix + key]);
+    },
+  };
+};
+
+/**
+ * A store for one limiter, of the type set by RATE_LIMIT_STORE (default memory)
+ *
+ * Every limiter needs a store of its own.
+ */
+const createStore = (prefix) => {
+  const type = process.env.RATE_LIMIT_STORE || 'memory';
+
+  if (!STORE_TYPES.includes(type)) {
+    throw new Error(`RATE_LIMIT_STORE must be one of ${STORE_TYPES.join(', ')}`);
+  }
+
+  return type === 'postgres' ? createPostgresStore(prefix) : new MemoryStore();
+};
+
+/**
+ * Delete rate_limit_hits rows whose window has ended
+ * @returns {Promise<number>} Rows deleted
+ */
+const pruneRateLimitHits = async () => {
+  const result = await db.query('DELETE FROM rate_limit_hits WHERE reset_at < CURRENT_TIMESTAMP');
+
+  if (result.rowCount > 0) {
+    logger.info('Pruned rate limit counters', { deleted: result.rowCount });
+  }
+
+  return result.rowCount;
+};
+
+module.exports = {
+  createStore,
+  pruneRateLimitHits,
+};
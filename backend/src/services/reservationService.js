@@ -0,0 +1,361 @@
+const db = require('../config/database');
+const paystackService = require('./paystackService');
+const { syncProductStock } = require('./variantService');
+const { releasePromotions } = require('./promotionService');
+const { logger } = require('../utils/logger');
+
+const reservationLogger = logger.child('StockReservations');
+
+// How long a checkout holds its stock while the buyer pays
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES) || 15;
+
+// Paystack statuses where the buyer may still complete the payment
+const IN_FLIGHT_STATUSES = ['ongoing', 'pending', 'processing', 'queued'];
+
+const reservationError = (message, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+// Merge items into one line per product/variant, in a fixed order
+const groupLines = (items) => {
+  const lines = new Map();
+
+  for (const item of items) {
+    const key = lineKey(item.productId, item.variantId);
+    const line = lines.get(key) || {
+      productId: item.productId,
+      variantId: item.variantId || null,
+      productName: item.productName,
+      variantLabel: item.variantLabel || null,
+      quantity: 0,
+    };
+    line.quantity += item.quantity;
+    lines.set(key, line);
+  }
+
+  return [...lines.values()].sort((a, b) => a.productId - b.productId || (a.variantId || 0) - (b.variantId || 0));
+};
+
+/**
+ * Lock the product rows for a set of lines, lowest id first
+ *
+ * Every stock change in a checkout goes through here before touching variants,
+ * so concurrent checkouts for the same products queue up instead of deadlocking.
+ */
+const lockProducts = async (client, lines) => {
+  const productIds = [...new Set(lines.map(line => line.productId))];
+  await client.query(
+    'SELECT id FROM products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE',
+    [productIds]
+  );
+};
+
+// Add (or with a negative quantity, remove) stock for lines whose products are locked
+const adjustStock = async (client, lines, sign) => {
+  const variantProductIds = new Set();
+
+  for (const line of lines) {
+    if (line.variantId) {
+      await client.query(
+        `UPDATE product_variants
+         SET quantity_available = quantity_available + $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [sign * line.quantity, line.variantId]
+      );
+      variantProductIds.add(line.productId);
+    } else {
+      await client.query(
+        `UPDATE products
+         SET quantity_available = quantity_available + $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [sign * line.quantity, line.productId]
+      );
+    }
+  }
+
+  // Product totals follow their variants
+  for (const productId of variantProductIds) {
+    await syncProductStock(client, productId);
+  }
+};
+
+/**
+ * Reserve stock for a checkout (inside the caller's transaction)
+ *
+ * Fails with 409 if another buyer took the last units since the cart was
+ * checked - nothing is reserved in that case once the caller rolls back.
+ *
+ * @param {object} client - pg client with an open transaction
+ * @param {number} checkoutId
+ * @param {Array<{productId, variantId?, productName, variantLabel?, quantity}>} items
+ * @returns {Promise<Date>} when the reservation expires
+ */
+const reserveStock = async (client, checkoutId, items) => {
+  const lines = groupLines(items);
+  await lockProducts(client, lines);
+
+  for (const line of lines) {
+    const stockResult = line.variantId
+      ? await client.query(
+        'SELECT quantity_available FROM product_variants WHERE id = $1 FOR UPDATE',
+        [line.variantId]
+      )
+      : await client.query(
+        'SELECT quantity_available FROM products WHERE id = $1',
+        [line.productId]
+      );
+
+    const available = stockResult.rows.length > 0 ? stockResult.rows[0].quantity_available : 0;
+    if (available < line.quantity) {
+      const name = line.variantLabel ? `${line.productName} (${line.variantLabel})` : line.productName;
+      throw reservationError(
+        available > 0
+          ? `Only ${available} of ${name} left - please update your cart`
+          : `${name} just sold out - please remove it from your cart`
+      );
+    }
+  }
+
+  await adjustStock(client, lines, -1);
+
+  const expiryResult = await client.query(
+    `UPDATE checkouts
+     SET reserved_until = CURRENT_TIMESTAMP + ($2 || ' minutes')::interval
+     WHERE id = $1
+     RETURNING reserved_until`,
+    [checkoutId, String(RESERVATION_MINUTES)]
+  );
+  const expiresAt = expiryResult.rows[0].reserved_until;
+
+  for (const line of lines) {
+    await client.query(
+      `INSERT INTO stock_reservations (checkout_id, product_id, variant_id, quantity, expires_at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [checkoutId, line.productId, line.variantId, line.quantity, expiresAt]
+    );
+  }
+
+  return expiresAt;
+};
+
+/**
+ * Return a checkout's reserved units to stock (inside the caller's transaction)
+ * @returns {Promise<number>} reservations released
+ */
+const releaseReservations = async (client, checkoutId, reason) => {
+  const result = await client.query(
+    `UPDATE stock_reservations
+     SET status = 'released', release_reason = $2, released_at = CURRENT_TIMESTAMP
+     WHERE checkout_id = $1 AND status = 'active'
+     RETURNING product_id, variant_id, quantity`,
+    [checkoutId, reason]
+  );
+
+  if (result.rows.length === 0) {
+    return 0;
+  }
+
+  const lines = groupLines(result.rows.map(row => ({
+    productId: row.product_id,
+    variantId: row.variant_id,
+    quantity: row.quantity,
+  })));
+
+  await lockProducts(client, lines);
+
+  // Tell the favourite alerts trigger this isn't a restock (migration 034)
+  await client.query("SELECT set_config('buytree.stock_change', 'reservation_release', true)");
+  await adjustStock(client, lines, 1);
+  await client.query("SELECT set_config('buytree.stock_change', '', true)");
+
+  return result.rows.length;
+};
+
+/**
+ * Release a checkout's reservations in their own transaction
+ *
+ * Promotion uses held by the checkout are given back too. Skips checkouts
+ * that were paid in the meantime.
+ *
+ * @returns {Promise<number>} reservations released
+ */
+const releaseCheckout = async (checkoutId, reason) => {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const checkoutResult = await client.query(
+      'SELECT status FROM checkouts WHERE id = $1 FOR UPDATE',
+      [checkoutId]
+    );
+
+    if (checkoutResult.rows.length === 0 || checkoutResult.rows[0].status === 'paid') {
+      await client.query('COMMIT');
+      return 0;
+    }
+
+    const released = await releaseReservations(client, checkoutId, reason);
+    await releasePromotions(client, checkoutId);
+
+    await client.query(
+      `UPDATE checkouts SET status = 'expired' WHERE id = $1`,
+      [checkoutId]
+    );
+
+    await client.query('COMMIT');
+
+    if (released > 0) {
+      reservationLogger.info('Stock reservation released', { checkoutId, reason, released });
+    }
+
+    return released;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Turn a paid checkout's reservations into sold stock (inside the caller's transaction)
+ *
+ * Anything that wasn't reserved - payments started before reservations, or
+ * paid after their reservation lapsed - is taken from stock now. If someone
+ * else bought those units in the meantime stock stops at zero rather than
+ * failing, because the buyer has already paid; the seller sees the order and
+ * can cancel it with a refund.
+ *
+ * @param {object} client - pg client with an open transaction
+ * @param {number} checkoutId
+ * @param {Array<{productId, variantId?, productName, quantity}>} items - everything paid for
+ */
+const convertReservations = async (client, checkoutId, items) => {
+  const converted = await client.query(
+    `UPDATE stock_reservations
+     SET status = 'converted', converted_at = CURRENT_TIMESTAMP
+     WHERE checkout_id = $1 AND status = 'active'
+     RETURNING product_id, variant_id, quantity`,
+    [checkoutId]
+  );
+
+  const reserved = new Map(converted.rows.map(row => [lineKey(row.product_id, row.variant_id), row.quantity]));
+
+  const unreserved = groupLines(items)
+    .map(line => ({ ...line, quantity: line.quantity - (reserved.get(lineKey(line.productId, line.variantId)) || 0) }))
+    .filter(line => line.quantity > 0);
+
+  if (unreserved.length === 0) {
+    return;
+  }
+
+  await lockProducts(client, unreserved);
+
+  for (const line of unreserved) {
+    const stockResult = await client.query(
+      line.variantId
+        ? 'SELECT quantity_available FROM product_variants WHERE id = $1 FOR UPDATE'
+        : 'SELECT quantity_available FROM products WHERE id = $1',
+      [line.variantId || line.productId]
+    );
+    const available = stockResult.rows.length > 0 ? stockResult.rows[0].quantity_available : 0;
+
+    if (available < line.quantity) {
+      reservationLogger.warn('Paid for more than is left in stock', {
+        checkoutId,
+        productId: line.productId,
+        variantId: line.variantId,
+        quantity: line.quantity,
+        available,
+      });
+      line.quantity = available;
+    }
+  }
+
+  await adjustStock(client, unreserved.filter(line => line.quantity > 0), -1);
+};
+
+/**
+ * Release reservations that have run out
+ *
+ * Each expired checkout is checked with Paystack first: a payment that went
+ * through (but whose callback and webhook haven't arrived) creates its orders
+ * instead, and one still in progress is left until Paystack settles it.
+ *
+ * @param {object} [options]
+ * @param {Date} [options.asOf] - treat reservations expiring before this as expired
+ * @param {number} [options.limit] - checkouts to handle per run
+ * @returns {Promise<{checked, released, converted, pending, failed}>}
+ */
+const releaseExpiredReservations = async ({ asOf = new Date(), limit = 100 } = {}) => {
+  // Loaded lazily - orderService needs this module for convertReservations
+  const { createOrdersFromPayment } = require('./orderService');
+
+  const expiredResult = await db.query(
+    `SELECT c.id, c.paystack_reference
+     FROM checkouts c
+     WHERE c.status = 'pending'
+       AND EXISTS (
+         SELECT 1 FROM stock_reservations r
+         WHERE r.checkout_id = c.id AND r.status = 'active' AND r.expires_at <= $1
+       )
+     ORDER BY c.id
+     LIMIT $2`,
+    [asOf, limit]
+  );
+
+  const summary = { checked: expiredResult.rows.length, released: 0, converted: 0, pending: 0, failed: 0 };
+
+  for (const checkout of expiredResult.rows) {
+    try {
+      let paymentStatus = null;
+
+      try {
+        const paystackResponse = await paystackService.verifyTransaction(checkout.paystack_reference);
+        paymentStatus = paystackResponse.data?.status || null;
+
+        if (paymentStatus === 'success') {
+          await createOrdersFromPayment(paystackResponse.data);
+          summary.converted++;
+          continue;
+        }
+      } catch (error) {
+        // Paystack answers 400 for references it never saw - nothing can be paid there
+        if (error.response?.status !== 400) {
+          throw error;
+        }
+      }
+
+      if (IN_FLIGHT_STATUSES.includes(paymentStatus)) {
+        summary.pending++;
+        continue;
+      }
+
+      await releaseCheckout(checkout.id, paymentStatus === 'failed' ? 'payment_failed' : 'expired');
+      summary.released++;
+    } catch (error) {
+      summary.failed++;
+      reservationLogger.error('Failed to settle expired reservation', error, { checkoutId: checkout.id });
+    }
+  }
+
+  if (summary.checked > 0) {
+    reservationLogger.info('Expired reservations processed', summary);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  RESERVATION_MINUTES,
+  reserveStock,
+  releaseReservations,
+  releaseCheckout,
+  convertReservations,
+  releaseExpiredReservations,
+};
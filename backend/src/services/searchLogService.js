@@ -0,0 +1,137 @@
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const searchLogger = logger.child('SearchLog');
+
+const MAX_QUERY_LENGTH = 100;
+const MIN_QUERY_LENGTH = 2;
+
+// A query has to have been searched this many times before it's suggested to
+// other people, so one-off typos and junk don't show up in everyone's dropdown
+const MIN_SUGGEST_COUNT = 3;
+
+const TRENDING_WINDOW_DAYS = parseInt(process.env.TRENDING_SEARCH_DAYS) || 7;
+const RETENTION_DAYS = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS) || 90;
+
+// Trimmed, lower case, single spaces - so "  iPhone  15" and "iphone 15" count as one
+const normalizeQuery = (query) => {
+  return (query || '').toString().trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH);
+};
+
+// Escape LIKE wildcards in user input
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Log a search and add it to the popular query counts
+ *
+ * @param {object} search
+ * @param {string} search.query - As typed; normalised here
+ * @param {number} search.resultsCount
+ * @param {string} [search.shopSlug] - For searches inside a shop
+ */
+const recordSearch = async ({ query, resultsCount, shopSlug = null }) => {
+  const normalized = normalizeQuery(query);
+  if (normalized.length < MIN_QUERY_LENGTH) {
+    return;
+  }
+
+  await db.query(
+    `WITH scope AS (
+       SELECT (SELECT id FROM sellers WHERE shop_slug = $3) as seller_id
+     ),
+     logged AS (
+       INSERT INTO search_queries (query, seller_id, results_count)
+       SELECT $1, seller_id, $2 FROM scope
+       WHERE $3::text IS NULL OR seller_id IS NOT NULL
+     )
+     INSERT INTO popular_searches (query, seller_id, search_count, results_count)
+     SELECT $1, seller_id, 1, $2 FROM scope
+     WHERE $3::text IS NULL OR seller_id IS NOT NULL
+     ON CONFLICT ((COALESCE(seller_id, 0)), query) DO UPDATE
+     SET search_count = popular_searches.search_count + 1,
+         results_count = EXCLUDED.results_count,
+         last_searched_at = CURRENT_TIMESTAMP`,
+    [normalized, resultsCount || 0, shopSlug]
+  );
+};
+
+/**
+ * Popular queries starting with a prefix, for autocomplete
+ *
+ * Only queries that found something last time they were run are suggested.
+ *
+ * @param {string} prefix - Normalised
+ * @param {object} options
+ * @param {number|null} options.sellerId - Shop searches, or null for the marketplace
+ * @param {number} options.limit
+ * @param {number} [options.timeout] - query_timeout in ms
+ * @returns {Promise<string[]>}
+ */
+const getPopularQueries = async (prefix, { sellerId = null, limit = 5, timeout } = {}) => {
+  const result = await db.query({
+    text: `SELECT query FROM popular_searches
+           WHERE COALESCE(seller_id, 0) = $1 AND query LIKE $2 AND query <> $3
+             AND results_count > 0 AND search_count >= $4
+           ORDER BY search_count DESC, query
+           LIMIT $5`,
+    values: [sellerId || 0, `${escapeLike(prefix)}%`, prefix, MIN_SUGGEST_COUNT, limit],
+    query_timeout: timeout,
+  });
+
+  return result.rows.map(row => row.query);
+};
+
+/**
+ * Most searched marketplace queries over the last few days
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit]
+ * @param {Date} [options.asOf]
+ * @returns {Promise<Array<{query, searches}>>}
+ */
+const getTrendingSearches = async ({ limit = 10, asOf = new Date() } = {}) => {
+  const result = await db.query(
+    `SELECT query, COUNT(*) as searches
+     FROM search_queries
+     WHERE seller_id IS NULL
+       AND created_at > $1::timestamp - ($2 || ' days')::interval
+       AND created_at <= $1
+     GROUP BY query
+     HAVING COUNT(*) >= $3 AND MAX(results_count) > 0
+     ORDER BY searches DESC, query
+     LIMIT $4`,
+    [asOf, TRENDING_WINDOW_DAYS, MIN_SUGGEST_COUNT, limit]
+  );
+
+  return result.rows.map(row => ({ query: row.query, searches: parseInt(row.searches) }));
+};
+
+/**
+ * Delete raw log rows older than the retention period
+ * (popular_searches keeps the running totals)
+ *
+ * @returns {Promise<number>} rows deleted
+ */
+const pruneSearchLog = async ({ asOf = new Date() } = {}) => {
+  const result = await db.query(
+    `DELETE FROM search_queries
+     WHERE created_at < $1::timestamp - ($2 || ' days')::interval`,
+    [asOf, RETENTION_DAYS]
+  );
+
+  if (result.rowCount > 0) {
+    searchLogger.info('Pruned search log', { deleted: result.rowCount, retentionDays: RETENTION_DAYS });
+  }
+
+  return result.rowCount;
+};
+
+module.exports = {
+  MIN_QUERY_LENGTH,
+  normalizeQuery,
+  escapeLike,
+  recordSearch,
+  getPopularQueries,
+  getTrendingSearches,
+  pruneSearchLog,
+};
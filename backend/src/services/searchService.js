@@ -0,0 +1,507 @@
+const db = require('../config/database');
+const {
+  MIN_QUERY_LENGTH,
+  normalizeQuery,
+  escapeLike,
+  getPopularQueries,
+} = require('./searchLogService');
+const { logger } = require('../utils/logger');
+
+const suggestLogger = logger.child('SearchSuggest');
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 60;
+const MAX_QUERY_LENGTH = 100;
+
+// How close a misspelt word has to be to a word in the product name (0-1).
+// pg_trgm's default of 0.6 misses most one-letter typos in short words.
+const TYPO_THRESHOLD = 0.4;
+
+const SHOP_FACET_LIMIT = 10;
+
+// Autocomplete runs on every keystroke, so each part of it gets this long
+// before it's dropped from the response
+const SUGGEST_BUDGET_MS = parseInt(process.env.SEARCH_SUGGEST_BUDGET_MS) || 150;
+const RATING_FACET_STEPS = [4, 3, 2, 1];
+
+// min inclusive, max exclusive; null = open ended
+const PRICE_BUCKETS = [
+  { label: 'Under ₦5,000', min: null, max: 5000 },
+  { label: '₦5,000 - ₦10,000', min: 5000, max: 10000 },
+  { label: '₦10,000 - ₦25,000', min: 10000, max: 25000 },
+  { label: '₦25,000 - ₦50,000', min: 25000, max: 50000 },
+  { label: '₦50,000 - ₦100,000', min: 50000, max: 100000 },
+  { label: '₦100,000 and above', min: 100000, max: null },
+];
+
+/**
+ * Sort orders as keyset columns, most significant first
+ *
+ * Every order ends on id so rows never tie and the cursor always moves
+ * forward. Verified shops come first whatever the sort.
+ */
+const SORT_KEYS = {
+  relevance: [
+    { column: 'is_verified', type: 'boolean', direction: 'DESC' },
+    { column: 'search_rank', type: 'real', direction: 'DESC' },
+    { column: 'id', type: 'int', direction: 'DESC' },
+  ],
+  newest: [
+    { column: 'is_verified', type: 'boolean', direction: 'DESC' },
+    { column: 'created_at', type: 'timestamp', direction: 'DESC' },
+    { column: 'id', type: 'int', direction: 'DESC' },
+  ],
+  price_low: [
+    { column: 'is_verified', type: 'boolean', direction: 'DESC' },
+    { column: 'price', type: 'numeric', direction: 'ASC' },
+    { column: 'id', type: 'int', direction: 'ASC' },
+  ],
+  price_high: [
+    { column: 'is_verified', type: 'boolean', direction: 'DESC' },
+    { column: 'price', type: 'numeric', direction: 'DESC' },
+    { column: 'id', type: 'int', direction: 'DESC' },
+  ],
+};
+
+const searchError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Read search options from the query string
+ *
+ * @param {object} query - req.query
+ * @returns {{q, category, minPrice, maxPrice, sellerId, minRating, sort, cursor, limit}}
+ */
+const parseSearchParams = (query) => {
+  const q = (query.q || '').toString().trim().slice(0, MAX_QUERY_LENGTH);
+  const sort = SORT_KEYS[query.sort] ? query.sort : 'relevance';
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return {
+    q,
+    category: query.category && query.category !== 'All' ? query.category : null,
+    minPrice: toNumber(query.minPrice),
+    maxPrice: toNumber(query.maxPrice),
+    sellerId: parseInt(query.shop) || null,
+    minRating: toNumber(query.minRating),
+    sort,
+    cursor: query.cursor || null,
+    limit,
+  };
+};
+
+// Without a search term there's nothing to rank, so relevance means newest
+const sortKeysFor = (search) => {
+  if (search.sort === 'relevance' && !search.q) {
+    return SORT_KEYS.newest;
+  }
+  return SORT_KEYS[search.sort];
+};
+
+const encodeCursor = (sort, values) => {
+  return Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort, keys) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw searchError('Invalid cursor');
+  }
+
+  const valid = decoded
+    && decoded.sort === sort
+    && Array.isArray(decoded.values)
+    && decoded.values.length === keys.length
+    && decoded.values.every(value => typeof value === 'string');
+
+  if (!valid) {
+    throw searchError('Cursor does not match this search. Start again from the first page.');
+  }
+
+  return decoded.values;
+};
+
+/**
+ * WHERE clauses for a search
+ *
+ * Facets pass the filter they count by in `except`, so choosing a category
+ * still shows how many results the other categories have.
+ */
+const buildFilters = (search, params, except = null) => {
+  const add = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  const clauses = ['p.deleted_at IS NULL', 'p.quantity_available > 0'];
+
+  if (search.q) {
+    const q = add(search.q);
+    clauses.push(`(p.search_vector @@ websearch_to_tsquery('english', ${q}) OR ${q} <% p.name)`);
+  }
+
+  if (search.category && except !== 'category') {
+    clauses.push(`p.category = ${add(search.category)}`);
+  }
+
+  if (except !== 'price') {
+    if (search.minPrice !== null) {
+      clauses.push(`p.price >= ${add(search.minPrice)}`);
+    }
+    if (search.maxPrice !== null) {
+      clauses.push(`p.price <= ${add(search.maxPrice)}`);
+    }
+  }
+
+  if (search.sellerId && except !== 'shop') {
+    clauses.push(`p.seller_id = ${add(search.sellerId)}`);
+  }
+
+  if (search.minRating !== null && except !== 'rating') {
+    clauses.push(`COALESCE(p.average_rating, 0) >= ${add(search.minRating)}`);
+  }
+
+  return clauses.join(' AND ');
+};
+
+// Keyset condition for rows after the cursor, e.g. (a < $1) OR (a = $1 AND b > $2)
+const buildCursorCondition = (keys, values, params) => {
+  const placeholders = values.map((value, index) => {
+    params.push(value);
+    return `$${params.length}::${keys[index].type}`;
+  });
+
+  const branches = keys.map((key, index) => {
+    const equal = keys.slice(0, index).map((previous, i) => `results.${previous.column} = ${placeholders[i]}`);
+    const operator = key.direction === 'DESC' ? '<' : '>';
+    return `(${[...equal, `results.${key.column} ${operator} ${placeholders[index]}`].join(' AND ')})`;
+  });
+
+  return branches.join(' OR ');
+};
+
+const fetchPage = async (client, search) => {
+  const keys = sortKeysFor(search);
+  const params = [];
+  const where = buildFilters(search, params);
+
+  // Name matches (A) outweigh category (B) and description (C); trigram
+  // similarity lifts close misspellings that the dictionary can't stem
+  let rankExpression = '0::real';
+  if (search.q) {
+    params.push(search.q);
+    const q = `$${params.length}`;
+    rankExpression = `(ts_rank(p.search_vector, websearch_to_tsquery('english', ${q})) + word_similarity(${q}, p.name))::real`;
+  }
+
+  let cursorCondition = 'TRUE';
+  if (search.cursor) {
+    cursorCondition = buildCursorCondition(keys, decodeCursor(search.cursor, search.sort, keys), params);
+  }
+
+  params.push(search.limit + 1);
+  const limitParam = `$${params.length}`;
+
+  const orderBy = keys.map(key => `results.${key.column} ${key.direction}`).join(', ');
+  const cursorValues = keys.map(key => `results.${key.column}::text`).join(', ');
+
+  const result = await client.query(
+    `SELECT results.*, ARRAY[${cursorValues}] as cursor_values
+     FROM (
+       SELECT
+         p.id, p.name, p.slug, p.description, p.price, p.quantity_available, p.has_variants,
+         p.category, p.image_urls, p.created_at,
+         COALESCE(p.average_rating, 0) as average_rating, COALESCE(p.review_count, 0) as review_count,
+         s.id as seller_id, s.shop_name, s.shop_slug, s.rating as shop_rating,
+         COALESCE(s.is_verified, FALSE) as is_verified,
+         ${rankExpression} as search_rank,
+         COUNT(*) OVER () as total_count
+       FROM products p
+       JOIN sellers s ON p.seller_id = s.id
+       WHERE ${where}
+     ) results
+     WHERE ${cursorCondition}
+     ORDER BY ${orderBy}
+     LIMIT ${limitParam}`,
+    params
+  );
+
+  const hasMore = result.rows.length > search.limit;
+  const rows = result.rows.slice(0, search.limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    products: rows.map(({ cursor_values, total_count, ...product }) => product),
+    total: rows.length > 0 ? parseInt(rows[0].total_count) : 0,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(search.sort, last.cursor_values) : null,
+  };
+};
+
+const fetchCategoryFacet = async (client, search) => {
+  const params = [];
+  const result = await client.query(
+    `SELECT p.category as value, COUNT(*) as count
+     FROM products p
+     WHERE ${buildFilters(search, params, 'category')}
+     GROUP BY p.category
+     ORDER BY count DESC, p.category`,
+    params
+  );
+
+  return result.rows.map(row => ({ value: row.value, count: parseInt(row.count) }));
+};
+
+const fetchPriceFacet = async (client, search) => {
+  const params = [];
+  const buckets = PRICE_BUCKETS.map((bucket, index) => {
+    const conditions = [];
+    if (bucket.min !== null) conditions.push(`p.price >= ${bucket.min}`);
+    if (bucket.max !== null) conditions.push(`p.price < ${bucket.max}`);
+    return `COUNT(*) FILTER (WHERE ${conditions.join(' AND ')}) as bucket_${index}`;
+  });
+
+  const result = await client.query(
+    `SELECT ${buckets.join(', ')}
+     FROM products p
+     WHERE ${buildFilters(search, params, 'price')}`,
+    params
+  );
+
+  return PRICE_BUCKETS.map((bucket, index) => ({
+    ...bucket,
+    count: parseInt(result.rows[0][`bucket_${index}`]),
+  }));
+};
+
+const fetchShopFacet = async (client, search) => {
+  const params = [];
+  const result = await client.query(
+    `SELECT s.id as seller_id, s.shop_name, s.shop_slug, COUNT(*) as count
+     FROM products p
+     JOIN sellers s ON p.seller_id = s.id
+     WHERE ${buildFilters(search, params, 'shop')}
+     GROUP BY s.id, s.shop_name, s.shop_slug
+     ORDER BY count DESC, s.shop_name
+     LIMIT ${SHOP_FACET_LIMIT}`,
+    params
+  );
+
+  return result.rows.map(row => ({
+    sellerId: row.seller_id,
+    shopName: row.shop_name,
+    shopSlug: row.shop_slug,
+    count: parseInt(row.count),
+  }));
+};
+
+// Cumulative "4 stars & up" style counts
+const fetchRatingFacet = async (client, search) => {
+  const params = [];
+  const steps = RATING_FACET_STEPS.map(
+    stars => `COUNT(*) FILTER (WHERE COALESCE(p.average_rating, 0) >= ${stars}) as stars_${stars}`
+  );
+
+  const result = await client.query(
+    `SELECT ${steps.join(', ')}
+     FROM products p
+     WHERE ${buildFilters(search, params, 'rating')}`,
+    params
+  );
+
+  return RATING_FACET_STEPS.map(stars => ({
+    minRating: stars,
+    count: parseInt(result.rows[0][`stars_${stars}`]),
+  }));
+};
+
+/**
+ * Search in-stock products across all shops
+ *
+ * Matches the search term against the weighted search_vector, or by trigram
+ * similarity against the product name so misspellings still find results.
+ * Facet counts are only worked out for the first page; later pages (with a
+ * cursor) just return the next set of products.
+ *
+ * @param {object} search - From parseSearchParams
+ * @returns {Promise<{products, total, hasMore, nextCursor, facets}>}
+ */
+const searchProducts = async (search) => {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN READ ONLY');
+    if (search.q) {
+      await client.query(`SET LOCAL pg_trgm.word_similarity_threshold = ${TYPO_THRESHOLD}`);
+    }
+
+    const page = await fetchPage(client, search);
+
+    let facets = null;
+    if (!search.cursor) {
+      facets = {
+        categories: await fetchCategoryFacet(client, search),
+        prices: await fetchPriceFacet(client, search),
+        shops: await fetchShopFacet(client, search),
+        ratings: await fetchRatingFacet(client, search),
+      };
+    }
+
+    await client.query('COMMIT');
+
+    return { ...page, facets };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// 'iph 15' -> 'iph:* & 15:*' so words still being typed match
+const toPrefixQuery = (query) => {
+  return query
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(word => `${word}:*`)
+    .join(' & ');
+};
+
+const suggestProducts = async ({ prefix, tsquery, sellerId }) => {
+  const result = await db.query({
+    text: `SELECT p.id, p.name, p.price, p.image_urls[1] as image_url, s.shop_slug
+           FROM products p
+           JOIN sellers s ON p.seller_id = s.id
+           WHERE p.deleted_at IS NULL AND p.quantity_available > 0
+             AND ($3::int IS NULL OR p.seller_id = $3)
+             AND (LOWER(p.name) LIKE $1 OR ($2 <> '' AND p.search_vector @@ to_tsquery('english', $2)))
+           ORDER BY (LOWER(p.name) LIKE $1) DESC, COALESCE(s.is_verified, FALSE) DESC, p.name
+           LIMIT 6`,
+    values: [`${escapeLike(prefix)}%`, tsquery, sellerId],
+    query_timeout: SUGGEST_BUDGET_MS,
+  });
+
+  return result.rows.map(row => ({
+    id: row.id,
+    name: row.name,
+    price: row.price,
+    imageUrl: row.image_url,
+    shopSlug: row.shop_slug,
+  }));
+};
+
+// Categories with a word starting with the prefix, e.g. 'gad' -> 'Electronics & Gadgets'
+const suggestCategories = async ({ prefix, sellerId }) => {
+  const result = await db.query({
+    text: `SELECT p.category as value, COUNT(*) as count
+           FROM products p
+           WHERE p.deleted_at IS NULL AND p.quantity_available > 0
+             AND ($3::int IS NULL OR p.seller_id = $3)
+             AND (LOWER(p.category) LIKE $1 OR LOWER(p.category) LIKE $2)
+           GROUP BY p.category
+           ORDER BY count DESC
+           LIMIT 3`,
+    values: [`${escapeLike(prefix)}%`, `% ${escapeLike(prefix)}%`, sellerId],
+    query_timeout: SUGGEST_BUDGET_MS,
+  });
+
+  return result.rows.map(row => ({ value: row.value, count: parseInt(row.count) }));
+};
+
+const suggestShops = async ({ prefix }) => {
+  const result = await db.query({
+    text: `SELECT id, shop_name, shop_slug, COALESCE(is_verified, FALSE) as is_verified
+           FROM sellers
+           WHERE COALESCE(is_active, TRUE) = TRUE
+             AND (LOWER(shop_name) LIKE $1 OR LOWER(shop_name) LIKE $2)
+           ORDER BY is_verified DESC, shop_name
+           LIMIT 3`,
+    values: [`${escapeLike(prefix)}%`, `% ${escapeLike(prefix)}%`],
+    query_timeout: SUGGEST_BUDGET_MS,
+  });
+
+  return result.rows.map(row => ({
+    sellerId: row.id,
+    shopName: row.shop_name,
+    shopSlug: row.shop_slug,
+    isVerified: row.is_verified,
+  }));
+};
+
+/**
+ * Autocomplete for the search box
+ *
+ * Product name completions, matching categories, matching shops (marketplace
+ * only) and popular past searches. The parts run side by side, each with
+ * SUGGEST_BUDGET_MS to answer; any that miss it come back empty and the
+ * response is marked partial rather than holding up the dropdown.
+ *
+ * @param {object} options
+ * @param {string} options.q - What's been typed so far
+ * @param {string} [options.shopSlug] - Only suggest from this shop
+ * @returns {Promise<{query, products, categories, shops, searches, partial}>}
+ */
+const suggest = async ({ q, shopSlug = null }) => {
+  const prefix = normalizeQuery(q);
+  const empty = { query: prefix, products: [], categories: [], shops: [], searches: [], partial: false };
+
+  if (prefix.length < MIN_QUERY_LENGTH) {
+    return empty;
+  }
+
+  let sellerId = null;
+  if (shopSlug) {
+    const sellerResult = await db.query('SELECT id FROM sellers WHERE shop_slug = $1', [shopSlug]);
+    if (sellerResult.rows.length === 0) {
+      throw searchError('Shop not found', 404);
+    }
+    sellerId = sellerResult.rows[0].id;
+  }
+
+  const options = { prefix, tsquery: toPrefixQuery(prefix), sellerId };
+  const parts = {
+    products: suggestProducts(options),
+    categories: suggestCategories(options),
+    shops: sellerId ? Promise.resolve([]) : suggestShops(options),
+    searches: getPopularQueries(prefix, { sellerId, limit: 5, timeout: SUGGEST_BUDGET_MS }),
+  };
+
+  const names = Object.keys(parts);
+  const results = await Promise.allSettled(Object.values(parts));
+
+  const response = { ...empty };
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      response[names[index]] = result.value;
+    } else {
+      response.partial = true;
+      suggestLogger.warn('Suggestion part failed or ran over budget', {
+        part: names[index],
+        query: prefix,
+        error: result.reason.message,
+      });
+    }
+  });
+
+  return response;
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  parseSearchParams,
+  searchProducts,
+  suggest,
+};
@@ -0,0 +1,330 @@
+const db = require('../config/database');
+const analyticsQuery = require('./analyticsQueryService');
+
+const DEFAULT_COHORT_MONTHS = 6;
+const MAX_COHORT_MONTHS = 24;
+const FUNNEL_PRODUCTS_LIMIT = 20;
+const TOP_CUSTOMERS_LIMIT = 5;
+
+// Funnel steps in order. Visits are per shop; everything after is counted per
+// product (a buyer who views three products is three product views)
+const FUNNEL_STAGES = [
+  { key: 'visits', label: 'Shop visits' },
+  { key: 'views', label: 'Product views' },
+  { key: 'add_to_cart', label: 'Added to cart' },
+  { key: 'checkouts_started', label: 'Checkout started' },
+  { key: 'purchases', label: 'Paid' },
+];
+
+// Lagos month of an order
+const ORDER_MONTH = `DATE_TRUNC('month', ${analyticsQuery.lagosTime('o.created_at')})::date`;
+
+const insightsError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const percentage = (count, base) => {
+  return base > 0 ? Math.round((count / base) * 1000) / 10 : null;
+};
+
+// Counts per stage with conversion from the previous and the first stage,
+// and the change from the comparison period when there is one
+const buildStages = (counts, previousCounts, stages) => {
+  const changes = analyticsQuery.deltas(counts, previousCounts);
+
+  return stages.map((stage, index) => ({
+    ...stage,
+    count: counts[stage.key],
+    rateFromPrevious: index === 0 ? null : percentage(counts[stage.key], counts[stages[index - 1].key]),
+    rateFromStart: index === 0 ? null : percentage(counts[stage.key], counts[stages[0].key]),
+    previousCount: changes[stage.key].previous,
+    changePercentage: changes[stage.key].changePercentage,
+  }));
+};
+
+const toCounts = (row) => ({
+  views: parseInt(row.views) || 0,
+  add_to_cart: parseInt(row.add_to_cart) || 0,
+  checkouts_started: parseInt(row.checkouts_started) || 0,
+  purchases: parseInt(row.purchases) || 0,
+  revenue: parseFloat(row.revenue) || 0,
+});
+
+/**
+ * Conversion funnel for a seller's shop, or one of its products
+ *
+ * Shop funnel: shop visits -> product views -> add to cart -> checkout
+ * started -> paid. A product funnel starts at product views. Each step is
+ * counted on its own (deduplicated per session), so a rate can go over 100% -
+ * e.g. buyers who add to cart from a shared link without opening the shop.
+ *
+ * @param {number} sellerId
+ * @param {object} range - from analyticsQueryService.parseRange
+ * @param {object} [options]
+ * @param {number|string} [options.productId] - Limit the funnel to one product
+ * @returns {Promise<{range, product, stages, revenue, products}>}
+ */
+const getFunnel = async (sellerId, range, { productId } = {}) => {
+  let product = null;
+  if (productId !== undefined && productId !== '') {
+    const productResult = await db.query(
+      'SELECT id, name, slug FROM products WHERE id = $1 AND seller_id = $2',
+      [parseInt(productId) || 0, sellerId]
+    );
+
+    if (productResult.rows.length === 0) {
+      throw insightsError('Product not found', 404);
+    }
+    product = productResult.rows[0];
+  }
+
+  const productFilter = `
+    p.seller_id = $1
+    AND ${analyticsQuery.dateInRange('pa.date', 2, 3)}
+    AND ($4::int IS NULL OR p.id = $4)
+  `;
+  const productParam = product ? product.id : null;
+
+  const stageCounts = await analyticsQuery.withComparison(range, async ({ from, to }) => {
+    const [totalsResult, visitsResult] = await Promise.all([
+      db.query(
+        `SELECT
+          COALESCE(SUM(pa.views), 0) as views,
+          COALESCE(SUM(pa.add_to_cart), 0) as add_to_cart,
+          COALESCE(SUM(pa.checkouts_started), 0) as checkouts_started,
+          COALESCE(SUM(pa.purchases), 0) as purchases,
+          COALESCE(SUM(pa.revenue), 0) as revenue
+        FROM product_analytics pa
+        JOIN products p ON pa.product_id = p.id
+        WHERE ${productFilter}`,
+        [sellerId, from, to, productParam]
+      ),
+      db.query(
+        `SELECT COALESCE(SUM(visits), 0) as visits
+        FROM shop_analytics
+        WHERE seller_id = $1 AND ${analyticsQuery.dateInRange('date', 2, 3)}`,
+        [sellerId, from, to]
+      ),
+    ]);
+
+    return { ...toCounts(totalsResult.rows[0]), visits: parseInt(visitsResult.rows[0].visits) || 0 };
+  });
+
+  const productsResult = await db.query(
+    `SELECT
+      p.id,
+      p.name,
+      p.slug,
+      p.image_urls,
+      SUM(pa.views) as views,
+      SUM(pa.add_to_cart) as add_to_cart,
+      SUM(pa.checkouts_started) as checkouts_started,
+      SUM(pa.purchases) as purchases,
+      SUM(pa.revenue) as revenue
+    FROM product_analytics pa
+    JOIN products p ON pa.product_id = p.id
+    WHERE ${productFilter}
+    GROUP BY p.id
+    ORDER BY views DESC, purchases DESC, p.id
+    LIMIT ${FUNNEL_PRODUCTS_LIMIT}`,
+    [sellerId, range.from, range.to, productParam]
+  );
+
+  const { current, previous } = stageCounts;
+  const revenue = analyticsQuery.deltas({ revenue: current.revenue }, previous && { revenue: previous.revenue });
+
+  return {
+    range,
+    product,
+    stages: buildStages(current, previous, product ? FUNNEL_STAGES.slice(1) : FUNNEL_STAGES),
+    revenue: current.revenue,
+    revenueChangePercentage: revenue.revenue.changePercentage,
+    products: productsResult.rows.map(row => {
+      const productCounts = toCounts(row);
+      return {
+        id: row.id,
+        name: row.name,
+        slug: row.slug,
+        image_urls: row.image_urls,
+        ...productCounts,
+        addToCartRate: percentage(productCounts.add_to_cart, productCounts.views),
+        conversionRate: percentage(productCounts.purchases, productCounts.views),
+      };
+    }),
+  };
+};
+
+// First day of the Lagos month `monthsBack` months before this one, 'YYYY-MM-01'
+const monthStart = (monthsBack) => {
+  const [year, month] = analyticsQuery.lagosToday().split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1 - monthsBack, 1));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Repeat-buyer retention by first-purchase month
+ *
+ * Each buyer belongs to the Lagos month of their first paid order with the
+ * shop. For every cohort, retention[n] is how many of those buyers paid for
+ * an order n months later (retention[0] is the cohort itself).
+ *
+ * @param {number} sellerId
+ * @param {object} [query]
+ * @param {number|string} [query.months] - Cohorts to return, counting this month
+ * @returns {Promise<Array<{month, buyers, retention: Array<{offset, buyers, rate}>}>>}
+ */
+const getCohortRetention = async (sellerId, { months } = {}) => {
+  const monthCount = Math.min(Math.max(parseInt(months) || DEFAULT_COHORT_MONTHS, 1), MAX_COHORT_MONTHS);
+  const firstCohort = monthStart(monthCount - 1);
+
+  const result = await db.query(
+    `WITH paid_orders AS (
+      SELECT o.buyer_id, ${ORDER_MONTH} as month
+      FROM orders o
+      WHERE o.seller_id = $1 AND o.payment_status = 'paid'
+    ),
+    first_purchases AS (
+      SELECT buyer_id, MIN(month) as cohort
+      FROM paid_orders
+      GROUP BY buyer_id
+    )
+    SELECT
+      TO_CHAR(fp.cohort, 'YYYY-MM') as cohort,
+      ((DATE_PART('year', po.month) - DATE_PART('year', fp.cohort)) * 12
+        + DATE_PART('month', po.month) - DATE_PART('month', fp.cohort))::int as month_offset,
+      COUNT(DISTINCT po.buyer_id) as buyers
+    FROM first_purchases fp
+    JOIN paid_orders po ON po.buyer_id = fp.buyer_id
+    WHERE fp.cohort >= $2::date
+    GROUP BY fp.cohort, month_offset
+    ORDER BY fp.cohort, month_offset`,
+    [sellerId, firstCohort]
+  );
+
+  // Every month in the window, so cohorts with no new buyers still show up
+  const cohorts = new Map();
+  for (let monthsBack = monthCount - 1; monthsBack >= 0; monthsBack--) {
+    const month = monthStart(monthsBack).slice(0, 7);
+    cohorts.set(month, { month, buyers: 0, retention: [] });
+  }
+
+  result.rows.forEach(row => {
+    const cohort = cohorts.get(row.cohort);
+    if (!cohort) return;
+
+    const buyers = parseInt(row.buyers);
+    if (row.month_offset === 0) {
+      cohort.buyers = buyers;
+    }
+    cohort.retention[row.month_offset] = { offset: row.month_offset, buyers, rate: null };
+  });
+
+  // Fill in the months up to now with no returning buyers, then the rates
+  return [...cohorts.values()].map((cohort, index, all) => {
+    const monthsSince = all.length - 1 - index;
+    const retention = [];
+
+    for (let offset = 0; offset <= monthsSince; offset++) {
+      const buyers = cohort.retention[offset] ? cohort.retention[offset].buyers : 0;
+      retention.push({ offset, buyers, rate: percentage(buyers, cohort.buyers) });
+    }
+
+    return { ...cohort, retention };
+  });
+};
+
+/**
+ * Customer lifetime value over all paid orders with the shop
+ *
+ * Split by how the buyer joined: 'shop' if they signed up from this shop's
+ * page (users.registered_via_shop_id), 'marketplace' otherwise. Value is the
+ * seller's earnings (seller_amount), the same figure as revenue elsewhere.
+ *
+ * @param {number} sellerId
+ * @returns {Promise<{overall, byChannel, topCustomers}>}
+ */
+const getLifetimeValue = async (sellerId) => {
+  const buyerTotals = `
+    SELECT
+      o.buyer_id,
+      COUNT(*) as orders,
+      SUM(o.seller_amount) as revenue,
+      MIN(o.created_at) as first_order_at,
+      MAX(o.created_at) as last_order_at
+    FROM orders o
+    WHERE o.seller_id = $1 AND o.payment_status = 'paid'
+    GROUP BY o.buyer_id
+  `;
+
+  const [channelResult, topCustomersResult] = await Promise.all([
+    db.query(
+      `SELECT
+        CASE WHEN u.registered_via_shop_id = $1 THEN 'shop' ELSE 'marketplace' END as channel,
+        COUNT(*) as customers,
+        COUNT(*) FILTER (WHERE bt.orders > 1) as repeat_customers,
+        COALESCE(SUM(bt.orders), 0) as orders,
+        COALESCE(SUM(bt.revenue), 0) as revenue
+      FROM (${buyerTotals}) bt
+      JOIN users u ON u.id = bt.buyer_id
+      GROUP BY channel`,
+      [sellerId]
+    ),
+    db.query(
+      `SELECT
+        u.first_name,
+        u.last_name,
+        (u.registered_via_shop_id = $1) as joined_via_shop,
+        bt.orders,
+        bt.revenue,
+        bt.first_order_at,
+        bt.last_order_at
+      FROM (${buyerTotals}) bt
+      JOIN users u ON u.id = bt.buyer_id
+      ORDER BY bt.revenue DESC, bt.orders DESC
+      LIMIT ${TOP_CUSTOMERS_LIMIT}`,
+      [sellerId]
+    ),
+  ]);
+
+  const summarize = (channel, rows) => {
+    const customers = rows.reduce((sum, row) => sum + parseInt(row.customers), 0);
+    const repeatCustomers = rows.reduce((sum, row) => sum + parseInt(row.repeat_customers), 0);
+    const orders = rows.reduce((sum, row) => sum + parseInt(row.orders), 0);
+    const revenue = rows.reduce((sum, row) => sum + parseFloat(row.revenue), 0);
+
+    return {
+      channel,
+      customers,
+      repeatCustomers,
+      repeatRate: percentage(repeatCustomers, customers),
+      ordersPerCustomer: customers > 0 ? Math.round((orders / customers) * 100) / 100 : 0,
+      averageLifetimeValue: customers > 0 ? Math.round((revenue / customers) * 100) / 100 : 0,
+      revenue: Math.round(revenue * 100) / 100,
+    };
+  };
+
+  return {
+    overall: summarize('all', channelResult.rows),
+    byChannel: ['shop', 'marketplace'].map(channel => {
+      return summarize(channel, channelResult.rows.filter(row => row.channel === channel));
+    }),
+    topCustomers: topCustomersResult.rows.map(row => ({
+      // Last initial only - enough to recognise a regular
+      name: `${row.first_name} ${(row.last_name || '').charAt(0)}.`.trim(),
+      joinedViaShop: Boolean(row.joined_via_shop),
+      orders: parseInt(row.orders),
+      revenue: parseFloat(row.revenue),
+      firstOrderAt: row.first_order_at,
+      lastOrderAt: row.last_order_at,
+    })),
+  };
+};
+
+module.exports = {
+  FUNNEL_STAGES,
+  getFunnel,
+  getCohortRetention,
+  getLifetimeValue,
+};
@@ -0,0 +1,245 @@
+/**
+ * Login Sessions
+ *
+ * Each login gets a session (migration 026) with a short-lived access token
+ * and a refresh token. Refreshing swaps the refresh token for a new one, so a
+ * stolen copy only works until its owner next refreshes - and using it after
+ * that revokes the session.
+ *
+ * Access tokens name their session, and authenticateToken rejects them once
+ * it's revoked, so logging out or resetting a password takes effect at once.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+// A session ends after this many days without a refresh
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Two tabs refreshing at once both send the same token; the slower one
+// shouldn't end the session
+const REUSE_GRACE_SECONDS = 30;
+
+// Revoked sessions are kept this long (for the security log) before pruning
+const REVOKED_RETENTION_DAYS = 7;
+
+const sessionError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(32).toString('hex');
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId, type: 'access' }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+// Device details worth showing in the sessions list
+const requestDetails = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500) || null,
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Start a session for a user who just logged in or signed up
+ *
+ * @param {number} userId
+ * @param {{userAgent, ipAddress}} device - see requestDetails
+ * @param {boolean} [options.twoFactorVerified] - the login included a 2FA code
+ * @returns {Promise<{accessToken, refreshToken, sessionId}>}
+ */
+const createSession = async (userId, { userAgent, ipAddress } = {}, { twoFactorVerified = false } = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const result = await db.query(
+    `INSERT INTO auth_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at, two_factor_verified_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' days')::interval,
+             CASE WHEN $6::boolean THEN CURRENT_TIMESTAMP END)
+     RETURNING id`,
+    [userId, hashToken(refreshToken), userAgent, ipAddress, String(REFRESH_TOKEN_DAYS), twoFactorVerified]
+  );
+  const sessionId = result.rows[0].id;
+
+  return {
+    accessToken: signAccessToken(userId, sessionId),
+    refreshToken,
+    sessionId,
+  };
+};
+
+/**
+ * Swap a refresh token for a new access token and refresh token
+ *
+ * @returns {Promise<{accessToken, refreshToken, sessionId, userId}>}
+ */
+const refreshSession = async (refreshToken, { userAgent, ipAddress } = {}) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw sessionError('Refresh token is required', 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  // Only one request can swap a given token; a second one finds no row
+  const result = await db.query(
+    `UPDATE auth_sessions
+     SET refresh_token_hash = $2,
+         previous_token_hash = refresh_token_hash,
+         rotated_at = CURRENT_TIMESTAMP,
+         last_used_at = CURRENT_TIMESTAMP,
+         expires_at = CURRENT_TIMESTAMP + ($3 || ' days')::interval,
+         user_agent = COALESCE($4, user_agent),
+         ip_address = COALESCE($5, ip_address)
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     RETURNING id, user_id`,
+    [tokenHash, hashToken(nextToken), String(REFRESH_TOKEN_DAYS), userAgent, ipAddress]
+  );
+
+  if (result.rows.length > 0) {
+    const { id: sessionId, user_id: userId } = result.rows[0];
+    return {
+      accessToken: signAccessToken(userId, sessionId),
+      refreshToken: nextToken,
+      sessionId,
+      userId,
+    };
+  }
+
+  const reusedResult = await db.query(
+    `SELECT id, user_id, rotated_at > CURRENT_TIMESTAMP - ($2 || ' seconds')::interval as within_grace
+     FROM auth_sessions
+     WHERE previous_token_hash = $1 AND revoked_at IS NULL`,
+    [tokenHash, String(REUSE_GRACE_SECONDS)]
+  );
+  const reused = reusedResult.rows[0];
+
+  if (reused && !reused.within_grace) {
+    await revokeSession(reused.user_id, reused.id, 'token_reuse');
+    logger.security('Refresh token reused - session revoked', { userId: reused.user_id, ip: ipAddress });
+  }
+
+  throw sessionError(reused && reused.within_grace ? 'Refresh token already used' : 'Session expired. Please log in again.');
+};
+
+/**
+ * A user's live sessions, most recently used first
+ * @param {number} currentSessionId - flagged as `current`
+ */
+const listSessions = async (userId, currentSessionId) => {
+  const result = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+     FROM auth_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+  return result.rows.map(session => ({ ...session, current: session.id === currentSessionId }));
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @returns {Promise<boolean>} false when it wasn't theirs or was already revoked
+ */
+const revokeSession = async (userId, sessionId, reason = 'logout') => {
+  const result = await db.query(
+    `UPDATE auth_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId, reason]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Revoke every session of a user, except keepSessionId if given
+ *
+ * @param {object} [client] - pg client when part of a transaction
+ * @returns {Promise<number>} Sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, { keepSessionId = null, client = db } = {}) => {
+  const result = await client.query(
+    `UPDATE auth_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::int IS NULL OR id <> $3)`,
+    [userId, reason, keepSessionId]
+  );
+  return result.rowCount;
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout without a valid access token)
+ */
+const revokeByRefreshToken = async (refreshToken) => {
+  const result = await db.query(
+    `UPDATE auth_sessions
+     SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'logout'
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL`,
+    [hashToken(refreshToken)]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Record that a session has passed the second factor (2FA switched on during it)
+ * @param {object} [client] - pg client when part of a transaction
+ */
+const markTwoFactorVerified = async (sessionId, { client = db } = {}) => {
+  await client.query(
+    'UPDATE auth_sessions SET two_factor_verified_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [sessionId]
+  );
+};
+
+/**
+ * Whether a session is still live (for credentials checked outside authenticateToken)
+ */
+const isSessionActive = async (userId, sessionId) => {
+  const result = await db.query(
+    `SELECT 1 FROM auth_sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+    [sessionId, userId]
+  );
+  return result.rows.length > 0;
+};
+
+/**
+ * Delete expired sessions, and revoked ones after REVOKED_RETENTION_DAYS
+ * @returns {Promise<number>} Sessions deleted
+ */
+const pruneSessions = async () => {
+  const result = await db.query(
+    `DELETE FROM auth_sessions
+     WHERE expires_at < CURRENT_TIMESTAMP
+        OR revoked_at < CURRENT_TIMESTAMP - ($1 || ' days')::interval`,
+    [String(REVOKED_RETENTION_DAYS)]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info('Pruned login sessions', { deleted: result.rowCount });
+  }
+
+  return result.rowCount;
+};
+
+module.exports = {
+  requestDetails,
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeByRefreshToken,
+  markTwoFactorVerified,
+  isSessionActive,
+  pruneSessions,
+};
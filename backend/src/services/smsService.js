@@ -0,0 +1,115 @@
+/**
+ * SMS
+ *
+ * Text messages go through the provider named by SMS_PROVIDER:
+ * - console (default): prints the message, for local development
+ * - file: appends each message as a JSON line to SMS_LOG_FILE
+ *   (default logs/sms.log), for development setups that read codes back
+ *
+ * A real gateway plugs in with registerProvider(name, provider) before the
+ * first message is sent, and is picked by setting SMS_PROVIDER to its name.
+ * A provider is an object with `async send({ to, message })`, where `to` is
+ * a normalised number (utils/phone.js); it should throw when the gateway
+ * rejects the message.
+ *
+ * Phone codes use sendPhoneCode; any other text (seller notifications, say)
+ * goes through sendSms and the same provider.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { normalizePhone } = require('../utils/phone');
+
+const smsLogger = logger.child('SMS');
+
+const consoleProvider = {
+  async send({ to, message }) {
+    console.log('📱 SMS would be sent to:', to);
+    console.log('Message:', message);
+    console.log('---');
+  },
+};
+
+const fileProvider = {
+  async send({ to, message }) {
+    const file = path.resolve(process.env.SMS_LOG_FILE || 'logs/sms.log');
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(
+      file,
+      JSON.stringify({ to, message, sentAt: new Date().toISOString() }) + '\n'
+    );
+  },
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+};
+
+let warnedAboutStandIn = false;
+
+/**
+ * Make a provider available to SMS_PROVIDER
+ * @param {string} name
+ * @param {object} provider - Has `async send({ to, message })`
+ */
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider "${name}" must have a send({ to, message }) function`);
+  }
+  providers[name] = provider;
+};
+
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`SMS_PROVIDER must be one of ${Object.keys(providers).join(', ')}`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && (name === 'console' || name === 'file') && !warnedAboutStandIn) {
+    smsLogger.warn(`SMS_PROVIDER is "${name}" in production - text messages are not being delivered`);
+    warnedAboutStandIn = true;
+  }
+
+  return provider;
+};
+
+/**
+ * Send a text message
+ *
+ * @param {string} to - Phone number, in any form normalizePhone accepts
+ * @param {string} message
+ * @returns {Promise<{success: boolean, error?: string}>} Never throws
+ */
+const sendSms = async (to, message) => {
+  try {
+    const phone = normalizePhone(to);
+    if (!phone) {
+      throw new Error('Not a valid Nigerian mobile number');
+    }
+
+    await getProvider().send({ to: phone, message });
+    return { success: true };
+  } catch (error) {
+    smsLogger.error('Failed to send SMS', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a phone verification or login code
+const sendPhoneCode = async ({ phone, code, purpose, minutes }) => {
+  const message = purpose === 'login'
+    ? `${code} is your BuyTree sign-in code. It expires in ${minutes} minutes. Never share it - BuyTree will never ask for it.`
+    : `${code} is your BuyTree code to verify this phone number. It expires in ${minutes} minutes.`;
+
+  return sendSms(phone, message);
+};
+
+module.exports = {
+  registerProvider,
+  sendSms,
+  sendPhoneCode,
+};
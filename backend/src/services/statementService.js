@@ -0,0 +1,153 @@
+const PDFDocument = require('pdfkit');
+
+const ENTRY_TYPE_LABELS = {
+  sale: 'Sale',
+  platform_fee: 'Platform fee',
+  refund: 'Refund',
+  dispute_adjustment: 'Dispute adjustment',
+  payout: 'Payout',
+};
+
+const formatAmount = (value) => parseFloat(value || 0).toFixed(2);
+
+const formatDate = (value) => {
+  return new Date(value).toLocaleString('en-NG', {
+    timeZone: 'Africa/Lagos',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const formatMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1, 1)).toLocaleString('en-NG', {
+    timeZone: 'UTC',
+    month: 'long',
+    year: 'numeric',
+  });
+};
+
+// Quote a CSV field if it contains a delimiter, quote or newline
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a monthly statement (from ledgerService.getMonthlyStatement) as CSV
+ */
+const renderStatementCsv = (statement, seller) => {
+  const rows = [
+    ['Shop', seller.shop_name],
+    ['Statement period', formatMonth(statement.month)],
+    ['Opening balance', formatAmount(statement.openingBalance)],
+    [],
+    ['Date', 'Type', 'Description', 'Order ID', 'Credit', 'Debit', 'Balance'],
+    ...statement.entries.map(entry => [
+      new Date(entry.occurred_at).toISOString(),
+      ENTRY_TYPE_LABELS[entry.entry_type] || entry.entry_type,
+      entry.description,
+      entry.order_id || '',
+      formatAmount(entry.credit),
+      formatAmount(entry.debit),
+      formatAmount(entry.balance),
+    ]),
+    [],
+    ['Total credits', formatAmount(statement.totalCredits)],
+    ['Total debits', formatAmount(statement.totalDebits)],
+    ['Closing balance', formatAmount(statement.closingBalance)],
+  ];
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * Render a monthly statement as a PDF
+ * @returns {Promise<Buffer>}
+ */
+const renderStatementPdf = (statement, seller) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Column x positions and widths
+    const columns = [
+      { label: 'Date', x: 40, width: 95 },
+      { label: 'Description', x: 140, width: 185 },
+      { label: 'Credit (NGN)', x: 330, width: 70, align: 'right' },
+      { label: 'Debit (NGN)', x: 405, width: 70, align: 'right' },
+      { label: 'Balance (NGN)', x: 480, width: 75, align: 'right' },
+    ];
+
+    const drawRow = (values, options = {}) => {
+      const y = doc.y;
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+      const heights = columns.map((column, index) => doc.heightOfString(String(values[index]), {
+        width: column.width,
+      }));
+      const rowHeight = Math.max(...heights) + 6;
+
+      if (y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+        return drawRow(values, options);
+      }
+
+      columns.forEach((column, index) => {
+        doc.text(String(values[index]), column.x, y, {
+          width: column.width,
+          align: column.align || 'left',
+        });
+      });
+
+      doc.y = y + rowHeight;
+    };
+
+    doc.font('Helvetica-Bold').fontSize(18).text('BuyTree Seller Statement', 40, 40);
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10)
+      .text(`Shop: ${seller.shop_name}`)
+      .text(`Period: ${formatMonth(statement.month)}`)
+      .text(`Generated: ${formatDate(new Date())}`);
+    doc.moveDown();
+
+    doc.fontSize(10)
+      .text(`Opening balance: NGN ${formatAmount(statement.openingBalance)}`)
+      .text(`Total credits: NGN ${formatAmount(statement.totalCredits)}`)
+      .text(`Total debits: NGN ${formatAmount(statement.totalDebits)}`)
+      .font('Helvetica-Bold')
+      .text(`Closing balance: NGN ${formatAmount(statement.closingBalance)}`);
+    doc.moveDown();
+
+    drawRow(columns.map(column => column.label), { bold: true });
+
+    if (statement.entries.length === 0) {
+      doc.font('Helvetica').fontSize(9).text('No activity this month.', 40, doc.y + 4);
+    }
+
+    statement.entries.forEach(entry => {
+      drawRow([
+        formatDate(entry.occurred_at),
+        entry.description,
+        parseFloat(entry.credit) ? formatAmount(entry.credit) : '',
+        parseFloat(entry.debit) ? formatAmount(entry.debit) : '',
+        formatAmount(entry.balance),
+      ]);
+    });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  csvField,
+  renderStatementCsv,
+  renderStatementPdf,
+};
@@ -0,0 +1,417 @@
+/**
+ * Two-Factor Authentication
+ *
+ * Time-based one-time passwords (RFC 6238) from an authenticator app, as a
+ * second login step after the password (migration 029). Optional for
+ * everyone, and mandatory for admins unless TWO_FACTOR_REQUIRED_FOR_ADMINS=false.
+ *
+ * Enrolling is two calls: startEnrolment hands out a secret and QR code, and
+ * confirmEnrolment switches 2FA on once the app produces a valid code. Users
+ * also get recovery codes, each usable once in place of an app code.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const db = require('../config/database');
+const { logger } = require('../utils/logger');
+const sessionService = require('./sessionService');
+const loginLockoutService = require('./loginLockoutService');
+
+const REQUIRED_FOR_ADMINS = process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS !== 'false';
+
+const ISSUER = 'BuyTree';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+// Accept the previous and next code too, for phones with a slightly wrong clock
+const DRIFT_STEPS = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+// The password step hands out a challenge token, good for this long
+const CHALLENGE_PURPOSE = 'two_factor_login';
+const CHALLENGE_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const twoFactorError = (message, statusCode = 400, retryAfter = null) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+// The challenge token is missing or stale; the client goes back to the password step
+const challengeExpired = () => {
+  const error = twoFactorError('Sign-in expired. Please enter your password again.', 401);
+  error.code = 'TWO_FACTOR_CHALLENGE_EXPIRED';
+  return error;
+};
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (encoded) => {
+  let bits = '';
+  for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) for one time step
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+/**
+ * The time step a code belongs to, or null when it isn't valid now
+ * @param {number|null} lastStep - Steps up to this one were already used
+ */
+const matchStep = (secret, code, lastStep = null) => {
+  if (code.length !== CODE_DIGITS || !/^\d+$/.test(code)) return null;
+
+  const now = currentStep();
+
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    if (lastStep !== null && step <= lastStep) continue;
+
+    const expected = Buffer.from(codeForStep(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+// Recovery codes are shown as XXXXX-XXXXX but compared without the dash
+const normaliseCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+const replaceRecoveryCodes = async (client, userId) => {
+  const codes = generateRecoveryCodes();
+
+  await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::varchar[])`,
+    [userId, codes.map(code => hashRecoveryCode(normaliseCode(code)))]
+  );
+
+  return codes;
+};
+
+const getUser = async (userId) => {
+  const result = await db.query('SELECT * FROM users WHERE id = $1', [userId]);
+
+  if (result.rows.length === 0) {
+    throw twoFactorError('User not found', 404);
+  }
+  return result.rows[0];
+};
+
+const checkPassword = async (user, password) => {
+  if (!password || !(await bcrypt.compare(password, user.password_hash))) {
+    throw twoFactorError('Current password is incorrect');
+  }
+};
+
+/**
+ * Whether policy makes 2FA mandatory for this user
+ * @param {object} user - users row (role)
+ */
+const isRequired = (user) => REQUIRED_FOR_ADMINS && user.role === 'admin';
+
+/**
+ * Check an app code or recovery code for a user with 2FA on, using it up
+ *
+ * @param {object} user - users row (id, two_factor_secret, two_factor_last_step)
+ * @returns {Promise<string|null>} 'totp' or 'recovery', or null when the code is wrong
+ */
+const useCode = async (user, code) => {
+  const normalised = normaliseCode(code);
+
+  if (normalised.length === CODE_DIGITS) {
+    const step = matchStep(user.two_factor_secret, normalised, user.two_factor_last_step === null ? null : Number(user.two_factor_last_step));
+    if (step === null) return null;
+
+    // Only one request gets to use a given code
+    const result = await db.query(
+      `UPDATE users SET two_factor_last_step = $2
+       WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)`,
+      [user.id, step]
+    );
+    return result.rowCount > 0 ? 'totp' : null;
+  }
+
+  if (normalised.length === 10) {
+    const result = await db.query(
+      `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+      [user.id, hashRecoveryCode(normalised)]
+    );
+    if (result.rowCount > 0) {
+      logger.security('Two-factor recovery code used', { userId: user.id });
+      return 'recovery';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Whether a user has 2FA on, whether they must, and how many recovery codes are left
+ */
+const getStatus = async (userId) => {
+  const user = await getUser(userId);
+
+  const codesResult = await db.query(
+    'SELECT COUNT(*)::int as count FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  return {
+    enabled: Boolean(user.two_factor_enabled_at),
+    enabledAt: user.two_factor_enabled_at,
+    required: isRequired(user),
+    recoveryCodesLeft: user.two_factor_enabled_at ? codesResult.rows[0].count : 0,
+  };
+};
+
+/**
+ * Hand out a new secret for the user's authenticator app
+ *
+ * @returns {Promise<{secret, otpauthUrl, qrCode}>} qrCode is a PNG data URL of otpauthUrl
+ */
+const startEnrolment = async (userId, password) => {
+  const user = await getUser(userId);
+  await checkPassword(user, password);
+
+  if (user.two_factor_enabled_at) {
+    throw twoFactorError('Two-factor authentication is already on');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await db.query('UPDATE users SET two_factor_pending_secret = $2 WHERE id = $1', [userId, secret]);
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${ISSUER}&algorithm=SHA1&digits=${CODE_DIGITS}&period=${STEP_SECONDS}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  };
+};
+
+/**
+ * Switch 2FA on with a code from the newly added app
+ *
+ * Counts as the second factor for the current session, and logs out every
+ * other session since they only had the password.
+ *
+ * @returns {Promise<string[]>} Recovery codes - shown to the user this once
+ */
+const confirmEnrolment = async (userId, sessionId, code) => {
+  const user = await getUser(userId);
+
+  if (user.two_factor_enabled_at) {
+    throw twoFactorError('Two-factor authentication is already on');
+  }
+  if (!user.two_factor_pending_secret) {
+    throw twoFactorError('Start two-factor setup first');
+  }
+
+  const step = matchStep(user.two_factor_pending_secret, normaliseCode(code));
+  if (step === null) {
+    throw twoFactorError('Invalid code. Check the time on your phone is correct and try again.');
+  }
+
+  const client = await db.connect();
+  let recoveryCodes;
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE users
+       SET two_factor_secret = two_factor_pending_secret, two_factor_pending_secret = NULL,
+           two_factor_enabled_at = CURRENT_TIMESTAMP, two_factor_last_step = $2
+       WHERE id = $1 AND two_factor_pending_secret = $3 AND two_factor_enabled_at IS NULL`,
+      [userId, step, user.two_factor_pending_secret]
+    );
+    if (result.rowCount === 0) {
+      throw twoFactorError('Two-factor setup changed - please start again', 409);
+    }
+
+    recoveryCodes = await replaceRecoveryCodes(client, userId);
+    await sessionService.markTwoFactorVerified(sessionId, { client });
+    await sessionService.revokeAllSessions(userId, 'two_factor_enabled', { keepSessionId: sessionId, client });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  logger.security('Two-factor authentication enabled', { userId });
+
+  return recoveryCodes;
+};
+
+/**
+ * Replace all recovery codes, after checking a current app or recovery code
+ * @returns {Promise<string[]>} The new codes
+ */
+const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await getUser(userId);
+
+  if (!user.two_factor_enabled_at) {
+    throw twoFactorError('Two-factor authentication is off');
+  }
+  if (!(await useCode(user, code))) {
+    throw twoFactorError('Invalid code');
+  }
+
+  const codes = await replaceRecoveryCodes(db, userId);
+  logger.security('Two-factor recovery codes regenerated', { userId });
+
+  return codes;
+};
+
+/**
+ * Switch 2FA off - needs the password and an app or recovery code
+ */
+const disable = async (userId, password, code) => {
+  const user = await getUser(userId);
+
+  if (!user.two_factor_enabled_at) {
+    throw twoFactorError('Two-factor authentication is off');
+  }
+  if (isRequired(user)) {
+    throw twoFactorError('Two-factor authentication is required for admin accounts', 403);
+  }
+
+  await checkPassword(user, password);
+  if (!(await useCode(user, code))) {
+    throw twoFactorError('Invalid code');
+  }
+
+  await db.query(
+    `UPDATE users
+     SET two_factor_secret = NULL, two_factor_pending_secret = NULL,
+         two_factor_enabled_at = NULL, two_factor_last_step = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+  logger.security('Two-factor authentication disabled', { userId });
+};
+
+/**
+ * Token for the second login step, given out once the password checks out
+ */
+const createChallenge = (userId) => {
+  return jwt.sign({ id: userId, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TTL,
+  });
+};
+
+/**
+ * Second login step: check the code for a challenge token
+ *
+ * Wrong codes count as failed logins, so guessing codes locks the account
+ * just like guessing passwords.
+ *
+ * @returns {Promise<object>} The users row, ready for a session
+ */
+const completeLogin = async (challengeToken, code) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken || '', process.env.JWT_SECRET);
+  } catch (error) {
+    throw challengeExpired();
+  }
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw challengeExpired();
+  }
+
+  if (!code) {
+    throw twoFactorError('Authentication code is required');
+  }
+
+  const user = await getUser(decoded.id);
+
+  const minutesLeft = loginLockoutService.lockedMinutesLeft(user);
+  if (minutesLeft > 0) {
+    throw twoFactorError(`Too many failed sign-in attempts. Try again in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}.`, 429, minutesLeft * 60);
+  }
+
+  if (!user.two_factor_enabled_at) {
+    throw challengeExpired();
+  }
+
+  if (!(await useCode(user, code))) {
+    const lockedFor = await loginLockoutService.recordFailedLogin(user);
+    if (lockedFor > 0) {
+      throw twoFactorError(`Too many failed sign-in attempts. Try again in ${lockedFor} minute${lockedFor === 1 ? '' : 's'}.`, 429, lockedFor * 60);
+    }
+    throw twoFactorError('Invalid authentication code', 401);
+  }
+
+  if (user.failed_login_attempts > 0) {
+    await loginLockoutService.clearFailedLogins(user.id);
+  }
+
+  return user;
+};
+
+module.exports = {
+  isRequired,
+  getStatus,
+  startEnrolment,
+  confirmEnrolment,
+  regenerateRecoveryCodes,
+  disable,
+  createChallenge,
+  completeLogin,
+};
@@ -0,0 +1,348 @@
+const db = require('../config/database');
+
+const MAX_OPTIONS = 3;
+const MAX_VARIANTS = 100;
+
+const variantError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Human readable variant name, e.g. 'Size: M / Colour: Red'
+const formatVariantLabel = (options) => {
+  return Object.entries(options || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(' / ');
+};
+
+// Options in a fixed order so the same combination always compares equal
+const optionsKey = (optionNames, options) => {
+  return optionNames.map(name => options[name]).join('\u0000');
+};
+
+/**
+ * Validate option types and variants from the product form
+ *
+ * Every variant must pick exactly one value for each option, and no two
+ * variants may share a combination.
+ *
+ * @param {object} input
+ * @param {Array<{name, values}>} input.options
+ * @param {Array<{id?, sku?, options, price?, quantityAvailable, imageUrls?, isActive?}>} input.variants
+ * @returns {{options: Array<{name, values}>, variants: Array}}
+ */
+const validateVariants = ({ options = [], variants = [] }) => {
+  if (!Array.isArray(options) || !Array.isArray(variants)) {
+    throw variantError('Options and variants must be arrays');
+  }
+
+  if (options.length > MAX_OPTIONS) {
+    throw variantError(`A product can have at most ${MAX_OPTIONS} options`);
+  }
+
+  if (variants.length > MAX_VARIANTS) {
+    throw variantError(`A product can have at most ${MAX_VARIANTS} variants`);
+  }
+
+  const normalizedOptions = options.map(option => {
+    const name = String(option.name || '').trim();
+    if (!name) {
+      throw variantError('Every option needs a name');
+    }
+
+    const values = [...new Set((option.values || []).map(value => String(value).trim()).filter(Boolean))];
+    if (values.length === 0) {
+      throw variantError(`Option "${name}" needs at least one value`);
+    }
+
+    return { name, values };
+  });
+
+  const optionNames = normalizedOptions.map(option => option.name);
+  if (new Set(optionNames.map(name => name.toLowerCase())).size !== optionNames.length) {
+    throw variantError('Option names must be unique');
+  }
+
+  if (normalizedOptions.length === 0 && variants.length > 0) {
+    throw variantError('Add at least one option before adding variants');
+  }
+
+  if (normalizedOptions.length > 0 && variants.length === 0) {
+    throw variantError('Add at least one variant for the product options');
+  }
+
+  const seen = new Set();
+  const skus = new Set();
+
+  const normalizedVariants = variants.map(variant => {
+    const variantOptions = {};
+    for (const option of normalizedOptions) {
+      const value = String((variant.options || {})[option.name] || '').trim();
+      if (!option.values.includes(value)) {
+        throw variantError(`Each variant needs a valid ${option.name}`);
+      }
+      variantOptions[option.name] = value;
+    }
+
+    const key = optionsKey(optionNames, variantOptions);
+    if (seen.has(key)) {
+      throw variantError(`Duplicate variant: ${formatVariantLabel(variantOptions)}`);
+    }
+    seen.add(key);
+
+    const sku = String(variant.sku || '').trim() || null;
+    if (sku) {
+      if (skus.has(sku.toLowerCase())) {
+        throw variantError(`Duplicate SKU: ${sku}`);
+      }
+      skus.add(sku.toLowerCase());
+    }
+
+    let price = null;
+    if (variant.price !== null && variant.price !== undefined && variant.price !== '') {
+      price = parseFloat(variant.price);
+      if (isNaN(price) || price <= 0) {
+        throw variantError(`Price for ${formatVariantLabel(variantOptions)} must be greater than 0`);
+      }
+    }
+
+    const quantityAvailable = parseInt(variant.quantityAvailable) || 0;
+    if (quantityAvailable < 0) {
+      throw variantError(`Stock for ${formatVariantLabel(variantOptions)} cannot be negative`);
+    }
+
+    return {
+      id: variant.id ? parseInt(variant.id) : null,
+      sku,
+      options: variantOptions,
+      price,
+      quantityAvailable,
+      imageUrls: Array.isArray(variant.imageUrls) ? variant.imageUrls : [],
+      isActive: variant.isActive !== false,
+    };
+  });
+
+  return { options: normalizedOptions, variants: normalizedVariants };
+};
+
+/**
+ * Recalculate a product's stock from its variants
+ *
+ * Products without variants are left as they are.
+ */
+const syncProductStock = async (client, productId) => {
+  await client.query(
+    `UPDATE products p
+     SET has_variants = v.variant_count > 0,
+         quantity_available = CASE WHEN v.variant_count > 0 THEN v.stock ELSE p.quantity_available END,
+         updated_at = CURRENT_TIMESTAMP
+     FROM (
+       SELECT
+         COUNT(*) as variant_count,
+         COALESCE(SUM(quantity_available) FILTER (WHERE is_active), 0) as stock
+       FROM product_variants
+       WHERE product_id = $1 AND deleted_at IS NULL
+     ) v
+     WHERE p.id = $1`,
+    [productId]
+  );
+};
+
+/**
+ * Replace a product's options and variants (inside the caller's transaction)
+ *
+ * Variants are matched to existing ones by id, or failing that by their
+ * option values, so stock and cart lines survive edits. Variants that are no
+ * longer listed are soft deleted and removed from carts.
+ *
+ * @param {object} client - pg client with an open transaction
+ * @param {number} productId
+ * @param {{options, variants}} input - output of validateVariants
+ */
+const saveProductVariants = async (client, productId, { options, variants }) => {
+  const optionNames = options.map(option => option.name);
+
+  await client.query('DELETE FROM product_options WHERE product_id = $1', [productId]);
+  for (const [position, option] of options.entries()) {
+    await client.query(
+      `INSERT INTO product_options (product_id, name, "values", position)
+       VALUES ($1, $2, $3, $4)`,
+      [productId, option.name, option.values, position]
+    );
+  }
+
+  const existingResult = await client.query(
+    `SELECT id, options FROM product_variants
+     WHERE product_id = $1 AND deleted_at IS NULL
+     FOR UPDATE`,
+    [productId]
+  );
+
+  const existingById = new Map(existingResult.rows.map(row => [row.id, row]));
+  const existingByKey = new Map(existingResult.rows.map(row => [optionsKey(optionNames, row.options), row]));
+
+  // Match by id first, then by option values among the rows not already claimed
+  for (const variant of variants) {
+    if (variant.id && !existingById.has(variant.id)) {
+      throw variantError(`Variant ${variant.id} not found`, 404);
+    }
+  }
+
+  const claimedIds = new Set(variants.filter(variant => variant.id).map(variant => variant.id));
+  const matched = variants.map(variant => {
+    if (variant.id) {
+      return variant;
+    }
+
+    const existing = existingByKey.get(optionsKey(optionNames, variant.options));
+    if (existing && !claimedIds.has(existing.id)) {
+      claimedIds.add(existing.id);
+      return { ...variant, id: existing.id };
+    }
+
+    return variant;
+  });
+
+  // Remove variants first so their option combinations can be reused
+  const keptIds = matched.filter(variant => variant.id).map(variant => variant.id);
+  const removedIds = existingResult.rows.map(row => row.id).filter(id => !keptIds.includes(id));
+
+  if (removedIds.length > 0) {
+    await client.query(
+      `UPDATE product_variants
+       SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ANY($1::int[])`,
+      [removedIds]
+    );
+    await client.query('DELETE FROM cart_items WHERE variant_id = ANY($1::int[])', [removedIds]);
+  }
+
+  for (const variant of matched) {
+    const params = [
+      variant.sku,
+      JSON.stringify(variant.options),
+      variant.price,
+      variant.quantityAvailable,
+      variant.imageUrls,
+      variant.isActive,
+    ];
+
+    if (variant.id) {
+      await client.query(
+        `UPDATE product_variants
+         SET sku = $1, options = $2, price = $3, quantity_available = $4,
+             image_urls = $5, is_active = $6, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7`,
+        [...params, variant.id]
+      );
+    } else {
+      await client.query(
+        `INSERT INTO product_variants (sku, options, price, quantity_available, image_urls, is_active, product_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [...params, productId]
+      );
+    }
+  }
+
+  await syncProductStock(client, productId);
+};
+
+/**
+ * Get options and variants for one or more products
+ *
+ * @param {number[]} productIds
+ * @param {object} [options]
+ * @param {boolean} [options.includeInactive] - include paused variants (seller views)
+ * @returns {Promise<Map<number, {options, variants}>>}
+ */
+const getVariantsForProducts = async (productIds, { includeInactive = false } = {}) => {
+  const byProduct = new Map(productIds.map(id => [parseInt(id), { options: [], variants: [] }]));
+  if (productIds.length === 0) {
+    return byProduct;
+  }
+
+  const [optionsResult, variantsResult] = await Promise.all([
+    db.query(
+      `SELECT product_id, name, "values"
+       FROM product_options
+       WHERE product_id = ANY($1::int[])
+       ORDER BY product_id, position`,
+      [productIds]
+    ),
+    db.query(
+      `SELECT
+        v.id, v.product_id, v.sku, v.options, v.price,
+        COALESCE(v.price, p.price) as effective_price,
+        v.quantity_available, v.image_urls, v.is_active
+      FROM product_variants v
+      JOIN products p ON v.product_id = p.id
+      WHERE v.product_id = ANY($1::int[]) AND v.deleted_at IS NULL
+        AND ($2::boolean OR v.is_active = TRUE)
+      ORDER BY v.product_id, v.id`,
+      [productIds, includeInactive]
+    ),
+  ]);
+
+  for (const option of optionsResult.rows) {
+    byProduct.get(option.product_id).options.push({ name: option.name, values: option.values });
+  }
+
+  for (const variant of variantsResult.rows) {
+    const { product_id: productId, ...rest } = variant;
+    byProduct.get(productId).variants.push({ ...rest, label: formatVariantLabel(variant.options) });
+  }
+
+  return byProduct;
+};
+
+/**
+ * Look up the variant being bought and check it can be sold
+ *
+ * @param {object} product - row with id, name, price, quantity_available, has_variants
+ * @param {number|null} variantId
+ * @returns {Promise<{variantId, variantLabel, sku, price, quantityAvailable}>}
+ */
+const resolvePurchasable = async (product, variantId) => {
+  if (!variantId) {
+    if (product.has_variants) {
+      throw variantError(`Please choose an option for ${product.name}`);
+    }
+    return {
+      variantId: null,
+      variantLabel: null,
+      sku: null,
+      price: parseFloat(product.price),
+      quantityAvailable: product.quantity_available,
+    };
+  }
+
+  const result = await db.query(
+    `SELECT id, sku, options, price, quantity_available
+     FROM product_variants
+     WHERE id = $1 AND product_id = $2 AND deleted_at IS NULL AND is_active = TRUE`,
+    [variantId, product.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw variantError(`Selected option for ${product.name} is no longer available`, 404);
+  }
+
+  const variant = result.rows[0];
+  return {
+    variantId: variant.id,
+    variantLabel: formatVariantLabel(variant.options),
+    sku: variant.sku,
+    price: parseFloat(variant.price !== null ? variant.price : product.price),
+    quantityAvailable: variant.quantity_available,
+  };
+};
+
+module.exports = {
+  formatVariantLabel,
+  validateVariants,
+  saveProductVariants,
+  syncProductStock,
+  getVariantsForProducts,
+  resolvePurchasable,
+};
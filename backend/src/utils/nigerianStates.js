@@ -0,0 +1,111 @@
+/**
+ * Nigerian States
+ *
+ * The 36 states plus the FCT, with common alternative spellings, used to work
+ * out which state a free-text delivery address is in.
+ */
+
+const NIGERIAN_STATES = [
+  { name: 'Abia', aliases: [] },
+  { name: 'Adamawa', aliases: [] },
+  { name: 'Akwa Ibom', aliases: ['akwa-ibom', 'akwaibom'] },
+  { name: 'Anambra', aliases: [] },
+  { name: 'Bauchi', aliases: [] },
+  { name: 'Bayelsa', aliases: [] },
+  { name: 'Benue', aliases: [] },
+  { name: 'Borno', aliases: [] },
+  { name: 'Cross River', aliases: ['cross-river', 'crossriver'] },
+  { name: 'Delta', aliases: [] },
+  { name: 'Ebonyi', aliases: [] },
+  { name: 'Edo', aliases: [] },
+  { name: 'Ekiti', aliases: [] },
+  { name: 'Enugu', aliases: [] },
+  { name: 'FCT', aliases: ['abuja', 'federal capital territory'] },
+  { name: 'Gombe', aliases: [] },
+  { name: 'Imo', aliases: [] },
+  { name: 'Jigawa', aliases: [] },
+  { name: 'Kaduna', aliases: [] },
+  { name: 'Kano', aliases: [] },
+  { name: 'Katsina', aliases: [] },
+  { name: 'Kebbi', aliases: [] },
+  { name: 'Kogi', aliases: [] },
+  { name: 'Kwara', aliases: [] },
+  { name: 'Lagos', aliases: [] },
+  { name: 'Nasarawa', aliases: ['nassarawa'] },
+  { name: 'Niger', aliases: [] },
+  { name: 'Ogun', aliases: [] },
+  { name: 'Ondo', aliases: [] },
+  { name: 'Osun', aliases: [] },
+  { name: 'Oyo', aliases: [] },
+  { name: 'Plateau', aliases: [] },
+  { name: 'Rivers', aliases: [] },
+  { name: 'Sokoto', aliases: [] },
+  { name: 'Taraba', aliases: [] },
+  { name: 'Yobe', aliases: [] },
+  { name: 'Zamfara', aliases: [] },
+];
+
+// Lowercase, single-spaced, punctuation stripped - for matching free text
+const normalizePlaceName = (value) => {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Whole-word match of a place name inside normalized text
+const containsPlace = (text, place) => {
+  const normalizedPlace = normalizePlaceName(place);
+  if (!normalizedPlace) {
+    return false;
+  }
+  const escaped = normalizedPlace.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\s)${escaped}(\\s|$)`).test(text);
+};
+
+/**
+ * Get the canonical state name, or null if it isn't a Nigerian state
+ */
+const findState = (value) => {
+  const normalized = normalizePlaceName(value).replace(/ state$/, '');
+  const state = NIGERIAN_STATES.find(candidate =>
+    normalizePlaceName(candidate.name) === normalized ||
+    candidate.aliases.includes(normalized)
+  );
+  return state ? state.name : null;
+};
+
+/**
+ * Find the state mentioned in a free-text address
+ * The last match wins, since addresses end with the state ("..., Ikeja, Lagos").
+ */
+const detectStateFromAddress = (address) => {
+  const text = normalizePlaceName(address);
+  let detected = null;
+  let detectedAt = -1;
+
+  NIGERIAN_STATES.forEach(state => {
+    [state.name, ...state.aliases].forEach(name => {
+      const normalizedName = normalizePlaceName(name);
+      if (!containsPlace(text, normalizedName)) {
+        return;
+      }
+      const position = text.lastIndexOf(normalizedName);
+      if (position > detectedAt) {
+        detected = state.name;
+        detectedAt = position;
+      }
+    });
+  });
+
+  return detected;
+};
+
+module.exports = {
+  NIGERIAN_STATES,
+  normalizePlaceName,
+  containsPlace,
+  findState,
+  detectStateFromAddress,
+};
@@ -0,0 +1,43 @@
+/**
+ * Phone Numbers
+ *
+ * Nigerian mobile numbers in one form, 234 followed by the 10-digit number
+ * (2348012345678) - the same form the frontend's utils/whatsapp.js builds
+ * wa.me links from, so a number typed as 0801 234 5678, +234 801 234 5678
+ * or 8012345678 is the same number everywhere.
+ */
+
+// 070, 080, 081, 090 and 091 numbers once the leading 0 is dropped
+const NIGERIAN_MOBILE_REGEX = /^234[789][01]\d{8}$/;
+
+/**
+ * A Nigerian mobile number in 234XXXXXXXXXX form
+ * @param {string} phone - As typed, with or without the country code
+ * @returns {string|null} null when it isn't a Nigerian mobile number
+ */
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+
+  let cleanedPhone = String(phone).replace(/\D/g, '');
+
+  // If phone doesn't start with country code, assume Nigeria (+234)
+  if (!cleanedPhone.startsWith('234')) {
+    cleanedPhone = '234' + (cleanedPhone.startsWith('0') ? cleanedPhone.substring(1) : cleanedPhone);
+  }
+
+  return NIGERIAN_MOBILE_REGEX.test(cleanedPhone) ? cleanedPhone : null;
+};
+
+/**
+ * A normalised number with the middle hidden, e.g. '+234 801 *** 5678'
+ * @param {string} phone - From normalizePhone
+ * @returns {string}
+ */
+const maskPhone = (phone) => {
+  return `+234 ${phone.substring(3, 6)} *** ${phone.substring(9)}`;
+};
+
+module.exports = {
+  normalizePhone,
+  maskPhone,
+};
@@ -0,0 +1,13 @@
+/**
+ * URL slug from a name, e.g. 'Red Ankara Dress (Size 12)' -> 'red-ankara-dress-size-12'
+ * @param {string} name
+ * @returns {string}
+ */
+const slugify = (name) => {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+module.exports = { slugify };
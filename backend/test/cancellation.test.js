@@ -0,0 +1,165 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeDb } = require('./helpers/fakeDb');
+const { installFakePaystack, paystackError } = require('./helpers/fakePaystack');
+
+const db = installFakeDb();
+const paystack = installFakePaystack();
+const { cancelOrder, initiateRefund } = require('../src/services/cancellationService');
+
+let order;
+let cancellations;
+let sellerBalances;
+
+// A paid order, its cancellations and the seller's balance entries, kept up
+// to date by the queries cancelOrder and initiateRefund run
+const scriptOrder = (overrides = {}) => {
+  order = {
+    id: 42,
+    order_number: 'ORD-42',
+    seller_id: 3,
+    status: 'pending',
+    payment_status: 'paid',
+    total_amount: '10500.00',
+    seller_amount: '10000.00',
+    paystack_reference: 'BT-1-7',
+    settled_by_split: false,
+    cancellation_deadline: new Date(Date.now() + 10 * 60 * 1000),
+    ...overrides,
+  };
+  cancellations = [];
+  sellerBalances = [];
+
+  db.on(/FROM orders WHERE id = \$1 FOR UPDATE/, () => ({ rows: [order] }));
+  db.on(/SET status = 'cancelled'/, () => {
+    order.status = 'cancelled';
+    return { rows: [order] };
+  });
+  db.on(/INSERT INTO order_cancellations/, ([orderId, cancelledBy, role]) => {
+    cancellations.push({ id: cancellations.length + 1, order_id: orderId, cancelled_by: cancelledBy, role, refund_initiated: false, refund_completed: false });
+    return {};
+  });
+  db.on(/INSERT INTO seller_balances/, ([sellerId, amount, reason, orderId], text) => {
+    sellerBalances.push({ seller_id: sellerId, amount, reason, order_id: orderId, is_clawback: /is_clawback/.test(text) });
+    return {};
+  });
+  db.on(/JOIN order_cancellations oc/, () => {
+    const latest = cancellations[cancellations.length - 1];
+    if (order.status !== 'cancelled' || !latest) {
+      return { rows: [] };
+    }
+    return {
+      rows: [{
+        ...order,
+        cancellation_id: latest.id,
+        refund_initiated: latest.refund_initiated,
+        refund_completed: latest.refund_completed,
+      }],
+    };
+  });
+  db.on(/UPDATE order_cancellations/, ([completed, refundId, id]) => {
+    Object.assign(cancellations.find(row => row.id === id), {
+      refund_initiated: true,
+      refund_completed: completed,
+      paystack_refund_id: refundId,
+    });
+    return { rowCount: 1 };
+  });
+  db.on(/UPDATE orders\s+SET payment_status/, ([status]) => {
+    order.payment_status = status;
+    return { rowCount: 1 };
+  });
+};
+
+beforeEach(() => {
+  db.reset();
+  paystack.reset();
+});
+
+test('refunds the order total against the payment and keeps the refund id', async () => {
+  scriptOrder();
+
+  const { order: cancelled, refund } = await cancelOrder({ orderId: 42, cancelledBy: 7, role: 'buyer', reason: 'Changed my mind' });
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.deepEqual(refund, { initiated: true, completed: false });
+  assert.deepEqual(paystack.calls.createRefund, [
+    { transaction: 'BT-1-7', amount: 1050000, merchantNote: 'Cancellation of order ORD-42' },
+  ]);
+  assert.equal(cancellations[0].paystack_refund_id, '9001');
+  assert.equal(order.payment_status, 'refund_pending');
+});
+
+test('marks the order refunded when Paystack processes the refund straight away', async () => {
+  scriptOrder();
+  paystack.respond('createRefund', () => ({ status: true, data: { id: 77, status: 'processed' } }));
+
+  const { refund } = await cancelOrder({ orderId: 42, cancelledBy: 3, role: 'seller', reason: 'Out of stock' });
+
+  assert.deepEqual(refund, { initiated: true, completed: true });
+  assert.equal(cancellations[0].refund_completed, true);
+  assert.equal(order.payment_status, 'refunded');
+});
+
+test('keeps the cancellation when the refund fails and refunds once on retry', async () => {
+  scriptOrder();
+  paystack.respond('createRefund', () => {
+    throw paystackError(400, 'Transaction has been fully reversed');
+  });
+
+  const { refund } = await cancelOrder({ orderId: 42, cancelledBy: 1, role: 'admin', reason: 'Fraud check' });
+
+  assert.equal(order.status, 'cancelled');
+  assert.deepEqual(refund, { initiated: false, completed: false, error: 'Transaction has been fully reversed' });
+  assert.equal(order.payment_status, 'paid');
+
+  paystack.reset();
+  assert.deepEqual(await initiateRefund(42), { initiated: true, completed: false });
+  assert.deepEqual(await initiateRefund(42), { initiated: true, completed: false });
+  assert.equal(paystack.calls.createRefund.length, 1);
+  assert.equal(order.payment_status, 'refund_pending');
+});
+
+test('claws the seller share back when the order was settled by split', async () => {
+  scriptOrder({ settled_by_split: true });
+
+  await cancelOrder({ orderId: 42, cancelledBy: 7, role: 'buyer', reason: 'Ordered twice' });
+
+  assert.equal(sellerBalances.length, 1);
+  assert.equal(sellerBalances[0].seller_id, 3);
+  assert.equal(sellerBalances[0].amount, -10000);
+  assert.equal(sellerBalances[0].order_id, 42);
+  assert.equal(sellerBalances[0].is_clawback, true);
+});
+
+test('does not claw back orders paid out by the payout processor', async () => {
+  scriptOrder();
+
+  await cancelOrder({ orderId: 42, cancelledBy: 7, role: 'buyer', reason: 'Ordered twice' });
+
+  assert.deepEqual(sellerBalances, []);
+});
+
+test('refuses a buyer cancellation after the window without refunding', async () => {
+  scriptOrder({ cancellation_deadline: new Date(Date.now() - 60 * 1000) });
+
+  await assert.rejects(
+    cancelOrder({ orderId: 42, cancelledBy: 7, role: 'buyer', reason: 'Too late' }),
+    { statusCode: 400, message: /cancellation window/ }
+  );
+  assert.equal(order.status, 'pending');
+  assert.deepEqual(cancellations, []);
+  assert.equal(paystack.calls.createRefund.length, 0);
+});
+
+test('refuses to cancel an order the buyer has not paid for', async () => {
+  scriptOrder({ payment_status: 'pending' });
+
+  await assert.rejects(
+    cancelOrder({ orderId: 42, cancelledBy: 7, role: 'buyer', reason: 'Never paid' }),
+    { statusCode: 400 }
+  );
+  assert.equal(order.status, 'pending');
+  assert.equal(paystack.calls.createRefund.length, 0);
+});
@@ -0,0 +1,75 @@
+/**
+ * In-memory stand-in for config/database
+ *
+ * Install it before requiring anything that uses the database. Tests answer
+ * the queries they care about with `on(pattern, respond)`; anything else gets
+ * no rows. Every query is recorded, so tests can check what was written.
+ */
+
+const installFakeDb = () => {
+  const handlers = [];
+  const queries = [];
+
+  const query = async (text, params = []) => {
+    queries.push({ text, params });
+
+    const handler = handlers.find(({ pattern }) => pattern.test(text));
+    const result = handler ? (await handler.respond(params, text)) || {} : {};
+    const rows = result.rows || [];
+
+    return { rows, rowCount: result.rowCount !== undefined ? result.rowCount : rows.length };
+  };
+
+  const fakeDb = {
+    query,
+    connect: async () => ({ query, release() {} }),
+    on() {},
+  };
+
+  const dbPath = require.resolve('../../src/config/database');
+  require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: fakeDb };
+
+  return {
+    // Answer queries matching the pattern; the latest matching handler wins
+    on(pattern, respond) {
+      handlers.unshift({ pattern, respond });
+    },
+
+    // Queries run so far whose SQL matches the pattern
+    queriesMatching(pattern) {
+      return queries.filter(({ text }) => pattern.test(text));
+    },
+
+    reset() {
+      handlers.length = 0;
+      queries.length = 0;
+    },
+  };
+};
+
+// Minimal Express response for calling controllers directly
+const fakeResponse = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+};
+
+module.exports = {
+  installFakeDb,
+  fakeResponse,
+};
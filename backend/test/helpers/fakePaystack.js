@@ -0,0 +1,71 @@
+/**
+ * Fake Paystack client, installed with paystackService.setPaystackClient
+ *
+ * Every call is recorded per method in `calls`. Refunds are pending,
+ * transfers succeed and transfer lookups find nothing unless a test says
+ * otherwise with `respond`.
+ */
+
+const paystackService = require('../../src/services/paystackService');
+
+// An error shaped like the one axios throws for a Paystack error response
+const paystackError = (status, message) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { status: false, message } };
+  return error;
+};
+
+// An error shaped like an axios timeout - no response, so no answer from Paystack
+const timeoutError = () => {
+  const error = new Error('timeout of 30000ms exceeded');
+  error.code = 'ECONNABORTED';
+  return error;
+};
+
+const defaultAnswers = {
+  createRefund: (params, n) => ({ status: true, data: { id: 9000 + n, status: 'pending' } }),
+  initiateTransfer: (params, n) => ({ status: true, data: { status: 'success', transfer_code: `TRF_${n}` } }),
+  createTransferRecipient: () => ({ status: true, data: { recipient_code: 'RCP_new' } }),
+  verifyTransfer: () => {
+    throw paystackError(404, 'Transfer not found');
+  },
+};
+
+const installFakePaystack = () => {
+  const calls = {};
+  let answers = {};
+
+  const client = {};
+  for (const method of Object.keys(defaultAnswers)) {
+    calls[method] = [];
+    client[method] = async (params) => {
+      calls[method].push(params);
+      const answer = answers[method] || defaultAnswers[method];
+      return answer(params, calls[method].length);
+    };
+  }
+
+  paystackService.setPaystackClient(client);
+
+  return {
+    calls,
+
+    // Answer a method with `answer(params, callNumber)`; it may throw
+    respond(method, answer) {
+      answers[method] = answer;
+    },
+
+    reset() {
+      answers = {};
+      for (const method of Object.keys(calls)) {
+        calls[method].length = 0;
+      }
+    },
+  };
+};
+
+module.exports = {
+  installFakePaystack,
+  paystackError,
+  timeoutError,
+};
@@ -0,0 +1,331 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { installFakeDb } = require('./helpers/fakeDb');
+const { installFakePaystack, paystackError, timeoutError } = require('./helpers/fakePaystack');
+
+const db = installFakeDb();
+const paystack = installFakePaystack();
+const { processDuePayouts, handleTransferEvent } = require('../src/services/payoutService');
+
+const YESTERDAY = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+let seller;
+let orders;
+let balances;
+let batches;
+
+const isDue = (order) => order.status === 'delivered' && order.payout_status === 'scheduled' && order.payout_date <= new Date();
+
+// Seller 3's orders, balance entries and payout batches, kept up to date by
+// the queries the payout processor runs
+const scriptSeller = ({ amounts = [], split = [], debits = [], recipientCode = 'RCP_seller3' }) => {
+  seller = {
+    id: 3,
+    shop_name: 'Lamp Shop',
+    account_number: '0123456789',
+    bank_code: '058',
+    account_name: 'Ada Obi',
+    paystack_recipient_code: recipientCode,
+  };
+  const order = (amount, settledBySplit) => ({
+    id: 0,
+    seller_id: 3,
+    seller_amount: amount,
+    status: 'delivered',
+    payout_status: 'scheduled',
+    payout_date: YESTERDAY,
+    settled_by_split: settledBySplit,
+    payout_batch_id: null,
+    payout_reference: null,
+  });
+  orders = [...amounts.map(amount => order(amount, false)), ...split.map(amount => order(amount, true))];
+  orders.forEach((row, i) => { row.id = i + 1; });
+  balances = debits.map((amount, i) => ({ id: 50 + i, seller_id: 3, amount, payout_batch_id: null }));
+  batches = [];
+
+  const batch = (id) => batches.find(row => row.id === id);
+  const batchByReference = (reference) => batches.find(row => row.transfer_reference === reference);
+  const ordersOf = (batchId) => orders.filter(row => row.payout_batch_id === batchId);
+
+  db.on(/SELECT COUNT\(\*\) FROM orders/, () => ({
+    rows: [{ count: String(orders.filter(row => isDue(row) && row.settled_by_split).length) }],
+  }));
+  db.on(/UPDATE orders\s+SET payout_status = 'completed'[\s\S]*settled_by_split = TRUE/, () => {
+    const due = orders.filter(row => isDue(row) && row.settled_by_split);
+    due.forEach(row => { row.payout_status = 'completed'; });
+    return { rowCount: due.length };
+  });
+  db.on(/SELECT DISTINCT seller_id/, () => ({
+    rows: orders.some(row => isDue(row) && !row.settled_by_split) ? [{ seller_id: 3 }] : [],
+  }));
+  db.on(/FROM sellers WHERE id = \$1/, () => ({ rows: [seller] }));
+  db.on(/FROM payout_batches pb\s+JOIN sellers/, () => ({
+    rows: batches
+      .filter(row => row.status === 'processing' && !row.transfer_code)
+      .map(row => ({ ...row, ...seller, id: row.id, seller_id: seller.id })),
+  }));
+  db.on(/UPDATE sellers SET paystack_recipient_code/, ([code]) => {
+    seller.paystack_recipient_code = code;
+    return { rowCount: 1 };
+  });
+  db.on(/SELECT o.id, o.seller_amount/, () => ({
+    rows: orders.filter(row => isDue(row) && !row.settled_by_split),
+  }));
+  db.on(/SELECT id, amount FROM seller_balances/, () => ({
+    rows: balances.filter(row => row.payout_batch_id === null),
+  }));
+  db.on(/INSERT INTO payout_batches/, ([sellerId, gross, adjustment, net, count, status, reference]) => {
+    const id = 100 + batches.length;
+    batches.push({ id, seller_id: sellerId, gross_amount: gross, balance_adjustment: adjustment, net_amount: net, order_count: count, status, transfer_reference: reference, transfer_code: null });
+    return { rows: [{ id }] };
+  });
+  db.on(/SET payout_status = \$1,\s+payout_batch_id = \$2/, ([status, batchId, reference, ids]) => {
+    orders.filter(row => ids.includes(row.id)).forEach(row => {
+      Object.assign(row, { payout_status: status, payout_batch_id: batchId, payout_reference: reference });
+    });
+    return { rowCount: ids.length };
+  });
+  db.on(/UPDATE seller_balances SET payout_batch_id = \$1/, ([batchId, ids]) => {
+    balances.filter(row => ids.includes(row.id)).forEach(row => { row.payout_batch_id = batchId; });
+    return { rowCount: ids.length };
+  });
+  db.on(/INSERT INTO seller_balances/, ([sellerId, amount, reason]) => {
+    balances.push({ id: 50 + balances.length, seller_id: sellerId, amount, reason, payout_batch_id: null });
+    return {};
+  });
+  db.on(/UPDATE payout_batches SET transfer_code = \$1 WHERE id = \$2/, ([code, id]) => {
+    batch(id).transfer_code = code;
+    return { rowCount: 1 };
+  });
+  db.on(/SET status = 'completed'/, ([reference, code]) => {
+    const row = batchByReference(reference);
+    if (!row || row.status !== 'processing') {
+      return { rows: [] };
+    }
+    Object.assign(row, { status: 'completed', transfer_code: code || row.transfer_code });
+    return { rows: [row] };
+  });
+  db.on(/SET payout_status = 'completed', updated_at = CURRENT_TIMESTAMP\s+WHERE payout_batch_id = \$1/, ([batchId]) => {
+    ordersOf(batchId).forEach(row => { row.payout_status = 'completed'; });
+    return {};
+  });
+  db.on(/SET status = \$3, failure_reason = \$2/, ([reference, reason, status, fromStatuses]) => {
+    const row = batchByReference(reference);
+    if (!row || !fromStatuses.includes(row.status)) {
+      return { rows: [] };
+    }
+    Object.assign(row, { status, failure_reason: reason });
+    return { rows: [row] };
+  });
+  db.on(/SET payout_status = 'scheduled'/, ([batchId]) => {
+    ordersOf(batchId).forEach(row => {
+      Object.assign(row, { payout_status: 'scheduled', payout_batch_id: null, payout_reference: null });
+    });
+    return {};
+  });
+  db.on(/UPDATE seller_balances SET payout_batch_id = NULL/, ([batchId]) => {
+    balances.filter(row => row.payout_batch_id === batchId).forEach(row => { row.payout_batch_id = null; });
+    return {};
+  });
+};
+
+beforeEach(() => {
+  db.reset();
+  paystack.reset();
+});
+
+test('sends one transfer per seller for all their due orders', async () => {
+  scriptSeller({ amounts: ['9500.00', '4750.50'] });
+
+  const summary = await processDuePayouts();
+
+  assert.equal(paystack.calls.initiateTransfer.length, 1);
+  const [transfer] = paystack.calls.initiateTransfer;
+  assert.equal(transfer.amount, 1425050);
+  assert.equal(transfer.recipient, 'RCP_seller3');
+  assert.equal(transfer.reference, batches[0].transfer_reference);
+  assert.equal(summary.completed, 1);
+  assert.equal(summary.totalTransferred, 14250.5);
+  assert.equal(batches[0].status, 'completed');
+  assert.deepEqual(orders.map(row => [row.payout_status, row.payout_batch_id]), [['completed', 100], ['completed', 100]]);
+});
+
+test('nets outstanding debits off the transfer', async () => {
+  scriptSeller({ amounts: ['10000.00'], debits: ['-2500.00'] });
+
+  const summary = await processDuePayouts();
+
+  assert.equal(paystack.calls.initiateTransfer[0].amount, 750000);
+  assert.equal(summary.batches[0].balanceAdjustment, -2500);
+  assert.equal(balances[0].payout_batch_id, 100);
+});
+
+test('carries debits bigger than the payout forward without a transfer', async () => {
+  scriptSeller({ amounts: ['1000.00'], debits: ['-2500.00'] });
+
+  const summary = await processDuePayouts();
+
+  assert.equal(paystack.calls.initiateTransfer.length, 0);
+  assert.equal(summary.offset, 1);
+  assert.equal(orders[0].payout_status, 'completed');
+  const outstanding = balances.filter(row => row.payout_batch_id === null);
+  assert.deepEqual(outstanding.map(row => row.amount), [-1500]);
+});
+
+test('leaves the batch processing until the webhook when the transfer is pending', async () => {
+  scriptSeller({ amounts: ['10000.00'] });
+  paystack.respond('initiateTransfer', () => ({ status: true, data: { status: 'pending', transfer_code: 'TRF_wait' } }));
+
+  const summary = await processDuePayouts();
+
+  assert.equal(summary.processing, 1);
+  assert.equal(batches[0].status, 'processing');
+  assert.equal(batches[0].transfer_code, 'TRF_wait');
+  assert.equal(orders[0].payout_status, 'processing');
+});
+
+test('releases the orders for the next run when Paystack rejects the transfer', async () => {
+  scriptSeller({ amounts: ['10000.00'], debits: ['-500.00'] });
+  paystack.respond('initiateTransfer', () => {
+    throw paystackError(400, 'Insufficient balance');
+  });
+
+  const summary = await processDuePayouts();
+
+  assert.equal(summary.failed, 1);
+  assert.equal(summary.totalTransferred, 0);
+  assert.equal(batches[0].status, 'failed');
+  assert.equal(batches[0].failure_reason, 'Insufficient balance');
+  assert.deepEqual(orders.map(row => [row.payout_status, row.payout_batch_id]), [['scheduled', null]]);
+  assert.equal(balances[0].payout_batch_id, null);
+});
+
+test('keeps the batch and its reference when the transfer times out', async () => {
+  scriptSeller({ amounts: ['10000.00'] });
+  paystack.respond('initiateTransfer', () => {
+    throw timeoutError();
+  });
+
+  const summary = await processDuePayouts();
+
+  assert.equal(summary.unconfirmed, 1);
+  assert.equal(summary.failed, 0);
+  assert.equal(summary.totalTransferred, 0);
+  assert.equal(batches[0].status, 'processing');
+  assert.deepEqual(orders.map(row => [row.payout_status, row.payout_batch_id]), [['processing', 100]]);
+});
+
+test('settles a timed-out transfer Paystack did receive without sending it again', async () => {
+  scriptSeller({ amounts: ['10000.00'] });
+  paystack.respond('initiateTransfer', () => {
+    throw timeoutError();
+  });
+  await processDuePayouts();
+  const reference = batches[0].transfer_reference;
+
+  paystack.reset();
+  paystack.respond('verifyTransfer', () => ({ status: true, data: { status: 'success', transfer_code: 'TRF_late' } }));
+  const summary = await processDuePayouts();
+
+  assert.deepEqual(paystack.calls.verifyTransfer, [reference]);
+  assert.equal(paystack.calls.initiateTransfer.length, 0);
+  assert.equal(summary.reconciled.completed, 1);
+  assert.equal(batches.length, 1);
+  assert.equal(batches[0].status, 'completed');
+  assert.equal(orders[0].payout_status, 'completed');
+});
+
+test('resends a timed-out transfer Paystack never received under the same reference', async () => {
+  scriptSeller({ amounts: ['10000.00'] });
+  paystack.respond('initiateTransfer', () => {
+    throw paystackError(502, 'Bad gateway');
+  });
+  await processDuePayouts();
+  const reference = batches[0].transfer_reference;
+
+  paystack.reset();
+  const summary = await processDuePayouts();
+
+  assert.equal(paystack.calls.initiateTransfer.length, 1);
+  assert.equal(paystack.calls.initiateTransfer[0].reference, reference);
+  assert.equal(summary.reconciled.completed, 1);
+  assert.equal(batches.length, 1);
+  assert.equal(orders[0].payout_status, 'completed');
+});
+
+test('registers a transfer recipient for a seller without one', async () => {
+  scriptSeller({ amounts: ['10000.00'], recipientCode: null });
+
+  await processDuePayouts();
+
+  assert.deepEqual(paystack.calls.createTransferRecipient, [{ name: 'Ada Obi', accountNumber: '0123456789', bankCode: '058' }]);
+  assert.equal(paystack.calls.initiateTransfer[0].recipient, 'RCP_new');
+  assert.equal(seller.paystack_recipient_code, 'RCP_new');
+});
+
+test('marks split-settled orders paid out without a transfer', async () => {
+  scriptSeller({ split: ['10000.00'] });
+
+  const summary = await processDuePayouts();
+
+  assert.equal(summary.splitSettled, 1);
+  assert.equal(summary.sellers, 0);
+  assert.equal(paystack.calls.initiateTransfer.length, 0);
+  assert.equal(orders[0].payout_status, 'completed');
+});
+
+test('records and sends nothing on a dry run', async () => {
+  scriptSeller({ amounts: ['10000.00'], split: ['2000.00'] });
+
+  const summary = await processDuePayouts({ dryRun: true });
+
+  assert.equal(summary.splitSettled, 1);
+  assert.equal(summary.batches[0].netAmount, 10000);
+  assert.equal(paystack.calls.initiateTransfer.length, 0);
+  assert.deepEqual(batches, []);
+  assert.deepEqual(orders.map(row => row.payout_status), ['scheduled', 'scheduled']);
+});
+
+test('reopens a completed payout when the bank returns the transfer', async () => {
+  scriptSeller({ amounts: ['10000.00'], debits: ['-500.00'] });
+  await processDuePayouts();
+  const reference = batches[0].transfer_reference;
+
+  const settled = await handleTransferEvent('transfer.reversed', { reference, reason: 'Account closed' });
+
+  assert.equal(settled, true);
+  assert.equal(batches[0].status, 'reversed');
+  assert.equal(batches[0].failure_reason, 'Account closed');
+  assert.deepEqual(orders.map(row => [row.payout_status, row.payout_batch_id]), [['scheduled', null]]);
+  assert.equal(balances[0].payout_batch_id, null);
+
+  paystack.reset();
+  const summary = await processDuePayouts();
+
+  assert.equal(paystack.calls.initiateTransfer.length, 1);
+  assert.equal(paystack.calls.initiateTransfer[0].amount, 950000);
+  assert.notEqual(paystack.calls.initiateTransfer[0].reference, reference);
+  assert.equal(summary.completed, 1);
+});
+
+test('ignores a repeated reversal', async () => {
+  scriptSeller({ amounts: ['10000.00'] });
+  await processDuePayouts();
+  const reference = batches[0].transfer_reference;
+
+  await handleTransferEvent('transfer.reversed', { reference });
+  assert.equal(await handleTransferEvent('transfer.reversed', { reference }), false);
+  assert.equal(batches[0].status, 'reversed');
+});
+
+test('does not reopen a completed payout on a late transfer.failed', async () => {
+  scriptSeller({ amounts: ['10000.00'] });
+  await processDuePayouts();
+
+  const settled = await handleTransferEvent('transfer.failed', { reference: batches[0].transfer_reference });
+
+  assert.equal(settled, false);
+  assert.equal(batches[0].status, 'completed');
+  assert.equal(orders[0].payout_status, 'completed');
+});
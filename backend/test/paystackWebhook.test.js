@@ -0,0 +1,121 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_webhook';
+
+const { installFakeDb, fakeResponse } = require('./helpers/fakeDb');
+
+const db = installFakeDb();
+const paystackService = require('../src/services/paystackService');
+const { handlePaystackWebhook } = require('../src/controllers/paymentController');
+
+// Deliver an event the way Express hands it to the controller
+const deliver = async (payload, signature) => {
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  const req = {
+    headers: { 'x-paystack-signature': signature === undefined ? paystackService.computeSignature(rawBody) : signature },
+    rawBody,
+    body: JSON.parse(rawBody),
+    ip: '127.0.0.1',
+  };
+  const res = fakeResponse();
+  await handlePaystackWebhook(req, res);
+  return res;
+};
+
+const chargeSuccess = (reference) => ({
+  event: 'charge.success',
+  data: {
+    status: 'success',
+    reference,
+    amount: 1050000,
+    metadata: {
+      userId: 7,
+      totalAmount: 10500,
+      platformFee: 500,
+      deliveryDetails: { name: 'Ada', phone: '08012345678', address: 'Hall 3' },
+      orders: [{
+        sellerId: 3,
+        subtotal: 10000,
+        deliveryFee: 500,
+        orderTotal: 10500,
+        items: [{ productId: 11, productName: 'Lamp', productPrice: 5000, quantity: 2, subtotal: 10000 }],
+      }],
+    },
+  },
+});
+
+beforeEach(() => {
+  db.reset();
+  db.on(/INSERT INTO paystack_webhook_events/, () => ({ rows: [{ id: 1 }] }));
+  paystackService.setPaystackClient(null);
+});
+
+test('rejects an event with a bad signature before recording it', async () => {
+  const res = await deliver(chargeSuccess('BT-1'), 'deadbeef');
+
+  assert.equal(res.statusCode, 401);
+  assert.equal(db.queriesMatching(/paystack_webhook_events/).length, 0);
+});
+
+test('rejects an event signed with a different key', async () => {
+  const payload = chargeSuccess('BT-1');
+  const forged = require('crypto')
+    .createHmac('sha512', 'sk_test_other')
+    .update(JSON.stringify(payload))
+    .digest('hex');
+
+  const res = await deliver(payload, forged);
+
+  assert.equal(res.statusCode, 401);
+});
+
+test('creates the orders for a charge only once when Paystack retries it', async () => {
+  const orders = [];
+  db.on(/FROM orders o\s+WHERE o.paystack_reference = \$1/, (params) => ({
+    rows: orders.filter(order => order.paystack_reference === params[0]),
+  }));
+  db.on(/INSERT INTO checkouts/, () => ({ rows: [{ id: 21 }] }));
+  db.on(/INSERT INTO orders/, (params) => {
+    const order = { id: orders.length + 1, order_number: params[0], paystack_reference: params[8] };
+    orders.push(order);
+    return { rows: [order] };
+  });
+
+  const first = await deliver(chargeSuccess('BT-2'));
+  const second = await deliver(chargeSuccess('BT-2'));
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(second.statusCode, 200);
+  assert.equal(orders.length, 1);
+  assert.equal(db.queriesMatching(/INSERT INTO paystack_webhook_events/).length, 2);
+  assert.equal(db.queriesMatching(/SET processed_at = CURRENT_TIMESTAMP/).length, 2);
+});
+
+test('matches refund.processed to the cancellation by refund id, not the shared reference', async () => {
+  db.on(/UPDATE order_cancellations\s+SET refund_completed = TRUE/, (params) => ({
+    rows: params[0] === '9001' ? [{ order_id: 42 }] : [],
+  }));
+
+  const res = await deliver({
+    event: 'refund.processed',
+    data: { id: 9001, transaction_reference: 'BT-3', status: 'processed', amount: 1050000 },
+  });
+
+  assert.equal(res.statusCode, 200);
+  const [refunded] = db.queriesMatching(/SET payment_status = 'refunded'/);
+  assert.deepEqual(refunded.params, [[42]]);
+  assert.doesNotMatch(refunded.text, /paystack_reference/);
+});
+
+test('records the error and answers 500 so Paystack retries a failed event', async () => {
+  db.on(/FROM orders o\s+WHERE o.paystack_reference = \$1/, () => {
+    throw new Error('connection reset');
+  });
+
+  const res = await deliver(chargeSuccess('BT-4'));
+
+  assert.equal(res.statusCode, 500);
+  const [failed] = db.queriesMatching(/SET error = \$1/);
+  assert.deepEqual(failed.params, ['connection reset', 1]);
+});
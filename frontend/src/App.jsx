@@ -2,6 +2,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'r
 import { AuthProvider, useAuth } from './context/AuthContext';
 import { ShopContextProvider } from './context/ShopContext';
 import { CartProvider } from './context/CartContext';
+import { NotificationProvider } from './context/NotificationContext';
 import ProtectedRoute from './components/auth/ProtectedRoute';
 import Landing from './pages/Landing';
 import ComingSoon from './pages/ComingSoon';
@@ -10,9 +11,14 @@ import Login from './pages/Login';
 import Signup from './pages/Signup';
 import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import AccountSecurity from './pages/AccountSecurity';
 import BecomeSeller from './pages/BecomeSeller';
 import SellerDashboard from './pages/SellerDashboard';
 import SellerAnalytics from './pages/SellerAnalytics';
+import SellerDelivery from './pages/SellerDelivery';
+import SellerPromotions from './pages/SellerPromotions';
+import SellerInventory from './pages/SellerInventory';
 import Shop from './pages/Shop';
 import Products from './pages/Products';
 import ProductDetail from './pages/ProductDetail';
@@ -56,11 +62,13 @@ function App() {
       <AuthProvider>
         <ShopContextProvider>
           <CartProvider>
+            <NotificationProvider>
             <Routes>
           <Route path="/login" element={<Login />} />
           <Route path="/signup" element={<Signup />} />
           <Route path="/forgot-password" element={<ForgotPassword />} />
           <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
           {/* Shop pages - public */}
           <Route path="/shop/:shopSlug" element={<Shop />} />
           <Route path="/shop/:shopSlug/product/:productSlug" element={<ProductDetail />} />
@@ -84,6 +92,15 @@ function App() {
               </ProtectedRoute>
             }
           />
+          {/* Two-factor authentication settings - requires auth */}
+          <Route
+            path="/account/security"
+            element={
+              <ProtectedRoute>
+                <AccountSecurity />
+              </ProtectedRoute>
+            }
+          />
           {/* Orders - requires auth */}
           <Route
             path="/orders"
@@ -162,6 +179,30 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/seller/delivery"
+            element={
+              <ProtectedRoute>
+                <SellerDelivery />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/seller/promotions"
+            element={
+              <ProtectedRoute>
+                <SellerPromotions />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/seller/inventory"
+            element={
+              <ProtectedRoute>
+                <SellerInventory />
+              </ProtectedRoute>
+            }
+          />
           {/* Admin Routes - requires admin role */}
           <Route
             path="/admin/dashboard"
@@ -197,6 +238,7 @@ function App() {
           />
           <Route path="*" element={<SmartFallback />} />
             </Routes>
+            </NotificationProvider>
           </CartProvider>
         </ShopContextProvider>
       </AuthProvider>
@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react';
+import { analyticsService } from '../../services/api';
+
+const CHANNEL_LABELS = {
+  shop: 'Signed up from your shop',
+  marketplace: 'Found you on BuyTree',
+};
+
+// 'YYYY-MM' -> 'Jan 2025'
+const formatMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(year, monthNumber - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+};
+
+// Darker green for higher retention
+const retentionCellColor = (rate) => {
+  if (rate === null) return 'text-gray-300';
+  if (rate >= 50) return 'bg-green-600 text-white';
+  if (rate >= 25) return 'bg-green-400 text-white';
+  if (rate >= 10) return 'bg-green-200 text-green-900';
+  if (rate > 0) return 'bg-green-50 text-green-900';
+  return 'text-gray-400';
+};
+
+export default function SellerCustomers() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [months, setMonths] = useState('6');
+
+  useEffect(() => {
+    fetchCustomers();
+  }, [months]);
+
+  const fetchCustomers = async () => {
+    try {
+      setLoading(true);
+      const response = await analyticsService.getSellerCustomerAnalytics(months);
+      setData(response.data);
+      setError('');
+    } catch (err) {
+      setError('Failed to load customer analytics');
+      console.error('Customer analytics error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatPrice = (amount) => {
+    return new Intl.NumberFormat('en-NG', {
+      style: 'currency',
+      currency: 'NGN',
+    }).format(amount);
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-12">
+        <div className="loading-spinner-md"></div>
+        <p className="loading-text">Loading customers...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-12">
+        <p className="error-text">{error}</p>
+        <button onClick={fetchCustomers} className="btn-primary mt-4">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  const { cohorts = [], lifetimeValue } = data || {};
+  const overall = lifetimeValue?.overall;
+  const maxOffset = Math.max(0, ...cohorts.map((cohort) => cohort.retention.length - 1));
+
+  return (
+    <div className="space-y-6">
+      {/* Lifetime Value */}
+      <div className="grid-4">
+        <div className="stat-card-green">
+          <p className="stat-label">Avg. Lifetime Value</p>
+          <p className="stat-value-lg">{formatPrice(overall?.averageLifetimeValue || 0)}</p>
+          <p className="stat-description">Your earnings per customer</p>
+        </div>
+        <div className="stat-card-blue">
+          <p className="stat-label">Customers</p>
+          <p className="stat-value-lg">{(overall?.customers || 0).toLocaleString()}</p>
+        </div>
+        <div className="stat-card-purple">
+          <p className="stat-label">Repeat Customers</p>
+          <p className="stat-value-lg">{overall?.repeatRate ?? 0}%</p>
+          <p className="stat-description">{overall?.repeatCustomers || 0} ordered more than once</p>
+        </div>
+        <div className="stat-card-yellow">
+          <p className="stat-label">Orders per Customer</p>
+          <p className="stat-value-lg">{overall?.ordersPerCustomer || 0}</p>
+        </div>
+      </div>
+
+      {/* By Channel */}
+      <div className="card">
+        <h2 className="section-header-mb-4">Customers by How They Joined</h2>
+        <div className="grid-2">
+          {(lifetimeValue?.byChannel || []).map((channel) => (
+            <div key={channel.channel} className="border border-gray-200 rounded-lg p-4">
+              <p className="font-medium text-gray-900 mb-3">{CHANNEL_LABELS[channel.channel]}</p>
+              <div className="grid-3">
+                <div>
+                  <p className="stat-label-sm">Customers</p>
+                  <p className="stat-value-md">{channel.customers.toLocaleString()}</p>
+                </div>
+                <div>
+                  <p className="stat-label-sm">Avg. Value</p>
+                  <p className="stat-value-md">{formatPrice(channel.averageLifetimeValue)}</p>
+                </div>
+                <div>
+                  <p className="stat-label-sm">Repeat Rate</p>
+                  <p className="stat-value-md">{channel.repeatRate ?? 0}%</p>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Cohort Retention */}
+      <div className="card">
+        <div className="flex-between mb-4">
+          <div>
+            <h2 className="section-header">Repeat Buyers by First Purchase Month</h2>
+            <p className="text-sm text-gray-500">
+              Share of each month&apos;s new customers who ordered again 1, 2, 3... months later
+            </p>
+          </div>
+          <select
+            value={months}
+            onChange={(e) => setMonths(e.target.value)}
+            className="form-select-sm"
+          >
+            <option value="3">Last 3 Months</option>
+            <option value="6">Last 6 Months</option>
+            <option value="12">Last 12 Months</option>
+          </select>
+        </div>
+
+        {cohorts.some((cohort) => cohort.buyers > 0) ? (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr className="table-header-row-alt">
+                  <th className="table-header-cell-alt">First Purchase</th>
+                  <th className="table-header-cell-alt">New Customers</th>
+                  {Array.from({ length: maxOffset }, (_, index) => (
+                    <th key={index} className="table-header-cell-alt">Month {index + 1}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="table-body-alt">
+                {cohorts.map((cohort) => (
+                  <tr key={cohort.month} className="table-row">
+                    <td className="table-cell-compact-bold">{formatMonth(cohort.month)}</td>
+                    <td className="table-cell-compact">{cohort.buyers}</td>
+                    {Array.from({ length: maxOffset }, (_, index) => {
+                      const cell = cohort.retention[index + 1];
+                      return (
+                        <td
+                          key={index}
+                          className={`table-cell-compact text-center ${cell ? retentionCellColor(cell.rate) : ''}`}
+                          title={cell ? `${cell.buyers} customers` : ''}
+                        >
+                          {cell ? (cell.rate === null ? '-' : `${cell.rate}%`) : ''}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="empty-state">No customers in this period yet</div>
+        )}
+      </div>
+
+      {/* Top Customers */}
+      <div className="card">
+        <h2 className="section-header-mb-4">Top Customers</h2>
+        {lifetimeValue?.topCustomers?.length > 0 ? (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr className="table-header-row-alt">
+                  <th className="table-header-cell-alt">Customer</th>
+                  <th className="table-header-cell-alt">Orders</th>
+                  <th className="table-header-cell-alt">Lifetime Value</th>
+                  <th className="table-header-cell-alt">Customer Since</th>
+                  <th className="table-header-cell-alt">Last Order</th>
+                </tr>
+              </thead>
+              <tbody className="table-body-alt">
+                {lifetimeValue.topCustomers.map((customer, index) => (
+                  <tr key={index} className="table-row">
+                    <td className="table-cell-compact-bold">
+                      {customer.name}
+                      {customer.joinedViaShop && (
+                        <span className="badge bg-green-100 text-green-800 ml-2">Joined via your shop</span>
+                      )}
+                    </td>
+                    <td className="table-cell-compact">{customer.orders}</td>
+                    <td className="table-cell-compact">{formatPrice(customer.revenue)}</td>
+                    <td className="table-cell-compact-muted">
+                      {new Date(customer.firstOrderAt).toLocaleDateString()}
+                    </td>
+                    <td className="table-cell-compact-muted">
+                      {new Date(customer.lastOrderAt).toLocaleDateString()}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="empty-state">No customers yet</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react';
+import { analyticsService } from '../../services/api';
+
+// Local date as YYYY-MM-DD, `daysAgo` days before today
+const dateDaysAgo = (daysAgo) => {
+  const date = new Date();
+  date.setDate(date.getDate() - daysAgo);
+  return date.toLocaleDateString('en-CA');
+};
+
+const STAGE_COLORS = {
+  visits: 'bg-indigo-500',
+  views: 'bg-blue-500',
+  add_to_cart: 'bg-purple-500',
+  checkouts_started: 'bg-yellow-500',
+  purchases: 'bg-green-500',
+};
+
+const formatRate = (rate) => (rate === null || rate === undefined ? '-' : `${rate}%`);
+
+export default function SellerFunnel() {
+  const [funnel, setFunnel] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [from, setFrom] = useState(dateDaysAgo(29));
+  const [to, setTo] = useState(dateDaysAgo(0));
+  const [productId, setProductId] = useState('');
+
+  useEffect(() => {
+    fetchFunnel();
+  }, [from, to, productId]);
+
+  const fetchFunnel = async () => {
+    if (!from || !to) return;
+
+    try {
+      setLoading(true);
+      const params = { from, to, compare: 'previous_period' };
+      if (productId) params.productId = productId;
+      const response = await analyticsService.getSellerFunnel(params);
+      setFunnel(response.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load funnel');
+      console.error('Funnel error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatPrice = (amount) => {
+    return new Intl.NumberFormat('en-NG', {
+      style: 'currency',
+      currency: 'NGN',
+    }).format(amount);
+  };
+
+  const maxCount = Math.max(1, ...(funnel?.stages || []).map((stage) => stage.count));
+
+  return (
+    <div className="space-y-6">
+      {/* Conversion Funnel */}
+      <div className="card">
+        <div className="flex-between flex-wrap gap-3 mb-4">
+          <div>
+            <h2 className="section-header">
+              {funnel?.product ? `Funnel: ${funnel.product.name}` : 'Conversion Funnel'}
+            </h2>
+            {funnel?.product && (
+              <button onClick={() => setProductId('')} className="link-primary text-sm">
+                ← Whole shop
+              </button>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="date"
+              value={from}
+              max={to}
+              onChange={(e) => setFrom(e.target.value)}
+              className="form-select-sm"
+            />
+            <span className="text-muted">to</span>
+            <input
+              type="date"
+              value={to}
+              min={from}
+              max={dateDaysAgo(0)}
+              onChange={(e) => setTo(e.target.value)}
+              className="form-select-sm"
+            />
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="loading-spinner-md"></div>
+            <p className="loading-text">Loading funnel...</p>
+          </div>
+        ) : error ? (
+          <div className="text-center py-12">
+            <p className="error-text">{error}</p>
+            <button onClick={fetchFunnel} className="btn-primary mt-4">
+              Retry
+            </button>
+          </div>
+        ) : funnel ? (
+          <div className="space-y-4">
+            {funnel.stages.map((stage, index) => (
+              <div key={stage.key}>
+                <div className="flex-between text-sm mb-1">
+                  <span className="font-medium text-gray-900">{stage.label}</span>
+                  <span className="text-gray-600">
+                    {stage.count.toLocaleString()}
+                    {index > 0 && (
+                      <span className="ml-2 text-gray-400">
+                        {formatRate(stage.rateFromPrevious)} of previous step
+                      </span>
+                    )}
+                    {stage.changePercentage != null && (
+                      <span className={`ml-2 ${stage.changePercentage >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {stage.changePercentage > 0 ? '+' : ''}{stage.changePercentage}%
+                      </span>
+                    )}
+                  </span>
+                </div>
+                <div className="w-full bg-gray-100 rounded h-6">
+                  <div
+                    className={`${STAGE_COLORS[stage.key]} h-6 rounded`}
+                    style={{ width: `${Math.max((stage.count / maxCount) * 100, stage.count > 0 ? 1 : 0)}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+
+            <div className="grid-3 pt-4 border-t border-gray-200">
+              <div className="text-center">
+                <p className="stat-label-sm">Overall Conversion</p>
+                <p className="stat-value-md">
+                  {formatRate(funnel.stages[funnel.stages.length - 1].rateFromStart)}
+                </p>
+              </div>
+              <div className="text-center">
+                <p className="stat-label-sm">Purchases</p>
+                <p className="stat-value-md">
+                  {funnel.stages[funnel.stages.length - 1].count.toLocaleString()}
+                </p>
+              </div>
+              <div className="text-center">
+                <p className="stat-label-sm">Revenue</p>
+                <p className="stat-value-md">{formatPrice(funnel.revenue)}</p>
+              </div>
+            </div>
+            <p className="text-xs text-gray-500">
+              Changes compare with the {funnel.range.days} days before {funnel.range.from}.
+              Each step is counted once per browsing session. Steps are counted separately, so a step can be
+              higher than the one before it (for example, buyers adding to cart from a shared product link).
+            </p>
+          </div>
+        ) : null}
+      </div>
+
+      {/* Funnel by Product */}
+      {!funnel?.product && (
+        <div className="card">
+          <h2 className="section-header-mb-4">By Product</h2>
+          {funnel?.products?.length > 0 ? (
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr className="table-header-row-alt">
+                    <th className="table-header-cell-alt">Product</th>
+                    <th className="table-header-cell-alt">Views</th>
+                    <th className="table-header-cell-alt">Add to Cart</th>
+                    <th className="table-header-cell-alt">Checkouts</th>
+                    <th className="table-header-cell-alt">Paid</th>
+                    <th className="table-header-cell-alt">Conversion</th>
+                    <th className="table-header-cell-alt">Revenue</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body-alt">
+                  {funnel.products.map((product) => (
+                    <tr
+                      key={product.id}
+                      onClick={() => setProductId(String(product.id))}
+                      className="table-row cursor-pointer"
+                    >
+                      <td className="table-cell-compact-bold">{product.name}</td>
+                      <td className="table-cell-compact">{product.views.toLocaleString()}</td>
+                      <td className="table-cell-compact">
+                        {product.add_to_cart.toLocaleString()}
+                        <span className="ml-1 text-gray-400">({formatRate(product.addToCartRate)})</span>
+                      </td>
+                      <td className="table-cell-compact">{product.checkouts_started.toLocaleString()}</td>
+                      <td className="table-cell-compact">{product.purchases.toLocaleString()}</td>
+                      <td className="table-cell-compact">{formatRate(product.conversionRate)}</td>
+                      <td className="table-cell-compact">{formatPrice(product.revenue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="empty-state">No product activity in this period</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
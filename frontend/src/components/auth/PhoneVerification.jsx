@@ -0,0 +1,169 @@
+import { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { authService } from '../../services/api';
+import { formatPhoneNumber } from '../../utils/whatsapp';
+
+/**
+ * Verify the account's phone number (or switch to a new one) with a texted
+ * code. A verified number can be used to sign in without the password.
+ */
+export default function PhoneVerification() {
+  const { user, refreshUser } = useAuth();
+
+  const [editing, setEditing] = useState(false);
+  const [phone, setPhone] = useState(user?.phone || '');
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [sentTo, setSentTo] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  if (!user) return null;
+
+  const reset = () => {
+    setEditing(false);
+    setSentTo(null);
+    setPassword('');
+    setCode('');
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setResult(null);
+    try {
+      const response = await authService.sendPhoneVerification(phone, password);
+      setSentTo(response.data.phone);
+      setResult({ ok: true, message: response.message });
+    } catch (error) {
+      setResult({ ok: false, message: error.response?.data?.message || 'Failed to send verification code' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setResult(null);
+    try {
+      const response = await authService.verifyPhone(code);
+      reset();
+      setResult({ ok: true, message: response.message });
+      refreshUser().catch(() => {});
+    } catch (error) {
+      setCode('');
+      setResult({ ok: false, message: error.response?.data?.message || 'Failed to verify phone number' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold text-gray-900">Phone number</h2>
+        <span
+          className={`px-3 py-1 rounded-full text-xs font-medium ${
+            user.phoneVerified ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+          }`}
+        >
+          {user.phoneVerified ? 'Verified' : 'Not verified'}
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-600 mt-2">
+        {user.phone ? formatPhoneNumber(user.phone) : 'No phone number on your account.'}
+        {user.phoneVerified
+          ? ' You can sign in with a code texted to this number.'
+          : ' Verify your number to sign in with a texted code instead of your password.'}
+      </p>
+
+      {result && (
+        <p className={`mt-3 text-sm ${result.ok ? 'text-green-700' : 'text-red-700'}`}>{result.message}</p>
+      )}
+
+      {sentTo ? (
+        <form onSubmit={handleVerify} className="mt-4 space-y-3">
+          <p className="text-sm text-gray-600">Enter the 6-digit code we texted to {formatPhoneNumber(sentTo)}.</p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+            className="form-input w-full tracking-widest"
+            placeholder="6-digit code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium disabled:opacity-50"
+            >
+              {submitting ? 'Checking...' : 'Verify'}
+            </button>
+            <button
+              type="button"
+              onClick={reset}
+              className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : editing || !user.phoneVerified ? (
+        <form onSubmit={handleSend} className="mt-4 space-y-3">
+          <input
+            type="tel"
+            autoComplete="tel"
+            required
+            className="form-input w-full"
+            placeholder="Phone number, e.g. 0801 234 5678"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+          />
+          <input
+            type="password"
+            autoComplete="current-password"
+            required
+            className="form-input w-full"
+            placeholder="Current password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium disabled:opacity-50"
+            >
+              {submitting ? 'Sending...' : 'Text me a code'}
+            </button>
+            {editing && (
+              <button
+                type="button"
+                onClick={reset}
+                className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => {
+            setEditing(true);
+            setPhone('');
+            setResult(null);
+          }}
+          className="mt-4 text-sm font-medium text-green-700 hover:text-green-800"
+        >
+          Use a different number
+        </button>
+      )}
+    </div>
+  );
+}
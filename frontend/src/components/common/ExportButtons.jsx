@@ -0,0 +1,44 @@
+import { useState } from 'react';
+import { saveFile } from '../../utils/download';
+
+/**
+ * CSV and Excel download buttons for an export endpoint
+ * @param {function(string): Promise<Blob>} download - Called with 'csv' or 'xlsx'
+ * @param {string} filename - Without the extension
+ * @param {boolean} [disabled]
+ */
+export default function ExportButtons({ download, filename, disabled = false }) {
+  const [exporting, setExporting] = useState('');
+
+  const handleExport = async (format) => {
+    try {
+      setExporting(format);
+      const file = await download(format);
+      saveFile(file, `${filename}.${format}`);
+    } catch (err) {
+      console.error('Export error:', err);
+      alert('Failed to export. Please try again.');
+    } finally {
+      setExporting('');
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <button
+        onClick={() => handleExport('csv')}
+        disabled={disabled || exporting !== ''}
+        className="btn-secondary"
+      >
+        {exporting === 'csv' ? 'Exporting...' : 'Export CSV'}
+      </button>
+      <button
+        onClick={() => handleExport('xlsx')}
+        disabled={disabled || exporting !== ''}
+        className="btn-secondary"
+      >
+        {exporting === 'xlsx' ? 'Exporting...' : 'Export Excel'}
+      </button>
+    </div>
+  );
+}
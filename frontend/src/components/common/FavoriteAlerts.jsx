@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { notificationService } from '../../services/api';
+
+const ALERT_TYPES = ['back_in_stock', 'price_drop'];
+
+const ALERT_OPTIONS = [
+  { label: 'Back in stock', email: 'email_back_in_stock', app: 'app_back_in_stock' },
+  { label: 'Price drops', email: 'email_price_drop', app: 'app_price_drop' },
+];
+
+// Recent back-in-stock and price-drop alerts, and the switches for them
+export default function FavoriteAlerts() {
+  const [alerts, setAlerts] = useState([]);
+  const [preferences, setPreferences] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, []);
+
+  const fetchAlerts = async () => {
+    try {
+      const [notificationsResponse, preferencesResponse] = await Promise.all([
+        notificationService.getNotifications({ limit: 20 }),
+        notificationService.getPreferences(),
+      ]);
+      setAlerts(
+        notificationsResponse.data.notifications
+          .filter(notification => ALERT_TYPES.includes(notification.type))
+          .slice(0, 5)
+      );
+      setPreferences(preferencesResponse.data);
+    } catch (err) {
+      console.error('Favorite alerts error:', err);
+    }
+  };
+
+  const handleToggle = async (key) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, [key]: !preferences[key] });
+    setSaving(true);
+    try {
+      const response = await notificationService.updatePreferences({ [key]: !previous[key] });
+      setPreferences(response.data);
+    } catch (err) {
+      console.error('Update notification preferences error:', err);
+      setPreferences(previous);
+      alert('Failed to update alert settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-NG', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (!preferences) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Alerts</h2>
+          <p className="text-sm text-gray-500">
+            We'll tell you when a favorite is back in stock or drops in price
+          </p>
+        </div>
+        <button
+          onClick={() => setShowSettings(!showSettings)}
+          className="text-sm font-medium text-green-600 hover:text-green-700"
+        >
+          {showSettings ? 'Done' : 'Settings'}
+        </button>
+      </div>
+
+      {showSettings && (
+        <div className="mt-4 border-t pt-4 space-y-3">
+          {ALERT_OPTIONS.map(option => (
+            <div key={option.label} className="flex items-center justify-between">
+              <span className="text-sm text-gray-700">{option.label}</span>
+              <div className="flex items-center space-x-4">
+                <label className="flex items-center space-x-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={preferences[option.email]}
+                    onChange={() => handleToggle(option.email)}
+                    disabled={saving}
+                    className="rounded text-green-600 focus:ring-green-500"
+                  />
+                  <span>Email</span>
+                </label>
+                <label className="flex items-center space-x-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={preferences[option.app]}
+                    onChange={() => handleToggle(option.app)}
+                    disabled={saving}
+                    className="rounded text-green-600 focus:ring-green-500"
+                  />
+                  <span>In app</span>
+                </label>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {alerts.length > 0 && (
+        <ul className="mt-4 border-t pt-4 divide-y">
+          {alerts.map(notification => (
+            <li key={notification.id} className="py-2 flex items-start justify-between">
+              <div>
+                <Link
+                  to={notification.link || '/favorites'}
+                  className="text-sm font-medium text-gray-900 hover:text-green-600"
+                >
+                  {notification.title}
+                </Link>
+                {notification.body && (
+                  <p className="text-sm text-gray-500">{notification.body}</p>
+                )}
+              </div>
+              <span className="text-xs text-gray-400 whitespace-nowrap ml-4">
+                {formatDate(notification.created_at)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
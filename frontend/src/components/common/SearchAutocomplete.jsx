@@ -0,0 +1,251 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { productService } from '../../services/api';
+
+const DEBOUNCE_MS = 200;
+const MIN_QUERY_LENGTH = 2;
+
+// Suggestions already fetched this session, so backspacing doesn't refetch
+const suggestionCache = new Map();
+const MAX_CACHED = 50;
+
+const formatPrice = (price) => {
+  return new Intl.NumberFormat('en-NG', {
+    style: 'currency',
+    currency: 'NGN',
+    maximumFractionDigits: 0,
+  }).format(price);
+};
+
+/**
+ * Search input with a dropdown of suggestions as you type
+ *
+ * Shows popular searches, matching products, categories and (outside a shop)
+ * shops. Submitting or picking a search/product calls onSearch; picking a
+ * category calls onSelectCategory if given, otherwise searches for it.
+ * Anything passed as children is rendered inside the input wrapper (icons,
+ * submit buttons).
+ */
+export default function SearchAutocomplete({
+  value,
+  onChange,
+  onSearch,
+  onSelectCategory,
+  shopSlug = null,
+  placeholder = 'Search products...',
+  className = '',
+  inputClassName = '',
+  children,
+}) {
+  const navigate = useNavigate();
+  const [suggestions, setSuggestions] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const latestRequest = useRef(0);
+
+  const query = value.trim().toLowerCase();
+
+  useEffect(() => {
+    if (!open || query.length < MIN_QUERY_LENGTH) {
+      setSuggestions(null);
+      return;
+    }
+
+    const requestId = ++latestRequest.current;
+    const cacheKey = `${shopSlug || ''}:${query}`;
+    if (suggestionCache.has(cacheKey)) {
+      setSuggestions(suggestionCache.get(cacheKey));
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await productService.suggest(query, shopSlug);
+
+        if (suggestionCache.size >= MAX_CACHED) {
+          suggestionCache.delete(suggestionCache.keys().next().value);
+        }
+        suggestionCache.set(cacheKey, response.data);
+
+        // Ignore answers to queries the user has already typed past
+        if (requestId === latestRequest.current) {
+          setSuggestions(response.data);
+          setActiveIndex(-1);
+        }
+      } catch (error) {
+        console.error('Search suggest error:', error);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [query, shopSlug, open]);
+
+  // One list in display order so the arrow keys can walk through it
+  const items = suggestions
+    ? [
+        ...suggestions.searches.map((search) => ({ type: 'search', key: `s-${search}`, search })),
+        ...suggestions.products.map((product) => ({ type: 'product', key: `p-${product.id}`, product })),
+        ...suggestions.categories.map((category) => ({ type: 'category', key: `c-${category.value}`, category })),
+        ...suggestions.shops.map((shop) => ({ type: 'shop', key: `h-${shop.sellerId}`, shop })),
+      ]
+    : [];
+
+  const close = () => {
+    setOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const runSearch = (text) => {
+    onChange(text);
+    close();
+    onSearch(text);
+  };
+
+  const selectItem = (item) => {
+    switch (item.type) {
+      case 'search':
+        runSearch(item.search);
+        break;
+      case 'product':
+        runSearch(item.product.name);
+        break;
+      case 'category':
+        close();
+        if (onSelectCategory) {
+          onChange('');
+          onSelectCategory(item.category.value);
+        } else {
+          runSearch(item.category.value);
+        }
+        break;
+      case 'shop':
+        close();
+        navigate(`/shop/${item.shop.shopSlug}`);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (activeIndex >= 0 && items[activeIndex]) {
+      selectItem(items[activeIndex]);
+      return;
+    }
+    close();
+    onSearch(value.trim());
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || items.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex((index) => (index + 1) % items.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex((index) => (index <= 0 ? items.length - 1 : index - 1));
+    } else if (e.key === 'Escape') {
+      close();
+    }
+  };
+
+  const sectionTitle = (type) => {
+    const titles = { search: 'Popular searches', product: 'Products', category: 'Categories', shop: 'Shops' };
+    return titles[type];
+  };
+
+  const renderItem = (item) => {
+    switch (item.type) {
+      case 'search':
+        return (
+          <span className="flex items-center gap-2 text-gray-700">
+            <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
+            </svg>
+            {item.search}
+          </span>
+        );
+      case 'product':
+        return (
+          <span className="flex items-center gap-3">
+            {item.product.imageUrl ? (
+              <img src={item.product.imageUrl} alt="" className="w-8 h-8 rounded object-cover" />
+            ) : (
+              <span className="w-8 h-8 rounded bg-gray-100" />
+            )}
+            <span className="flex-1 text-gray-900 truncate">{item.product.name}</span>
+            <span className="text-sm text-green-600 font-medium">{formatPrice(item.product.price)}</span>
+          </span>
+        );
+      case 'category':
+        return (
+          <span className="flex items-center justify-between text-gray-700">
+            <span>in <span className="font-medium">{item.category.value}</span></span>
+            <span className="text-xs text-gray-500">{item.category.count}</span>
+          </span>
+        );
+      case 'shop':
+        return (
+          <span className="flex items-center gap-2 text-gray-700">
+            <span className="font-medium">{item.shop.shopName}</span>
+            {item.shop.isVerified && <span className="text-xs text-blue-600">Verified</span>}
+          </span>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className={`relative ${className}`}>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={close}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        className={inputClassName}
+        autoComplete="off"
+        role="combobox"
+        aria-expanded={open && items.length > 0}
+      />
+      {children}
+
+      {open && items.length > 0 && (
+        <ul
+          role="listbox"
+          className="absolute left-0 right-0 mt-2 bg-white border border-gray-200 rounded-lg shadow-lg z-50 max-h-96 overflow-y-auto py-1 text-left"
+        >
+          {items.map((item, index) => (
+            <li key={item.key}>
+              {(index === 0 || items[index - 1].type !== item.type) && (
+                <div className="px-4 pt-2 pb-1 text-xs font-semibold text-gray-400 uppercase">
+                  {sectionTitle(item.type)}
+                </div>
+              )}
+              <button
+                type="button"
+                role="option"
+                aria-selected={index === activeIndex}
+                // Keep focus in the input so onBlur doesn't close the list before the click lands
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => selectItem(item)}
+                onMouseEnter={() => setActiveIndex(index)}
+                className={`w-full px-4 py-2 text-sm text-left ${index === activeIndex ? 'bg-green-50' : ''}`}
+              >
+                {renderItem(item)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+}
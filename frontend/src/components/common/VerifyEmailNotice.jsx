@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { authService } from '../../services/api';
+
+/**
+ * Reminder for users who haven't verified their email, with a resend button
+ * Renders nothing once the email is verified.
+ *
+ * @param {string} action - What verifying unlocks, e.g. "place orders"
+ */
+export default function VerifyEmailNotice({ action }) {
+  const { user, refreshUser } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [result, setResult] = useState(null);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    setResult(null);
+    try {
+      const response = await authService.resendVerification();
+      setResult({ ok: true, message: response.message });
+    } catch (error) {
+      // Verified in another tab since this page loaded
+      if (error.response?.status === 400) {
+        refreshUser().catch(() => {});
+      }
+      setResult({ ok: false, message: error.response?.data?.message || 'Failed to send verification email' });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 rounded-md bg-yellow-50 border border-yellow-200 p-4">
+      <p className="text-sm text-yellow-800">
+        Please verify your email address ({user.email}) to {action}. Check your inbox for the link we sent.
+      </p>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={sending}
+        className="mt-2 text-sm font-medium text-green-700 hover:text-green-800 disabled:opacity-50"
+      >
+        {sending ? 'Sending...' : 'Resend verification email'}
+      </button>
+      {result && (
+        <p className={`mt-2 text-sm ${result.ok ? 'text-green-700' : 'text-red-700'}`}>{result.message}</p>
+      )}
+    </div>
+  );
+}
@@ -177,6 +177,9 @@ const OrderDetailModal = ({
                       <tr key={idx}>
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                           {item.product_name}
+                          {item.variant_label && (
+                            <span className="block text-xs font-normal text-gray-500">{item.variant_label}</span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                           {formatCurrency(item.price)}
@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react';
+import { sellerService } from '../../services/api';
+import { saveFile } from '../../utils/download';
+
+const ENTRY_TYPES = [
+  { value: '', label: 'All Entries' },
+  { value: 'sale', label: 'Sales' },
+  { value: 'platform_fee', label: 'Platform Fees' },
+  { value: 'refund', label: 'Refunds' },
+  { value: 'dispute_adjustment', label: 'Dispute Adjustments' },
+  { value: 'payout', label: 'Payouts' },
+];
+
+const ENTRY_TYPE_BADGES = {
+  sale: 'bg-green-100 text-green-800',
+  platform_fee: 'bg-gray-100 text-gray-800',
+  refund: 'bg-red-100 text-red-800',
+  dispute_adjustment: 'bg-yellow-100 text-yellow-800',
+  payout: 'bg-blue-100 text-blue-800',
+};
+
+// Current month as YYYY-MM
+const currentMonth = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+export default function SellerPayouts() {
+  const [ledger, setLedger] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [page, setPage] = useState(1);
+  const [entryType, setEntryType] = useState('');
+  const [statementMonth, setStatementMonth] = useState(currentMonth());
+  const [downloading, setDownloading] = useState('');
+
+  useEffect(() => {
+    fetchLedger();
+  }, [page, entryType]);
+
+  const fetchLedger = async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 20 };
+      if (entryType) params.type = entryType;
+      const response = await sellerService.getLedger(params);
+      setLedger(response.data);
+      setError('');
+    } catch (err) {
+      setError('Failed to load payouts');
+      console.error('Ledger error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownload = async (format) => {
+    try {
+      setDownloading(format);
+      const file = await sellerService.downloadStatement(statementMonth, format);
+      saveFile(file, `buytree-statement-${statementMonth}.${format}`);
+    } catch (err) {
+      console.error('Statement download error:', err);
+      alert('Failed to download statement');
+    } finally {
+      setDownloading('');
+    }
+  };
+
+  const formatPrice = (amount) => {
+    return new Intl.NumberFormat('en-NG', {
+      style: 'currency',
+      currency: 'NGN',
+    }).format(amount);
+  };
+
+  const summary = ledger?.summary;
+  const pagination = ledger?.pagination;
+
+  return (
+    <div className="space-y-6">
+      {/* Balance Summary */}
+      <div className="grid-4">
+        <div className="stat-card-green">
+          <p className="stat-label">Available Balance</p>
+          <p className="stat-value-lg">{formatPrice(parseFloat(summary?.balance) || 0)}</p>
+          <p className="stat-description">Paid out T+1 after delivery</p>
+        </div>
+        <div className="stat-card-blue">
+          <p className="stat-label">Total Paid Out</p>
+          <p className="stat-value-lg">{formatPrice(parseFloat(summary?.total_paid_out) || 0)}</p>
+        </div>
+        <div className="stat-card-indigo">
+          <p className="stat-label">Total Credits</p>
+          <p className="stat-value-lg">{formatPrice(parseFloat(summary?.total_credits) || 0)}</p>
+        </div>
+        <div className="stat-card-red">
+          <p className="stat-label">Total Debits</p>
+          <p className="stat-value-lg">{formatPrice(parseFloat(summary?.total_debits) || 0)}</p>
+        </div>
+      </div>
+
+      {/* Monthly Statement */}
+      <div className="card">
+        <h2 className="section-header-mb-4">Monthly Statement</h2>
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="month"
+            value={statementMonth}
+            max={currentMonth()}
+            onChange={(e) => setStatementMonth(e.target.value)}
+            className="form-select-sm"
+          />
+          <button
+            onClick={() => handleDownload('csv')}
+            disabled={!statementMonth || downloading !== ''}
+            className="btn-secondary"
+          >
+            {downloading === 'csv' ? 'Downloading...' : 'Download CSV'}
+          </button>
+          <button
+            onClick={() => handleDownload('pdf')}
+            disabled={!statementMonth || downloading !== ''}
+            className="btn-primary"
+          >
+            {downloading === 'pdf' ? 'Downloading...' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+
+      {/* Ledger */}
+      <div className="card">
+        <div className="flex-between mb-4">
+          <h2 className="section-header">Ledger</h2>
+          <select
+            value={entryType}
+            onChange={(e) => {
+              setEntryType(e.target.value);
+              setPage(1);
+            }}
+            className="form-select-sm"
+          >
+            {ENTRY_TYPES.map((type) => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="loading-spinner-md"></div>
+            <p className="loading-text">Loading ledger...</p>
+          </div>
+        ) : error ? (
+          <div className="text-center py-12">
+            <p className="error-text">{error}</p>
+            <button onClick={fetchLedger} className="btn-primary mt-4">
+              Retry
+            </button>
+          </div>
+        ) : ledger?.entries?.length > 0 ? (
+          <>
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr className="table-header-row-alt">
+                    <th className="table-header-cell-alt">Date</th>
+                    <th className="table-header-cell-alt">Type</th>
+                    <th className="table-header-cell-alt">Description</th>
+                    <th className="table-header-cell-alt">Credit</th>
+                    <th className="table-header-cell-alt">Debit</th>
+                    <th className="table-header-cell-alt">Balance</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body-alt">
+                  {ledger.entries.map((entry, index) => (
+                    <tr key={`${entry.entry_type}-${entry.order_id || entry.payout_batch_id}-${index}`} className="table-row">
+                      <td className="table-cell-compact-muted">
+                        {new Date(entry.occurred_at).toLocaleDateString()}
+                      </td>
+                      <td className="table-cell-compact">
+                        <span className={`badge ${ENTRY_TYPE_BADGES[entry.entry_type] || 'bg-gray-100 text-gray-800'}`}>
+                          {ENTRY_TYPES.find((type) => type.value === entry.entry_type)?.label || entry.entry_type}
+                        </span>
+                      </td>
+                      <td className="table-cell-compact">{entry.description}</td>
+                      <td className="table-cell-compact text-green-600">
+                        {parseFloat(entry.credit) > 0 ? formatPrice(parseFloat(entry.credit)) : '-'}
+                      </td>
+                      <td className="table-cell-compact text-red-600">
+                        {parseFloat(entry.debit) > 0 ? formatPrice(parseFloat(entry.debit)) : '-'}
+                      </td>
+                      <td className="table-cell-compact-bold">
+                        {formatPrice(parseFloat(entry.balance))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {pagination?.totalPages > 1 && (
+              <div className="flex-between mt-4">
+                <button
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1}
+                  className="btn-secondary"
+                >
+                  Previous
+                </button>
+                <p className="text-muted">
+                  Page {pagination.page} of {pagination.totalPages}
+                </p>
+                <button
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= pagination.totalPages}
+                  className="btn-secondary"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </>
+        ) : (
+          <div className="empty-state">No ledger entries yet</div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import { productService } from '../../services/api';
+
+const ACTION_LABELS = {
+  create: 'New',
+  update: 'Update',
+  update_variant: 'Update variant',
+  unchanged: 'No change',
+};
+
+const FIELD_LABELS = {
+  name: 'name',
+  slug: 'slug',
+  sku: 'SKU',
+  description: 'description',
+  price: 'price',
+  quantity: 'stock',
+  category: 'category',
+  imageUrls: 'images',
+  active: 'active',
+};
+
+const describeChanges = (changes) => {
+  return Object.entries(changes)
+    .map(([field, value]) => {
+      if (field === 'imageUrls') return `${value.length} image${value.length === 1 ? '' : 's'}`;
+      if (field === 'active') return value ? 'active' : 'inactive';
+      if (field === 'description') return 'description';
+      return `${FIELD_LABELS[field] || field}: ${value}`;
+    })
+    .join(', ');
+};
+
+/**
+ * Bulk create/update products from a CSV file: preview first, then import
+ * @param {string[]} categories - The seller's shop categories
+ * @param {function} onImported - Called after a successful import
+ * @param {function} onClose
+ */
+export default function ProductImport({ categories = [], onImported, onClose }) {
+  const [file, setFile] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState('');
+  const [error, setError] = useState('');
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+
+    setFile(selected);
+    setPlan(null);
+    setError('');
+
+    try {
+      setLoading('preview');
+      const response = await productService.previewImport(selected);
+      setPlan(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to read the file');
+    } finally {
+      setLoading('');
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setLoading('import');
+      setError('');
+      const response = await productService.importProducts(file);
+      onImported(response.message);
+    } catch (err) {
+      // Row errors come back with the plan, e.g. an image that couldn't be copied
+      if (err.response?.data?.data) setPlan(err.response.data.data);
+      setError(err.response?.data?.message || 'Failed to import products');
+    } finally {
+      setLoading('');
+    }
+  };
+
+  const rowsToImport = plan ? plan.summary.create + plan.summary.update : 0;
+
+  return (
+    <div className="card mb-6">
+      <div className="flex-between mb-4">
+        <h3 className="text-lg font-semibold">Import Products from CSV</h3>
+        <button onClick={onClose} className="link-primary text-sm">
+          Close
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-2">
+        Columns: name, price, category, stock, description, sku, slug, images (up to 5 URLs separated
+        by |) and active (yes/no). Rows whose SKU or slug matches one of your products update it; other
+        rows create new products. Empty cells keep the current value.
+      </p>
+      <p className="text-sm text-gray-600 mb-4">
+        Tip: export your products as CSV, edit the file and import it back. Categories must be one of:{' '}
+        {categories.join(', ')}.
+      </p>
+
+      <label className="btn-secondary inline-block cursor-pointer">
+        {file ? 'Choose another file' : 'Choose CSV file'}
+        <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+      </label>
+      {file && <span className="ml-3 text-sm text-gray-600">{file.name}</span>}
+
+      {error && <p className="error-text mt-4">{error}</p>}
+
+      {loading === 'preview' && (
+        <div className="text-center py-8">
+          <div className="loading-spinner-md"></div>
+          <p className="loading-text">Checking file...</p>
+        </div>
+      )}
+
+      {plan && (
+        <div className="mt-4 space-y-4">
+          <p className="text-sm text-gray-900">
+            {plan.summary.create} new, {plan.summary.update} to update, {plan.summary.unchanged} unchanged
+            {plan.summary.errors > 0 && (
+              <span className="text-red-600"> - {plan.summary.errors} with errors. Fix them and choose the file again.</span>
+            )}
+          </p>
+
+          <div className="table-container max-h-96 overflow-y-auto">
+            <table className="table">
+              <thead>
+                <tr className="table-header-row-alt">
+                  <th className="table-header-cell-alt">Row</th>
+                  <th className="table-header-cell-alt">Product</th>
+                  <th className="table-header-cell-alt">Action</th>
+                  <th className="table-header-cell-alt">Details</th>
+                </tr>
+              </thead>
+              <tbody className="table-body-alt">
+                {plan.rows.map((row) => (
+                  <tr key={row.row} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                    <td className="table-cell-compact">{row.row}</td>
+                    <td className="table-cell-compact-bold">
+                      {row.name || row.slug || row.sku || '-'}
+                      {row.variant && <span className="ml-1 text-gray-500 font-normal">({row.variant})</span>}
+                    </td>
+                    <td className="table-cell-compact">
+                      {row.errors.length > 0 ? 'Error' : ACTION_LABELS[row.action]}
+                    </td>
+                    <td className="table-cell-compact">
+                      {row.errors.length > 0 ? (
+                        <span className="text-red-600">{row.errors.join('. ')}</span>
+                      ) : (
+                        describeChanges(row.changes)
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <button
+            onClick={handleImport}
+            disabled={plan.summary.errors > 0 || rowsToImport === 0 || loading !== ''}
+            className="btn-primary"
+          >
+            {loading === 'import'
+              ? 'Importing...'
+              : `Import ${rowsToImport} product${rowsToImport === 1 ? '' : 's'}`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
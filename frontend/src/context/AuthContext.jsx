@@ -32,6 +32,7 @@ export const AuthProvider = ({ children }) => {
         .catch(() => {
           // Token invalid, clear storage
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           localStorage.removeItem('user');
           setUser(null);
         })
@@ -43,16 +44,25 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  const startSession = ({ user, token, refreshToken, twoFactorSetupRequired }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(user));
+    setUser(user);
+
+    return { success: true, twoFactorSetupRequired };
+  };
+
   const login = async (email, password) => {
     try {
       const response = await authService.login({ email, password });
-      const { user, token } = response.data;
 
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setUser(user);
+      // Accounts with 2FA need a code too - see completeTwoFactorLogin
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
 
-      return { success: true };
+      return startSession(response.data);
     } catch (error) {
       return {
         success: false,
@@ -61,12 +71,45 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Same results as login, with the texted code in place of the password
+  const loginWithPhone = async (phone, code) => {
+    try {
+      const response = await authService.loginWithPhone(phone, code);
+
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
+      return startSession(response.data);
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Login failed',
+      };
+    }
+  };
+
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await authService.loginTwoFactor(challengeToken, code);
+      return startSession(response.data);
+    } catch (error) {
+      return {
+        success: false,
+        // The challenge lapsed - back to the password step
+        expired: error.response?.data?.code === 'TWO_FACTOR_CHALLENGE_EXPIRED',
+        message: error.response?.data?.message || 'Login failed',
+      };
+    }
+  };
+
   const signup = async (userData) => {
     try {
       const response = await authService.signup(userData);
-      const { user, token } = response.data;
+      const { user, token, refreshToken } = response.data;
 
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(user));
       setUser(user);
 
@@ -79,8 +122,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Pick up changes made elsewhere, e.g. an email verified from another tab
+  const refreshUser = async () => {
+    const response = await authService.getMe();
+    setUser(response.data.user);
+    localStorage.setItem('user', JSON.stringify(response.data.user));
+  };
+
   const logout = () => {
+    // End the session server-side too; logging out locally doesn't wait for it
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      authService.logout(refreshToken).catch(() => {});
+    }
+
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     setUser(null);
   };
@@ -89,8 +146,11 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     login,
+    loginWithPhone,
+    completeTwoFactorLogin,
     signup,
     logout,
+    refreshUser,
     isAuthenticated: !!user,
   };
 
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { cartService } from '../services/api';
+import { trackEvent } from '../utils/analytics';
 import { useShopContext } from './ShopContext';
 
 const CartContext = createContext();
@@ -26,6 +27,11 @@ export function CartProvider({ children }) {
   const periodicSyncTimer = useRef(null);
   const hasTransferredCart = useRef(false); // Track if we've already transferred cart
 
+  // A cart line is a product, or one size/colour of it
+  const lineKey = (productId, variantId = null) => `${productId}:${variantId || ''}`;
+  const isSameLine = (item, productId, variantId = null) =>
+    item.product_id === productId && (item.variant_id || null) === (variantId || null);
+
   // LocalStorage keys
   const CART_STORAGE_KEY = 'buytree_cart_items';
   const CART_TIMESTAMP_KEY = 'buytree_cart_timestamp';
@@ -57,32 +63,9 @@ export function CartProvider({ children }) {
     if (guestCart.length === 0) return;
 
     try {
-      // Check if multi-shop guest cart
-      const shopIds = [...new Set(guestCart.map(item => item.seller_id).filter(Boolean))];
-
-      let itemsToTransfer = guestCart;
-
-      if (shopIds.length > 1) {
-        // Multiple shops in guest cart - prioritize current shop or first shop
-        const currentShopId = currentShop?.id;
-
-        if (currentShopId && shopIds.includes(currentShopId)) {
-          // Transfer only current shop items
-          itemsToTransfer = guestCart.filter(item => item.seller_id === currentShopId);
-
-          console.log(`Transferring ${itemsToTransfer.length} items from ${currentShop.shop_name} (${guestCart.length - itemsToTransfer.length} items from other shops were discarded)`);
-        } else {
-          // No current shop context - take items from first shop only
-          const firstShopId = shopIds[0];
-          itemsToTransfer = guestCart.filter(item => item.seller_id === firstShopId);
-
-          console.log(`Transferring ${itemsToTransfer.length} items from first shop (${guestCart.length - itemsToTransfer.length} items from other shops were discarded)`);
-        }
-      }
-
-      // Add selected items to user cart
-      for (const item of itemsToTransfer) {
-        await cartService.addToCart(item.product_id, item.quantity);
+      // Add every guest item (from any shop) to user cart
+      for (const item of guestCart) {
+        await cartService.addToCart(item.product_id, item.quantity, item.variant_id || null);
       }
 
       // Clear guest cart
@@ -250,7 +233,7 @@ export function CartProvider({ children }) {
 
       // Merge with pending updates
       const mergedItems = serverItems.map(item => {
-        const pendingQty = pendingUpdates.current[item.product_id];
+        const pendingQty = pendingUpdates.current[lineKey(item.product_id, item.variant_id)];
         return pendingQty !== undefined
           ? { ...item, quantity: pendingQty }
           : item;
@@ -281,38 +264,19 @@ export function CartProvider({ children }) {
     }
   };
 
-  const addToCart = async (productId, quantity = 1, productData = null) => {
+  const addToCart = async (productId, quantity = 1, productData = null, variantId = null) => {
     try {
-      // Check for multi-shop cart (shop isolation enforcement)
-      if (cartItems.length > 0) {
-        const currentCartShopId = cartItems[0].seller_id;
-        const newItemShopId = productData?.seller_id;
-
-        if (currentCartShopId && newItemShopId && currentCartShopId !== newItemShopId) {
-          const currentCartShopName = cartItems[0].shop_name || 'another shop';
-          const confirmed = window.confirm(
-            `Your cart contains items from ${currentCartShopName}. Adding this item will clear your current cart. Continue?`
-          );
-
-          if (!confirmed) {
-            return { success: false, message: 'Cart not modified' };
-          }
-
-          // Clear cart before adding from different shop
-          await clearCart();
-        }
-      }
-
       if (isGuest) {
         // Guest cart - add to localStorage
         const currentCart = loadGuestCart();
-        const existingItem = currentCart.find(item => item.product_id === productId);
+        const existingItem = currentCart.find(item => isSameLine(item, productId, variantId));
 
         if (existingItem) {
           existingItem.quantity += quantity;
         } else {
           currentCart.push({
             product_id: productId,
+            variant_id: variantId,
             quantity,
             ...productData, // Include product details for display
           });
@@ -320,10 +284,12 @@ export function CartProvider({ children }) {
 
         setCartItems(currentCart);
         saveGuestCart(currentCart);
+        trackEvent('add_to_cart', productId);
         return { success: true };
       } else {
         // Logged in user - add to server
-        await cartService.addToCart(productId, quantity);
+        await cartService.addToCart(productId, quantity, variantId);
+        trackEvent('add_to_cart', productId);
         await fetchCart(); // Refresh cart
         return { success: true };
       }
@@ -334,10 +300,10 @@ export function CartProvider({ children }) {
   };
 
   // Sync pending update to server
-  const syncUpdateToServer = async (productId, quantity) => {
+  const syncUpdateToServer = async (productId, quantity, variantId = null) => {
     try {
-      await cartService.updateCartItem(productId, quantity);
-      delete pendingUpdates.current[productId];
+      await cartService.updateCartItem(productId, quantity, variantId);
+      delete pendingUpdates.current[lineKey(productId, variantId)];
       return { success: true };
     } catch (error) {
       console.error('Failed to update quantity:', error);
@@ -347,11 +313,11 @@ export function CartProvider({ children }) {
     }
   };
 
-  const updateQuantity = async (productId, quantity) => {
+  const updateQuantity = async (productId, quantity, variantId = null) => {
     // Optimistic update - update UI immediately
     setCartItems(prevItems =>
       prevItems.map(item =>
-        item.product_id === productId
+        isSameLine(item, productId, variantId)
           ? { ...item, quantity }
           : item
       )
@@ -364,26 +330,27 @@ export function CartProvider({ children }) {
 
     // Logged in user - debounce server update
     // Store pending update
-    pendingUpdates.current[productId] = quantity;
+    const key = lineKey(productId, variantId);
+    pendingUpdates.current[key] = quantity;
 
-    // Clear existing timer for this product
-    if (updateTimers.current[productId]) {
-      clearTimeout(updateTimers.current[productId]);
+    // Clear existing timer for this line
+    if (updateTimers.current[key]) {
+      clearTimeout(updateTimers.current[key]);
     }
 
     // Debounce: sync to server after 800ms of no changes
-    updateTimers.current[productId] = setTimeout(() => {
-      syncUpdateToServer(productId, quantity);
-      delete updateTimers.current[productId];
+    updateTimers.current[key] = setTimeout(() => {
+      syncUpdateToServer(productId, quantity, variantId);
+      delete updateTimers.current[key];
     }, 800);
 
     return { success: true };
   };
 
-  const removeFromCart = async (productId) => {
+  const removeFromCart = async (productId, variantId = null) => {
     // Optimistic update - remove from UI immediately
     const originalItems = [...cartItems];
-    setCartItems(prevItems => prevItems.filter(item => item.product_id !== productId));
+    setCartItems(prevItems => prevItems.filter(item => !isSameLine(item, productId, variantId)));
 
     try {
       if (isGuest) {
@@ -393,13 +360,14 @@ export function CartProvider({ children }) {
 
       // Logged in user - remove from server
       // Clear any pending update timer
-      if (updateTimers.current[productId]) {
-        clearTimeout(updateTimers.current[productId]);
-        delete updateTimers.current[productId];
+      const key = lineKey(productId, variantId);
+      if (updateTimers.current[key]) {
+        clearTimeout(updateTimers.current[key]);
+        delete updateTimers.current[key];
       }
-      delete pendingUpdates.current[productId];
+      delete pendingUpdates.current[key];
 
-      await cartService.removeFromCart(productId);
+      await cartService.removeFromCart(productId, variantId);
       return { success: true };
     } catch (error) {
       console.error('Failed to remove from cart:', error);
@@ -412,8 +380,8 @@ export function CartProvider({ children }) {
   const clearCart = async () => {
     try {
       // Clear all pending update timers
-      Object.keys(updateTimers.current).forEach(productId => {
-        clearTimeout(updateTimers.current[productId]);
+      Object.keys(updateTimers.current).forEach(key => {
+        clearTimeout(updateTimers.current[key]);
       });
       updateTimers.current = {};
       pendingUpdates.current = {};
@@ -451,10 +419,14 @@ export function CartProvider({ children }) {
     if (!token) return;
 
     // Send cart state to server using sendBeacon (reliable during page unload)
-    const updates = Object.entries(pendingUpdates.current).map(([productId, quantity]) => ({
-      productId: parseInt(productId),
-      quantity
-    }));
+    const updates = Object.entries(pendingUpdates.current).map(([key, quantity]) => {
+      const [productId, variantId] = key.split(':');
+      return {
+        productId: parseInt(productId),
+        variantId: variantId ? parseInt(variantId) : null,
+        quantity
+      };
+    });
 
     if (updates.length > 0) {
       const blob = new Blob([JSON.stringify({ updates })], { type: 'application/json' });
@@ -466,13 +438,14 @@ export function CartProvider({ children }) {
   const syncPendingUpdates = async () => {
     if (isGuest) return;
 
-    const promises = Object.entries(pendingUpdates.current).map(([productId, quantity]) => {
+    const promises = Object.entries(pendingUpdates.current).map(([key, quantity]) => {
       // Clear timer and sync immediately
-      if (updateTimers.current[productId]) {
-        clearTimeout(updateTimers.current[productId]);
-        delete updateTimers.current[productId];
+      if (updateTimers.current[key]) {
+        clearTimeout(updateTimers.current[key]);
+        delete updateTimers.current[key];
       }
-      return syncUpdateToServer(parseInt(productId), quantity);
+      const [productId, variantId] = key.split(':');
+      return syncUpdateToServer(parseInt(productId), quantity, variantId ? parseInt(variantId) : null);
     });
 
     await Promise.all(promises);
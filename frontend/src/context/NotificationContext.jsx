@@ -0,0 +1,145 @@
+import { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react';
+import { notificationService } from '../services/api';
+import { useAuth } from './AuthContext';
+
+const NotificationContext = createContext(null);
+
+// Notifications kept for the bell's dropdown
+const RECENT_LIMIT = 20;
+
+const RETRY_DELAYS = [2000, 5000, 15000, 30000];
+
+export function useNotifications() {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+}
+
+export function NotificationProvider({ children }) {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  // Pages that refresh when a notification arrives (e.g. seller order management)
+  const listeners = useRef(new Set());
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await notificationService.getNotifications({ limit: RECENT_LIMIT });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    }
+  }, []);
+
+  // Live updates while logged in; reconnects with a fresh ticket when the stream drops
+  useEffect(() => {
+    if (!userId) {
+      setNotifications([]);
+      setUnreadCount(0);
+      return undefined;
+    }
+
+    let source = null;
+    let retryTimer = null;
+    let attempt = 0;
+    let stopped = false;
+
+    const connect = async () => {
+      try {
+        const url = await notificationService.getStreamUrl();
+        if (stopped) return;
+
+        source = new EventSource(url);
+
+        source.addEventListener('ready', (event) => {
+          attempt = 0;
+          setUnreadCount(JSON.parse(event.data).unreadCount);
+          // Catch up on anything sent while disconnected
+          fetchNotifications();
+        });
+
+        // Read in another tab - refetch to see which
+        source.addEventListener('unread', (event) => {
+          setUnreadCount(JSON.parse(event.data).unreadCount);
+          fetchNotifications();
+        });
+
+        source.addEventListener('notification', (event) => {
+          const { notification, unreadCount: count } = JSON.parse(event.data);
+          setNotifications(current => [notification, ...current.filter(n => n.id !== notification.id)].slice(0, RECENT_LIMIT));
+          setUnreadCount(count);
+          listeners.current.forEach(listener => listener(notification));
+        });
+
+        source.onerror = () => {
+          source.close();
+          retry();
+        };
+      } catch (error) {
+        console.error('Failed to open notification stream:', error);
+        retry();
+      }
+    };
+
+    const retry = () => {
+      if (stopped) return;
+      const delay = RETRY_DELAYS[Math.min(attempt, RETRY_DELAYS.length - 1)];
+      attempt++;
+      retryTimer = setTimeout(connect, delay);
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (source) source.close();
+    };
+  }, [userId, fetchNotifications]);
+
+  const markRead = async (notificationId) => {
+    try {
+      const response = await notificationService.markRead(notificationId);
+      setNotifications(current =>
+        current.map(n => (n.id === notificationId && !n.read_at ? { ...n, read_at: new Date().toISOString() } : n))
+      );
+      setUnreadCount(response.data.unreadCount);
+    } catch (error) {
+      console.error('Failed to mark notification read:', error);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await notificationService.markAllRead();
+      setNotifications(current => current.map(n => n.read_at ? n : { ...n, read_at: new Date().toISOString() }));
+      setUnreadCount(0);
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error);
+    }
+  };
+
+  /**
+   * Call listener with each notification as it arrives
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = useCallback((listener) => {
+    listeners.current.add(listener);
+    return () => listeners.current.delete(listener);
+  }, []);
+
+  const value = {
+    notifications,
+    unreadCount,
+    markRead,
+    markAllRead,
+    subscribe,
+  };
+
+  return <NotificationContext.Provider value={value}>{children}</NotificationContext.Provider>;
+}
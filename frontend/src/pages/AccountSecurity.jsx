@@ -0,0 +1,289 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/api';
+import PhoneVerification from '../components/auth/PhoneVerification';
+
+// Sign-in security: phone number verification, and two-factor authentication
+// (turn on with an authenticator app, replace recovery codes, turn off)
+export default function AccountSecurity() {
+  const navigate = useNavigate();
+  const { refreshUser } = useAuth();
+
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [enrolment, setEnrolment] = useState(null); // { secret, qrCode } while setting up
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // Shown once after they're created
+  const [disabling, setDisabling] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (err) {
+      console.error('Error fetching two-factor status:', err);
+      setError('Failed to load security settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Runs the request, resetting the form fields and showing any error
+  const submit = async (e, request) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      await request();
+      setPassword('');
+      setCode('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Something went wrong. Please try again.');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStart = (e) => submit(e, async () => {
+    const response = await authService.setupTwoFactor(password);
+    setEnrolment(response.data);
+  });
+
+  const handleConfirm = (e) => submit(e, async () => {
+    const response = await authService.confirmTwoFactor(code);
+    setEnrolment(null);
+    setRecoveryCodes(response.data.recoveryCodes);
+    await fetchStatus();
+    refreshUser().catch(() => {});
+  });
+
+  const handleRegenerate = (e) => submit(e, async () => {
+    const response = await authService.regenerateRecoveryCodes(code);
+    setRecoveryCodes(response.data.recoveryCodes);
+    await fetchStatus();
+  });
+
+  const handleDisable = (e) => submit(e, async () => {
+    await authService.disableTwoFactor(password, code);
+    setDisabling(false);
+    await fetchStatus();
+    refreshUser().catch(() => {});
+  });
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading security settings...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      required
+      className="form-input w-full tracking-widest"
+      placeholder="6-digit code"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+    />
+  );
+
+  const passwordInput = (
+    <input
+      type="password"
+      autoComplete="current-password"
+      required
+      className="form-input w-full"
+      placeholder="Current password"
+      value={password}
+      onChange={(e) => setPassword(e.target.value)}
+    />
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b sticky top-0 z-10">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => navigate(-1)}
+              className="p-2 hover:bg-gray-100 rounded-full transition-colors"
+            >
+              <svg className="w-6 h-6 text-gray-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+            </button>
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Account Security</h1>
+              <p className="text-sm text-gray-500 mt-1">Phone number and two-factor authentication</p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {status?.required && !status.enabled && (
+          <div className="mb-6 rounded-md bg-yellow-50 border border-yellow-200 p-4 text-sm text-yellow-800">
+            Admin accounts must use two-factor authentication. Turn it on below to open the admin pages.
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-6 rounded-md bg-red-50 p-4">
+            <div className="text-sm text-red-800">{error}</div>
+          </div>
+        )}
+
+        {recoveryCodes && (
+          <div className="mb-6 bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-semibold text-gray-900">Your recovery codes</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Each code signs you in once if you lose your phone. Save them somewhere safe - they won't be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 mt-4 font-mono text-sm">
+              {recoveryCodes.map((recoveryCode) => (
+                <div key={recoveryCode} className="bg-gray-50 border border-gray-200 rounded px-3 py-2 text-center">
+                  {recoveryCode}
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => setRecoveryCodes(null)}
+              className="mt-4 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium"
+            >
+              I've saved these codes
+            </button>
+          </div>
+        )}
+
+        <PhoneVerification />
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">Authenticator app</h2>
+            <span
+              className={`px-3 py-1 rounded-full text-xs font-medium ${
+                status?.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'
+              }`}
+            >
+              {status?.enabled ? 'On' : 'Off'}
+            </span>
+          </div>
+
+          {!status?.enabled && !enrolment && (
+            <form onSubmit={handleStart} className="mt-4 space-y-3">
+              <p className="text-sm text-gray-600">
+                After your password, you'll also enter a code from an app like Google Authenticator or Authy when you sign in.
+              </p>
+              {passwordInput}
+              <button
+                type="submit"
+                disabled={submitting}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium disabled:opacity-50"
+              >
+                {submitting ? 'Starting...' : 'Set up two-factor authentication'}
+              </button>
+            </form>
+          )}
+
+          {enrolment && (
+            <form onSubmit={handleConfirm} className="mt-4 space-y-3">
+              <p className="text-sm text-gray-600">
+                Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+              </p>
+              <img src={enrolment.qrCode} alt="Authenticator QR code" className="w-48 h-48 mx-auto" />
+              <p className="text-xs text-gray-500 text-center">
+                Can't scan it? Enter this key instead: <span className="font-mono break-all">{enrolment.secret}</span>
+              </p>
+              {codeInput}
+              <button
+                type="submit"
+                disabled={submitting}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium disabled:opacity-50"
+              >
+                {submitting ? 'Checking...' : 'Turn on'}
+              </button>
+            </form>
+          )}
+
+          {status?.enabled && (
+            <div className="mt-4 space-y-6">
+              <p className="text-sm text-gray-600">
+                {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft === 1 ? '' : 's'} left.
+              </p>
+
+              <form onSubmit={handleRegenerate} className="space-y-3">
+                <h3 className="text-sm font-medium text-gray-900">New recovery codes</h3>
+                <p className="text-sm text-gray-600">Replaces all your recovery codes. Enter a code from your app to confirm.</p>
+                {!disabling && codeInput}
+                <button
+                  type="submit"
+                  disabled={submitting || disabling}
+                  className="px-4 py-2 border border-green-600 text-green-700 rounded-lg hover:bg-green-50 transition-colors font-medium disabled:opacity-50"
+                >
+                  Create new recovery codes
+                </button>
+              </form>
+
+              {!status.required && (
+                disabling ? (
+                  <form onSubmit={handleDisable} className="space-y-3 border-t pt-6">
+                    <h3 className="text-sm font-medium text-gray-900">Turn off two-factor authentication</h3>
+                    {passwordInput}
+                    {codeInput}
+                    <div className="flex gap-3">
+                      <button
+                        type="submit"
+                        disabled={submitting}
+                        className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium disabled:opacity-50"
+                      >
+                        Turn off
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setDisabling(false)}
+                        className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <div className="border-t pt-6">
+                    <button
+                      onClick={() => {
+                        setDisabling(true);
+                        setCode('');
+                        setError('');
+                      }}
+                      className="text-sm font-medium text-red-600 hover:text-red-700"
+                    >
+                      Turn off two-factor authentication
+                    </button>
+                  </div>
+                )
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
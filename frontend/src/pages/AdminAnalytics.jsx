@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import axios from 'axios';
+import api from '../services/api';
+import ExportButtons from '../components/common/ExportButtons';
 
 export default function AdminAnalytics() {
   const navigate = useNavigate();
@@ -10,6 +11,7 @@ export default function AdminAnalytics() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [period, setPeriod] = useState('30days');
+  const [granularity, setGranularity] = useState('');
 
   useEffect(() => {
     if (user?.role !== 'admin') {
@@ -18,23 +20,18 @@ export default function AdminAnalytics() {
     }
 
     fetchAnalytics();
-  }, [user, navigate, period]);
+  }, [user, navigate, period, granularity]);
 
   const fetchAnalytics = async () => {
     try {
       setLoading(true);
-      const token = localStorage.getItem('token');
+      const params = new URLSearchParams({ period, compare: 'previous_period' });
+      if (granularity) params.set('granularity', granularity);
 
       // Fetch both revenue analytics and top products in parallel
       const [revenueResponse, topProductsResponse] = await Promise.all([
-        axios.get(
-          `${import.meta.env.VITE_API_URL}/admin/analytics/revenue?period=${period}`,
-          { headers: { Authorization: `Bearer ${token}` } }
-        ),
-        axios.get(
-          `${import.meta.env.VITE_API_URL}/admin/analytics/top-products?period=${period}`,
-          { headers: { Authorization: `Bearer ${token}` } }
-        )
+        api.get(`/admin/analytics/revenue?${params}`),
+        api.get(`/admin/analytics/top-products?${params}`)
       ]);
 
       if (revenueResponse.data.success && topProductsResponse.data.success) {
@@ -51,6 +48,18 @@ export default function AdminAnalytics() {
     }
   };
 
+  // Revenue per day/week/month for the selected period, as a Blob
+  const exportRevenue = async (format) => {
+    const params = new URLSearchParams({ period, format });
+    if (granularity) params.set('granularity', granularity);
+
+    const response = await api.get(
+      `/admin/analytics/revenue/export?${params}`,
+      { responseType: 'blob' }
+    );
+    return response.data;
+  };
+
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-NG', {
       style: 'currency',
@@ -60,23 +69,30 @@ export default function AdminAnalytics() {
     }).format(price || 0);
   };
 
-  const formatDate = (date) => {
-    return new Date(date).toLocaleDateString('en-NG', {
-      month: 'short',
-      day: 'numeric',
-    });
+  // Bucket start ('YYYY-MM-DD') as a label for the range's granularity
+  const formatBucket = (bucket) => {
+    const [year, month, day] = bucket.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    if (analytics?.range?.granularity === 'month') {
+      return date.toLocaleDateString('en-NG', { month: 'short', year: 'numeric' });
+    }
+    const label = date.toLocaleDateString('en-NG', { month: 'short', day: 'numeric' });
+    return analytics?.range?.granularity === 'week' ? `Week of ${label}` : label;
   };
 
-  const calculateTotals = (data) => {
-    if (!data) return { revenue: 0, commission: 0, orders: 0 };
-    return data.reduce((acc, item) => ({
-      revenue: acc.revenue + parseFloat(item.revenue || 0),
-      commission: acc.commission + parseFloat(item.commission || 0),
-      orders: acc.orders + parseInt(item.order_count || 0),
-    }), { revenue: 0, commission: 0, orders: 0 });
+  // "+12.5% vs previous period", or nothing without a comparison
+  const formatChange = (metric) => {
+    const change = metric?.changePercentage;
+    if (change === null || change === undefined) return null;
+    return `${change > 0 ? '+' : ''}${change.toFixed(1)}% vs previous period`;
   };
 
-  const totals = analytics ? calculateTotals(analytics.dailyRevenue) : { revenue: 0, commission: 0, orders: 0 };
+  const totals = {
+    revenue: analytics?.totals?.revenue?.current || 0,
+    commission: analytics?.totals?.commission?.current || 0,
+    orders: analytics?.totals?.order_count?.current || 0,
+  };
+  const trendTitles = { day: 'Daily Revenue Trend', week: 'Weekly Revenue Trend', month: 'Monthly Revenue Trend' };
 
   return (
     <div className="page-container">
@@ -137,6 +153,22 @@ export default function AdminAnalytics() {
             <option value="90days">Last 90 Days</option>
             <option value="1year">Last Year</option>
           </select>
+          <label className="form-label mt-4">
+            Group By
+          </label>
+          <select
+            value={granularity}
+            onChange={(e) => setGranularity(e.target.value)}
+            className="form-select"
+          >
+            <option value="">Auto</option>
+            <option value="day">Day</option>
+            <option value="week">Week</option>
+            <option value="month">Month</option>
+          </select>
+          <div className="mt-4">
+            <ExportButtons download={exportRevenue} filename={`buytree-revenue-${period}`} />
+          </div>
         </div>
 
         {loading ? (
@@ -156,6 +188,9 @@ export default function AdminAnalytics() {
                 <p className="stat-label">Total Revenue</p>
                 <p className="stat-value">{formatPrice(totals.revenue)}</p>
                 <p className="stat-description">{totals.orders} orders</p>
+                {formatChange(analytics?.totals?.revenue) && (
+                  <p className="stat-description">{formatChange(analytics.totals.revenue)}</p>
+                )}
               </div>
               <div className="stat-card">
                 <p className="stat-label">Platform Commission</p>
@@ -163,19 +198,27 @@ export default function AdminAnalytics() {
                 <p className="stat-description">
                   {((totals.commission / totals.revenue) * 100 || 0).toFixed(1)}% of revenue
                 </p>
+                {formatChange(analytics?.totals?.commission) && (
+                  <p className="stat-description">{formatChange(analytics.totals.commission)}</p>
+                )}
               </div>
               <div className="stat-card">
                 <p className="stat-label">Average Order Value</p>
                 <p className="stat-value">
-                  {formatPrice(totals.orders > 0 ? totals.revenue / totals.orders : 0)}
+                  {formatPrice(analytics?.totals?.average_order_value?.current || 0)}
                 </p>
                 <p className="stat-description">Across {totals.orders} orders</p>
+                {formatChange(analytics?.totals?.average_order_value) && (
+                  <p className="stat-description">{formatChange(analytics.totals.average_order_value)}</p>
+                )}
               </div>
             </div>
 
-            {/* Daily Revenue Chart */}
+            {/* Revenue Trend */}
             <div className="card-section">
-              <h2 className="section-header-mb-6">Daily Revenue Trend</h2>
+              <h2 className="section-header-mb-6">
+                {trendTitles[analytics?.range?.granularity] || 'Revenue Trend'}
+              </h2>
               <div className="table-container">
                 <table className="table">
                   <thead>
@@ -187,16 +230,16 @@ export default function AdminAnalytics() {
                     </tr>
                   </thead>
                   <tbody className="table-body">
-                    {analytics?.dailyRevenue?.length > 0 ? (
-                      analytics.dailyRevenue.map((day, index) => (
-                        <tr key={index} className="table-row">
-                          <td className="table-cell">{formatDate(day.date)}</td>
-                          <td className="table-cell-right">{day.order_count}</td>
+                    {totals.orders > 0 ? (
+                      analytics.revenueSeries.map((bucket) => (
+                        <tr key={bucket.bucket} className="table-row">
+                          <td className="table-cell">{formatBucket(bucket.bucket)}</td>
+                          <td className="table-cell-right">{bucket.order_count}</td>
                           <td className="table-cell-right-bold">
-                            {formatPrice(day.revenue)}
+                            {formatPrice(bucket.revenue)}
                           </td>
                           <td className="table-cell-right-green">
-                            {formatPrice(day.commission)}
+                            {formatPrice(bucket.commission)}
                           </td>
                         </tr>
                       ))
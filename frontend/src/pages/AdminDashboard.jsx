@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import axios from 'axios';
+import api from '../services/api';
 
 export default function AdminDashboard() {
   const navigate = useNavigate();
@@ -23,13 +23,7 @@ export default function AdminDashboard() {
   const fetchDashboardMetrics = async () => {
     try {
       setLoading(true);
-      const token = localStorage.getItem('token');
-      const response = await axios.get(
-        `${import.meta.env.VITE_API_URL}/admin/dashboard`,
-        {
-          headers: { Authorization: `Bearer ${token}` }
-        }
-      );
+      const response = await api.get('/admin/dashboard');
 
       if (response.data.success) {
         setMetrics(response.data.data);
@@ -119,6 +113,12 @@ export default function AdminDashboard() {
               >
                 Analytics
               </button>
+              <button
+                onClick={() => navigate('/account/security')}
+                className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg"
+              >
+                Security
+              </button>
               <button
                 onClick={logout}
                 className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
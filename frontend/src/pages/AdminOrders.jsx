@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import axios from 'axios';
+import api from '../services/api';
+import ExportButtons from '../components/common/ExportButtons';
 
 export default function AdminOrders() {
   const navigate = useNavigate();
@@ -29,7 +30,6 @@ export default function AdminOrders() {
   const fetchOrders = async () => {
     try {
       setLoading(true);
-      const token = localStorage.getItem('token');
       const params = new URLSearchParams({
         page: filters.page,
         limit: filters.limit,
@@ -37,12 +37,7 @@ export default function AdminOrders() {
         search: filters.search,
       });
 
-      const response = await axios.get(
-        `${import.meta.env.VITE_API_URL}/admin/orders?${params}`,
-        {
-          headers: { Authorization: `Bearer ${token}` }
-        }
-      );
+      const response = await api.get(`/admin/orders?${params}`);
 
       if (response.data.success) {
         setOrders(response.data.data.orders);
@@ -56,6 +51,23 @@ export default function AdminOrders() {
     }
   };
 
+  // Every order matching the current filters (not just this page), as a Blob
+  const exportOrders = async (format) => {
+    const params = new URLSearchParams({
+      status: filters.status,
+      search: filters.search,
+      format,
+    });
+
+    const response = await api.get(
+      `/admin/orders/export?${params}`,
+      {
+        responseType: 'blob',
+      }
+    );
+    return response.data;
+  };
+
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-NG', {
       style: 'currency',
@@ -181,6 +193,9 @@ export default function AdminOrders() {
               />
             </div>
           </div>
+          <div className="flex justify-end mt-4">
+            <ExportButtons download={exportOrders} filename={`buytree-all-orders-${filters.status}`} />
+          </div>
         </div>
 
         {/* Orders Table */}
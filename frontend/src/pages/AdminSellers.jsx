@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import axios from 'axios';
+import api from '../services/api';
+import ExportButtons from '../components/common/ExportButtons';
 
 export default function AdminSellers() {
   const navigate = useNavigate();
@@ -33,7 +34,6 @@ export default function AdminSellers() {
   const fetchSellers = async () => {
     try {
       setLoading(true);
-      const token = localStorage.getItem('token');
       const params = new URLSearchParams({
         page: filters.page,
         limit: filters.limit,
@@ -41,12 +41,7 @@ export default function AdminSellers() {
         search: filters.search,
       });
 
-      const response = await axios.get(
-        `${import.meta.env.VITE_API_URL}/admin/sellers?${params}`,
-        {
-          headers: { Authorization: `Bearer ${token}` }
-        }
-      );
+      const response = await api.get(`/admin/sellers?${params}`);
 
       if (response.data.success) {
         setSellers(response.data.data.sellers);
@@ -60,16 +55,29 @@ export default function AdminSellers() {
     }
   };
 
+  // Every seller matching the current filters, with sales totals, as a Blob
+  const exportSellers = async (format) => {
+    const params = new URLSearchParams({
+      status: filters.status,
+      search: filters.search,
+      format,
+    });
+
+    const response = await api.get(
+      `/admin/sellers/export?${params}`,
+      {
+        responseType: 'blob',
+      }
+    );
+    return response.data;
+  };
+
   const handleApproveSeller = async (sellerId) => {
     try {
       setActionLoading(true);
-      const token = localStorage.getItem('token');
-      const response = await axios.put(
-        `${import.meta.env.VITE_API_URL}/admin/sellers/${sellerId}/approve`,
-        { notes: actionNotes },
-        {
-          headers: { Authorization: `Bearer ${token}` }
-        }
+      const response = await api.put(
+        `/admin/sellers/${sellerId}/approve`,
+        { notes: actionNotes }
       );
 
       if (response.data.success) {
@@ -94,13 +102,9 @@ export default function AdminSellers() {
 
     try {
       setActionLoading(true);
-      const token = localStorage.getItem('token');
-      const response = await axios.put(
-        `${import.meta.env.VITE_API_URL}/admin/sellers/${sellerId}/suspend`,
-        { reason: actionNotes },
-        {
-          headers: { Authorization: `Bearer ${token}` }
-        }
+      const response = await api.put(
+        `/admin/sellers/${sellerId}/suspend`,
+        { reason: actionNotes }
       );
 
       if (response.data.success) {
@@ -210,6 +214,9 @@ export default function AdminSellers() {
               />
             </div>
           </div>
+          <div className="flex justify-end mt-4">
+            <ExportButtons download={exportSellers} filename={`buytree-sellers-${filters.status}`} />
+          </div>
         </div>
 
         {/* Sellers Table */}
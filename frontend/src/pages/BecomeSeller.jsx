@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { sellerService } from '../services/api';
+import VerifyEmailNotice from '../components/common/VerifyEmailNotice';
 
 // Available categories based on strategy
 const CATEGORIES = [
@@ -17,7 +18,7 @@ const CATEGORIES = [
 
 export default function BecomeSeller() {
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { user, refreshUser } = useAuth();
 
   const [formData, setFormData] = useState({
     shopName: '',
@@ -107,6 +108,9 @@ export default function BecomeSeller() {
         navigate('/seller/dashboard');
       }, 2000);
     } catch (err) {
+      if (err.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+        refreshUser().catch(() => {});
+      }
       setError(err.response?.data?.message || 'Failed to register as seller');
       setLoading(false);
     }
@@ -138,6 +142,8 @@ export default function BecomeSeller() {
             </div>
           )}
 
+          <VerifyEmailNotice action="open your shop" />
+
           {error && (
             <div className="mb-6 rounded-md bg-red-50 p-4">
               <div className="text-sm text-red-800">{error}</div>
@@ -2,13 +2,20 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useCart } from '../context/CartContext';
 import { useShopContext } from '../context/ShopContext';
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
+import { orderService } from '../services/api';
+
+// Discount code carried from the cart to checkout
+const COUPON_STORAGE_KEY = 'buytree_coupon_code';
 
 export default function Cart() {
   const navigate = useNavigate();
   const { user, logout } = useAuth();
   const { currentShop, setCurrentShop } = useShopContext();
   const { cartItems, loading, updateQuantity, removeFromCart, getCartTotal } = useCart();
+  const [couponInput, setCouponInput] = useState(() => sessionStorage.getItem(COUPON_STORAGE_KEY) || '');
+  const [couponCode, setCouponCode] = useState(() => sessionStorage.getItem(COUPON_STORAGE_KEY) || '');
+  const [promotionQuote, setPromotionQuote] = useState(null);
 
   // Auto-set shop context from cart items if missing
   useEffect(() => {
@@ -26,6 +33,57 @@ export default function Cart() {
     }
   }, [cartItems, currentShop, setCurrentShop]);
 
+  // Re-check discounts when the cart or the code changes (automatic promotions apply without a code)
+  const cartKey = cartItems.map(item => `${item.product_id}:${item.variant_id || ''}:${item.quantity}`).join(',');
+
+  useEffect(() => {
+    if (!user || cartItems.length === 0) {
+      setPromotionQuote(null);
+      return;
+    }
+
+    const orders = Object.entries(cartItems.reduce((acc, item) => {
+      acc[item.seller_id] = acc[item.seller_id] || [];
+      acc[item.seller_id].push({
+        productId: item.product_id,
+        variantId: item.variant_id || null,
+        quantity: item.quantity,
+      });
+      return acc;
+    }, {})).map(([sellerId, items]) => ({ sellerId: parseInt(sellerId), items }));
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await orderService.quotePromotions({ orders, couponCode });
+        setPromotionQuote(response.data);
+      } catch (error) {
+        console.error('Promotion quote error:', error);
+        setPromotionQuote(null);
+      }
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [user, cartKey, couponCode]);
+
+  const handleApplyCoupon = (e) => {
+    e.preventDefault();
+    const code = couponInput.trim().toUpperCase();
+    setCouponCode(code);
+    if (code) {
+      sessionStorage.setItem(COUPON_STORAGE_KEY, code);
+    } else {
+      sessionStorage.removeItem(COUPON_STORAGE_KEY);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setCouponInput('');
+    setCouponCode('');
+    sessionStorage.removeItem(COUPON_STORAGE_KEY);
+  };
+
+  const getStoreQuote = (sellerId) => promotionQuote?.quotes?.find(quote => quote.sellerId === sellerId);
+
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-NG', {
       style: 'currency',
@@ -33,21 +91,20 @@ export default function Cart() {
     }).format(price);
   };
 
-  const handleQuantityChange = async (productId, newQuantity) => {
+  const handleQuantityChange = async (item, newQuantity) => {
     if (newQuantity < 1) return;
-    await updateQuantity(productId, newQuantity);
+    await updateQuantity(item.product_id, newQuantity, item.variant_id);
   };
 
-  const handleRemove = async (productId) => {
+  const handleRemove = async (item) => {
     if (confirm('Remove this item from cart?')) {
-      await removeFromCart(productId);
+      await removeFromCart(item.product_id, item.variant_id);
     }
   };
 
   const handleCheckoutAll = () => {
-    const total = getCartTotal();
-    if (total < 4000) {
-      alert('Minimum total order value is ₦4,000. Please add more items.');
+    if (storesBelowMinimum.length > 0) {
+      alert(`Minimum order value is ₦4,000 per store. Add more items from: ${storesBelowMinimum.map(group => group.shopName).join(', ')}`);
       return;
     }
     navigate('/checkout');
@@ -86,9 +143,51 @@ export default function Cart() {
 
   const sellerGroups = Object.values(itemsBySeller);
   const total = getCartTotal();
+  const discount = promotionQuote?.discount || 0;
   const platformFee = total * 0.05;
+  const coupon = promotionQuote?.coupon;
   const minOrderValue = 4000;
 
+  // Every store must reach the minimum to checkout all stores in one payment
+  const storesBelowMinimum = sellerGroups.filter(group => getStoreTotal(group.items) < minOrderValue);
+  const canCheckoutAll = storesBelowMinimum.length === 0;
+
+  const renderCouponForm = () => (
+    <div className="mb-4">
+      {couponCode && coupon?.valid ? (
+        <div className="flex items-center justify-between bg-green-50 border border-green-200 rounded-lg px-3 py-2">
+          <div>
+            <p className="text-sm font-semibold text-green-800">{couponCode}</p>
+            <p className="text-xs text-green-700">{coupon.message || 'Code applied'}</p>
+          </div>
+          <button onClick={handleRemoveCoupon} className="text-sm text-red-600 hover:text-red-700 font-medium">
+            Remove
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleApplyCoupon} className="flex gap-2">
+          <input
+            type="text"
+            value={couponInput}
+            onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+            placeholder="Discount code"
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={!couponInput.trim()}
+            className="px-4 py-2 bg-gray-900 text-white rounded-lg text-sm font-semibold hover:bg-gray-800 disabled:bg-gray-300"
+          >
+            Apply
+          </button>
+        </form>
+      )}
+      {couponCode && coupon && !coupon.valid && (
+        <p className="text-xs text-red-600 mt-1">{coupon.message}</p>
+      )}
+    </div>
+  );
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -160,6 +259,7 @@ export default function Cart() {
                 const storeTotal = getStoreTotal(sellerGroup.items);
                 const storeMeetsMinimum = storeTotal >= minOrderValue;
                 const sellerId = sellerGroup.items[0]?.seller_id;
+                const storeQuote = getStoreQuote(sellerId);
 
                 return (
                   <div key={idx} className="bg-white rounded-lg shadow overflow-hidden">
@@ -218,6 +318,9 @@ export default function Cart() {
                                 {item.name}
                               </h3>
                             </button>
+                            {item.variant_label && (
+                              <p className="text-sm text-gray-500">{item.variant_label}</p>
+                            )}
                             <p className="text-lg font-bold text-green-600 mt-1">
                               {formatPrice(item.price)}
                             </p>
@@ -229,7 +332,7 @@ export default function Cart() {
                             <div className="flex items-center gap-4 mt-3">
                               <div className="flex items-center gap-2">
                                 <button
-                                  onClick={() => handleQuantityChange(item.product_id, item.quantity - 1)}
+                                  onClick={() => handleQuantityChange(item, item.quantity - 1)}
                                   className="w-8 h-8 rounded-lg border border-gray-300 flex items-center justify-center hover:bg-gray-50"
                                   disabled={item.quantity <= 1}
                                 >
@@ -237,7 +340,7 @@ export default function Cart() {
                                 </button>
                                 <span className="w-8 text-center font-semibold">{item.quantity}</span>
                                 <button
-                                  onClick={() => handleQuantityChange(item.product_id, item.quantity + 1)}
+                                  onClick={() => handleQuantityChange(item, item.quantity + 1)}
                                   className="w-8 h-8 rounded-lg border border-gray-300 flex items-center justify-center hover:bg-gray-50"
                                   disabled={item.quantity >= item.quantity_available}
                                 >
@@ -246,7 +349,7 @@ export default function Cart() {
                               </div>
 
                               <button
-                                onClick={() => handleRemove(item.product_id)}
+                                onClick={() => handleRemove(item)}
                                 className="text-sm text-red-600 hover:text-red-700 font-medium"
                               >
                                 Remove
@@ -265,9 +368,17 @@ export default function Cart() {
 
                   {/* Store Checkout Footer */}
                   <div className="bg-gray-50 px-4 py-4 border-t border-gray-200">
+                    {storeQuote?.promotion && (
+                      <div className="flex items-center justify-between mb-2 text-sm text-green-700">
+                        <span>{storeQuote.promotion.code || storeQuote.promotion.name}</span>
+                        <span>
+                          {storeQuote.freeDelivery ? 'Free delivery' : `-${formatPrice(storeQuote.discount)}`}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex items-center justify-between mb-3">
                       <span className="text-sm text-gray-600">Store Total:</span>
-                      <span className="text-lg font-bold text-gray-900">{formatPrice(storeTotal)}</span>
+                      <span className="text-lg font-bold text-gray-900">{formatPrice(storeTotal - (storeQuote?.discount || 0))}</span>
                     </div>
 
                     {!storeMeetsMinimum && (
@@ -302,6 +413,13 @@ export default function Cart() {
                 </div>
                 );
               })}
+
+              {/* Discount Code - Mobile */}
+              {user && (
+                <div className="lg:hidden bg-white rounded-lg shadow p-4">
+                  {renderCouponForm()}
+                </div>
+              )}
             </div>
 
             {/* Order Summary - Desktop */}
@@ -314,29 +432,39 @@ export default function Cart() {
                     <span>Items ({cartItems.length})</span>
                     <span>{formatPrice(total)}</span>
                   </div>
-                  {total < minOrderValue && (
+                  {discount > 0 && (
+                    <div className="flex justify-between text-green-700">
+                      <span>Discount</span>
+                      <span>-{formatPrice(discount)}</span>
+                    </div>
+                  )}
+                  {!canCheckoutAll && (
                     <div className="flex justify-between text-orange-600 text-sm">
-                      <span>Minimum order</span>
+                      <span>Minimum per store</span>
                       <span>{formatPrice(minOrderValue)}</span>
                     </div>
                   )}
                 </div>
 
+                {user && renderCouponForm()}
+
                 <div className="border-t border-gray-200 pt-4 mb-6">
                   <div className="flex justify-between text-lg font-bold text-gray-900">
                     <span>Total</span>
-                    <span>{formatPrice(total)}</span>
+                    <span>{formatPrice(total - discount)}</span>
                   </div>
                   <p className="text-xs text-gray-500 mt-1">
                     *5% platform fee included
                   </p>
                 </div>
 
-                {total < minOrderValue && (
-                  <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 mb-4">
-                    <p className="text-sm text-orange-800">
-                      Add {formatPrice(minOrderValue - total)} more to checkout
-                    </p>
+                {!canCheckoutAll && (
+                  <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 mb-4 space-y-1">
+                    {storesBelowMinimum.map((group) => (
+                      <p key={group.shopSlug} className="text-sm text-orange-800">
+                        Add {formatPrice(minOrderValue - getStoreTotal(group.items))} more from {group.shopName}
+                      </p>
+                    ))}
                   </div>
                 )}
 
@@ -350,7 +478,7 @@ export default function Cart() {
                 ) : (
                   <button
                     onClick={handleCheckoutAll}
-                    disabled={total < minOrderValue}
+                    disabled={!canCheckoutAll}
                     className="w-full px-6 py-4 bg-green-600 text-white rounded-xl font-semibold hover:bg-green-700 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
                   >
                     Checkout All Stores ({sellerGroups.length})
@@ -358,7 +486,7 @@ export default function Cart() {
                 )}
 
                 <p className="text-xs text-center text-gray-500 mt-3">
-                  Or checkout stores individually above
+                  One payment for all stores, or checkout stores individually above
                 </p>
 
                 <button
@@ -379,7 +507,7 @@ export default function Cart() {
           <div className="flex items-center justify-between mb-3">
             <div>
               <p className="text-sm text-gray-600">Total ({cartItems.length} items)</p>
-              <p className="text-xl font-bold text-gray-900">{formatPrice(total)}</p>
+              <p className="text-xl font-bold text-gray-900">{formatPrice(total - discount)}</p>
             </div>
             {!user ? (
               <button
@@ -391,16 +519,16 @@ export default function Cart() {
             ) : (
               <button
                 onClick={handleCheckoutAll}
-                disabled={total < minOrderValue}
+                disabled={!canCheckoutAll}
                 className="px-6 py-3 bg-green-600 text-white rounded-xl font-semibold hover:bg-green-700 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed text-sm"
               >
                 Checkout All ({sellerGroups.length})
               </button>
             )}
           </div>
-          {total < minOrderValue ? (
+          {!canCheckoutAll ? (
             <p className="text-xs text-orange-600 text-center">
-              Minimum order: {formatPrice(minOrderValue)}. Add {formatPrice(minOrderValue - total)} more.
+              Minimum {formatPrice(minOrderValue)} per store. {storesBelowMinimum.length} store(s) below minimum.
             </p>
           ) : (
             <p className="text-xs text-gray-500 text-center">
@@ -4,14 +4,24 @@ import { useAuth } from '../context/AuthContext';
 import { useCart } from '../context/CartContext';
 import { useShopContext } from '../context/ShopContext';
 import { orderService } from '../services/api';
+import { trackEvent } from '../utils/analytics';
+import VerifyEmailNotice from '../components/common/VerifyEmailNotice';
+
+// Discount code carried over from the cart
+const COUPON_STORAGE_KEY = 'buytree_coupon_code';
 
 export default function Checkout() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { user } = useAuth();
+  const { user, refreshUser } = useAuth();
   const { currentShop } = useShopContext();
   const { cartItems, getCartTotal, clearCart, syncPendingUpdates } = useCart();
   const [loading, setLoading] = useState(false);
+  const [deliveryQuote, setDeliveryQuote] = useState(null);
+  const [promotionQuote, setPromotionQuote] = useState(null);
+  const [quoting, setQuoting] = useState(false);
+  const [couponInput, setCouponInput] = useState(() => sessionStorage.getItem(COUPON_STORAGE_KEY) || '');
+  const [couponCode, setCouponCode] = useState(() => sessionStorage.getItem(COUPON_STORAGE_KEY) || '');
 
   // Load saved delivery details from localStorage
   const loadSavedDeliveryDetails = () => {
@@ -68,14 +78,97 @@ export default function Checkout() {
       return;
     }
 
-    // Check minimum order value for the items being checked out
-    const total = checkoutItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    if (total < 4000) {
-      alert('Minimum order value is ₦4,000');
+    // Check minimum order value for each store being checked out
+    const storeTotals = checkoutItems.reduce((acc, item) => {
+      acc[item.seller_id] = (acc[item.seller_id] || 0) + (item.price * item.quantity);
+      return acc;
+    }, {});
+    if (Object.values(storeTotals).some(storeTotal => storeTotal < 4000)) {
+      alert('Minimum order value is ₦4,000 per store');
       navigate('/cart');
     }
   }, [cartItems, checkoutItems, currentShop, navigate]);
 
+  // Group checkout items into one order per seller (the shape the orders API expects)
+  const buildOrders = () => {
+    const itemsBySeller = checkoutItems.reduce((acc, item) => {
+      const sellerId = item.seller_id;
+      if (!acc[sellerId]) {
+        acc[sellerId] = [];
+      }
+      acc[sellerId].push({
+        productId: item.product_id,
+        variantId: item.variant_id || null,
+        quantity: item.quantity,
+        price: item.price,
+      });
+      return acc;
+    }, {});
+
+    return Object.entries(itemsBySeller).map(([sellerId, items]) => ({
+      sellerId: parseInt(sellerId),
+      items,
+    }));
+  };
+
+  // Re-quote delivery and discounts when the address, the items or the code change
+  const checkoutKey = checkoutItems.map(item => `${item.product_id}:${item.variant_id || ''}:${item.quantity}`).join(',');
+
+  useEffect(() => {
+    const address = deliveryDetails.address.trim();
+    if (checkoutItems.length === 0) {
+      setDeliveryQuote(null);
+      setPromotionQuote(null);
+      return;
+    }
+
+    // Debounce while the buyer is typing
+    const timer = setTimeout(async () => {
+      try {
+        setQuoting(true);
+        if (address.length < 10) {
+          // No address yet - discounts only
+          const response = await orderService.quotePromotions({ orders: buildOrders(), couponCode });
+          setDeliveryQuote(null);
+          setPromotionQuote(response.data);
+        } else {
+          const response = await orderService.quoteDelivery({
+            orders: buildOrders(),
+            deliveryDetails: { address },
+            couponCode,
+          });
+          setDeliveryQuote(response.data);
+          setPromotionQuote(response.data);
+        }
+      } catch (error) {
+        console.error('Delivery quote error:', error);
+        setDeliveryQuote(null);
+        setPromotionQuote(null);
+      } finally {
+        setQuoting(false);
+      }
+    }, 600);
+
+    return () => clearTimeout(timer);
+  }, [deliveryDetails.address, checkoutKey, couponCode]);
+
+  const handleApplyCoupon = (e) => {
+    e.preventDefault();
+    const code = couponInput.trim().toUpperCase();
+    setCouponCode(code);
+    if (code) {
+      sessionStorage.setItem(COUPON_STORAGE_KEY, code);
+    } else {
+      sessionStorage.removeItem(COUPON_STORAGE_KEY);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setCouponInput('');
+    setCouponCode('');
+    sessionStorage.removeItem(COUPON_STORAGE_KEY);
+  };
+
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-NG', {
       style: 'currency',
@@ -128,33 +221,28 @@ export default function Checkout() {
   const handleCheckout = async () => {
     if (!validateForm()) return;
 
+    if (deliveryQuote && !deliveryQuote.available) {
+      alert('Some shops do not deliver to this address. Update your address or remove their items.');
+      return;
+    }
+
+    if (coupon && !coupon.valid) {
+      alert(`${coupon.message}. Remove the code to continue.`);
+      return;
+    }
+
     setLoading(true);
 
     try {
-      // Group checkout items by seller (only the items being checked out)
-      const itemsBySeller = checkoutItems.reduce((acc, item) => {
-        const sellerId = item.seller_id;
-        if (!acc[sellerId]) {
-          acc[sellerId] = [];
-        }
-        acc[sellerId].push({
-          productId: item.product_id,
-          quantity: item.quantity,
-          price: item.price,
-        });
-        return acc;
-      }, {});
-
-      // Create orders for each seller
-      const orders = Object.entries(itemsBySeller).map(([sellerId, items]) => ({
-        sellerId: parseInt(sellerId),
-        items,
-      }));
+      // Create orders for each seller (only the items being checked out)
+      const orders = buildOrders();
+      checkoutItems.forEach((item) => trackEvent('checkout_started', item.product_id));
 
       // Initialize Paystack payment
-      const response = await orderService.createOrder({ orders, deliveryDetails });
+      const response = await orderService.createOrder({ orders, deliveryDetails, couponCode });
 
       if (response.success) {
+        sessionStorage.removeItem(COUPON_STORAGE_KEY);
         // Redirect to Paystack checkout
         window.location.href = response.data.authorization_url;
       } else {
@@ -163,6 +251,9 @@ export default function Checkout() {
       }
     } catch (error) {
       console.error('Checkout error:', error);
+      if (error.response?.data?.code === 'EMAIL_NOT_VERIFIED') {
+        refreshUser().catch(() => {});
+      }
       alert(error.response?.data?.message || 'Failed to process checkout');
       setLoading(false);
     }
@@ -183,7 +274,13 @@ export default function Checkout() {
 
   const sellerGroups = Object.values(itemsBySeller);
   const total = checkoutItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-  const platformFee = total * 0.05;
+  const deliveryFee = deliveryQuote?.deliveryFee || 0;
+  const discount = promotionQuote?.discount || 0;
+  const coupon = promotionQuote?.coupon;
+  const platformFee = (total - discount) * 0.05;
+
+  const getSellerQuote = (sellerId) => deliveryQuote?.quotes?.find(quote => quote.sellerId === sellerId);
+  const getSellerPromotion = (sellerId) => promotionQuote?.quotes?.find(quote => quote.sellerId === sellerId);
 
   return (
     <div className="min-h-screen bg-gray-50 pb-8">
@@ -212,6 +309,8 @@ export default function Checkout() {
       </nav>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <VerifyEmailNotice action="place your order" />
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Delivery Details Form */}
           <div className="lg:col-span-2">
@@ -263,7 +362,7 @@ export default function Checkout() {
                     name="address"
                     value={deliveryDetails.address}
                     onChange={handleInputChange}
-                    placeholder="Enter your full delivery address including landmarks"
+                    placeholder="Enter your full delivery address including landmarks, LGA and state"
                     rows="4"
                     className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-transparent resize-none"
                     required
@@ -296,19 +395,86 @@ export default function Checkout() {
 
               {/* Seller Groups */}
               <div className="space-y-4 mb-4">
-                {sellerGroups.map((sellerGroup, idx) => (
-                  <div key={idx} className="border-b border-gray-200 pb-3">
-                    <p className="font-semibold text-gray-900 mb-2">{sellerGroup.shopName}</p>
-                    {sellerGroup.items.map((item) => (
-                      <div key={item.id} className="flex justify-between text-sm text-gray-600 mb-1">
-                        <span className="truncate mr-2">
-                          {item.name} × {item.quantity}
-                        </span>
-                        <span className="font-medium">{formatPrice(item.price * item.quantity)}</span>
-                      </div>
-                    ))}
+                {sellerGroups.map((sellerGroup, idx) => {
+                  const quote = getSellerQuote(sellerGroup.items[0]?.seller_id);
+                  const promotion = getSellerPromotion(sellerGroup.items[0]?.seller_id);
+
+                  return (
+                    <div key={idx} className="border-b border-gray-200 pb-3">
+                      <p className="font-semibold text-gray-900 mb-2">{sellerGroup.shopName}</p>
+                      {sellerGroup.items.map((item) => (
+                        <div key={item.id} className="flex justify-between text-sm text-gray-600 mb-1">
+                          <span className="truncate mr-2">
+                            {item.name}{item.variant_label ? ` (${item.variant_label})` : ''} × {item.quantity}
+                          </span>
+                          <span className="font-medium">{formatPrice(item.price * item.quantity)}</span>
+                        </div>
+                      ))}
+                      {promotion?.promotion && (
+                        <div className="flex justify-between text-xs text-green-700 mt-1">
+                          <span>{promotion.promotion.code || promotion.promotion.name}</span>
+                          <span>
+                            {promotion.promotion.type === 'free_delivery' ? 'Free delivery' : `-${formatPrice(promotion.discount)}`}
+                          </span>
+                        </div>
+                      )}
+                      {quote && !quote.available && (
+                        <p className="text-xs text-red-600 mt-1">{quote.message}</p>
+                      )}
+                      {quote?.available && quote.method === 'pickup' && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Pickup only{quote.pickupAddress ? `: ${quote.pickupAddress}` : ''}
+                        </p>
+                      )}
+                      {quote?.available && quote.method === 'delivery' && (
+                        <div className="flex justify-between text-xs text-gray-500 mt-1">
+                          <span>Delivery{quote.zoneName ? ` (${quote.zoneName})` : ''}</span>
+                          <span>{quote.fee > 0 ? formatPrice(quote.fee) : 'Free'}</span>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Discount Code */}
+              <div className="mb-4">
+                {couponCode && coupon?.valid ? (
+                  <div className="flex items-center justify-between bg-green-50 border border-green-200 rounded-lg px-3 py-2">
+                    <div>
+                      <p className="text-sm font-semibold text-green-800">{couponCode}</p>
+                      <p className="text-xs text-green-700">{coupon.message || 'Code applied'}</p>
+                    </div>
+                    <button onClick={handleRemoveCoupon} className="text-sm text-red-600 hover:text-red-700 font-medium">
+                      Remove
+                    </button>
                   </div>
-                ))}
+                ) : (
+                  <form onSubmit={handleApplyCoupon} className="flex gap-2">
+                    <input
+                      type="text"
+                      value={couponInput}
+                      onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                      placeholder="Discount code"
+                      className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-500 focus:border-transparent"
+                    />
+                    <button
+                      type="submit"
+                      disabled={!couponInput.trim()}
+                      className="px-4 py-2 bg-gray-900 text-white rounded-lg text-sm font-semibold hover:bg-gray-800 disabled:bg-gray-300"
+                    >
+                      Apply
+                    </button>
+                  </form>
+                )}
+                {couponCode && coupon && !coupon.valid && (
+                  <div className="flex items-center justify-between mt-1">
+                    <p className="text-xs text-red-600">{coupon.message}</p>
+                    <button onClick={handleRemoveCoupon} className="text-xs text-gray-600 hover:text-gray-800 font-medium">
+                      Remove
+                    </button>
+                  </div>
+                )}
               </div>
 
               {/* Totals */}
@@ -317,6 +483,22 @@ export default function Checkout() {
                   <span>Subtotal</span>
                   <span>{formatPrice(total)}</span>
                 </div>
+                {discount > 0 && (
+                  <div className="flex justify-between text-green-700">
+                    <span>Discount</span>
+                    <span>-{formatPrice(discount)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between text-gray-600">
+                  <span>Delivery</span>
+                  <span>
+                    {quoting
+                      ? 'Calculating...'
+                      : deliveryQuote
+                        ? (deliveryFee > 0 ? formatPrice(deliveryFee) : 'Free')
+                        : 'Enter address'}
+                  </span>
+                </div>
                 <div className="flex justify-between text-gray-600 text-sm">
                   <span>Platform Fee (5%)</span>
                   <span>{formatPrice(platformFee)}</span>
@@ -326,7 +508,7 @@ export default function Checkout() {
               <div className="border-t border-gray-200 pt-4 mb-6">
                 <div className="flex justify-between text-lg font-bold text-gray-900">
                   <span>Total</span>
-                  <span>{formatPrice(total)}</span>
+                  <span>{formatPrice(total - discount + deliveryFee)}</span>
                 </div>
               </div>
 
@@ -347,7 +529,7 @@ export default function Checkout() {
 
               <button
                 onClick={handleCheckout}
-                disabled={loading}
+                disabled={loading || quoting || deliveryQuote?.available === false || coupon?.valid === false}
                 className="w-full px-6 py-4 bg-green-600 text-white rounded-xl font-semibold hover:bg-green-700 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
               >
                 {loading ? (
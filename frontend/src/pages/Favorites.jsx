@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { favoriteService } from '../services/api';
+import FavoriteAlerts from '../components/common/FavoriteAlerts';
 
 export default function Favorites() {
   const navigate = useNavigate();
@@ -97,6 +98,8 @@ export default function Favorites() {
           </div>
         )}
 
+        {favorites.length > 0 && <FavoriteAlerts />}
+
         {favorites.length === 0 ? (
           <div className="bg-white rounded-lg shadow-sm p-12 text-center">
             <svg
@@ -1,10 +1,12 @@
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
+import { productService } from '../services/api';
 
 export default function Landing() {
   const navigate = useNavigate();
   const { user } = useAuth();
+  const [trendingSearches, setTrendingSearches] = useState([]);
 
   useEffect(() => {
     // If user is already logged in, redirect to appropriate page
@@ -18,6 +20,13 @@ export default function Landing() {
     }
   }, [user, navigate]);
 
+  useEffect(() => {
+    productService
+      .getTrendingSearches()
+      .then((response) => setTrendingSearches(response.data.searches))
+      .catch((error) => console.error('Trending searches error:', error));
+  }, []);
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-green-50 to-white">
       {/* Navigation */}
@@ -107,6 +116,25 @@ export default function Landing() {
           )}
         </div>
 
+        {/* Trending Searches - what buyers want, so sellers know what to stock */}
+        {trendingSearches.length > 0 && (
+          <div className="mt-16 text-center">
+            <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-4">
+              Trending on BuyTree this week
+            </h2>
+            <div className="flex flex-wrap justify-center gap-2 max-w-3xl mx-auto">
+              {trendingSearches.map((trending) => (
+                <span
+                  key={trending.query}
+                  className="px-4 py-2 bg-white border border-green-200 text-gray-700 rounded-full text-sm shadow-sm"
+                >
+                  {trending.query}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Features Grid */}
         <div className="mt-24 grid md:grid-cols-3 gap-8">
           {/* Feature 1 */}
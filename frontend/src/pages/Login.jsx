@@ -1,12 +1,12 @@
 import { useState, useEffect } from 'react';
 import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { sellerService } from '../services/api';
+import { authService, sellerService } from '../services/api';
 
 export default function Login() {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
-  const { login } = useAuth();
+  const { login, loginWithPhone, completeTwoFactorLogin } = useAuth();
 
   const [formData, setFormData] = useState({
     email: '',
@@ -15,6 +15,17 @@ export default function Login() {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
+  // Passwordless login with a code texted to a verified phone number
+  const [usePhone, setUsePhone] = useState(false);
+  const [phone, setPhone] = useState('');
+  const [phoneCode, setPhoneCode] = useState('');
+  const [codeSentTo, setCodeSentTo] = useState(null);
+  const [notice, setNotice] = useState('');
+
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+
   // Shop branding state
   const shopSlug = searchParams.get('shopSlug');
   const [shop, setShop] = useState(null);
@@ -36,6 +47,36 @@ export default function Login() {
     setError(''); // Clear error on input change
   };
 
+  const redirectAfterLogin = (result) => {
+    // Get redirect parameter or determine default based on user role
+    const redirectParam = searchParams.get('redirect');
+
+    // Wait a bit for user data to be available
+    setTimeout(() => {
+      const user = JSON.parse(localStorage.getItem('user') || '{}');
+
+      if (result.twoFactorSetupRequired) {
+        // Admins have to turn on 2FA before the admin pages open
+        navigate('/account/security');
+      } else if (shopSlug) {
+          // If logged in from shop, redirect to shop homepage
+          navigate(`/shop/${shopSlug}`);
+      } else if (redirectParam) {
+        // Use redirect parameter if provided
+        navigate(redirectParam);
+      } else if (user.role === 'admin') {
+        // Admins go to admin dashboard
+        navigate('/admin/dashboard');
+      } else if (user.role === 'seller') {
+        // Sellers go to dashboard
+        navigate('/seller/dashboard');
+      } else {
+        // Buyers have no default page, stay on current page or go to orders
+        navigate('/orders');
+      }
+    }, 100);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -44,31 +85,75 @@ export default function Login() {
     const result = await login(formData.email, formData.password);
 
     if (result.success) {
-      // Get redirect parameter or determine default based on user role
-      const redirectParam = searchParams.get('redirect');
+      redirectAfterLogin(result);
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else {
+      setError(result.message);
+    }
 
-      // Wait a bit for user data to be available
-      setTimeout(() => {
-        const user = JSON.parse(localStorage.getItem('user') || '{}');
+    setLoading(false);
+  };
 
-        if (shopSlug) {
-          // If logged in from shop, redirect to shop homepage
-          navigate(`/shop/${shopSlug}`);
-        } else if (redirectParam) {
-          // Use redirect parameter if provided
-          navigate(redirectParam);
-        } else if (user.role === 'admin') {
-          // Admins go to admin dashboard
-          navigate('/admin/dashboard');
-        } else if (user.role === 'seller') {
-          // Sellers go to dashboard
-          navigate('/seller/dashboard');
-        } else {
-          // Buyers have no default page, stay on current page or go to orders
-          navigate('/orders');
-        }
-      }, 100);
+  const handleSendPhoneCode = async (e) => {
+    e?.preventDefault();
+    setError('');
+    setNotice('');
+    setLoading(true);
+
+    try {
+      const response = await authService.requestPhoneLoginCode(phone);
+      setCodeSentTo(response.data.phone);
+      setNotice(response.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send sign-in code');
+    }
+
+    setLoading(false);
+  };
+
+  const handlePhoneSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    setLoading(true);
+
+    const result = await loginWithPhone(phone, phoneCode);
+
+    if (result.success) {
+      redirectAfterLogin(result);
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else {
+      setPhoneCode('');
+      setError(result.message);
+    }
+
+    setLoading(false);
+  };
+
+  const switchLoginMethod = () => {
+    setUsePhone(!usePhone);
+    setCodeSentTo(null);
+    setPhoneCode('');
+    setError('');
+    setNotice('');
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await completeTwoFactorLogin(challengeToken, code);
+
+    if (result.success) {
+      redirectAfterLogin(result);
     } else {
+      if (result.expired) {
+        setChallengeToken(null);
+      }
+      setCode('');
       setError(result.message);
     }
 
@@ -118,6 +203,151 @@ export default function Login() {
           )}
         </div>
 
+        {challengeToken ? (
+          <form className="auth-form" onSubmit={handleCodeSubmit}>
+            {error && (
+              <div className="alert-error">
+                <div className="alert-text">{error}</div>
+              </div>
+            )}
+
+            <p className="text-sm text-gray-600">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
+
+            <div>
+              <label htmlFor="code" className="sr-only">
+                Authentication code
+              </label>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                className="form-input w-full tracking-widest"
+                placeholder="123456"
+                value={code}
+                onChange={(e) => {
+                  setCode(e.target.value);
+                  setError('');
+                }}
+              />
+            </div>
+
+            <div className="flex-between">
+              <div className="text-sm">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setChallengeToken(null);
+                    setCode('');
+                    setCodeSentTo(null);
+                    setPhoneCode('');
+                    setError('');
+                  }}
+                  className="link-primary"
+                >
+                  Use a different account
+                </button>
+              </div>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn-primary-full"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+            </div>
+          </form>
+        ) : usePhone ? (
+          <form className="auth-form" onSubmit={codeSentTo ? handlePhoneSubmit : handleSendPhoneCode}>
+            {error && (
+              <div className="alert-error">
+                <div className="alert-text">{error}</div>
+              </div>
+            )}
+
+            {notice && <p className="text-sm text-green-700">{notice}</p>}
+
+            <div>
+              <label htmlFor="phone" className="sr-only">
+                Phone number
+              </label>
+              <input
+                id="phone"
+                name="phone"
+                type="tel"
+                autoComplete="tel"
+                required
+                disabled={!!codeSentTo}
+                className="form-input w-full"
+                placeholder="Phone number, e.g. 0801 234 5678"
+                value={phone}
+                onChange={(e) => {
+                  setPhone(e.target.value);
+                  setError('');
+                }}
+              />
+            </div>
+
+            {codeSentTo && (
+              <div>
+                <label htmlFor="phoneCode" className="sr-only">
+                  Sign-in code
+                </label>
+                <input
+                  id="phoneCode"
+                  name="phoneCode"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  required
+                  className="form-input w-full tracking-widest"
+                  placeholder="6-digit code"
+                  value={phoneCode}
+                  onChange={(e) => {
+                    setPhoneCode(e.target.value);
+                    setError('');
+                  }}
+                />
+              </div>
+            )}
+
+            <div className="flex-between">
+              <div className="text-sm">
+                <button type="button" onClick={switchLoginMethod} className="link-primary">
+                  Sign in with email instead
+                </button>
+              </div>
+              {codeSentTo && (
+                <div className="text-sm">
+                  <button type="button" onClick={handleSendPhoneCode} disabled={loading} className="link-primary">
+                    Send a new code
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="btn-primary-full"
+              >
+                {codeSentTo
+                  ? (loading ? 'Signing in...' : 'Sign in')
+                  : (loading ? 'Sending code...' : 'Text me a sign-in code')}
+              </button>
+            </div>
+          </form>
+        ) : (
         <form className="auth-form" onSubmit={handleSubmit}>
           {error && (
             <div className="alert-error">
@@ -169,6 +399,11 @@ export default function Login() {
                 Forgot your password?
               </Link>
             </div>
+            <div className="text-sm">
+              <button type="button" onClick={switchLoginMethod} className="link-primary">
+                Sign in with phone number
+              </button>
+            </div>
           </div>
 
           <div>
@@ -181,6 +416,7 @@ export default function Login() {
             </button>
           </div>
         </form>
+        )}
       </div>
     </div>
   );
@@ -14,6 +14,7 @@ export default function OrderDetail() {
   const [confirming, setConfirming] = useState(false);
   const [rating, setRating] = useState(5);
   const [feedback, setFeedback] = useState('');
+  const [cancelling, setCancelling] = useState(false);
 
   useEffect(() => {
     fetchOrderDetails();
@@ -80,6 +81,30 @@ export default function OrderDetail() {
     }
   };
 
+  const canCancel = order
+    && order.payment_status === 'paid'
+    && ['pending', 'processing'].includes(order.status)
+    && order.cancellation_deadline
+    && new Date(order.cancellation_deadline) > new Date();
+
+  const handleCancelOrder = async () => {
+    if (!confirm('Cancel this order? You will receive a full refund to your original payment method.')) {
+      return;
+    }
+
+    try {
+      setCancelling(true);
+      const response = await orderService.cancelOrder(orderId);
+      await fetchOrderDetails();
+      alert(response.message);
+    } catch (error) {
+      console.error('Failed to cancel order:', error);
+      alert(error.response?.data?.message || 'Failed to cancel order. Please try again.');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
   const getStatusSteps = () => {
     const steps = [
       { key: 'pending', label: 'Order Placed', icon: '📦' },
@@ -251,7 +276,15 @@ export default function OrderDetail() {
               </svg>
               <div>
                 <h3 className="text-lg font-bold text-red-900">Order Cancelled</h3>
-                <p className="text-sm text-red-700 mt-1">This order has been cancelled by the seller.</p>
+                <p className="text-sm text-red-700 mt-1">
+                  {order.cancellation_reason || 'This order has been cancelled.'}
+                </p>
+                {order.payment_status === 'refunded' && (
+                  <p className="text-sm text-red-700 mt-1">Your payment has been refunded.</p>
+                )}
+                {order.payment_status === 'refund_pending' && (
+                  <p className="text-sm text-red-700 mt-1">Your refund is being processed.</p>
+                )}
               </div>
             </div>
           </div>
@@ -297,6 +330,9 @@ export default function OrderDetail() {
                       </div>
                       <div className="flex-1 min-w-0">
                         <h3 className="font-semibold text-gray-900">{item.product_name}</h3>
+                        {item.variant_label && (
+                          <p className="text-sm text-gray-500">{item.variant_label}</p>
+                        )}
                         <p className="text-sm text-gray-600 mt-1">Quantity: {item.quantity}</p>
                         <p className="text-sm text-gray-600">Price: {formatPrice(item.product_price)}</p>
                         <p className="text-sm font-semibold text-green-600 mt-2">
@@ -365,7 +401,21 @@ export default function OrderDetail() {
                 <div className="space-y-2">
                   <div className="flex justify-between text-sm">
                     <span className="text-gray-600">Subtotal</span>
-                    <span className="font-medium">{formatPrice(order.total_amount)}</span>
+                    <span className="font-medium">{formatPrice(order.subtotal ?? order.total_amount)}</span>
+                  </div>
+                  {parseFloat(order.discount_amount) > 0 && (
+                    <div className="flex justify-between text-sm text-green-700">
+                      <span>Discount{order.promotion_code ? ` (${order.promotion_code})` : ''}</span>
+                      <span className="font-medium">-{formatPrice(order.discount_amount)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between text-sm">
+                    <span className="text-gray-600">
+                      {order.delivery_method === 'pickup' ? 'Pickup' : 'Delivery'}
+                    </span>
+                    <span className="font-medium">
+                      {parseFloat(order.delivery_fee) > 0 ? formatPrice(order.delivery_fee) : 'Free'}
+                    </span>
                   </div>
                   <div className="flex justify-between text-sm">
                     <span className="text-gray-600">Platform Fee (5%)</span>
@@ -390,6 +440,15 @@ export default function OrderDetail() {
                     Confirm Delivery
                   </button>
                 )}
+                {canCancel && (
+                  <button
+                    onClick={handleCancelOrder}
+                    disabled={cancelling}
+                    className="w-full px-4 py-3 bg-red-100 text-red-700 rounded-lg font-medium hover:bg-red-200 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
+                  >
+                    {cancelling ? 'Cancelling...' : 'Cancel Order'}
+                  </button>
+                )}
                 {order.delivery_confirmed_at && (
                   <div className="bg-green-50 border border-green-200 rounded-lg p-3">
                     <p className="text-sm text-green-800 font-medium text-center">
@@ -214,6 +214,9 @@ const OrderDetails = () => {
               <div key={item.id} className="flex items-center gap-4 pb-4 border-b border-gray-200 last:border-0">
                 <div className="flex-1">
                   <h3 className="font-medium text-gray-900">{item.product_name}</h3>
+                  {item.variant_label && (
+                    <p className="text-sm text-gray-500">{item.variant_label}</p>
+                  )}
                   <p className="text-sm text-gray-600 mt-1">
                     {formatCurrency(item.product_price)} × {item.quantity}
                   </p>
@@ -2,12 +2,15 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useShopContext } from '../context/ShopContext';
+import { useNotifications } from '../context/NotificationContext';
 import { orderService } from '../services/api';
+import NotificationBell from '../components/common/NotificationBell';
 
 export default function Orders() {
   const navigate = useNavigate();
   const { user } = useAuth();
   const { currentShop } = useShopContext();
+  const { subscribe } = useNotifications();
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
 
@@ -17,6 +20,16 @@ export default function Orders() {
     }
   }, [currentShop]);
 
+  // Pick up status changes as the seller makes them
+  useEffect(() => {
+    if (!currentShop) return undefined;
+    return subscribe((notification) => {
+      if (notification.type === 'order_status' || notification.type === 'order_cancelled') {
+        fetchOrders();
+      }
+    });
+  }, [currentShop, subscribe]);
+
   const fetchOrders = async () => {
     try {
       const response = await orderService.getUserOrdersByShop(currentShop.shop_slug);
@@ -111,6 +124,15 @@ export default function Orders() {
               {user && (
                 <span className="text-gray-700 hidden sm:inline text-sm">Hello, {user.firstName}!</span>
               )}
+              {user && (
+                <button
+                  onClick={() => navigate('/account/security')}
+                  className="text-gray-600 hover:text-gray-900 px-3 py-2 text-sm"
+                >
+                  Security
+                </button>
+              )}
+              {user && <NotificationBell />}
             </div>
           </div>
         </div>
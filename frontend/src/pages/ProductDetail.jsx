@@ -6,6 +6,7 @@ import { useCart } from '../context/CartContext';
 import ReviewList from '../components/reviews/ReviewList';
 import ReviewForm from '../components/reviews/ReviewForm';
 import ShopSEO from '../components/SEO/ShopSEO';
+import { trackEvent } from '../utils/analytics';
 
 export default function ProductDetail() {
   const { shopSlug, productSlug } = useParams();
@@ -22,6 +23,8 @@ export default function ProductDetail() {
   const [showShareModal, setShowShareModal] = useState(false);
   const [showReviewForm, setShowReviewForm] = useState(false);
   const [userPurchasedOrder, setUserPurchasedOrder] = useState(null);
+  const [variantData, setVariantData] = useState({ options: [], variants: [] });
+  const [selectedOptions, setSelectedOptions] = useState({});
 
   useEffect(() => {
     fetchProductData();
@@ -53,6 +56,16 @@ export default function ProductDetail() {
         setError('Product not found');
       } else {
         setProduct(foundProduct);
+        setSelectedOptions({});
+        trackEvent('view', foundProduct.id);
+
+        // Sizes/colours for the variant picker
+        if (foundProduct.has_variants) {
+          const variantsResponse = await productService.getProductVariants(foundProduct.id);
+          setVariantData(variantsResponse.data);
+        } else {
+          setVariantData({ options: [], variants: [] });
+        }
       }
     } catch (err) {
       console.error('Error fetching product:', err);
@@ -93,36 +106,81 @@ export default function ProductDetail() {
     }).format(price);
   };
 
+  // Variant matching every chosen option (null until all options are picked)
+  const selectedVariant = variantData.variants.find(variant =>
+    variantData.options.every(option => variant.options[option.name] === selectedOptions[option.name])
+  ) || null;
+
+  // A value can be picked if some in-stock variant has it and matches the other choices
+  const isOptionValueAvailable = (optionName, value) => {
+    return variantData.variants.some(variant =>
+      variant.quantity_available > 0 &&
+      variant.options[optionName] === value &&
+      variantData.options.every(option =>
+        option.name === optionName ||
+        !selectedOptions[option.name] ||
+        variant.options[option.name] === selectedOptions[option.name]
+      )
+    );
+  };
+
+  const handleSelectOption = (optionName, value) => {
+    setSelectedOptions(prev => ({
+      ...prev,
+      [optionName]: prev[optionName] === value ? undefined : value,
+    }));
+    setSelectedImage(0);
+    setQuantity(1);
+  };
+
+  // Make sure a size/colour is chosen before adding to cart
+  const checkVariantSelected = () => {
+    if (product.has_variants && !selectedVariant) {
+      const missing = variantData.options
+        .filter(option => !selectedOptions[option.name])
+        .map(option => option.name.toLowerCase());
+      alert(missing.length > 0 ? `Please choose a ${missing.join(' and ')}` : 'This combination is not available');
+      return false;
+    }
+    return true;
+  };
+
   const handleAddToCart = async () => {
+    if (!checkVariantSelected()) return;
+
     // Prepare product data for guest cart
     const productData = {
       product_name: product.name,
-      price: product.price,
+      price: selectedVariant ? selectedVariant.effective_price : product.price,
+      variant_label: selectedVariant?.label || null,
       product_image_url: product.image_url,
       product_slug: product.slug,
       shop_slug: shopSlug,
     };
 
-    const result = await addToCartContext(product.id, quantity, productData);
+    const result = await addToCartContext(product.id, quantity, productData, selectedVariant?.id || null);
     if (result.success) {
-      alert(`Added ${quantity} × ${product.name} to cart!`);
+      alert(`Added ${quantity} × ${product.name}${selectedVariant ? ` (${selectedVariant.label})` : ''} to cart!`);
     } else {
       alert(result.error || 'Failed to add to cart');
     }
   };
 
   const handleBuyNow = async () => {
+    if (!checkVariantSelected()) return;
+
     // Prepare product data for cart
     const productData = {
       product_name: product.name,
-      price: product.price,
+      price: selectedVariant ? selectedVariant.effective_price : product.price,
+      variant_label: selectedVariant?.label || null,
       product_image_url: product.image_url,
       product_slug: product.slug,
       shop_slug: shopSlug,
     };
 
     // Add to cart first (works for both guest and authenticated users)
-    const result = await addToCartContext(product.id, quantity, productData);
+    const result = await addToCartContext(product.id, quantity, productData, selectedVariant?.id || null);
 
     if (!result.success) {
       alert(result.error || 'Failed to add to cart');
@@ -192,7 +250,13 @@ export default function ProductDetail() {
     );
   }
 
-  const images = product.image_urls && product.image_urls.length > 0 ? product.image_urls : [];
+  // The chosen variant's own images, price and stock take over from the product's
+  const productImages = product.image_urls && product.image_urls.length > 0 ? product.image_urls : [];
+  const images = selectedVariant?.image_urls?.length > 0 ? selectedVariant.image_urls : productImages;
+  const stock = selectedVariant ? selectedVariant.quantity_available : product.quantity_available;
+  const variantPrices = variantData.variants.map(variant => parseFloat(variant.effective_price));
+  const minPrice = variantPrices.length > 0 ? Math.min(...variantPrices) : parseFloat(product.price);
+  const maxPrice = variantPrices.length > 0 ? Math.max(...variantPrices) : parseFloat(product.price);
 
   return (
     <>
@@ -332,18 +396,59 @@ export default function ProductDetail() {
                 <span className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-green-100 text-green-800">
                   {product.category}
                 </span>
-                {product.quantity_available > 0 && product.quantity_available <= 10 && (
+                {stock > 0 && stock <= 10 && (
                   <span className="inline-flex items-center px-3 py-1 rounded-full text-sm bg-orange-100 text-orange-800">
-                    Only {product.quantity_available} left!
+                    Only {stock} left!
                   </span>
                 )}
               </div>
 
               {/* Price */}
               <div className="mb-6">
-                <div className="text-3xl sm:text-4xl font-bold text-green-600">{formatPrice(product.price)}</div>
+                <div className="text-3xl sm:text-4xl font-bold text-green-600">
+                  {selectedVariant
+                    ? formatPrice(selectedVariant.effective_price)
+                    : minPrice !== maxPrice
+                      ? `${formatPrice(minPrice)} - ${formatPrice(maxPrice)}`
+                      : formatPrice(minPrice)}
+                </div>
               </div>
 
+              {/* Variant Picker */}
+              {variantData.options.map((option) => (
+                <div key={option.name} className="mb-4">
+                  <label className="block text-sm font-medium text-gray-900 mb-2">
+                    {option.name}
+                    {selectedOptions[option.name] && (
+                      <span className="font-normal text-gray-600">: {selectedOptions[option.name]}</span>
+                    )}
+                  </label>
+                  <div className="flex flex-wrap gap-2">
+                    {option.values.map((value) => {
+                      const isSelected = selectedOptions[option.name] === value;
+                      const isAvailable = isOptionValueAvailable(option.name, value);
+
+                      return (
+                        <button
+                          key={value}
+                          onClick={() => handleSelectOption(option.name, value)}
+                          disabled={!isAvailable && !isSelected}
+                          className={`px-4 py-2 rounded-lg border text-sm font-medium transition-colors ${
+                            isSelected
+                              ? 'border-green-600 bg-green-50 text-green-700'
+                              : isAvailable
+                                ? 'border-gray-300 text-gray-700 hover:border-green-500'
+                                : 'border-gray-200 text-gray-400 line-through cursor-not-allowed'
+                          }`}
+                        >
+                          {value}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+
               {/* Description */}
               {product.description && (
                 <div className="mb-6">
@@ -353,7 +458,7 @@ export default function ProductDetail() {
               )}
 
               {/* Quantity Selector */}
-              {product.quantity_available > 0 && (
+              {stock > 0 && (
                 <div className="mb-6">
                   <label className="block text-sm font-medium text-gray-900 mb-2">Quantity</label>
                   <div className="flex items-center gap-3">
@@ -367,26 +472,26 @@ export default function ProductDetail() {
                     <input
                       type="number"
                       min="1"
-                      max={product.quantity_available}
+                      max={stock}
                       value={quantity}
-                      onChange={(e) => setQuantity(Math.max(1, Math.min(product.quantity_available, parseInt(e.target.value) || 1)))}
+                      onChange={(e) => setQuantity(Math.max(1, Math.min(stock, parseInt(e.target.value) || 1)))}
                       className="w-20 h-10 text-center border border-gray-300 rounded-lg font-semibold"
                     />
                     <button
-                      onClick={() => setQuantity(Math.min(product.quantity_available, quantity + 1))}
+                      onClick={() => setQuantity(Math.min(stock, quantity + 1))}
                       className="w-10 h-10 rounded-lg border border-gray-300 flex items-center justify-center hover:bg-gray-50 font-semibold text-lg"
-                      disabled={quantity >= product.quantity_available}
+                      disabled={quantity >= stock}
                     >
                       +
                     </button>
-                    <span className="text-sm text-gray-600">{product.quantity_available} available</span>
+                    <span className="text-sm text-gray-600">{stock} available</span>
                   </div>
                 </div>
               )}
 
               {/* Desktop Action Buttons */}
               <div className="hidden sm:block space-y-3">
-                {product.quantity_available > 0 ? (
+                {stock > 0 ? (
                   <>
                     <button
                       onClick={handleBuyNow}
@@ -467,7 +572,7 @@ export default function ProductDetail() {
       </div>
 
       {/* Mobile Fixed Bottom Bar */}
-      {product.quantity_available > 0 && (
+      {stock > 0 && (
         <div className="sm:hidden fixed bottom-0 left-0 right-0 bg-white border-t border-gray-200 p-3 shadow-lg z-30">
           <div className="flex gap-2">
             <button
@@ -4,6 +4,7 @@ import { productService } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import { useCart } from '../context/CartContext';
 import { searchCache } from '../utils/cache';
+import SearchAutocomplete from '../components/common/SearchAutocomplete';
 
 const CATEGORIES = [
   'All',
@@ -24,6 +25,13 @@ const SORT_OPTIONS = [
   { value: 'newest', label: 'Newest First' },
 ];
 
+const RATING_LABELS = {
+  4: '4★ & up',
+  3: '3★ & up',
+  2: '2★ & up',
+  1: '1★ & up',
+};
+
 export default function SearchResults() {
   const navigate = useNavigate();
   const { user, logout } = useAuth();
@@ -31,7 +39,11 @@ export default function SearchResults() {
   const [searchParams, setSearchParams] = useSearchParams();
 
   const [products, setProducts] = useState([]);
+  const [facets, setFacets] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState('');
   const [addingToCart, setAddingToCart] = useState({});
 
@@ -41,6 +53,8 @@ export default function SearchResults() {
   const [selectedCategory, setSelectedCategory] = useState(searchParams.get('category') || 'All');
   const [minPrice, setMinPrice] = useState(searchParams.get('minPrice') || '');
   const [maxPrice, setMaxPrice] = useState(searchParams.get('maxPrice') || '');
+  const [selectedShop, setSelectedShop] = useState(searchParams.get('shop') || '');
+  const [minRating, setMinRating] = useState(searchParams.get('minRating') || '');
   const [sortBy, setSortBy] = useState(searchParams.get('sort') || 'relevance');
   const [showFilters, setShowFilters] = useState(false);
 
@@ -48,35 +62,53 @@ export default function SearchResults() {
     if (query) {
       fetchSearchResults();
     }
-  }, [query, selectedCategory, minPrice, maxPrice, sortBy]);
+  }, [searchParams]);
+
+  // Current filters as query params, with any changes applied
+  const buildParams = (changes = {}) => {
+    const filters = {
+      q: query,
+      category: selectedCategory,
+      minPrice,
+      maxPrice,
+      shop: selectedShop,
+      minRating,
+      sort: sortBy,
+      ...changes,
+    };
+
+    const params = { q: filters.q };
+    if (filters.category && filters.category !== 'All') params.category = filters.category;
+    if (filters.minPrice) params.minPrice = filters.minPrice;
+    if (filters.maxPrice) params.maxPrice = filters.maxPrice;
+    if (filters.shop) params.shop = filters.shop;
+    if (filters.minRating) params.minRating = filters.minRating;
+    if (filters.sort) params.sort = filters.sort;
+    return params;
+  };
+
+  const showResults = (results) => {
+    setProducts(results.products || []);
+    setFacets(results.facets || null);
+    setTotal(results.total ?? (results.products || []).length);
+    setNextCursor(results.nextCursor || null);
+  };
 
   const fetchSearchResults = async () => {
     setError('');
 
     try {
-      const params = { q: query };
-
-      if (selectedCategory && selectedCategory !== 'All') {
-        params.category = selectedCategory;
-      }
-      if (minPrice) {
-        params.minPrice = minPrice;
-      }
-      if (maxPrice) {
-        params.maxPrice = maxPrice;
-      }
-      if (sortBy) {
-        params.sort = sortBy;
-      }
+      // Filters come from the URL so half-typed prices don't trigger a search
+      const params = Object.fromEntries(searchParams.entries());
 
       // Create cache key from search params
       const cacheKey = `search_${JSON.stringify(params)}`;
 
       // Try to load from cache first
       const cachedResults = searchCache.get(cacheKey);
-      if (cachedResults) {
+      if (cachedResults && !Array.isArray(cachedResults)) {
         // Load from cache instantly
-        setProducts(cachedResults);
+        showResults(cachedResults);
         setLoading(false);
 
         // Fetch fresh data in background to keep cache warm
@@ -97,13 +129,13 @@ export default function SearchResults() {
   const fetchSearchResultsFromServer = async (params, cacheKey, isBackgroundRefresh) => {
     try {
       const response = await productService.searchProducts(params);
-      const results = response.data.products || [];
+      const results = response.data;
 
-      // Cache search results (5 minutes TTL)
+      // Cache the first page with its facets (5 minutes TTL)
       searchCache.set(cacheKey, results, 5 * 60 * 1000);
 
       if (!isBackgroundRefresh) {
-        setProducts(results);
+        showResults(results);
         setLoading(false);
       }
     } catch (err) {
@@ -113,51 +145,69 @@ export default function SearchResults() {
     }
   };
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    if (searchInput.trim()) {
-      const params = { q: searchInput.trim() };
-      if (selectedCategory !== 'All') params.category = selectedCategory;
-      if (minPrice) params.minPrice = minPrice;
-      if (maxPrice) params.maxPrice = maxPrice;
-      if (sortBy) params.sort = sortBy;
-      setSearchParams(params);
+  const loadMore = async () => {
+    if (!nextCursor) return;
+
+    try {
+      setLoadingMore(true);
+      const params = Object.fromEntries(searchParams.entries());
+      const response = await productService.searchProducts({ ...params, cursor: nextCursor });
+      setProducts((prev) => [...prev, ...response.data.products]);
+      setNextCursor(response.data.nextCursor || null);
+    } catch (err) {
+      console.error('Load more error:', err);
+      alert(err.response?.data?.message || 'Failed to load more products');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleSearch = (text) => {
+    if (text) {
+      setSearchParams(buildParams({ q: text }));
     }
   };
 
   const handleCategoryChange = (category) => {
     setSelectedCategory(category);
-    const params = { q: query };
-    if (category !== 'All') params.category = category;
-    if (minPrice) params.minPrice = minPrice;
-    if (maxPrice) params.maxPrice = maxPrice;
-    if (sortBy) params.sort = sortBy;
-    setSearchParams(params);
+    setSearchParams(buildParams({ category }));
+  };
+
+  const handleShopChange = (shop) => {
+    setSelectedShop(shop);
+    setSearchParams(buildParams({ shop }));
+  };
+
+  const handleRatingChange = (rating) => {
+    setMinRating(rating);
+    setSearchParams(buildParams({ minRating: rating }));
   };
 
   const handleSortChange = (sort) => {
     setSortBy(sort);
-    const params = { q: query, sort };
-    if (selectedCategory !== 'All') params.category = selectedCategory;
-    if (minPrice) params.minPrice = minPrice;
-    if (maxPrice) params.maxPrice = maxPrice;
-    setSearchParams(params);
+    setSearchParams(buildParams({ sort }));
   };
 
-  const applyPriceFilter = () => {
-    const params = { q: query };
-    if (selectedCategory !== 'All') params.category = selectedCategory;
-    if (minPrice) params.minPrice = minPrice;
-    if (maxPrice) params.maxPrice = maxPrice;
-    if (sortBy) params.sort = sortBy;
-    setSearchParams(params);
+  const applyPriceFilter = (changes = {}) => {
+    setSearchParams(buildParams(changes));
     setShowFilters(false);
   };
 
+  // Price buckets go up to (not including) max; the filter's max is inclusive
+  const handlePriceBucket = (bucket) => {
+    const bucketMin = bucket.min !== null ? String(bucket.min) : '';
+    const bucketMax = bucket.max !== null ? String(bucket.max - 0.01) : '';
+    setMinPrice(bucketMin);
+    setMaxPrice(bucketMax);
+    applyPriceFilter({ minPrice: bucketMin, maxPrice: bucketMax });
+  };
+
   const clearFilters = () => {
     setSelectedCategory('All');
     setMinPrice('');
     setMaxPrice('');
+    setSelectedShop('');
+    setMinRating('');
     setSortBy('relevance');
     setSearchParams({ q: query });
   };
@@ -189,7 +239,20 @@ export default function SearchResults() {
   const activeFiltersCount =
     (selectedCategory !== 'All' ? 1 : 0) +
     (minPrice ? 1 : 0) +
-    (maxPrice ? 1 : 0);
+    (maxPrice ? 1 : 0) +
+    (selectedShop ? 1 : 0) +
+    (minRating ? 1 : 0);
+
+  // Facet counts from the server, falling back to the plain list before the first search
+  const categoryOptions = facets
+    ? [...facets.categories]
+    : CATEGORIES.filter((category) => category !== 'All').map((value) => ({ value, count: null }));
+  if (selectedCategory !== 'All' && !categoryOptions.some((option) => option.value === selectedCategory)) {
+    categoryOptions.push({ value: selectedCategory, count: 0 });
+  }
+
+  const selectedShopName =
+    facets?.shops.find((shop) => String(shop.sellerId) === selectedShop)?.shopName || 'Selected shop';
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -203,25 +266,22 @@ export default function SearchResults() {
               </div>
 
               {/* Search Bar */}
-              <form onSubmit={handleSearch} className="flex-1 max-w-2xl">
-                <div className="relative">
-                  <input
-                    type="text"
-                    value={searchInput}
-                    onChange={(e) => setSearchInput(e.target.value)}
-                    placeholder="Search products..."
-                    className="w-full px-4 py-2 pr-10 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
-                  />
-                  <button
-                    type="submit"
-                    className="absolute right-2 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-green-600"
-                  >
-                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
-                    </svg>
-                  </button>
-                </div>
-              </form>
+              <SearchAutocomplete
+                value={searchInput}
+                onChange={setSearchInput}
+                onSearch={handleSearch}
+                className="flex-1 max-w-2xl"
+                inputClassName="w-full px-4 py-2 pr-10 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
+              >
+                <button
+                  type="submit"
+                  className="absolute right-2 top-5 transform -translate-y-1/2 text-gray-400 hover:text-green-600"
+                >
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+                  </svg>
+                </button>
+              </SearchAutocomplete>
             </div>
 
             <div className="flex items-center space-x-4 ml-4">
@@ -280,7 +340,7 @@ export default function SearchResults() {
                 Search Results for "{query}"
               </h1>
               <p className="text-gray-600 mt-1">
-                {loading ? 'Searching...' : `${products.length} products found`}
+                {loading ? 'Searching...' : `${total} ${total === 1 ? 'product' : 'products'} found`}
               </p>
             </div>
 
@@ -336,7 +396,7 @@ export default function SearchResults() {
                   <button
                     onClick={() => {
                       setMinPrice('');
-                      applyPriceFilter();
+                      applyPriceFilter({ minPrice: '' });
                     }}
                     className="hover:text-green-900"
                   >
@@ -350,7 +410,7 @@ export default function SearchResults() {
                   <button
                     onClick={() => {
                       setMaxPrice('');
-                      applyPriceFilter();
+                      applyPriceFilter({ maxPrice: '' });
                     }}
                     className="hover:text-green-900"
                   >
@@ -358,6 +418,28 @@ export default function SearchResults() {
                   </button>
                 </span>
               )}
+              {selectedShop && (
+                <span className="inline-flex items-center gap-1 px-3 py-1 bg-green-100 text-green-800 rounded-full text-sm">
+                  {selectedShopName}
+                  <button
+                    onClick={() => handleShopChange('')}
+                    className="hover:text-green-900"
+                  >
+                    ×
+                  </button>
+                </span>
+              )}
+              {minRating && (
+                <span className="inline-flex items-center gap-1 px-3 py-1 bg-green-100 text-green-800 rounded-full text-sm">
+                  {RATING_LABELS[minRating] || `${minRating}★ & up`}
+                  <button
+                    onClick={() => handleRatingChange('')}
+                    className="hover:text-green-900"
+                  >
+                    ×
+                  </button>
+                </span>
+              )}
               <button
                 onClick={clearFilters}
                 className="text-sm text-red-600 hover:text-red-700 font-medium"
@@ -378,24 +460,52 @@ export default function SearchResults() {
               <div className="mb-6">
                 <h3 className="text-sm font-medium text-gray-700 mb-3">Category</h3>
                 <div className="space-y-2">
-                  {CATEGORIES.map((category) => (
-                    <label key={category} className="flex items-center">
+                  <label className="flex items-center">
+                    <input
+                      type="radio"
+                      name="category"
+                      checked={selectedCategory === 'All'}
+                      onChange={() => handleCategoryChange('All')}
+                      className="text-green-600 focus:ring-green-500"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">All</span>
+                  </label>
+                  {categoryOptions.map((option) => (
+                    <label key={option.value} className="flex items-center">
                       <input
                         type="radio"
                         name="category"
-                        checked={selectedCategory === category}
-                        onChange={() => handleCategoryChange(category)}
+                        checked={selectedCategory === option.value}
+                        onChange={() => handleCategoryChange(option.value)}
                         className="text-green-600 focus:ring-green-500"
                       />
-                      <span className="ml-2 text-sm text-gray-700">{category}</span>
+                      <span className="ml-2 text-sm text-gray-700 flex-1">{option.value}</span>
+                      {option.count !== null && (
+                        <span className="text-xs text-gray-500">{option.count}</span>
+                      )}
                     </label>
                   ))}
                 </div>
               </div>
 
               {/* Price Range */}
-              <div>
+              <div className="mb-6">
                 <h3 className="text-sm font-medium text-gray-700 mb-3">Price Range</h3>
+                {facets && (
+                  <div className="space-y-1 mb-3">
+                    {facets.prices.map((bucket) => (
+                      <button
+                        key={bucket.label}
+                        onClick={() => handlePriceBucket(bucket)}
+                        disabled={bucket.count === 0}
+                        className="w-full flex items-center justify-between text-left text-sm text-gray-700 hover:text-green-600 disabled:text-gray-300 disabled:cursor-not-allowed"
+                      >
+                        <span>{bucket.label}</span>
+                        <span className="text-xs text-gray-500">{bucket.count}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
                 <div className="space-y-3">
                   <input
                     type="number"
@@ -412,13 +522,78 @@ export default function SearchResults() {
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-green-500"
                   />
                   <button
-                    onClick={applyPriceFilter}
+                    onClick={() => applyPriceFilter()}
                     className="w-full px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
                   >
                     Apply
                   </button>
                 </div>
               </div>
+
+              {/* Shops */}
+              {facets && facets.shops.length > 0 && (
+                <div className="mb-6">
+                  <h3 className="text-sm font-medium text-gray-700 mb-3">Shop</h3>
+                  <div className="space-y-2">
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        name="shop"
+                        checked={!selectedShop}
+                        onChange={() => handleShopChange('')}
+                        className="text-green-600 focus:ring-green-500"
+                      />
+                      <span className="ml-2 text-sm text-gray-700">All shops</span>
+                    </label>
+                    {facets.shops.map((shop) => (
+                      <label key={shop.sellerId} className="flex items-center">
+                        <input
+                          type="radio"
+                          name="shop"
+                          checked={selectedShop === String(shop.sellerId)}
+                          onChange={() => handleShopChange(String(shop.sellerId))}
+                          className="text-green-600 focus:ring-green-500"
+                        />
+                        <span className="ml-2 text-sm text-gray-700 flex-1 truncate">{shop.shopName}</span>
+                        <span className="text-xs text-gray-500">{shop.count}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Rating */}
+              {facets && (
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 mb-3">Rating</h3>
+                  <div className="space-y-2">
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        name="rating"
+                        checked={!minRating}
+                        onChange={() => handleRatingChange('')}
+                        className="text-green-600 focus:ring-green-500"
+                      />
+                      <span className="ml-2 text-sm text-gray-700">Any rating</span>
+                    </label>
+                    {facets.ratings.map((rating) => (
+                      <label key={rating.minRating} className="flex items-center">
+                        <input
+                          type="radio"
+                          name="rating"
+                          checked={minRating === String(rating.minRating)}
+                          onChange={() => handleRatingChange(String(rating.minRating))}
+                          disabled={rating.count === 0}
+                          className="text-green-600 focus:ring-green-500"
+                        />
+                        <span className="ml-2 text-sm text-gray-700 flex-1">{RATING_LABELS[rating.minRating]}</span>
+                        <span className="text-xs text-gray-500">{rating.count}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
           </aside>
 
@@ -519,6 +694,18 @@ export default function SearchResults() {
                 ))}
               </div>
             )}
+
+            {!loading && !error && nextCursor && (
+              <div className="text-center mt-8">
+                <button
+                  onClick={loadMore}
+                  disabled={loadingMore}
+                  className="px-6 py-2 border border-green-600 text-green-600 rounded-lg hover:bg-green-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {loadingMore ? 'Loading...' : `Show more (${total - products.length} left)`}
+                </button>
+              </div>
+            )}
           </main>
         </div>
       </div>
@@ -2,6 +2,54 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { productService, uploadService, sellerService } from '../services/api';
+import ExportButtons from '../components/common/ExportButtons';
+import ProductImport from '../components/products/ProductImport';
+import NotificationBell from '../components/common/NotificationBell';
+
+const MAX_OPTIONS = 3;
+
+// 'S, M, L' -> ['S', 'M', 'L']
+const parseOptionValues = (valuesText) => {
+  return [...new Set(valuesText.split(',').map((value) => value.trim()).filter(Boolean))];
+};
+
+const variantLabel = (options) => {
+  return Object.entries(options).map(([name, value]) => `${name}: ${value}`).join(' / ');
+};
+
+// Every combination of option values, keeping the details of variants that already exist
+const buildVariantCombinations = (options, existingVariants) => {
+  const validOptions = options
+    .map((option) => ({ name: option.name.trim(), values: parseOptionValues(option.valuesText) }))
+    .filter((option) => option.name && option.values.length > 0);
+
+  if (validOptions.length === 0) return [];
+
+  const combinations = validOptions.reduce(
+    (acc, option) => acc.flatMap((combo) => option.values.map((value) => ({ ...combo, [option.name]: value }))),
+    [{}]
+  );
+
+  return combinations.map((combo) => {
+    const existing = existingVariants.find((variant) =>
+      validOptions.every((option) => variant.options[option.name] === combo[option.name])
+    );
+    return existing
+      ? { ...existing, options: combo }
+      : { sku: '', options: combo, price: '', quantityAvailable: '', imageUrls: [], isActive: true };
+  });
+};
+
+const emptyProductForm = {
+  name: '',
+  description: '',
+  price: '',
+  quantityAvailable: '',
+  category: '',
+  imageUrls: [],
+  options: [],
+  variants: [],
+};
 
 export default function SellerDashboard() {
   const navigate = useNavigate();
@@ -12,20 +60,15 @@ export default function SellerDashboard() {
   const [shopSlug, setShopSlug] = useState('');
   const [loading, setLoading] = useState(true);
   const [showCreateForm, setShowCreateForm] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
   // Form state
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    price: '',
-    quantityAvailable: '',
-    category: '',
-    imageUrls: [],
-  });
+  const [formData, setFormData] = useState(emptyProductForm);
   const [uploadingImages, setUploadingImages] = useState(false);
+  const [uploadingVariantIndex, setUploadingVariantIndex] = useState(null);
 
   // Load products and seller profile on mount
   useEffect(() => {
@@ -95,6 +138,19 @@ export default function SellerDashboard() {
       quantityAvailable: product.quantity_available.toString(),
       category: product.category,
       imageUrls: product.image_urls || [],
+      options: (product.options || []).map((option) => ({
+        name: option.name,
+        valuesText: option.values.join(', '),
+      })),
+      variants: (product.variants || []).map((variant) => ({
+        id: variant.id,
+        sku: variant.sku || '',
+        options: variant.options,
+        price: variant.price ? variant.price.toString() : '',
+        quantityAvailable: variant.quantity_available.toString(),
+        imageUrls: variant.image_urls || [],
+        isActive: variant.is_active,
+      })),
     });
     setShowCreateForm(true);
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -103,14 +159,51 @@ export default function SellerDashboard() {
   const handleCancelEdit = () => {
     setEditingProduct(null);
     setShowCreateForm(false);
-    setFormData({
-      name: '',
-      description: '',
-      price: '',
-      quantityAvailable: '',
-      category: '',
-      imageUrls: [],
-    });
+    setFormData(emptyProductForm);
+  };
+
+  const updateOption = (index, field, value) => {
+    const options = formData.options.map((option, i) => (i === index ? { ...option, [field]: value } : option));
+    setFormData({ ...formData, options });
+  };
+
+  const addOption = () => {
+    setFormData({ ...formData, options: [...formData.options, { name: '', valuesText: '' }] });
+  };
+
+  const removeOption = (index) => {
+    const options = formData.options.filter((_, i) => i !== index);
+    setFormData({ ...formData, options, variants: buildVariantCombinations(options, formData.variants) });
+  };
+
+  const generateVariants = () => {
+    setFormData({ ...formData, variants: buildVariantCombinations(formData.options, formData.variants) });
+  };
+
+  const updateVariant = (index, field, value) => {
+    const variants = formData.variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant));
+    setFormData({ ...formData, variants });
+  };
+
+  const removeVariant = (index) => {
+    setFormData({ ...formData, variants: formData.variants.filter((_, i) => i !== index) });
+  };
+
+  const handleVariantImageUpload = async (index, e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setUploadingVariantIndex(index);
+    setError('');
+
+    try {
+      const response = await uploadService.uploadImage(file);
+      updateVariant(index, 'imageUrls', [response.data.url]);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to upload image');
+    } finally {
+      setUploadingVariantIndex(null);
+    }
   };
 
   const handleSubmit = async (e) => {
@@ -129,10 +222,29 @@ export default function SellerDashboard() {
       return;
     }
 
+    const options = formData.options
+      .map((option) => ({ name: option.name.trim(), values: parseOptionValues(option.valuesText) }))
+      .filter((option) => option.name || option.values.length > 0);
+
+    if (options.length > 0 && formData.variants.length === 0) {
+      setError('Generate the variants for your options, or remove the options');
+      return;
+    }
+
     const productData = {
       ...formData,
       price: parseFloat(formData.price),
       quantityAvailable: parseInt(formData.quantityAvailable) || 0,
+      options,
+      variants: formData.variants.map((variant) => ({
+        id: variant.id,
+        sku: variant.sku,
+        options: variant.options,
+        price: variant.price === '' ? null : parseFloat(variant.price),
+        quantityAvailable: parseInt(variant.quantityAvailable) || 0,
+        imageUrls: variant.imageUrls,
+        isActive: variant.isActive,
+      })),
     };
 
     try {
@@ -208,6 +320,24 @@ export default function SellerDashboard() {
               >
                 Analytics
               </button>
+              <button
+                onClick={() => navigate('/seller/inventory')}
+                className="text-green-600 hover:bg-green-50 px-4 py-2 rounded-lg font-medium"
+              >
+                Inventory
+              </button>
+              <button
+                onClick={() => navigate('/seller/delivery')}
+                className="text-green-600 hover:bg-green-50 px-4 py-2 rounded-lg font-medium"
+              >
+                Delivery
+              </button>
+              <button
+                onClick={() => navigate('/seller/promotions')}
+                className="text-green-600 hover:bg-green-50 px-4 py-2 rounded-lg font-medium"
+              >
+                Promotions
+              </button>
               <button
                 onClick={() => navigate('/seller/order-management')}
                 className="text-green-600 hover:bg-green-50 px-4 py-2 rounded-lg font-medium"
@@ -220,6 +350,13 @@ export default function SellerDashboard() {
               >
                 Back
               </button>
+              <button
+                onClick={() => navigate('/account/security')}
+                className="text-gray-600 hover:text-gray-900 px-3 py-2"
+              >
+                Security
+              </button>
+              <NotificationBell />
               <button
                 onClick={() => {
                   logout();
@@ -292,15 +429,34 @@ export default function SellerDashboard() {
           <div className="flex justify-between items-center mb-6">
             <h2 className="text-2xl font-bold text-gray-900">My Products</h2>
             {!showCreateForm && (
-              <button
-                onClick={() => setShowCreateForm(true)}
-                className="bg-green-600 hover:bg-green-700 text-white px-6 py-2 rounded-md font-medium"
-              >
-                Create Product
-              </button>
+              <div className="flex items-center gap-2">
+                <ExportButtons download={productService.exportMyProducts} filename="buytree-products" />
+                <button onClick={() => setShowImport(true)} className="btn-secondary">
+                  Import CSV
+                </button>
+                <button
+                  onClick={() => setShowCreateForm(true)}
+                  className="bg-green-600 hover:bg-green-700 text-white px-6 py-2 rounded-md font-medium"
+                >
+                  Create Product
+                </button>
+              </div>
             )}
           </div>
 
+          {/* Bulk Import */}
+          {showImport && !showCreateForm && (
+            <ProductImport
+              categories={sellerCategories}
+              onClose={() => setShowImport(false)}
+              onImported={(message) => {
+                setShowImport(false);
+                setSuccess(message);
+                fetchProducts();
+              }}
+            />
+          )}
+
           {/* Create/Edit Product Form */}
           {showCreateForm && (
             <div className="bg-white shadow rounded-lg p-6 mb-6">
@@ -374,12 +530,20 @@ export default function SellerDashboard() {
                     <input
                       type="number"
                       min="0"
-                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-green-500 focus:border-green-500"
-                      value={formData.quantityAvailable}
+                      disabled={formData.variants.length > 0}
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-green-500 focus:border-green-500 disabled:bg-gray-100"
+                      value={formData.variants.length > 0
+                        ? formData.variants
+                          .filter((variant) => variant.isActive)
+                          .reduce((sum, variant) => sum + (parseInt(variant.quantityAvailable) || 0), 0)
+                        : formData.quantityAvailable}
                       onChange={(e) =>
                         setFormData({ ...formData, quantityAvailable: e.target.value })
                       }
                     />
+                    {formData.variants.length > 0 && (
+                      <p className="mt-1 text-xs text-gray-500">Total stock of active variants</p>
+                    )}
                   </div>
                 </div>
 
@@ -411,6 +575,154 @@ export default function SellerDashboard() {
                   )}
                 </div>
 
+                {/* Variants */}
+                <div className="border-t border-gray-200 pt-4">
+                  <div className="flex justify-between items-center mb-2">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700">Variants (optional)</label>
+                      <p className="text-xs text-gray-500">
+                        Sell sizes or colours as one product, each with its own stock and price
+                      </p>
+                    </div>
+                    {formData.options.length < MAX_OPTIONS && (
+                      <button
+                        type="button"
+                        onClick={addOption}
+                        className="text-sm text-green-600 hover:text-green-700 font-medium"
+                      >
+                        + Add Option
+                      </button>
+                    )}
+                  </div>
+
+                  {formData.options.map((option, index) => (
+                    <div key={index} className="grid grid-cols-3 gap-2 mb-2">
+                      <input
+                        type="text"
+                        placeholder="Option (e.g. Size)"
+                        className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-green-500 focus:border-green-500"
+                        value={option.name}
+                        onChange={(e) => updateOption(index, 'name', e.target.value)}
+                      />
+                      <input
+                        type="text"
+                        placeholder="Values, comma separated (e.g. S, M, L)"
+                        className="col-span-2 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-green-500 focus:border-green-500"
+                        value={option.valuesText}
+                        onChange={(e) => updateOption(index, 'valuesText', e.target.value)}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeOption(index)}
+                        className="col-span-3 text-left text-xs text-red-600 hover:text-red-700"
+                      >
+                        Remove option
+                      </button>
+                    </div>
+                  ))}
+
+                  {formData.options.length > 0 && (
+                    <button
+                      type="button"
+                      onClick={generateVariants}
+                      className="mt-2 px-4 py-2 border border-green-600 text-green-600 rounded-md text-sm font-medium hover:bg-green-50"
+                    >
+                      {formData.variants.length > 0 ? 'Update Variants' : 'Generate Variants'}
+                    </button>
+                  )}
+
+                  {formData.variants.length > 0 && (
+                    <div className="mt-4 overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">Variant</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">SKU</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">Price (₦)</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">Stock</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">Image</th>
+                            <th className="px-3 py-2 text-left font-medium text-gray-500">Active</th>
+                            <th className="px-3 py-2"></th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                          {formData.variants.map((variant, index) => (
+                            <tr key={variant.id || variantLabel(variant.options)}>
+                              <td className="px-3 py-2 whitespace-nowrap text-gray-900">
+                                {variantLabel(variant.options)}
+                              </td>
+                              <td className="px-3 py-2">
+                                <input
+                                  type="text"
+                                  className="w-28 px-2 py-1 border border-gray-300 rounded-md"
+                                  value={variant.sku}
+                                  onChange={(e) => updateVariant(index, 'sku', e.target.value)}
+                                />
+                              </td>
+                              <td className="px-3 py-2">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  placeholder={formData.price || 'Same'}
+                                  className="w-28 px-2 py-1 border border-gray-300 rounded-md"
+                                  value={variant.price}
+                                  onChange={(e) => updateVariant(index, 'price', e.target.value)}
+                                />
+                              </td>
+                              <td className="px-3 py-2">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                                  value={variant.quantityAvailable}
+                                  onChange={(e) => updateVariant(index, 'quantityAvailable', e.target.value)}
+                                />
+                              </td>
+                              <td className="px-3 py-2">
+                                <label className="flex items-center gap-2 cursor-pointer">
+                                  {variant.imageUrls.length > 0 ? (
+                                    <img src={variant.imageUrls[0]} alt={variantLabel(variant.options)} className="h-10 w-10 object-cover rounded" />
+                                  ) : (
+                                    <span className="text-xs text-green-600">
+                                      {uploadingVariantIndex === index ? 'Uploading...' : 'Upload'}
+                                    </span>
+                                  )}
+                                  <input
+                                    type="file"
+                                    accept="image/*"
+                                    className="hidden"
+                                    onChange={(e) => handleVariantImageUpload(index, e)}
+                                  />
+                                </label>
+                              </td>
+                              <td className="px-3 py-2">
+                                <input
+                                  type="checkbox"
+                                  checked={variant.isActive}
+                                  onChange={(e) => updateVariant(index, 'isActive', e.target.checked)}
+                                />
+                              </td>
+                              <td className="px-3 py-2">
+                                <button
+                                  type="button"
+                                  onClick={() => removeVariant(index)}
+                                  className="text-xs text-red-600 hover:text-red-700"
+                                >
+                                  Remove
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                      <p className="mt-2 text-xs text-gray-500">
+                        Leave price empty to use the product price
+                      </p>
+                    </div>
+                  )}
+                </div>
+
                 <div className="flex justify-end space-x-3">
                   <button
                     type="button"
@@ -421,7 +733,7 @@ export default function SellerDashboard() {
                   </button>
                   <button
                     type="submit"
-                    disabled={uploadingImages}
+                    disabled={uploadingImages || uploadingVariantIndex !== null}
                     className="px-6 py-2 bg-green-600 hover:bg-green-700 text-white rounded-md font-medium disabled:bg-gray-400"
                   >
                     {editingProduct ? 'Update Product' : 'Create Product'}
@@ -461,6 +773,7 @@ export default function SellerDashboard() {
                     </p>
                     <p className="text-sm text-gray-600 mb-4">
                       Stock: {product.quantity_available} units
+                      {product.has_variants && ` across ${product.variants?.length || 0} variants`}
                     </p>
                     <div className="flex space-x-2">
                       <button
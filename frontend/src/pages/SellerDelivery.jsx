@@ -0,0 +1,407 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { sellerService } from '../services/api';
+import NotificationBell from '../components/common/NotificationBell';
+
+const ZONE_TYPES = [
+  { value: 'lga', label: 'LGA' },
+  { value: 'state', label: 'State' },
+  { value: 'flat', label: 'Flat rate (everywhere else)' },
+];
+
+const emptyZone = { name: '', zoneType: 'state', state: '', lga: '', fee: '' };
+
+export default function SellerDelivery() {
+  const { logout } = useAuth();
+
+  const [settings, setSettings] = useState({ freeDeliveryThreshold: '', pickupOnly: false, pickupAddress: '' });
+  const [zones, setZones] = useState([]);
+  const [states, setStates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [savingSettings, setSavingSettings] = useState(false);
+
+  const [zoneForm, setZoneForm] = useState(emptyZone);
+  const [editingZoneId, setEditingZoneId] = useState(null);
+  const [savingZone, setSavingZone] = useState(false);
+
+  useEffect(() => {
+    fetchDeliverySettings();
+  }, []);
+
+  const fetchDeliverySettings = async () => {
+    try {
+      setLoading(true);
+      const response = await sellerService.getDeliverySettings();
+      const { settings: saved, zones: savedZones, states: stateList } = response.data;
+      setSettings({
+        freeDeliveryThreshold: saved?.free_delivery_threshold ?? '',
+        pickupOnly: Boolean(saved?.pickup_only),
+        pickupAddress: saved?.pickup_address || '',
+      });
+      setZones(savedZones);
+      setStates(stateList);
+      setError('');
+    } catch (err) {
+      setError('Failed to load delivery settings');
+      console.error('Delivery settings error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingSettings(true);
+      await sellerService.updateDeliverySettings(settings);
+      alert('Delivery settings saved');
+    } catch (err) {
+      console.error('Save delivery settings error:', err);
+      alert(err.response?.data?.message || 'Failed to save delivery settings');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const handleZoneChange = (e) => {
+    const { name, value } = e.target;
+    setZoneForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const resetZoneForm = () => {
+    setZoneForm(emptyZone);
+    setEditingZoneId(null);
+  };
+
+  const handleSaveZone = async (e) => {
+    e.preventDefault();
+    try {
+      setSavingZone(true);
+      if (editingZoneId) {
+        await sellerService.updateDeliveryZone(editingZoneId, zoneForm);
+      } else {
+        await sellerService.createDeliveryZone(zoneForm);
+      }
+      resetZoneForm();
+      fetchDeliverySettings();
+    } catch (err) {
+      console.error('Save delivery zone error:', err);
+      alert(err.response?.data?.message || 'Failed to save delivery zone');
+    } finally {
+      setSavingZone(false);
+    }
+  };
+
+  const handleEditZone = (zone) => {
+    setEditingZoneId(zone.id);
+    setZoneForm({
+      name: zone.name,
+      zoneType: zone.zone_type,
+      state: zone.state || '',
+      lga: zone.lga || '',
+      fee: zone.fee,
+      isActive: zone.is_active,
+    });
+  };
+
+  const handleToggleZone = async (zone) => {
+    try {
+      await sellerService.updateDeliveryZone(zone.id, {
+        name: zone.name,
+        zoneType: zone.zone_type,
+        state: zone.state,
+        lga: zone.lga,
+        fee: zone.fee,
+        isActive: !zone.is_active,
+      });
+      fetchDeliverySettings();
+    } catch (err) {
+      console.error('Toggle delivery zone error:', err);
+      alert(err.response?.data?.message || 'Failed to update delivery zone');
+    }
+  };
+
+  const handleDeleteZone = async (zone) => {
+    if (!confirm(`Delete the "${zone.name}" delivery zone?`)) return;
+
+    try {
+      await sellerService.deleteDeliveryZone(zone.id);
+      if (editingZoneId === zone.id) resetZoneForm();
+      fetchDeliverySettings();
+    } catch (err) {
+      console.error('Delete delivery zone error:', err);
+      alert(err.response?.data?.message || 'Failed to delete delivery zone');
+    }
+  };
+
+  const formatPrice = (amount) => {
+    return new Intl.NumberFormat('en-NG', {
+      style: 'currency',
+      currency: 'NGN',
+    }).format(amount);
+  };
+
+  if (loading) {
+    return (
+      <div className="page-container flex-center">
+        <div className="text-center">
+          <div className="loading-spinner-lg"></div>
+          <p className="loading-text">Loading delivery settings...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="page-container flex-center">
+        <div className="text-center">
+          <p className="error-text">{error}</p>
+          <button
+            onClick={fetchDeliverySettings}
+            className="btn-primary mt-4"
+          >
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="page-container">
+      {/* Header */}
+      <div className="nav-header">
+        <div className="nav-content">
+          <div className="flex-between">
+            <div>
+              <h1 className="heading-xl">Delivery</h1>
+              <p className="text-muted">Set where you deliver and what buyers pay for it</p>
+            </div>
+            <div className="nav-links">
+              <Link
+                to="/seller/dashboard"
+                className="btn-secondary"
+              >
+                Products
+              </Link>
+              <Link
+                to="/seller/orders"
+                className="btn-secondary"
+              >
+                Orders
+              </Link>
+              <NotificationBell />
+              <button
+                onClick={logout}
+                className="btn-danger"
+              >
+                Logout
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="content-wrapper space-y-6">
+        {/* General Settings */}
+        <form onSubmit={handleSaveSettings} className="card">
+          <h2 className="section-header-mb-4">Delivery Options</h2>
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="freeDeliveryThreshold" className="form-label">
+                Free delivery on orders from (₦)
+              </label>
+              <input
+                id="freeDeliveryThreshold"
+                type="number"
+                min="0"
+                step="0.01"
+                value={settings.freeDeliveryThreshold}
+                onChange={(e) => setSettings(prev => ({ ...prev, freeDeliveryThreshold: e.target.value }))}
+                placeholder="Leave empty to always charge delivery"
+                className="form-input w-full md:w-80"
+              />
+            </div>
+
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={settings.pickupOnly}
+                onChange={(e) => setSettings(prev => ({ ...prev, pickupOnly: e.target.checked }))}
+              />
+              Pickup only (buyers collect orders from my shop)
+            </label>
+
+            {settings.pickupOnly && (
+              <div>
+                <label htmlFor="pickupAddress" className="form-label">Pickup address</label>
+                <textarea
+                  id="pickupAddress"
+                  rows="2"
+                  value={settings.pickupAddress}
+                  onChange={(e) => setSettings(prev => ({ ...prev, pickupAddress: e.target.value }))}
+                  className="form-input w-full"
+                  required
+                />
+              </div>
+            )}
+
+            <button type="submit" disabled={savingSettings} className="btn-primary">
+              {savingSettings ? 'Saving...' : 'Save Options'}
+            </button>
+          </div>
+        </form>
+
+        {/* Zone Form */}
+        <form onSubmit={handleSaveZone} className="card">
+          <h2 className="section-header-mb-4">{editingZoneId ? 'Edit Delivery Zone' : 'Add Delivery Zone'}</h2>
+          <p className="text-muted mb-4">
+            Buyers are charged the most specific zone that covers their address: LGA, then state, then flat rate.
+            If you have no zones, delivery is free.
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+            <div>
+              <label htmlFor="zoneType" className="form-label">Type</label>
+              <select
+                id="zoneType"
+                name="zoneType"
+                value={zoneForm.zoneType}
+                onChange={handleZoneChange}
+                className="form-select w-full"
+              >
+                {ZONE_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="state" className="form-label">State</label>
+              <select
+                id="state"
+                name="state"
+                value={zoneForm.state}
+                onChange={handleZoneChange}
+                disabled={zoneForm.zoneType === 'flat'}
+                className="form-select w-full"
+                required={zoneForm.zoneType !== 'flat'}
+              >
+                <option value="">Select state</option>
+                {states.map((state) => (
+                  <option key={state} value={state}>{state}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="lga" className="form-label">LGA</label>
+              <input
+                id="lga"
+                name="lga"
+                value={zoneForm.lga}
+                onChange={handleZoneChange}
+                disabled={zoneForm.zoneType !== 'lga'}
+                placeholder="e.g. Ikeja"
+                className="form-input w-full"
+                required={zoneForm.zoneType === 'lga'}
+              />
+            </div>
+            <div>
+              <label htmlFor="fee" className="form-label">Fee (₦)</label>
+              <input
+                id="fee"
+                name="fee"
+                type="number"
+                min="0"
+                step="0.01"
+                value={zoneForm.fee}
+                onChange={handleZoneChange}
+                className="form-input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="name" className="form-label">Name (optional)</label>
+              <input
+                id="name"
+                name="name"
+                value={zoneForm.name}
+                onChange={handleZoneChange}
+                placeholder="e.g. Mainland"
+                className="form-input w-full"
+              />
+            </div>
+          </div>
+          <div className="flex gap-3 mt-4">
+            <button type="submit" disabled={savingZone} className="btn-primary">
+              {savingZone ? 'Saving...' : editingZoneId ? 'Update Zone' : 'Add Zone'}
+            </button>
+            {editingZoneId && (
+              <button type="button" onClick={resetZoneForm} className="btn-secondary">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        {/* Zones */}
+        <div className="card">
+          <h2 className="section-header-mb-4">Delivery Zones</h2>
+          {zones.length > 0 ? (
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr className="table-header-row-alt">
+                    <th className="table-header-cell-alt">Name</th>
+                    <th className="table-header-cell-alt">Type</th>
+                    <th className="table-header-cell-alt">Area</th>
+                    <th className="table-header-cell-alt">Fee</th>
+                    <th className="table-header-cell-alt">Status</th>
+                    <th className="table-header-cell-alt">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body-alt">
+                  {zones.map((zone) => (
+                    <tr key={zone.id} className="table-row">
+                      <td className="table-cell-compact">{zone.name}</td>
+                      <td className="table-cell-compact">
+                        {ZONE_TYPES.find((type) => type.value === zone.zone_type)?.label || zone.zone_type}
+                      </td>
+                      <td className="table-cell-compact-muted">
+                        {zone.zone_type === 'flat' ? 'Everywhere else' : [zone.lga, zone.state].filter(Boolean).join(', ')}
+                      </td>
+                      <td className="table-cell-compact-bold">
+                        {parseFloat(zone.fee) > 0 ? formatPrice(parseFloat(zone.fee)) : 'Free'}
+                      </td>
+                      <td className="table-cell-compact">
+                        <span className={`badge ${zone.is_active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                          {zone.is_active ? 'Active' : 'Paused'}
+                        </span>
+                      </td>
+                      <td className="table-cell-compact">
+                        <div className="flex gap-3">
+                          <button onClick={() => handleEditZone(zone)} className="text-green-600 hover:text-green-800 font-medium">
+                            Edit
+                          </button>
+                          <button onClick={() => handleToggleZone(zone)} className="text-gray-600 hover:text-gray-800 font-medium">
+                            {zone.is_active ? 'Pause' : 'Resume'}
+                          </button>
+                          <button onClick={() => handleDeleteZone(zone)} className="text-red-600 hover:text-red-800 font-medium">
+                            Delete
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="empty-state">No delivery zones yet - delivery is free for all buyers</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,443 @@
+import { Fragment, useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { sellerService } from '../services/api';
+import NotificationBell from '../components/common/NotificationBell';
+
+const STATUS_BADGES = {
+  out: { label: 'Out of stock', className: 'bg-red-100 text-red-800' },
+  low: { label: 'Low', className: 'bg-yellow-100 text-yellow-800' },
+  ok: { label: 'In stock', className: 'bg-green-100 text-green-800' },
+};
+
+const MOVEMENT_LABELS = {
+  sale: 'Sale',
+  cancellation_return: 'Cancelled order',
+  restock: 'Restock',
+  adjustment: 'Adjustment',
+};
+
+const emptyAdjustment = {
+  productId: null,
+  variantId: '',
+  type: 'restock',
+  quantity: '',
+  note: '',
+};
+
+const formatCover = (days) => {
+  if (days === null || days === undefined) return '-';
+  if (days > 365) return '1 year+';
+  return `${days} day${days === 1 ? '' : 's'}`;
+};
+
+export default function SellerInventory() {
+  const { logout } = useAuth();
+
+  const [inventory, setInventory] = useState(null);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [movements, setMovements] = useState([]);
+  const [historyProduct, setHistoryProduct] = useState(null);
+
+  const [adjustment, setAdjustment] = useState(emptyAdjustment);
+  const [saving, setSaving] = useState(false);
+  const [thresholds, setThresholds] = useState({});
+
+  useEffect(() => {
+    fetchInventory();
+  }, [status]);
+
+  useEffect(() => {
+    fetchMovements();
+  }, [historyProduct]);
+
+  const fetchInventory = async () => {
+    try {
+      setLoading(true);
+      const response = await sellerService.getInventory(status ? { status } : {});
+      setInventory(response.data);
+      setThresholds({});
+      setError('');
+    } catch (err) {
+      setError('Failed to load inventory');
+      console.error('Inventory error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchMovements = async () => {
+    try {
+      const params = { limit: 50 };
+      if (historyProduct) params.productId = historyProduct.id;
+      const response = await sellerService.getInventoryMovements(params);
+      setMovements(response.data.movements);
+    } catch (err) {
+      console.error('Inventory movements error:', err);
+    }
+  };
+
+  const startAdjustment = (product, type) => {
+    setAdjustment({
+      ...emptyAdjustment,
+      productId: product.id,
+      variantId: product.variants.length > 0 ? String(product.variants[0].id) : '',
+      type,
+    });
+  };
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await sellerService.adjustInventory({
+        productId: adjustment.productId,
+        variantId: adjustment.variantId || null,
+        type: adjustment.type,
+        quantity: parseInt(adjustment.quantity),
+        note: adjustment.note,
+      });
+      setAdjustment(emptyAdjustment);
+      fetchInventory();
+      fetchMovements();
+    } catch (err) {
+      console.error('Adjust stock error:', err);
+      alert(err.response?.data?.message || 'Failed to update stock');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleThresholdSave = async (product) => {
+    const value = thresholds[product.id];
+    if (value === undefined || value === '' || parseInt(value) === product.lowStockThreshold) return;
+
+    try {
+      await sellerService.updateLowStockThreshold(product.id, parseInt(value));
+      fetchInventory();
+    } catch (err) {
+      console.error('Update threshold error:', err);
+      alert(err.response?.data?.message || 'Failed to update alert level');
+    }
+  };
+
+  const formatDateTime = (value) => {
+    return new Date(value).toLocaleString('en-NG', {
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (loading && !inventory) {
+    return (
+      <div className="page-container flex-center">
+        <div className="text-center">
+          <div className="loading-spinner-lg"></div>
+          <p className="loading-text">Loading inventory...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="page-container flex-center">
+        <div className="text-center">
+          <p className="error-text">{error}</p>
+          <button onClick={fetchInventory} className="btn-primary mt-4">
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { summary, products, coverWindowDays } = inventory;
+
+  const renderAdjustmentForm = (product) => (
+    <tr>
+      <td colSpan={8} className="table-cell-compact bg-gray-50">
+        <form onSubmit={handleAdjust} className="flex flex-wrap items-end gap-3">
+          {product.variants.length > 0 && (
+            <div>
+              <label className="form-label">Variant</label>
+              <select
+                value={adjustment.variantId}
+                onChange={(e) => setAdjustment({ ...adjustment, variantId: e.target.value })}
+                className="form-select-sm"
+              >
+                {product.variants.map((variant) => (
+                  <option key={variant.id} value={variant.id}>
+                    {variant.label} ({variant.quantityAvailable})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="form-label">Type</label>
+            <select
+              value={adjustment.type}
+              onChange={(e) => setAdjustment({ ...adjustment, type: e.target.value })}
+              className="form-select-sm"
+            >
+              <option value="restock">Restock (add units)</option>
+              <option value="adjustment">Adjustment (+/-)</option>
+            </select>
+          </div>
+          <div>
+            <label className="form-label">Quantity</label>
+            <input
+              type="number"
+              step="1"
+              min={adjustment.type === 'restock' ? 1 : undefined}
+              value={adjustment.quantity}
+              onChange={(e) => setAdjustment({ ...adjustment, quantity: e.target.value })}
+              placeholder={adjustment.type === 'restock' ? 'e.g. 20' : 'e.g. -2'}
+              className="form-input w-28"
+              required
+            />
+          </div>
+          <div className="flex-1 min-w-48">
+            <label className="form-label">Note</label>
+            <input
+              value={adjustment.note}
+              onChange={(e) => setAdjustment({ ...adjustment, note: e.target.value })}
+              placeholder={adjustment.type === 'restock' ? 'e.g. Delivery from supplier' : 'e.g. Stock count, 2 damaged'}
+              maxLength={500}
+              className="form-input w-full"
+            />
+          </div>
+          <button type="submit" disabled={saving} className="btn-primary">
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+          <button type="button" onClick={() => setAdjustment(emptyAdjustment)} className="btn-secondary">
+            Cancel
+          </button>
+        </form>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="page-container">
+      {/* Header */}
+      <div className="nav-header">
+        <div className="nav-content">
+          <div className="flex-between">
+            <div>
+              <h1 className="heading-xl">Inventory</h1>
+              <p className="text-muted">Stock levels, low-stock alerts and stock history</p>
+            </div>
+            <div className="nav-links">
+              <Link to="/seller/dashboard" className="btn-secondary">
+                Products
+              </Link>
+              <Link to="/seller/orders" className="btn-secondary">
+                Orders
+              </Link>
+              <NotificationBell />
+              <button onClick={logout} className="btn-danger">
+                Logout
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="content-wrapper space-y-6">
+        {/* Summary */}
+        <div className="grid-4">
+          <div className="stat-card-green">
+            <p className="stat-label">Units Available</p>
+            <p className="stat-value-lg">{summary.unitsAvailable.toLocaleString()}</p>
+            <p className="stat-description">across {summary.products} products</p>
+          </div>
+          <div className="stat-card-blue">
+            <p className="stat-label">In Checkouts</p>
+            <p className="stat-value-lg">{summary.unitsReserved.toLocaleString()}</p>
+            <p className="stat-description">held while buyers pay</p>
+          </div>
+          <button onClick={() => setStatus('low')} className="stat-card-yellow text-left">
+            <p className="stat-label">Low Stock</p>
+            <p className="stat-value-lg">{summary.low}</p>
+          </button>
+          <button onClick={() => setStatus('out')} className="stat-card-red text-left">
+            <p className="stat-label">Out of Stock</p>
+            <p className="stat-value-lg">{summary.out}</p>
+          </button>
+        </div>
+
+        {/* Stock levels */}
+        <div className="card">
+          <div className="flex-between flex-wrap gap-3 mb-4">
+            <h2 className="section-header">Stock Levels</h2>
+            <select value={status} onChange={(e) => setStatus(e.target.value)} className="form-select-sm">
+              <option value="">All products</option>
+              <option value="low">Low stock</option>
+              <option value="out">Out of stock</option>
+              <option value="ok">In stock</option>
+            </select>
+          </div>
+
+          {products.length > 0 ? (
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr className="table-header-row-alt">
+                    <th className="table-header-cell-alt">Product</th>
+                    <th className="table-header-cell-alt">Available</th>
+                    <th className="table-header-cell-alt">In Checkouts</th>
+                    <th className="table-header-cell-alt">Sold ({coverWindowDays}d)</th>
+                    <th className="table-header-cell-alt">Days of Cover</th>
+                    <th className="table-header-cell-alt">Alert At</th>
+                    <th className="table-header-cell-alt">Status</th>
+                    <th className="table-header-cell-alt">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body-alt">
+                  {products.map((product) => (
+                    <Fragment key={product.id}>
+                      <tr className="table-row">
+                        <td className="table-cell-compact-bold">
+                          {product.name}
+                          {!product.isActive && <span className="ml-2 text-xs text-gray-500">(hidden)</span>}
+                        </td>
+                        <td className="table-cell-compact">{product.quantityAvailable}</td>
+                        <td className="table-cell-compact">{product.reserved}</td>
+                        <td className="table-cell-compact">{product.sold}</td>
+                        <td className="table-cell-compact">{formatCover(product.daysOfCover)}</td>
+                        <td className="table-cell-compact">
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={thresholds[product.id] ?? product.lowStockThreshold}
+                            onChange={(e) => setThresholds({ ...thresholds, [product.id]: e.target.value })}
+                            onBlur={() => handleThresholdSave(product)}
+                            className="form-input w-20"
+                          />
+                        </td>
+                        <td className="table-cell-compact">
+                          <span className={`badge ${STATUS_BADGES[product.status].className}`}>
+                            {STATUS_BADGES[product.status].label}
+                          </span>
+                        </td>
+                        <td className="table-cell-compact">
+                          <div className="flex gap-3">
+                            <button
+                              onClick={() => startAdjustment(product, 'restock')}
+                              className="text-green-600 hover:text-green-800 font-medium"
+                            >
+                              Restock
+                            </button>
+                            <button
+                              onClick={() => startAdjustment(product, 'adjustment')}
+                              className="text-gray-600 hover:text-gray-800 font-medium"
+                            >
+                              Adjust
+                            </button>
+                            <button
+                              onClick={() => setHistoryProduct(product)}
+                              className="text-gray-600 hover:text-gray-800 font-medium"
+                            >
+                              History
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                      {product.variants.map((variant) => (
+                        <tr key={`${product.id}-${variant.id}`} className="table-row">
+                          <td className="table-cell-compact-muted pl-8">
+                            {variant.label}
+                            {variant.sku && <span className="ml-1">· {variant.sku}</span>}
+                            {!variant.isActive && <span className="ml-1">(off)</span>}
+                          </td>
+                          <td className="table-cell-compact-muted">{variant.quantityAvailable}</td>
+                          <td className="table-cell-compact-muted">{variant.reserved}</td>
+                          <td className="table-cell-compact-muted">{variant.sold}</td>
+                          <td className="table-cell-compact-muted">{formatCover(variant.daysOfCover)}</td>
+                          <td className="table-cell-compact-muted"></td>
+                          <td className="table-cell-compact-muted">
+                            {variant.status === 'out' && <span className="text-red-600">Out</span>}
+                          </td>
+                          <td className="table-cell-compact-muted"></td>
+                        </tr>
+                      ))}
+                      {adjustment.productId === product.id && renderAdjustmentForm(product)}
+                    </Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="empty-state">No products here</div>
+          )}
+          <p className="text-xs text-gray-500 mt-4">
+            Days of cover is how long the available stock lasts at the rate you sold over the last{' '}
+            {coverWindowDays} days. You get an email when a product falls to its alert level.
+          </p>
+        </div>
+
+        {/* Movement log */}
+        <div className="card">
+          <div className="flex-between mb-4">
+            <h2 className="section-header">
+              {historyProduct ? `Stock History: ${historyProduct.name}` : 'Stock History'}
+            </h2>
+            {historyProduct && (
+              <button onClick={() => setHistoryProduct(null)} className="link-primary text-sm">
+                ← All products
+              </button>
+            )}
+          </div>
+
+          {movements.length > 0 ? (
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr className="table-header-row-alt">
+                    <th className="table-header-cell-alt">When</th>
+                    <th className="table-header-cell-alt">Product</th>
+                    <th className="table-header-cell-alt">Type</th>
+                    <th className="table-header-cell-alt">Change</th>
+                    <th className="table-header-cell-alt">Stock After</th>
+                    <th className="table-header-cell-alt">Details</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body-alt">
+                  {movements.map((movement) => (
+                    <tr key={movement.id} className="table-row">
+                      <td className="table-cell-compact-muted">{formatDateTime(movement.created_at)}</td>
+                      <td className="table-cell-compact">
+                        {movement.product_name}
+                        {movement.variant_label && (
+                          <span className="ml-1 text-gray-500">({movement.variant_label})</span>
+                        )}
+                      </td>
+                      <td className="table-cell-compact">{MOVEMENT_LABELS[movement.movement_type]}</td>
+                      <td className={`table-cell-compact-bold ${movement.quantity_change > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {movement.quantity_change > 0 ? '+' : ''}{movement.quantity_change}
+                      </td>
+                      <td className="table-cell-compact">{movement.quantity_after}</td>
+                      <td className="table-cell-compact-muted">
+                        {[movement.order_number, movement.note].filter(Boolean).join(' · ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="empty-state">No stock changes yet</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,18 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useNotifications } from '../context/NotificationContext';
 import { orderService } from '../services/api';
 import OrderDetailModal from '../components/orders/OrderDetailModal';
+import ExportButtons from '../components/common/ExportButtons';
 import { openWhatsAppChat } from '../utils/whatsapp';
+import NotificationBell from '../components/common/NotificationBell';
+
+// Notifications that change what's on this page
+const LIVE_REFRESH_TYPES = ['new_order', 'order_cancelled', 'delivery_confirmed', 'dispute_opened', 'dispute_update'];
 
 const SellerOrderManagement = () => {
   const navigate = useNavigate();
+  const { subscribe } = useNotifications();
   const [loading, setLoading] = useState(true);
   const [summary, setSummary] = useState(null);
   const [orders, setOrders] = useState([]);
@@ -59,6 +66,16 @@ const SellerOrderManagement = () => {
     fetchOrders('all', 1, '');
   }, [fetchSummary, fetchOrders]);
 
+  // New, cancelled and delivered orders show up without a manual refresh
+  useEffect(() => {
+    return subscribe((notification) => {
+      if (LIVE_REFRESH_TYPES.includes(notification.type)) {
+        fetchSummary();
+        fetchOrders(selectedStatus, pagination.page, searchQuery);
+      }
+    });
+  }, [subscribe, fetchSummary, fetchOrders, selectedStatus, pagination.page, searchQuery]);
+
   // Handle status tab change
   const handleStatusChange = (status) => {
     setSelectedStatus(status);
@@ -157,19 +174,23 @@ const SellerOrderManagement = () => {
               </div>
             </div>
 
-            {/* Refresh button */}
-            <button
-              onClick={() => {
-                fetchSummary();
-                fetchOrders(selectedStatus, pagination.page, searchQuery);
-              }}
-              className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors flex items-center space-x-2"
-            >
-              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-              </svg>
-              <span className="hidden sm:inline">Refresh</span>
-            </button>
+            <div className="flex items-center space-x-2">
+              <NotificationBell />
+
+              {/* Refresh button */}
+              <button
+                onClick={() => {
+                  fetchSummary();
+                  fetchOrders(selectedStatus, pagination.page, searchQuery);
+                }}
+                className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg transition-colors flex items-center space-x-2"
+              >
+                <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+                <span className="hidden sm:inline">Refresh</span>
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -307,6 +328,12 @@ const SellerOrderManagement = () => {
             Search
           </button>
         </form>
+        <div className="flex justify-end mt-3">
+          <ExportButtons
+            download={(format) => orderService.exportSellerOrders({ status: selectedStatus, search: searchQuery, format })}
+            filename={`buytree-orders-${selectedStatus}`}
+          />
+        </div>
       </div>
 
       {/* Orders List */}
@@ -376,6 +403,11 @@ const SellerOrderManagement = () => {
                       <p className="text-sm text-gray-600">
                         You receive: {formatCurrency(order.seller_amount)}
                       </p>
+                      {parseFloat(order.discount_amount) > 0 && (
+                        <p className="text-xs text-green-700">
+                          Discount{order.promotion_code ? ` (${order.promotion_code})` : ''}: -{formatCurrency(order.discount_amount)}
+                        </p>
+                      )}
                     </div>
                   </div>
 
@@ -386,7 +418,7 @@ const SellerOrderManagement = () => {
                       <div className="space-y-1">
                         {order.items.slice(0, 3).map((item, idx) => (
                           <p key={idx} className="text-sm text-gray-600">
-                            • {item.product_name} × {item.quantity} - {formatCurrency(item.subtotal)}
+                            • {item.product_name}{item.variant_label ? ` (${item.variant_label})` : ''} × {item.quantity} - {formatCurrency(item.subtotal)}
                           </p>
                         ))}
                         {order.items.length > 3 && (
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { orderService } from '../services/api';
+import ExportButtons from '../components/common/ExportButtons';
+import NotificationBell from '../components/common/NotificationBell';
 
 export default function SellerOrders() {
   const navigate = useNavigate();
@@ -53,6 +55,31 @@ export default function SellerOrders() {
     }
   };
 
+  const handleCancelOrder = async (orderId) => {
+    const reason = prompt('Which item is out of stock? The buyer will be refunded in full.');
+    if (reason === null) return;
+
+    try {
+      setUpdatingStatus(true);
+      await orderService.sellerCancelOrder(orderId, reason);
+
+      setOrders(orders.map(order =>
+        order.id === orderId ? { ...order, status: 'cancelled' } : order
+      ));
+
+      if (selectedOrder && selectedOrder.id === orderId) {
+        setSelectedOrder({ ...selectedOrder, status: 'cancelled' });
+      }
+
+      alert('Order cancelled and buyer refund initiated');
+    } catch (error) {
+      console.error('Failed to cancel order:', error);
+      alert(error.response?.data?.message || 'Failed to cancel order');
+    } finally {
+      setUpdatingStatus(false);
+    }
+  };
+
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-NG', {
       style: 'currency',
@@ -163,6 +190,7 @@ export default function SellerOrders() {
               >
                 Analytics
               </button>
+              <NotificationBell />
               <button
                 onClick={logout}
                 className="px-3 py-2 text-gray-700 hover:bg-gray-100 rounded-lg text-sm"
@@ -194,6 +222,14 @@ export default function SellerOrders() {
           </div>
         </div>
 
+        {/* Export for bookkeeping - one row per item, with delivery details */}
+        <div className="flex justify-end mb-4">
+          <ExportButtons
+            download={(format) => orderService.exportSellerOrders({ status: filterStatus, format })}
+            filename={`buytree-orders-${filterStatus}`}
+          />
+        </div>
+
         {/* Filter Tabs */}
         <div className="bg-white rounded-lg shadow mb-6">
           <div className="border-b border-gray-200">
@@ -309,13 +345,9 @@ export default function SellerOrders() {
                       </button>
                     )}
 
-                    {order.status === 'pending' && (
+                    {(order.status === 'pending' || order.status === 'processing') && (
                       <button
-                        onClick={() => {
-                          if (confirm('Are you sure you want to cancel this order?')) {
-                            handleStatusUpdate(order.id, 'cancelled');
-                          }
-                        }}
+                        onClick={() => handleCancelOrder(order.id)}
                         disabled={updatingStatus}
                         className="px-4 py-2 bg-red-100 text-red-700 rounded-lg font-medium hover:bg-red-200 transition-colors disabled:bg-gray-300 disabled:cursor-not-allowed"
                       >
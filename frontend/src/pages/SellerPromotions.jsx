@@ -0,0 +1,550 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { sellerService } from '../services/api';
+import NotificationBell from '../components/common/NotificationBell';
+
+const DISCOUNT_TYPES = [
+  { value: 'percentage', label: 'Percentage off' },
+  { value: 'fixed', label: 'Amount off (₦)' },
+  { value: 'free_delivery', label: 'Free delivery' },
+];
+
+const APPLIES_TO = [
+  { value: 'all', label: 'Everything in my shop' },
+  { value: 'categories', label: 'Some categories' },
+  { value: 'products', label: 'Some products' },
+];
+
+const emptyPromotion = {
+  name: '',
+  code: '',
+  discountType: 'percentage',
+  discountValue: '',
+  maxDiscount: '',
+  minSpend: '',
+  appliesTo: 'all',
+  productIds: [],
+  categories: [],
+  startsAt: '',
+  endsAt: '',
+  usageLimit: '',
+  perBuyerLimit: '',
+  isActive: true,
+};
+
+// Value for a datetime-local input, in the browser's time zone
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+export default function SellerPromotions() {
+  const { logout } = useAuth();
+
+  const [promotions, setPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [form, setForm] = useState(emptyPromotion);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPromotions();
+  }, []);
+
+  const fetchPromotions = async () => {
+    try {
+      setLoading(true);
+      const response = await sellerService.getPromotions();
+      setPromotions(response.data.promotions);
+      setProducts(response.data.products);
+      setCategories(response.data.categories);
+      setError('');
+    } catch (err) {
+      setError('Failed to load promotions');
+      console.error('Promotions error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const toggleListValue = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value],
+    }));
+  };
+
+  const resetForm = () => {
+    setForm(emptyPromotion);
+    setEditingId(null);
+  };
+
+  // Dates are sent as ISO strings so the server gets the seller's local time right
+  const buildPayload = (values) => ({
+    ...values,
+    startsAt: values.startsAt ? new Date(values.startsAt).toISOString() : null,
+    endsAt: values.endsAt ? new Date(values.endsAt).toISOString() : null,
+  });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      if (editingId) {
+        await sellerService.updatePromotion(editingId, buildPayload(form));
+      } else {
+        await sellerService.createPromotion(buildPayload(form));
+      }
+      resetForm();
+      fetchPromotions();
+    } catch (err) {
+      console.error('Save promotion error:', err);
+      alert(err.response?.data?.message || 'Failed to save promotion');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toForm = (promotion) => ({
+    name: promotion.name,
+    code: promotion.code || '',
+    discountType: promotion.discount_type,
+    discountValue: promotion.discount_value ?? '',
+    maxDiscount: promotion.max_discount ?? '',
+    minSpend: promotion.min_spend ?? '',
+    appliesTo: promotion.applies_to,
+    productIds: promotion.product_ids || [],
+    categories: promotion.categories || [],
+    startsAt: toDateTimeInput(promotion.starts_at),
+    endsAt: toDateTimeInput(promotion.ends_at),
+    usageLimit: promotion.usage_limit ?? '',
+    perBuyerLimit: promotion.per_buyer_limit ?? '',
+    isActive: promotion.is_active,
+  });
+
+  const handleEdit = (promotion) => {
+    setEditingId(promotion.id);
+    setForm(toForm(promotion));
+  };
+
+  const handleToggle = async (promotion) => {
+    try {
+      await sellerService.updatePromotion(promotion.id, buildPayload({
+        ...toForm(promotion),
+        isActive: !promotion.is_active,
+      }));
+      fetchPromotions();
+    } catch (err) {
+      console.error('Toggle promotion error:', err);
+      alert(err.response?.data?.message || 'Failed to update promotion');
+    }
+  };
+
+  const handleDelete = async (promotion) => {
+    if (!confirm(`Delete "${promotion.name}"? Orders that used it keep their discount.`)) return;
+
+    try {
+      await sellerService.deletePromotion(promotion.id);
+      if (editingId === promotion.id) resetForm();
+      fetchPromotions();
+    } catch (err) {
+      console.error('Delete promotion error:', err);
+      alert(err.response?.data?.message || 'Failed to delete promotion');
+    }
+  };
+
+  const formatPrice = (amount) => {
+    return new Intl.NumberFormat('en-NG', {
+      style: 'currency',
+      currency: 'NGN',
+    }).format(amount);
+  };
+
+  const formatDate = (value) => {
+    return new Date(value).toLocaleDateString('en-NG', { day: 'numeric', month: 'short', year: 'numeric' });
+  };
+
+  const describeDiscount = (promotion) => {
+    if (promotion.discount_type === 'free_delivery') return 'Free delivery';
+    if (promotion.discount_type === 'fixed') return `${formatPrice(parseFloat(promotion.discount_value))} off`;
+    const cap = promotion.max_discount ? ` (max ${formatPrice(parseFloat(promotion.max_discount))})` : '';
+    return `${parseFloat(promotion.discount_value)}% off${cap}`;
+  };
+
+  const describeTarget = (promotion) => {
+    if (promotion.applies_to === 'categories') return promotion.categories.join(', ');
+    if (promotion.applies_to === 'products') {
+      return `${promotion.product_ids.length} product${promotion.product_ids.length === 1 ? '' : 's'}`;
+    }
+    return 'All products';
+  };
+
+  const describeDates = (promotion) => {
+    if (!promotion.starts_at && !promotion.ends_at) return 'Always';
+    if (!promotion.ends_at) return `From ${formatDate(promotion.starts_at)}`;
+    if (!promotion.starts_at) return `Until ${formatDate(promotion.ends_at)}`;
+    return `${formatDate(promotion.starts_at)} - ${formatDate(promotion.ends_at)}`;
+  };
+
+  const getStatus = (promotion) => {
+    const now = new Date();
+    if (!promotion.is_active) return { label: 'Paused', className: 'bg-gray-100 text-gray-800' };
+    if (promotion.ends_at && new Date(promotion.ends_at) <= now) return { label: 'Ended', className: 'bg-gray-100 text-gray-800' };
+    if (promotion.starts_at && new Date(promotion.starts_at) > now) return { label: 'Scheduled', className: 'bg-blue-100 text-blue-800' };
+    return { label: 'Live', className: 'bg-green-100 text-green-800' };
+  };
+
+  if (loading) {
+    return (
+      <div className="page-container flex-center">
+        <div className="text-center">
+          <div className="loading-spinner-lg"></div>
+          <p className="loading-text">Loading promotions...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="page-container flex-center">
+        <div className="text-center">
+          <p className="error-text">{error}</p>
+          <button
+            onClick={fetchPromotions}
+            className="btn-primary mt-4"
+          >
+            Retry
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="page-container">
+      {/* Header */}
+      <div className="nav-header">
+        <div className="nav-content">
+          <div className="flex-between">
+            <div>
+              <h1 className="heading-xl">Promotions</h1>
+              <p className="text-muted">Run sales and give buyers discount codes</p>
+            </div>
+            <div className="nav-links">
+              <Link
+                to="/seller/dashboard"
+                className="btn-secondary"
+              >
+                Products
+              </Link>
+              <Link
+                to="/seller/orders"
+                className="btn-secondary"
+              >
+                Orders
+              </Link>
+              <NotificationBell />
+              <button
+                onClick={logout}
+                className="btn-danger"
+              >
+                Logout
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="content-wrapper space-y-6">
+        {/* Promotion Form */}
+        <form onSubmit={handleSave} className="card">
+          <h2 className="section-header-mb-4">{editingId ? 'Edit Promotion' : 'New Promotion'}</h2>
+          <p className="text-muted mb-4">
+            Leave the code empty to apply the promotion automatically. Each order gets the single best offer
+            available, and discounts come out of your share - the 5% platform fee is charged on the discounted total.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <label htmlFor="name" className="form-label">Name</label>
+              <input
+                id="name"
+                name="name"
+                value={form.name}
+                onChange={handleChange}
+                placeholder="e.g. Back to school sale"
+                className="form-input w-full"
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="code" className="form-label">Code (optional)</label>
+              <input
+                id="code"
+                name="code"
+                value={form.code}
+                onChange={(e) => setForm(prev => ({ ...prev, code: e.target.value.toUpperCase() }))}
+                placeholder="e.g. SCHOOL10"
+                className="form-input w-full"
+              />
+            </div>
+            <div>
+              <label htmlFor="discountType" className="form-label">Discount</label>
+              <select
+                id="discountType"
+                name="discountType"
+                value={form.discountType}
+                onChange={handleChange}
+                className="form-select w-full"
+              >
+                {DISCOUNT_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {form.discountType !== 'free_delivery' && (
+              <div>
+                <label htmlFor="discountValue" className="form-label">
+                  {form.discountType === 'percentage' ? 'Percent off' : 'Amount off (₦)'}
+                </label>
+                <input
+                  id="discountValue"
+                  name="discountValue"
+                  type="number"
+                  min="0.01"
+                  max={form.discountType === 'percentage' ? '100' : undefined}
+                  step="0.01"
+                  value={form.discountValue}
+                  onChange={handleChange}
+                  className="form-input w-full"
+                  required
+                />
+              </div>
+            )}
+            {form.discountType === 'percentage' && (
+              <div>
+                <label htmlFor="maxDiscount" className="form-label">Maximum discount (₦, optional)</label>
+                <input
+                  id="maxDiscount"
+                  name="maxDiscount"
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={form.maxDiscount}
+                  onChange={handleChange}
+                  className="form-input w-full"
+                />
+              </div>
+            )}
+            <div>
+              <label htmlFor="minSpend" className="form-label">Minimum spend (₦, optional)</label>
+              <input
+                id="minSpend"
+                name="minSpend"
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.minSpend}
+                onChange={handleChange}
+                className="form-input w-full"
+              />
+            </div>
+
+            <div>
+              <label htmlFor="startsAt" className="form-label">Starts (optional)</label>
+              <input
+                id="startsAt"
+                name="startsAt"
+                type="datetime-local"
+                value={form.startsAt}
+                onChange={handleChange}
+                className="form-input w-full"
+              />
+            </div>
+            <div>
+              <label htmlFor="endsAt" className="form-label">Ends (optional)</label>
+              <input
+                id="endsAt"
+                name="endsAt"
+                type="datetime-local"
+                value={form.endsAt}
+                onChange={handleChange}
+                className="form-input w-full"
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label htmlFor="usageLimit" className="form-label">Total uses</label>
+                <input
+                  id="usageLimit"
+                  name="usageLimit"
+                  type="number"
+                  min="1"
+                  value={form.usageLimit}
+                  onChange={handleChange}
+                  placeholder="Unlimited"
+                  className="form-input w-full"
+                />
+              </div>
+              <div>
+                <label htmlFor="perBuyerLimit" className="form-label">Uses per buyer</label>
+                <input
+                  id="perBuyerLimit"
+                  name="perBuyerLimit"
+                  type="number"
+                  min="1"
+                  value={form.perBuyerLimit}
+                  onChange={handleChange}
+                  placeholder="Unlimited"
+                  className="form-input w-full"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label htmlFor="appliesTo" className="form-label">Applies to</label>
+              <select
+                id="appliesTo"
+                name="appliesTo"
+                value={form.appliesTo}
+                onChange={handleChange}
+                className="form-select w-full"
+              >
+                {APPLIES_TO.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {form.appliesTo === 'categories' && (
+            <div className="mt-4 flex flex-wrap gap-4">
+              {categories.map((category) => (
+                <label key={category} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.categories.includes(category)}
+                    onChange={() => toggleListValue('categories', category)}
+                  />
+                  {category}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {form.appliesTo === 'products' && (
+            <div className="mt-4 max-h-48 overflow-y-auto border border-gray-200 rounded-lg p-3 grid grid-cols-1 md:grid-cols-2 gap-2">
+              {products.map((product) => (
+                <label key={product.id} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={form.productIds.includes(product.id)}
+                    onChange={() => toggleListValue('productIds', product.id)}
+                  />
+                  {product.name}
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div className="flex gap-3 mt-4">
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : editingId ? 'Update Promotion' : 'Create Promotion'}
+            </button>
+            {editingId && (
+              <button type="button" onClick={resetForm} className="btn-secondary">
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        {/* Promotions */}
+        <div className="card">
+          <h2 className="section-header-mb-4">Your Promotions</h2>
+          {promotions.length > 0 ? (
+            <div className="table-container">
+              <table className="table">
+                <thead>
+                  <tr className="table-header-row-alt">
+                    <th className="table-header-cell-alt">Name</th>
+                    <th className="table-header-cell-alt">Code</th>
+                    <th className="table-header-cell-alt">Discount</th>
+                    <th className="table-header-cell-alt">Applies to</th>
+                    <th className="table-header-cell-alt">Dates</th>
+                    <th className="table-header-cell-alt">Used</th>
+                    <th className="table-header-cell-alt">Status</th>
+                    <th className="table-header-cell-alt">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="table-body-alt">
+                  {promotions.map((promotion) => {
+                    const status = getStatus(promotion);
+
+                    return (
+                      <tr key={promotion.id} className="table-row">
+                        <td className="table-cell-compact">
+                          {promotion.name}
+                          {parseFloat(promotion.min_spend) > 0 && (
+                            <p className="text-xs text-gray-500">
+                              Min. spend {formatPrice(parseFloat(promotion.min_spend))}
+                            </p>
+                          )}
+                        </td>
+                        <td className="table-cell-compact-bold">{promotion.code || 'Automatic'}</td>
+                        <td className="table-cell-compact">{describeDiscount(promotion)}</td>
+                        <td className="table-cell-compact-muted">{describeTarget(promotion)}</td>
+                        <td className="table-cell-compact-muted">{describeDates(promotion)}</td>
+                        <td className="table-cell-compact">
+                          {promotion.times_used}{promotion.usage_limit ? ` / ${promotion.usage_limit}` : ''}
+                          {parseFloat(promotion.total_discount) > 0 && (
+                            <p className="text-xs text-gray-500">
+                              {formatPrice(parseFloat(promotion.total_discount))} given
+                            </p>
+                          )}
+                        </td>
+                        <td className="table-cell-compact">
+                          <span className={`badge ${status.className}`}>{status.label}</span>
+                        </td>
+                        <td className="table-cell-compact">
+                          <div className="flex gap-3">
+                            <button onClick={() => handleEdit(promotion)} className="text-green-600 hover:text-green-800 font-medium">
+                              Edit
+                            </button>
+                            <button onClick={() => handleToggle(promotion)} className="text-gray-600 hover:text-gray-800 font-medium">
+                              {promotion.is_active ? 'Pause' : 'Resume'}
+                            </button>
+                            <button onClick={() => handleDelete(promotion)} className="text-red-600 hover:text-red-800 font-medium">
+                              Delete
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="empty-state">No promotions yet</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
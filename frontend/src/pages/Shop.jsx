@@ -5,6 +5,9 @@ import { useAuth } from '../context/AuthContext';
 import { useCart } from '../context/CartContext';
 import { productCache, shopCache } from '../utils/cache';
 import ShopSEO from '../components/SEO/ShopSEO';
+import SearchAutocomplete from '../components/common/SearchAutocomplete';
+import { trackEvent, trackShopVisit } from '../utils/analytics';
+import NotificationBell from '../components/common/NotificationBell';
 
 const CATEGORIES = [
   'All',
@@ -34,6 +37,7 @@ export default function Shop() {
   // Filters
   const [selectedCategory, setSelectedCategory] = useState(searchParams.get('category') || 'All');
   const [searchQuery, setSearchQuery] = useState(searchParams.get('search') || '');
+  const [searchInput, setSearchInput] = useState(searchQuery);
   const [minPrice, setMinPrice] = useState(searchParams.get('minPrice') || '');
   const [maxPrice, setMaxPrice] = useState(searchParams.get('maxPrice') || '');
 
@@ -41,6 +45,13 @@ export default function Shop() {
     fetchShopData();
   }, [shopSlug, selectedCategory, searchQuery, minPrice, maxPrice]);
 
+  // Count the visit once the shop is known (the server dedupes per session)
+  useEffect(() => {
+    if (shop?.id) {
+      trackShopVisit(shop.id);
+    }
+  }, [shop?.id]);
+
   const fetchShopData = async (forceRefresh = false) => {
     setError('');
 
@@ -142,9 +153,8 @@ export default function Shop() {
     }
   };
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    fetchShopData();
+  const handleSearch = (text) => {
+    setSearchQuery(text);
   };
 
   const formatPrice = (price) => {
@@ -247,6 +257,7 @@ export default function Shop() {
                   >
                     Orders
                   </button>
+                  <NotificationBell />
                   <button
                     onClick={logout}
                     className="px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg text-sm"
@@ -358,18 +369,21 @@ export default function Shop() {
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-8">
         {/* Search Bar - Always Visible */}
         <div className="mb-4">
-          <form onSubmit={handleSearch} className="relative">
-            <input
-              type="text"
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              placeholder="Search products..."
-              className="w-full px-4 py-3 pl-12 border border-gray-300 rounded-full focus:ring-2 focus:ring-green-500 focus:border-transparent shadow-sm"
-            />
+          <SearchAutocomplete
+            value={searchInput}
+            onChange={setSearchInput}
+            onSearch={handleSearch}
+            onSelectCategory={(category) => {
+              setSearchQuery('');
+              setSelectedCategory(category);
+            }}
+            shopSlug={shopSlug}
+            inputClassName="w-full px-4 py-3 pl-12 border border-gray-300 rounded-full focus:ring-2 focus:ring-green-500 focus:border-transparent shadow-sm"
+          >
             <svg className="absolute left-4 top-3.5 w-5 h-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
             </svg>
-          </form>
+          </SearchAutocomplete>
         </div>
 
         {/* Filter Button & Active Filters - Mobile */}
@@ -395,6 +409,7 @@ export default function Shop() {
               onClick={() => {
                 setSelectedCategory('All');
                 setSearchQuery('');
+                setSearchInput('');
                 setMinPrice('');
                 setMaxPrice('');
               }}
@@ -443,7 +458,10 @@ export default function Shop() {
                   {products.map((product) => (
                     <div
                       key={product.id}
-                      onClick={() => navigate(`/shop/${shopSlug}/product/${product.slug || product.id}`)}
+                      onClick={() => {
+                        trackEvent('click', product.id);
+                        navigate(`/shop/${shopSlug}/product/${product.slug || product.id}`);
+                      }}
                       className="bg-white rounded-lg shadow hover:shadow-lg transition-shadow cursor-pointer overflow-hidden"
                     >
                       {/* Product Image */}
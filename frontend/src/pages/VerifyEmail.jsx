@@ -0,0 +1,115 @@
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authService } from '../services/api';
+
+// Where SmartFallback would send this user
+const homePath = (user) => {
+  if (!user) return '/login';
+  if (user.role === 'admin') return '/admin/dashboard';
+  if (user.role === 'seller') return '/seller/dashboard';
+  return '/orders';
+};
+
+const TITLES = {
+  verified: 'Email Verified!',
+  change_pending: 'Almost There',
+  email_changed: 'Email Changed!',
+};
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { user, refreshUser } = useAuth();
+
+  const [status, setStatus] = useState('verifying'); // verifying, verified, change_pending, email_changed, failed
+  const [message, setMessage] = useState('');
+
+  // Links are single-use, so only send each token once (StrictMode runs effects twice)
+  const submittedToken = useRef(null);
+  const isLoggedIn = !!user;
+
+  useEffect(() => {
+    if (!token) {
+      setStatus('failed');
+      setMessage('Invalid verification link');
+      return;
+    }
+
+    if (submittedToken.current === token) return;
+    submittedToken.current = token;
+
+    const verify = async () => {
+      try {
+        const response = await authService.verifyEmail(token);
+        setStatus(response.data.status);
+        setMessage(response.message);
+
+        if (isLoggedIn && response.data.status !== 'change_pending') {
+          refreshUser().catch(() => {});
+        }
+      } catch (err) {
+        console.error('Email verification error:', err);
+        setStatus('failed');
+        setMessage(err.response?.data?.message || 'Invalid or expired verification link');
+      }
+    };
+
+    verify();
+  }, [token, isLoggedIn, refreshUser]);
+
+  if (status === 'verifying') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-white flex items-center justify-center p-4">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-green-600 mx-auto"></div>
+          <p className="mt-4 text-gray-600">Verifying your email...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const failed = status === 'failed';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 to-white flex items-center justify-center p-4">
+      <div className="max-w-md w-full">
+        <div className="bg-white rounded-lg shadow-lg p-8 text-center">
+          <div className={`mx-auto flex items-center justify-center h-16 w-16 rounded-full mb-4 ${failed ? 'bg-red-100' : 'bg-green-100'}`}>
+            <svg
+              className={`h-10 w-10 ${failed ? 'text-red-600' : 'text-green-600'}`}
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d={failed ? 'M6 18L18 6M6 6l12 12' : 'M5 13l4 4L19 7'}
+              />
+            </svg>
+          </div>
+
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">
+            {failed ? 'Invalid Verification Link' : TITLES[status]}
+          </h2>
+          <p className="text-gray-600 mb-6">{message}</p>
+
+          {failed && isLoggedIn && (
+            <p className="text-sm text-gray-500 mb-6">
+              You can request a new link from checkout or the Become a Seller page.
+            </p>
+          )}
+
+          <Link
+            to={homePath(user)}
+            className="block w-full px-4 py-3 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors font-medium text-center"
+          >
+            {isLoggedIn ? 'Continue to BuyTree' : 'Go to Login'}
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -24,16 +24,75 @@ api.interceptors.request.use(
   }
 );
 
+// Auth calls whose 401 means bad credentials, not an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/login/2fa', '/auth/login/phone', '/auth/signup', '/auth/refresh', '/auth/logout'];
+
+// Shared by every request that fails while a refresh is in flight
+let refreshPromise = null;
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+// Swap the refresh token for a new pair; the refresh token changes every time
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  try {
+    const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+    localStorage.setItem('token', response.data.data.token);
+    localStorage.setItem('refreshToken', response.data.data.refreshToken);
+  } catch (error) {
+    // Another tab refreshed first and already stored the new tokens
+    if (localStorage.getItem('refreshToken') !== refreshToken) {
+      return;
+    }
+    throw error;
+  }
+};
+
 // Handle response errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const request = error.config;
+
+    // Wrong password or code - the login page shows the message
+    if (request && NO_REFRESH_URLS.includes(request.url)) {
+      return Promise.reject(error);
+    }
+
     if (error.response?.status === 401) {
+      // Access token expired - refresh once and retry
+      if (request && !request._retried && localStorage.getItem('refreshToken')) {
+        request._retried = true;
+        try {
+          refreshPromise = refreshPromise || refreshTokens().finally(() => {
+            refreshPromise = null;
+          });
+          await refreshPromise;
+          return api(request);
+        } catch {
+          // Session revoked or expired - fall through to logging out
+        }
+      }
+
       // Token expired or invalid
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
+      clearSession();
       window.location.href = '/login';
     }
+
+    // Admin tools need a session that passed two-factor authentication
+    if (error.response?.status === 403) {
+      const code = error.response.data?.code;
+      if (code === 'TWO_FACTOR_SETUP_REQUIRED') {
+        window.location.href = '/account/security';
+      } else if (code === 'TWO_FACTOR_REQUIRED') {
+        clearSession();
+        window.location.href = '/login';
+      }
+    }
     return Promise.reject(error);
   }
 );
@@ -50,10 +109,107 @@ export const authService = {
     return response.data;
   },
 
+  // Second step for accounts with two-factor authentication
+  loginTwoFactor: async (challengeToken, code) => {
+    const response = await api.post('/auth/login/2fa', { challengeToken, code });
+    return response.data;
+  },
+
+  // Passwordless login: a code is texted to the account's verified phone number
+  requestPhoneLoginCode: async (phone) => {
+    const response = await api.post('/auth/login/phone/send', { phone });
+    return response.data;
+  },
+
+  loginWithPhone: async (phone, code) => {
+    const response = await api.post('/auth/login/phone', { phone, code });
+    return response.data;
+  },
+
   getMe: async () => {
     const response = await api.get('/auth/me');
     return response.data;
   },
+
+  logout: async (refreshToken) => {
+    const response = await api.post('/auth/logout', { refreshToken });
+    return response.data;
+  },
+
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  // Log out everywhere except this browser
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/auth/sessions');
+    return response.data;
+  },
+
+  // Token from the link in a verification or email change email
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  resendVerification: async () => {
+    const response = await api.post('/auth/verify-email/resend');
+    return response.data;
+  },
+
+  // Both the current and new address get a link to confirm
+  requestEmailChange: async (newEmail, password) => {
+    const response = await api.post('/auth/email-change', { newEmail, password });
+    return response.data;
+  },
+
+  cancelEmailChange: async () => {
+    const response = await api.delete('/auth/email-change');
+    return response.data;
+  },
+
+  // Texts a code to the given number, or the account's own when phone is empty
+  sendPhoneVerification: async (phone, password) => {
+    const response = await api.post('/auth/verify-phone/send', { phone, password });
+    return response.data;
+  },
+
+  verifyPhone: async (code) => {
+    const response = await api.post('/auth/verify-phone', { code });
+    return response.data;
+  },
+
+  getTwoFactorStatus: async () => {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  },
+
+  // Returns the secret and a QR code for the authenticator app
+  setupTwoFactor: async (password) => {
+    const response = await api.post('/auth/2fa/setup', { password });
+    return response.data;
+  },
+
+  confirmTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/confirm', { code });
+    return response.data;
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  disableTwoFactor: async (password, code) => {
+    const response = await api.delete('/auth/2fa', { data: { password, code } });
+    return response.data;
+  },
 };
 
 // Seller endpoints
@@ -83,6 +239,89 @@ export const sellerService = {
     const response = await api.get(`/sellers/shops/all?${queryParams}`);
     return response.data;
   },
+
+  getLedger: async (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await api.get(`/sellers/me/ledger?${queryParams}`);
+    return response.data;
+  },
+
+  // Returns the statement file as a Blob (format: 'csv' or 'pdf')
+  downloadStatement: async (month, format = 'csv') => {
+    const response = await api.get(`/sellers/me/statements/${month}?format=${format}`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  getDeliverySettings: async () => {
+    const response = await api.get('/sellers/me/delivery');
+    return response.data;
+  },
+
+  updateDeliverySettings: async (settings) => {
+    const response = await api.put('/sellers/me/delivery', settings);
+    return response.data;
+  },
+
+  createDeliveryZone: async (zone) => {
+    const response = await api.post('/sellers/me/delivery/zones', zone);
+    return response.data;
+  },
+
+  updateDeliveryZone: async (zoneId, zone) => {
+    const response = await api.put(`/sellers/me/delivery/zones/${zoneId}`, zone);
+    return response.data;
+  },
+
+  deleteDeliveryZone: async (zoneId) => {
+    const response = await api.delete(`/sellers/me/delivery/zones/${zoneId}`);
+    return response.data;
+  },
+
+  getPromotions: async () => {
+    const response = await api.get('/sellers/me/promotions');
+    return response.data;
+  },
+
+  createPromotion: async (promotionData) => {
+    const response = await api.post('/sellers/me/promotions', promotionData);
+    return response.data;
+  },
+
+  updatePromotion: async (promotionId, promotionData) => {
+    const response = await api.put(`/sellers/me/promotions/${promotionId}`, promotionData);
+    return response.data;
+  },
+
+  deletePromotion: async (promotionId) => {
+    const response = await api.delete(`/sellers/me/promotions/${promotionId}`);
+    return response.data;
+  },
+
+  // Stock levels with days of cover (params: { status: 'out' | 'low' | 'ok' })
+  getInventory: async (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await api.get(`/sellers/me/inventory?${queryParams}`);
+    return response.data;
+  },
+
+  getInventoryMovements: async (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await api.get(`/sellers/me/inventory/movements?${queryParams}`);
+    return response.data;
+  },
+
+  // { productId, variantId?, type: 'restock' | 'adjustment', quantity, note? }
+  adjustInventory: async (adjustment) => {
+    const response = await api.post('/sellers/me/inventory/adjustments', adjustment);
+    return response.data;
+  },
+
+  updateLowStockThreshold: async (productId, threshold) => {
+    const response = await api.put(`/sellers/me/inventory/${productId}/threshold`, { threshold });
+    return response.data;
+  },
 };
 
 // Product endpoints
@@ -103,11 +342,43 @@ export const productService = {
     return response.data;
   },
 
+  getProductVariants: async (id) => {
+    const response = await api.get(`/products/${id}/variants`);
+    return response.data;
+  },
+
   getMyProducts: async () => {
     const response = await api.get('/products/my/products');
     return response.data;
   },
 
+  // Returns the catalogue as a Blob (format: 'csv' or 'xlsx')
+  exportMyProducts: async (format = 'csv') => {
+    const response = await api.get(`/products/my/export?format=${format}`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  // Dry run of a CSV import: what each row would create or update, with errors
+  previewImport: async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await api.post('/products/import/preview', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
+  importProducts: async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await api.post('/products/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  },
+
   getProductsByShopSlug: async (shopSlug, filters = {}) => {
     const queryParams = new URLSearchParams(filters).toString();
     const response = await api.get(`/products/shop/${shopSlug}?${queryParams}`);
@@ -129,6 +400,19 @@ export const productService = {
     const response = await api.get(`/products/search?${queryParams}`);
     return response.data;
   },
+
+  suggest: async (q, shopSlug = null) => {
+    const params = { q };
+    if (shopSlug) params.shop = shopSlug;
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await api.get(`/products/suggest?${queryParams}`);
+    return response.data;
+  },
+
+  getTrendingSearches: async (limit = 8) => {
+    const response = await api.get(`/products/trending-searches?limit=${limit}`);
+    return response.data;
+  },
 };
 
 // Upload endpoints
@@ -159,18 +443,20 @@ export const cartService = {
     return response.data;
   },
 
-  addToCart: async (productId, quantity) => {
-    const response = await api.post('/cart/add', { productId, quantity });
+  // variantId is required for products with variants (size/colour)
+  addToCart: async (productId, quantity, variantId = null) => {
+    const response = await api.post('/cart/add', { productId, quantity, variantId });
     return response.data;
   },
 
-  updateCartItem: async (productId, quantity) => {
-    const response = await api.put('/cart/update', { productId, quantity });
+  updateCartItem: async (productId, quantity, variantId = null) => {
+    const response = await api.put('/cart/update', { productId, quantity, variantId });
     return response.data;
   },
 
-  removeFromCart: async (productId) => {
-    const response = await api.delete(`/cart/remove/${productId}`);
+  removeFromCart: async (productId, variantId = null) => {
+    const query = variantId ? `?variantId=${variantId}` : '';
+    const response = await api.delete(`/cart/remove/${productId}${query}`);
     return response.data;
   },
 
@@ -188,6 +474,16 @@ export const orderService = {
     return response.data;
   },
 
+  quoteDelivery: async (orderData) => {
+    const response = await api.post('/orders/delivery-quote', orderData);
+    return response.data;
+  },
+
+  quotePromotions: async (orderData) => {
+    const response = await api.post('/orders/promotion-quote', orderData);
+    return response.data;
+  },
+
   verifyPayment: async (reference) => {
     const response = await api.get(`/orders/verify/${reference}`);
     return response.data;
@@ -208,6 +504,11 @@ export const orderService = {
     return response.data;
   },
 
+  cancelOrder: async (orderId, reason) => {
+    const response = await api.post(`/orders/${orderId}/cancel`, { reason });
+    return response.data;
+  },
+
   // Shared endpoints (buyer and seller)
   getOrderDetails: async (orderId) => {
     const response = await api.get(`/orders/${orderId}`);
@@ -236,11 +537,25 @@ export const orderService = {
     return response.data;
   },
 
+  // Returns orders with their items as a Blob. params: { status, search, from, to, format }
+  exportSellerOrders: async (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await api.get(`/orders/seller/export?${queryParams}`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
   updateOrderStatus: async (orderId, statusData) => {
     const response = await api.put(`/orders/seller/${orderId}/status`, statusData);
     return response.data;
   },
 
+  sellerCancelOrder: async (orderId, reason) => {
+    const response = await api.post(`/orders/seller/${orderId}/cancel`, { reason });
+    return response.data;
+  },
+
   addSellerNote: async (orderId, note) => {
     const response = await api.post(`/orders/seller/${orderId}/notes`, { note });
     return response.data;
@@ -254,13 +569,52 @@ export const orderService = {
 
 // Analytics endpoints
 export const analyticsService = {
-  getSellerAnalytics: async () => {
-    const response = await api.get('/analytics/seller');
+  // params: { from, to } or { period } (last N days), plus granularity and compare
+  getSellerAnalytics: async (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await api.get(`/analytics/seller?${queryParams}`);
     return response.data;
   },
 
-  getProductViewAnalytics: async (period = '30') => {
-    const response = await api.get(`/analytics/seller/views?period=${period}`);
+  getProductViewAnalytics: async (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await api.get(`/analytics/seller/views?${queryParams}`);
+    return response.data;
+  },
+
+  // params: { from, to, productId, compare } - dates as YYYY-MM-DD
+  getSellerFunnel: async (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await api.get(`/analytics/seller/funnel?${queryParams}`);
+    return response.data;
+  },
+
+  getSellerCustomerAnalytics: async (months = 6) => {
+    const response = await api.get(`/analytics/seller/customers?months=${months}`);
+    return response.data;
+  },
+
+  // Returns the analytics series as a Blob. params: { from, to } or { period }, plus granularity and format
+  exportSellerAnalytics: async (params = {}) => {
+    const queryParams = new URLSearchParams(params).toString();
+    const response = await api.get(`/analytics/seller/export?${queryParams}`, {
+      responseType: 'blob',
+    });
+    return response.data;
+  },
+
+  // keepalive lets the request finish while the page is closing
+  trackEvents: async (events, sessionId, { keepalive = false } = {}) => {
+    if (keepalive) {
+      await fetch(`${API_URL}/analytics/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events, sessionId }),
+        keepalive: true,
+      });
+      return;
+    }
+    const response = await api.post('/analytics/events', { events, sessionId });
     return response.data;
   },
 };
@@ -337,4 +691,44 @@ export const favoriteService = {
   },
 };
 
+// Notification endpoints
+export const notificationService = {
+  getNotifications: async (params = {}) => {
+    const queryParams = new URLSearchParams();
+    if (params.limit) queryParams.append('limit', params.limit);
+    if (params.offset) queryParams.append('offset', params.offset);
+    if (params.unread) queryParams.append('unread', 'true');
+
+    const response = await api.get(`/notifications?${queryParams.toString()}`);
+    return response.data;
+  },
+
+  markRead: async (notificationId) => {
+    const response = await api.put(`/notifications/${notificationId}/read`);
+    return response.data;
+  },
+
+  markAllRead: async () => {
+    const response = await api.put('/notifications/read-all');
+    return response.data;
+  },
+
+  // EventSource can't send the Authorization header - the stream URL carries a one-minute ticket
+  getStreamUrl: async () => {
+    const response = await api.post('/notifications/stream-ticket');
+    return `${API_URL}/notifications/stream?ticket=${encodeURIComponent(response.data.data.ticket)}`;
+  },
+
+  getPreferences: async () => {
+    const response = await api.get('/notifications/preferences');
+    return response.data;
+  },
+
+  // Only the keys passed are changed, e.g. { email_price_drop: false }
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/notifications/preferences', preferences);
+    return response.data;
+  },
+};
+
 export default api;
@@ -0,0 +1,85 @@
+// Storefront event tracking for seller analytics (shop visits, views, clicks, add to cart, checkout)
+// Events are queued and sent in small batches; the server dedupes per session.
+
+import { analyticsService } from '../services/api';
+
+const SESSION_KEY = 'buytree_session_id';
+const FLUSH_DELAY_MS = 5000;
+const MAX_QUEUE = 20;
+
+let queue = [];
+let flushTimer = null;
+
+/**
+ * Random id for this browser tab, kept for the tab's lifetime
+ */
+const getSessionId = () => {
+  try {
+    let sessionId = sessionStorage.getItem(SESSION_KEY);
+    if (!sessionId) {
+      sessionId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      sessionStorage.setItem(SESSION_KEY, sessionId);
+    }
+    return sessionId;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Send queued events now
+ * @param {boolean} keepalive - Use when the page is closing
+ */
+export const flushEvents = (keepalive = false) => {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  if (queue.length === 0) return;
+
+  const events = queue;
+  queue = [];
+
+  analyticsService.trackEvents(events, getSessionId(), { keepalive }).catch((error) => {
+    // Analytics must never get in the way of shopping
+    console.error('Track events error:', error);
+  });
+};
+
+/**
+ * Queue an event
+ * @param {'view'|'click'|'add_to_cart'|'checkout_started'} type
+ * @param {number} productId
+ */
+export const trackEvent = (type, productId) => {
+  if (!productId) return;
+
+  queue.push({ type, productId });
+
+  if (queue.length >= MAX_QUEUE) {
+    flushEvents();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(() => flushEvents(), FLUSH_DELAY_MS);
+  }
+};
+
+/**
+ * Queue a shop visit (first step of the seller's conversion funnel)
+ * @param {number} sellerId
+ */
+export const trackShopVisit = (sellerId) => {
+  if (!sellerId) return;
+
+  queue.push({ type: 'shop_visit', sellerId });
+
+  if (queue.length >= MAX_QUEUE) {
+    flushEvents();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(() => flushEvents(), FLUSH_DELAY_MS);
+  }
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', () => flushEvents(true));
+}
@@ -0,0 +1,15 @@
+/**
+ * Save a Blob (e.g. an export or statement from the API) as a file
+ * @param {Blob} file
+ * @param {string} filename - Including the extension
+ */
+export const saveFile = (file, filename) => {
+  const url = window.URL.createObjectURL(file);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};